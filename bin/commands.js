@@ -0,0 +1,863 @@
+/**
+ * Command definitions for the xion-nft CLI
+ * Each command maps named flags (with env var fallbacks) onto a script's library function
+ */
+
+import { createWallet, validateMnemonic, recoverWallet, WALLET_WORD_COUNTS } from "../scripts/create-wallet.js";
+import { deriveAccounts } from "../scripts/derive-accounts.js";
+import { deployContract } from "../scripts/deploy-contract.js";
+import { mintToken } from "../scripts/mint-token.js";
+import { mintBatch } from "../scripts/mint-batch.js";
+import { transferNFT } from "../scripts/transfer-nft.js";
+import { airdropNFTs } from "../scripts/airdrop-nft.js";
+import { approveNFT, revokeNFT, approveAll, revokeAll } from "../scripts/approve-nft.js";
+import { sendNFT } from "../scripts/send-nft.js";
+import { burnNFT } from "../scripts/burn-nft.js";
+import { checkGasFee, GAS_TX_TYPES } from "../scripts/check-gas-fee.js";
+import { transferGas } from "../scripts/transfer-gas.js";
+import { distributeTokens, DISTRIBUTION_MODES } from "../scripts/distribute-tokens.js";
+import { verifyOwnership } from "../scripts/verify-ownership.js";
+import { syncIndex } from "../scripts/index-sync.js";
+import { tokenHistory } from "../scripts/token-history.js";
+import { DEFAULT_INDEX_FILE } from "../utils/indexer.js";
+import { inspectCollection, SNAPSHOT_FORMATS } from "../scripts/inspect-collection.js";
+import { snapshotHolders, verifyHoldersSnapshot } from "../scripts/snapshot-holders.js";
+import { monitorTransaction } from "../scripts/monitor-transaction.js";
+import { watchContract, WATCH_MODES, WATCH_FORMATS } from "../scripts/watch-contract.js";
+import { accountHistory, HISTORY_FORMATS } from "../scripts/account-history.js";
+import { signMessage } from "../scripts/sign-message.js";
+import { verifyMessage } from "../scripts/verify-message.js";
+import { signTransaction, signPreparedTransaction, SIGN_TX_TYPES } from "../scripts/sign-transaction.js";
+import { prepareTransaction } from "../scripts/prepare-transaction.js";
+import { broadcastTransaction } from "../scripts/broadcast-transaction.js";
+import { createMultisig, signMultisig, combineMultisig } from "../scripts/multisig.js";
+import { grantAuthz, listGrants, revokeAuthz } from "../scripts/authz.js";
+import { AUTHORIZATION_TYPES, EXECUTE_CONTRACT_TYPE_URL } from "../utils/authz.js";
+import { networkStatus } from "../scripts/network-status.js";
+import { addKey, importKey, listKeys, exportKey, deleteKey } from "../scripts/keys.js";
+import { PROBE_TIMEOUT_MS } from "../utils/endpoints.js";
+
+export const PROGRAM_NAME = "xion-nft";
+
+// Options shared by several commands
+const CONTRACT_OPTION = {
+  name: "contract",
+  env: "CONTRACT_ADDRESS",
+  metavar: "address",
+  description: "NFT contract address",
+  required: true,
+};
+
+// Expiration for approve and approve-all (the contract default is never)
+const EXPIRATION_OPTIONS = [
+  { name: "expires-at-height", metavar: "height", description: "Expire at this block height" },
+  { name: "expires-at-time", metavar: "time", description: "Expire at this time (ISO 8601 date or unix seconds)" },
+  { name: "never-expires", type: "boolean", description: "Never expire (the default)", default: false },
+];
+
+// Keystore key name, the first positional of the keys commands
+const KEY_NAME_OPTION = { name: "name", metavar: "name", description: "Key name", required: true };
+
+// Local index file used by index sync and nft history
+const INDEX_DB_OPTION = {
+  name: "db",
+  env: "INDEX_DB",
+  metavar: "file",
+  description: "Index file",
+  default: DEFAULT_INDEX_FILE,
+};
+
+// Where wallet create / wallet recover store the mnemonic instead of printing it
+const MNEMONIC_STORAGE_OPTIONS = [
+  { name: "save-key", metavar: "name", description: "Store the mnemonic encrypted in the keystore under this name" },
+  { name: "save-env", metavar: "file", description: "Write MNEMONIC to this .env file (mode 600)" },
+];
+
+// Execute on behalf of another address through an authz grant (nft mint, nft transfer)
+const AUTHZ_GRANTER_OPTION = {
+  name: "authz-granter",
+  env: "AUTHZ_GRANTER",
+  metavar: "address",
+  description: "Act for this address with an authz grant (the wallet signs a MsgExec)",
+};
+
+export const COMMANDS = [
+  {
+    name: "wallet create",
+    summary: "Create a new wallet (12- or 24-word mnemonic)",
+    description:
+      "Generate a new mnemonic. Without --save-key or --save-env it is printed; with either it is stored " +
+      "(encrypted in the keystore, or as MNEMONIC in a .env file readable only by you) and not shown.",
+    options: [
+      { name: "words", metavar: "n", description: "Mnemonic length", default: "24", choices: WALLET_WORD_COUNTS },
+      ...MNEMONIC_STORAGE_OPTIONS,
+    ],
+    examples: [
+      `${PROGRAM_NAME} wallet create --save-key deployer`,
+      `${PROGRAM_NAME} wallet create --words 12 --save-env .env`,
+    ],
+    run: (options) => createWallet(options),
+  },
+  {
+    name: "wallet validate",
+    summary: "Check a mnemonic's words and checksum",
+    description:
+      "Check the mnemonic in MNEMONIC (or typed at a prompt without echo) against the BIP39 English wordlist and " +
+      "checksum, and suggest corrections for misspelled words. The mnemonic is not printed.",
+    options: [],
+    examples: [`${PROGRAM_NAME} wallet validate`],
+    run: () => validateMnemonic(),
+  },
+  {
+    name: "wallet recover",
+    summary: "Show the address of an existing mnemonic and store it",
+    description:
+      "Validate the mnemonic in MNEMONIC (or typed at a prompt without echo), print the address of the account " +
+      "selected with --account-index / --hd-path, and optionally store the mnemonic with --save-key or --save-env.",
+    options: MNEMONIC_STORAGE_OPTIONS,
+    examples: [`${PROGRAM_NAME} wallet recover`, `${PROGRAM_NAME} wallet recover --save-key deployer`],
+    run: (options) => recoverWallet(options),
+  },
+  {
+    name: "wallet derive",
+    summary: "List the first addresses of the wallet's mnemonic",
+    description:
+      "Derive consecutive HD accounts from the configured wallet (--from key or MNEMONIC), starting at --account-index " +
+      "or --hd-path, and print each one's path and address. No network connection is made.",
+    options: [{ name: "count", metavar: "n", description: "Number of accounts", default: "5" }],
+    examples: [
+      `${PROGRAM_NAME} wallet derive --count 10`,
+      `${PROGRAM_NAME} wallet derive --from deployer --hd-path "m/44'/118'/1'/0/0"`,
+    ],
+    run: (options) => deriveAccounts(options),
+  },
+  {
+    name: "keys add",
+    summary: "Create a new key in the encrypted keystore",
+    description:
+      "Generate a 24-word mnemonic and store it encrypted with a passphrase (XION_NFT_PASSPHRASE, or prompted twice). " +
+      "The mnemonic is printed once as a backup. Sign with the key by passing --from <name> to any command.",
+    args: ["name"],
+    options: [KEY_NAME_OPTION],
+    examples: [`${PROGRAM_NAME} keys add deployer`, `${PROGRAM_NAME} nft mint 1 --from deployer`],
+    run: (options) => addKey(options),
+  },
+  {
+    name: "keys import",
+    summary: "Store an existing mnemonic in the encrypted keystore",
+    description:
+      "Encrypt an existing mnemonic under a name. The mnemonic is taken from MNEMONIC when it is set " +
+      "(to move a .env wallet into the keystore), otherwise it is prompted for without echo.",
+    args: ["name"],
+    options: [KEY_NAME_OPTION],
+    examples: [`${PROGRAM_NAME} keys import deployer`],
+    run: (options) => importKey(options),
+  },
+  {
+    name: "keys list",
+    summary: "List the keys in the keystore",
+    options: [],
+    run: (options) => listKeys(options),
+  },
+  {
+    name: "keys export",
+    summary: "Decrypt a key and print its mnemonic",
+    args: ["name"],
+    options: [KEY_NAME_OPTION],
+    examples: [`${PROGRAM_NAME} keys export deployer`],
+    run: (options) => exportKey(options),
+  },
+  {
+    name: "keys delete",
+    summary: "Delete a key from the keystore",
+    description:
+      "Remove a key file. The key's passphrase is asked first so a mistyped name cannot delete the wrong key; " +
+      "--force deletes without it (for a key whose passphrase is lost).",
+    args: ["name"],
+    options: [
+      KEY_NAME_OPTION,
+      { name: "force", type: "boolean", description: "Delete without unlocking the key first", default: false },
+    ],
+    examples: [`${PROGRAM_NAME} keys delete old-key`],
+    run: (options) => deleteKey(options),
+  },
+  {
+    name: "contract deploy",
+    summary: "Instantiate a CW721 NFT contract",
+    description:
+      "Instantiate a CW721-metadata-onchain contract. The wallet is minter and admin unless --minter, --admin " +
+      "or --multisig (a file from 'multisig create', made both) say otherwise; the wallet always pays the fee.",
+    confirm: true,
+    options: [
+      { name: "name", env: "NFT_NAME", description: "Collection name", default: "My NFT Collection" },
+      { name: "symbol", env: "NFT_SYMBOL", description: "Collection symbol", default: "MNFT" },
+      { name: "label", env: "CONTRACT_LABEL", description: "Contract label", default: "my-nft-contract" },
+      { name: "code-id", env: "CODE_ID", metavar: "id", description: "CW721 code ID (defaults to the network's cw721-metadata-onchain code)" },
+      { name: "minter", env: "CONTRACT_MINTER", metavar: "address", description: "Minter address (default: the multisig, or the wallet)" },
+      { name: "admin", env: "CONTRACT_ADMIN", metavar: "address", description: "Contract admin address (default: the multisig, or the wallet)" },
+      { name: "multisig", env: "MULTISIG_FILE", metavar: "file", description: "Multisig file to make minter and admin" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} contract deploy --name "My Collection" --symbol MYC`,
+      `${PROGRAM_NAME} contract deploy --name "My Collection" --symbol MYC --multisig multisig.json`,
+    ],
+    run: (options) => deployContract(options),
+  },
+  {
+    name: "nft mint",
+    summary: "Mint a new NFT",
+    confirm: true,
+    args: ["token-id", "owner", "token-uri"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "token-id", env: "TOKEN_ID", metavar: "id", description: "Token ID to mint", default: "1" },
+      { name: "owner", env: "OWNER_ADDRESS", metavar: "address", description: "Owner address (defaults to the minter)" },
+      { name: "token-uri", env: "TOKEN_URI", metavar: "uri", description: "Metadata URI", default: "ipfs://QmExample..." },
+      { name: "token-name", env: "TOKEN_NAME", description: "Token name (default: NFT #<token-id>)" },
+      { name: "description", env: "TOKEN_DESCRIPTION", description: "Token description", default: "An NFT from my collection" },
+      { name: "image", env: "TOKEN_IMAGE", metavar: "uri", description: "Image URI (defaults to the token URI)" },
+      { name: "attributes", env: "TOKEN_ATTRIBUTES", metavar: "json", description: "JSON array of attributes" },
+      { name: "animation-url", env: "TOKEN_ANIMATION_URL", metavar: "url", description: "Animation URL" },
+      { name: "external-url", env: "TOKEN_EXTERNAL_URL", metavar: "url", description: "External URL" },
+      { name: "background-color", env: "TOKEN_BACKGROUND_COLOR", metavar: "hex", description: "Background color" },
+      { name: "storage", env: "METADATA_STORAGE", description: "Metadata storage mode", default: "onchain", choices: ["onchain", "offchain"] },
+      AUTHZ_GRANTER_OPTION,
+    ],
+    examples: [
+      `${PROGRAM_NAME} nft mint --token-id 1 --token-uri ipfs://QmYourHash`,
+      `${PROGRAM_NAME} nft mint 1 xion1... ipfs://QmYourHash`,
+      `${PROGRAM_NAME} nft mint --token-id 2 --authz-granter xion1minter...`,
+    ],
+    run: (options) => mintToken(options),
+  },
+  {
+    name: "nft mint-batch",
+    summary: "Mint many NFTs from a CSV or JSON manifest",
+    description:
+      "Mint every token_id/owner/token_uri row of a manifest, several mints per transaction. Token IDs that already " +
+      "exist are skipped, and progress is written to a journal so re-running the same command resumes an interrupted batch.",
+    confirm: true,
+    args: ["manifest"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "manifest", env: "MINT_MANIFEST", metavar: "file", description: "CSV or JSON manifest (token_id, owner, token_uri)", required: true },
+      { name: "chunk-size", env: "MINT_CHUNK_SIZE", metavar: "n", description: "Mint messages per transaction", default: "20" },
+      { name: "max-gas", env: "MINT_MAX_GAS", metavar: "units", description: "Split a chunk when its simulated gas exceeds this", default: "4000000" },
+      { name: "journal", env: "MINT_JOURNAL", metavar: "file", description: "Progress journal (default: <manifest>.progress.json)" },
+      { name: "dry-run", type: "boolean", description: "Check the manifest and existing tokens without minting", default: false },
+    ],
+    examples: [
+      `${PROGRAM_NAME} nft mint-batch --manifest tokens.csv --chunk-size 25`,
+      `${PROGRAM_NAME} nft mint-batch tokens.json --dry-run`,
+    ],
+    run: (options) => mintBatch(options),
+  },
+  {
+    name: "nft transfer",
+    summary: "Transfer an NFT to another address",
+    confirm: true,
+    args: ["token-id", "recipient"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "token-id", env: "TOKEN_ID", metavar: "id", description: "Token ID to transfer", required: true },
+      { name: "recipient", env: "RECIPIENT", metavar: "address", description: "Recipient address", required: true },
+      AUTHZ_GRANTER_OPTION,
+    ],
+    examples: [
+      `${PROGRAM_NAME} nft transfer --token-id 1 --recipient xion1...`,
+      `${PROGRAM_NAME} nft transfer 1 xion1recipient... --authz-granter xion1owner...`,
+    ],
+    run: (options) => transferNFT(options),
+  },
+  {
+    name: "nft airdrop",
+    summary: "Transfer many NFTs from a CSV or JSON manifest",
+    description:
+      "Transfer every token_id/recipient row of a manifest, several transfers per transaction. Recipients are checked " +
+      "as bech32 addresses and each token's owner is checked with owner_of before sending. A per-row report " +
+      "(status, tx hash, failure reason) is written, and the command exits with code 1 if any row failed. " +
+      "With --senders, each token is sent by the account that owns it or is approved or an operator for it.",
+    confirm: true,
+    args: ["manifest"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "manifest", env: "AIRDROP_MANIFEST", metavar: "file", description: "CSV or JSON manifest (token_id, recipient)", required: true },
+      { name: "chunk-size", env: "AIRDROP_CHUNK_SIZE", metavar: "n", description: "Transfer messages per transaction", default: "20" },
+      { name: "max-gas", env: "AIRDROP_MAX_GAS", metavar: "units", description: "Split a chunk when its simulated gas exceeds this", default: "4000000" },
+      { name: "report", env: "AIRDROP_REPORT", metavar: "file", description: "Report file, .csv or .json (default: <manifest>.report.csv)" },
+      { name: "dry-run", type: "boolean", description: "Run the checks and write the report without sending", default: false },
+      { name: "senders", env: "AIRDROP_SENDERS", metavar: "n", description: "Send from this many consecutive wallet accounts in parallel", default: "1" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} nft airdrop --manifest airdrop.csv`,
+      `${PROGRAM_NAME} nft airdrop airdrop.csv --dry-run --report check.json`,
+      `${PROGRAM_NAME} nft airdrop airdrop.csv --senders 4`,
+    ],
+    run: async (options) => {
+      const result = await airdropNFTs(options);
+      if (result.failed > 0) {
+        process.exitCode = 1;
+      }
+      return result;
+    },
+  },
+  {
+    name: "nft send",
+    summary: "Send an NFT to a contract with a hook message (send_nft)",
+    description:
+      "Transfer a token to a contract and call its receive_nft hook. The hook message is given as JSON with --msg " +
+      "(base64 encoded for you) or already encoded with --msg-base64.",
+    confirm: true,
+    args: ["token-id", "receiver"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "token-id", env: "TOKEN_ID", metavar: "id", description: "Token ID to send", required: true },
+      { name: "receiver", env: "RECEIVER_CONTRACT", metavar: "address", description: "Receiving contract address", required: true },
+      { name: "msg", metavar: "json", description: "Hook message as JSON (default: {})" },
+      { name: "msg-base64", metavar: "base64", description: "Hook message, already base64 encoded" },
+    ],
+    examples: [`${PROGRAM_NAME} nft send 1 xion1marketplace... --msg '{"list":{"price":"1000000"}}'`],
+    run: (options) => sendNFT(options),
+  },
+  {
+    name: "nft burn",
+    summary: "Burn an NFT",
+    confirm: true,
+    args: ["token-id"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "token-id", env: "TOKEN_ID", metavar: "id", description: "Token ID to burn", required: true },
+    ],
+    examples: [`${PROGRAM_NAME} nft burn --token-id 1`],
+    run: (options) => burnNFT(options),
+  },
+  {
+    name: "nft approve",
+    summary: "Approve a spender for one NFT",
+    confirm: true,
+    args: ["token-id", "spender"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "token-id", env: "TOKEN_ID", metavar: "id", description: "Token ID", required: true },
+      { name: "spender", env: "SPENDER", metavar: "address", description: "Address to approve", required: true },
+      ...EXPIRATION_OPTIONS,
+    ],
+    examples: [
+      `${PROGRAM_NAME} nft approve 1 xion1spender...`,
+      `${PROGRAM_NAME} nft approve 1 xion1spender... --expires-at-time 2026-12-31T00:00:00Z`,
+    ],
+    run: (options) => approveNFT(options),
+  },
+  {
+    name: "nft revoke",
+    summary: "Revoke a spender's approval for one NFT",
+    confirm: true,
+    args: ["token-id", "spender"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "token-id", env: "TOKEN_ID", metavar: "id", description: "Token ID", required: true },
+      { name: "spender", env: "SPENDER", metavar: "address", description: "Address to revoke", required: true },
+    ],
+    examples: [`${PROGRAM_NAME} nft revoke 1 xion1spender...`],
+    run: (options) => revokeNFT(options),
+  },
+  {
+    name: "nft approve-all",
+    summary: "Approve an operator for all of your NFTs",
+    confirm: true,
+    args: ["operator"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "operator", env: "OPERATOR", metavar: "address", description: "Address to approve as operator", required: true },
+      ...EXPIRATION_OPTIONS,
+    ],
+    examples: [`${PROGRAM_NAME} nft approve-all xion1operator... --expires-at-height 5000000`],
+    run: (options) => approveAll(options),
+  },
+  {
+    name: "nft revoke-all",
+    summary: "Revoke an operator",
+    confirm: true,
+    args: ["operator"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "operator", env: "OPERATOR", metavar: "address", description: "Operator address to revoke", required: true },
+    ],
+    examples: [`${PROGRAM_NAME} nft revoke-all xion1operator...`],
+    run: (options) => revokeAll(options),
+  },
+  {
+    name: "nft verify",
+    summary: "Verify the owner and metadata of an NFT",
+    args: ["token-id", "expected-owner"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "token-id", env: "TOKEN_ID", metavar: "id", description: "Token ID to verify", required: true },
+      { name: "expected-owner", env: "EXPECTED_OWNER", metavar: "address", description: "Expected owner address" },
+      { name: "index", metavar: "file", description: "Answer from this local index (see 'index sync') instead of the chain" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} nft verify --token-id 1 --expected-owner xion1...`,
+      `${PROGRAM_NAME} nft verify 1 --index xion-nft-index.db`,
+    ],
+    run: (options) => verifyOwnership(options),
+  },
+  {
+    name: "nft history",
+    summary: "Show the mint, transfers and burn of an NFT from the local index",
+    description:
+      "List every recorded event of a token in chain order, read from the local index without querying the chain. " +
+      "Run 'index sync' first to bring the index up to date.",
+    args: ["token-id"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "token-id", env: "TOKEN_ID", metavar: "id", description: "Token ID", required: true },
+      INDEX_DB_OPTION,
+    ],
+    examples: [`${PROGRAM_NAME} nft history 1`],
+    run: (options) => tokenHistory(options),
+  },
+  {
+    name: "collection inspect",
+    summary: "Show collection details and list or snapshot its tokens",
+    description:
+      "Show contract_info, num_tokens and the minter/ownership of a collection, then list every token ID " +
+      "(or an owner's token IDs), paging with start_after. With --output, write a snapshot of every token's " +
+      "owner, token_uri and extension as JSON or CSV.",
+    args: ["contract"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "owner", metavar: "address", description: "Only list the tokens held by this address" },
+      { name: "output", env: "SNAPSHOT_FILE", metavar: "file", description: "Write a snapshot (token_id, owner, token_uri, extension) to this file" },
+      { name: "format", description: "Snapshot format (default: from the output file extension)", choices: SNAPSHOT_FORMATS },
+      { name: "page-size", env: "PAGE_SIZE", metavar: "n", description: "Token IDs requested per query", default: "100" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} collection inspect xion1contract...`,
+      `${PROGRAM_NAME} collection inspect --owner xion1...`,
+      `${PROGRAM_NAME} collection inspect --output snapshot.csv`,
+    ],
+    run: (options) => inspectCollection(options),
+  },
+  {
+    name: "collection snapshot",
+    summary: "Snapshot a collection's holders at a block height",
+    description:
+      "Read every token's owner with all queries pinned to one block height (ABCI query height), and write a " +
+      "deterministic holders file (owner -> token IDs, counts) stamped with a SHA-256 hash. Heights that the RPC " +
+      "node has pruned need an archive node.",
+    args: ["contract"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "height", env: "SNAPSHOT_HEIGHT", metavar: "height", description: "Block height (default: latest)" },
+      { name: "output", env: "HOLDERS_FILE", metavar: "file", description: "Holders file (default: holders-<contract>-<height>.json)" },
+      { name: "page-size", env: "PAGE_SIZE", metavar: "n", description: "Token IDs requested per query", default: "100" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} collection snapshot xion1contract... --height 4200000`,
+      `${PROGRAM_NAME} collection snapshot --output holders.json`,
+    ],
+    run: (options) => snapshotHolders(options),
+  },
+  {
+    name: "collection verify-snapshot",
+    summary: "Check a holders file's hash, and optionally re-read it from the chain",
+    description:
+      "Recompute the hash of a holders file written by 'collection snapshot'. With --on-chain, read the holders " +
+      "again at the file's height and compare. Exits with code 1 if either check fails.",
+    args: ["file"],
+    options: [
+      { name: "file", env: "HOLDERS_FILE", metavar: "file", description: "Holders file", required: true },
+      { name: "on-chain", type: "boolean", description: "Re-read the holders at the snapshot height and compare", default: false },
+      { name: "page-size", env: "PAGE_SIZE", metavar: "n", description: "Token IDs requested per query", default: "100" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} collection verify-snapshot holders.json`,
+      `${PROGRAM_NAME} collection verify-snapshot holders.json --on-chain`,
+    ],
+    run: async (options) => {
+      const result = await verifyHoldersSnapshot(options);
+      if (!result.valid) {
+        process.exitCode = 1;
+      }
+      return result;
+    },
+  },
+  {
+    name: "index sync",
+    summary: "Build or update the local index of a collection",
+    description:
+      "Backfill the collection's mint, transfer, send and burn events into a local SQLite index with searchTx, " +
+      "starting at the contract's instantiation height, then resume from the last indexed height on later runs. " +
+      "'nft history' and 'nft verify --index' answer from the index.",
+    args: ["contract"],
+    options: [
+      CONTRACT_OPTION,
+      INDEX_DB_OPTION,
+      { name: "from-height", metavar: "height", description: "First height to index for a new contract (default: its instantiation height)" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} index sync xion1contract...`,
+      `${PROGRAM_NAME} index sync --db collection.db --from-height 4200000`,
+    ],
+    run: (options) => syncIndex(options),
+  },
+  {
+    name: "gas estimate",
+    summary: "Estimate gas fees for a transaction type",
+    args: ["tx-type"],
+    options: [
+      { name: "tx-type", env: "TX_TYPE", metavar: "type", description: "Transaction type to simulate", default: "mint", choices: GAS_TX_TYPES },
+      { ...CONTRACT_OPTION, required: false, description: "NFT contract address (NFT transaction types)" },
+      { name: "recipient", env: "RECIPIENT", metavar: "address", description: "Recipient address (send-tokens, defaults to own address)" },
+      { name: "amount", env: "AMOUNT", metavar: "uxion", description: "Amount in uxion (send-tokens)", default: "1000000" },
+      { name: "token-id", env: "TOKEN_ID", metavar: "id", description: "Token ID (approve, revoke, send-nft, burn, transfer-nft)" },
+      { name: "spender", env: "SPENDER", metavar: "address", description: "Spender address (approve, revoke)" },
+      { name: "operator", env: "OPERATOR", metavar: "address", description: "Operator address (approve-all, revoke-all)" },
+      { name: "receiver", env: "RECEIVER_CONTRACT", metavar: "address", description: "Receiving contract (send-nft)" },
+      { name: "msg", metavar: "json", description: "Hook message as JSON (send-nft)" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} gas estimate --tx-type send-tokens`,
+      `${PROGRAM_NAME} gas estimate burn --token-id 1`,
+      `${PROGRAM_NAME} gas estimate approve --token-id 1 --spender xion1...`,
+    ],
+    run: (options) => checkGasFee(options),
+  },
+  {
+    name: "tokens send",
+    summary: "Send XION tokens to another address",
+    confirm: true,
+    args: ["recipient", "amount"],
+    options: [
+      { name: "recipient", env: "RECIPIENT", metavar: "address", description: "Recipient address", required: true },
+      { name: "amount", env: "AMOUNT", metavar: "xion", description: "Amount in XION (not uxion)", required: true },
+    ],
+    examples: [`${PROGRAM_NAME} tokens send --recipient xion1... --amount 1.5`],
+    run: (options) => transferGas(options),
+  },
+  {
+    name: "tokens distribute",
+    summary: "Send XION to many addresses from a recipients file",
+    description:
+      "Send per-address amounts from a CSV or JSON recipients file (address, amount in XION) in a single MsgMultiSend " +
+      "or in batches of MsgSend. The total cost (amounts plus simulated fees) is checked against the balance before signing.",
+    confirm: true,
+    args: ["file"],
+    options: [
+      { name: "file", env: "RECIPIENTS_FILE", metavar: "file", description: "CSV or JSON recipients file (address, amount)", required: true },
+      { name: "mode", env: "DISTRIBUTION_MODE", description: "One MsgMultiSend, or batched MsgSend", default: "multisend", choices: DISTRIBUTION_MODES },
+      { name: "chunk-size", env: "DISTRIBUTION_CHUNK_SIZE", metavar: "n", description: "MsgSend messages per transaction (send mode)", default: "50" },
+      { name: "dry-run", type: "boolean", description: "Preview the total cost without sending", default: false },
+      { name: "senders", env: "DISTRIBUTION_SENDERS", metavar: "n", description: "Deal the batches to this many consecutive wallet accounts, sending in parallel (send mode)", default: "1" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} tokens distribute recipients.csv --dry-run`,
+      `${PROGRAM_NAME} tokens distribute recipients.csv --mode send --chunk-size 25`,
+      `${PROGRAM_NAME} tokens distribute recipients.csv --mode send --senders 3`,
+    ],
+    run: (options) => distributeTokens(options),
+  },
+  {
+    name: "tx monitor",
+    summary: "Show the status and details of a transaction",
+    args: ["hash"],
+    options: [
+      { name: "hash", env: "TX_HASH", description: "Transaction hash", required: true },
+      { name: "wait", type: "boolean", env: "WAIT", description: "Wait for the transaction to be indexed", default: false },
+    ],
+    examples: [`${PROGRAM_NAME} tx monitor --hash ABC123... --wait`],
+    run: (options) => monitorTransaction(options),
+  },
+  {
+    name: "account history",
+    summary: "List an account's transactions with fees, gas and status",
+    description:
+      "Search the transactions an address sent (message.sender) or received funds in (transfer.recipient), " +
+      "newest first, and list each one's messages, fee, gas and status. Use --format csv or --output for accounting.",
+    args: ["address"],
+    options: [
+      { name: "address", metavar: "address", description: "Account address", required: true },
+      { name: "limit", env: "HISTORY_LIMIT", metavar: "n", description: "Maximum number of transactions", default: "50" },
+      { name: "page-size", metavar: "n", description: "Transactions requested per RPC page (max 100)", default: "50" },
+      { name: "format", description: "Output format (CSV goes to stdout)", default: "table", choices: HISTORY_FORMATS },
+      { name: "output", env: "HISTORY_OUTPUT", metavar: "file", description: "Also write the rows to this file (.csv or .json)" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} account history xion1...`,
+      `${PROGRAM_NAME} account history xion1... --limit 500 --format csv > history.csv`,
+    ],
+    run: (options) => accountHistory(options),
+  },
+  {
+    name: "watch contract",
+    summary: "Stream a contract's mints, transfers, sends and burns",
+    description:
+      "Subscribe to the contract's wasm events over the RPC websocket (falling back to polling searchTx by height) " +
+      "and print each mint, transfer_nft, send_nft and burn as it happens. With --format ndjson, one JSON object per " +
+      "event is written to stdout and progress goes to stderr. Runs until Ctrl+C or --until-height.",
+    args: ["contract"],
+    options: [
+      CONTRACT_OPTION,
+      { name: "mode", env: "WATCH_MODE", description: "Websocket with polling fallback, websocket only, or polling only", default: "auto", choices: WATCH_MODES },
+      { name: "from-height", metavar: "height", description: "Report events from this height (default: new blocks only)" },
+      { name: "until-height", metavar: "height", description: "Stop after this height" },
+      { name: "interval", env: "WATCH_INTERVAL", metavar: "seconds", description: "Seconds between polls", default: "5" },
+      { name: "format", env: "WATCH_FORMAT", description: "Output format", default: "text", choices: WATCH_FORMATS },
+      { name: "output", env: "WATCH_OUTPUT", metavar: "file", description: "Also append every event as NDJSON to this file" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} watch contract xion1contract...`,
+      `${PROGRAM_NAME} watch contract --format ndjson | my-indexer`,
+      `${PROGRAM_NAME} watch contract --from-height 4200000 --until-height 4300000 --output events.ndjson`,
+    ],
+    run: async (options) => {
+      // Stop cleanly on Ctrl+C; a second Ctrl+C exits immediately
+      const controller = new AbortController();
+      const stop = () => {
+        if (controller.signal.aborted) {
+          process.exit(130);
+        }
+        controller.abort();
+      };
+      process.on("SIGINT", stop);
+      process.on("SIGTERM", stop);
+      try {
+        return await watchContract({ ...options, signal: controller.signal });
+      } finally {
+        process.off("SIGINT", stop);
+        process.off("SIGTERM", stop);
+      }
+    },
+  },
+  {
+    name: "sign message",
+    summary: "Sign an arbitrary message (ADR-036)",
+    args: ["message..."],
+    options: [
+      { name: "message", env: "MESSAGE", metavar: "text", description: "Message to sign", required: true },
+      { name: "output", env: "SIGNATURE_FILE", metavar: "file", description: "Save the signature data to this file" },
+    ],
+    examples: [`${PROGRAM_NAME} sign message "Hello, XION blockchain!" --output signature.json`],
+    run: (options) => signMessage(options),
+  },
+  {
+    name: "verify message",
+    summary: "Verify a message signature produced by 'sign message'",
+    description: "Verify an ADR-036 signature and check that the public key derives to the signer address. Exits with code 1 if the signature is invalid.",
+    args: ["file"],
+    options: [
+      { name: "file", env: "SIGNATURE_FILE", metavar: "file", description: "Signature JSON file exported by 'sign message'" },
+      { name: "message", metavar: "text", description: "Original message (overrides the file)" },
+      { name: "signer", metavar: "address", description: "Signer address (overrides the file)" },
+      { name: "public-key", metavar: "base64", description: "Signer public key (overrides the file)" },
+      { name: "signature", metavar: "base64", description: "Signature (overrides the file)" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} verify message signature.json`,
+      `${PROGRAM_NAME} verify message --message "Hello" --signer xion1... --public-key A... --signature ...`,
+    ],
+    run: async (options) => {
+      const result = await verifyMessage(options);
+      if (!result.valid) {
+        process.exitCode = 1;
+      }
+      return result;
+    },
+  },
+  {
+    name: "sign tx",
+    summary: "Sign a transaction and save it for later broadcast",
+    confirm: true,
+    args: ["tx-type", "output"],
+    options: [
+      { name: "tx-type", env: "TX_TYPE", metavar: "type", description: "Transaction type to sign", default: "send-tokens", choices: SIGN_TX_TYPES },
+      { name: "output", env: "OUTPUT_FILE", metavar: "file", description: "Output file", default: "signed-tx.json" },
+      { name: "recipient", env: "RECIPIENT", metavar: "address", description: "Recipient address (send-tokens, transfer-nft)" },
+      { name: "amount", env: "AMOUNT", metavar: "xion", description: "Amount in XION (send-tokens)", default: "1.0" },
+      { ...CONTRACT_OPTION, required: false, description: "NFT contract address (mint-nft, transfer-nft)" },
+      { name: "token-id", env: "TOKEN_ID", metavar: "id", description: "Token ID (mint-nft, transfer-nft)" },
+      { name: "token-uri", env: "TOKEN_URI", metavar: "uri", description: "Token URI (mint-nft)", default: "ipfs://example" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} sign tx --tx-type send-tokens --recipient xion1... --amount 1.5`,
+      `${PROGRAM_NAME} sign tx --tx-type mint-nft --token-id 1 --output my-tx.json`,
+    ],
+    run: (options) => signTransaction(options),
+  },
+  {
+    name: "tx prepare",
+    summary: "Build an unsigned transaction for offline signing",
+    description:
+      "Fetch the signer's account number and sequence and simulate gas, then save an unsigned transaction " +
+      "for 'tx sign --offline'. Runs online but needs only the signer's address, not its key.",
+    args: ["tx-type", "output"],
+    options: [
+      { name: "tx-type", env: "TX_TYPE", metavar: "type", description: "Transaction type to prepare", default: "send-tokens", choices: SIGN_TX_TYPES },
+      { name: "output", env: "UNSIGNED_TX_FILE", metavar: "file", description: "Output file", default: "unsigned-tx.json" },
+      { name: "signer", env: "SIGNER_ADDRESS", metavar: "address", description: "Address that will sign the transaction (required without --multisig)" },
+      { name: "multisig", env: "MULTISIG_FILE", metavar: "file", description: "Multisig file from 'multisig create'; the multisig is the signer" },
+      { name: "public-key", env: "SIGNER_PUBLIC_KEY", metavar: "key", description: "Signer public key, base64 or hex (only needed if the account has never signed)" },
+      { name: "gas", metavar: "units", description: "Gas limit to use instead of simulating" },
+      { name: "recipient", env: "RECIPIENT", metavar: "address", description: "Recipient address (send-tokens, transfer-nft)" },
+      { name: "amount", env: "AMOUNT", metavar: "xion", description: "Amount in XION (send-tokens)", default: "1.0" },
+      { ...CONTRACT_OPTION, required: false, description: "NFT contract address (mint-nft, transfer-nft)" },
+      { name: "token-id", env: "TOKEN_ID", metavar: "id", description: "Token ID (mint-nft, transfer-nft)" },
+      { name: "token-uri", env: "TOKEN_URI", metavar: "uri", description: "Token URI (mint-nft)", default: "ipfs://example" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} tx prepare send-tokens --signer xion1treasury... --recipient xion1... --amount 100`,
+      `${PROGRAM_NAME} tx prepare transfer-nft --signer xion1... --contract xion1... --token-id 1 --recipient xion1...`,
+      `${PROGRAM_NAME} tx prepare mint-nft --multisig multisig.json --contract xion1... --token-id 1`,
+    ],
+    run: (options) => prepareTransaction(options),
+  },
+  {
+    name: "tx sign",
+    summary: "Sign a transaction file produced by 'tx prepare'",
+    description:
+      "Sign an unsigned transaction file with the configured wallet (--from or MNEMONIC). With --offline no network connection is made " +
+      "and the account number, sequence and fee from the file are used as-is.",
+    confirm: true,
+    args: ["file"],
+    options: [
+      { name: "file", env: "UNSIGNED_TX_FILE", metavar: "file", description: "Unsigned transaction file", default: "unsigned-tx.json" },
+      { name: "output", env: "SIGNED_TX_FILE", metavar: "file", description: "Output file for the signed transaction", default: "signed-tx.json" },
+      { name: "offline", type: "boolean", description: "Sign without connecting to the network", default: false },
+    ],
+    examples: [
+      `${PROGRAM_NAME} tx sign unsigned-tx.json --offline --output signed-tx.json`,
+      `${PROGRAM_NAME} tx sign unsigned-tx.json --offline --network mainnet --yes`,
+    ],
+    run: (options) => signPreparedTransaction(options),
+  },
+  {
+    name: "tx broadcast",
+    summary: "Broadcast a transaction file produced by 'sign tx'",
+    description:
+      "Decode a signed transaction file, check its chain ID, signature and sequence against the active network, " +
+      "then broadcast it. Only a query connection is used, so no MNEMONIC is needed.",
+    confirm: true,
+    args: ["file"],
+    options: [
+      { name: "file", env: "SIGNED_TX_FILE", metavar: "file", description: "Signed transaction file", default: "signed-tx.json" },
+      { name: "wait", type: "boolean", env: "WAIT", description: "Wait for the transaction to be included in a block", default: false },
+    ],
+    examples: [
+      `${PROGRAM_NAME} tx broadcast signed-tx.json --wait`,
+      `${PROGRAM_NAME} tx broadcast my-tx.json --network mainnet --yes`,
+    ],
+    run: (options) => broadcastTransaction(options),
+  },
+  {
+    name: "multisig create",
+    summary: "Build a multisig account from member public keys",
+    description:
+      "Build a legacy amino threshold multisig public key and address from the members' public keys (base64 or hex, " +
+      "or keystore key names) and save it to a file. Members are sorted by address like 'xiond keys add --multisig'. " +
+      "No network connection is made.",
+    options: [
+      { name: "pubkeys", metavar: "keys", description: "Member public keys or key names, comma separated", required: true },
+      { name: "threshold", metavar: "n", description: "Signatures required", default: "2" },
+      { name: "output", metavar: "file", description: "Output file", default: "multisig.json" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} multisig create --pubkeys 02ab...,03cd...,02ef... --threshold 2`,
+      `${PROGRAM_NAME} multisig create --pubkeys alice,bob,carol --output admin-multisig.json`,
+    ],
+    run: (options) => createMultisig(options),
+  },
+  {
+    name: "multisig sign",
+    summary: "Sign a multisig transaction file as one member (offline)",
+    description:
+      "Sign an unsigned transaction file from 'tx prepare --multisig' with the configured wallet (--from or MNEMONIC) " +
+      "in amino JSON sign mode, and save the signature. No network connection is made.",
+    confirm: true,
+    args: ["file"],
+    options: [
+      { name: "file", env: "UNSIGNED_TX_FILE", metavar: "file", description: "Unsigned transaction file", default: "unsigned-tx.json" },
+      { name: "output", metavar: "file", description: "Signature file (default: signature-<member address>.json)" },
+    ],
+    examples: [`${PROGRAM_NAME} multisig sign unsigned-tx.json --from alice`],
+    run: (options) => signMultisig(options),
+  },
+  {
+    name: "multisig combine",
+    summary: "Combine member signatures into a signed transaction",
+    description:
+      "Check each member signature against the unsigned transaction file and combine at least threshold of them " +
+      "into a signed transaction file for 'tx broadcast'. No network connection is made.",
+    args: ["file", "signatures..."],
+    options: [
+      { name: "file", env: "UNSIGNED_TX_FILE", metavar: "file", description: "Unsigned transaction file", default: "unsigned-tx.json" },
+      { name: "signatures", metavar: "files", description: "Signature files from 'multisig sign'", required: true },
+      { name: "output", env: "SIGNED_TX_FILE", metavar: "file", description: "Output file for the signed transaction", default: "signed-tx.json" },
+    ],
+    examples: [`${PROGRAM_NAME} multisig combine unsigned-tx.json signature-alice.json signature-bob.json`],
+    run: (options) => combineMultisig(options),
+  },
+  {
+    name: "authz grant",
+    summary: "Let another wallet execute contracts on behalf of this one",
+    description:
+      "Grant an authz authorization from the configured wallet (e.g. the collection minter) to a grantee (e.g. a hot " +
+      "wallet). A contract grant covers one contract, limited by --max-calls and/or --max-funds and optionally to some " +
+      "message keys; a generic grant covers every MsgExecuteContract without limits. The grantee uses it with " +
+      "'nft mint/transfer --authz-granter'.",
+    confirm: true,
+    args: ["grantee"],
+    options: [
+      { name: "grantee", env: "AUTHZ_GRANTEE", metavar: "address", description: "Address receiving the grant", required: true },
+      { name: "type", description: "Grant type", default: "contract", choices: AUTHORIZATION_TYPES },
+      { name: "contract", env: "CONTRACT_ADDRESS", metavar: "address", description: "Contract the grantee may execute (contract grants)" },
+      { name: "max-calls", metavar: "n", description: "Number of executions allowed" },
+      { name: "max-funds", metavar: "xion", description: "Total XION the grantee may attach to executions" },
+      { name: "messages", metavar: "keys", description: "Allowed message keys, comma separated (default: any), e.g. mint,transfer_nft" },
+      { name: "expires", env: "AUTHZ_EXPIRES", metavar: "time", description: "Expiry: ISO 8601 date, unix seconds or a duration (30d, 12h, 90m)" },
+    ],
+    examples: [
+      `${PROGRAM_NAME} authz grant xion1hot... --max-calls 500 --messages mint --expires 30d`,
+      `${PROGRAM_NAME} authz grant xion1hot... --type generic --expires 2026-12-31`,
+    ],
+    run: (options) => grantAuthz(options),
+  },
+  {
+    name: "authz list",
+    summary: "List authz grants",
+    description:
+      "List the grants given by --granter and/or held by --grantee, with their limits and expiry. Without either, " +
+      "lists the grants given by the configured wallet.",
+    options: [
+      { name: "granter", metavar: "address", description: "Granter address (default: the configured wallet)" },
+      { name: "grantee", metavar: "address", description: "Grantee address" },
+    ],
+    examples: [`${PROGRAM_NAME} authz list`, `${PROGRAM_NAME} authz list --grantee xion1hot...`],
+    run: (options) => listGrants(options),
+  },
+  {
+    name: "authz revoke",
+    summary: "Revoke an authz grant given by this wallet",
+    confirm: true,
+    args: ["grantee"],
+    options: [
+      { name: "grantee", env: "AUTHZ_GRANTEE", metavar: "address", description: "Address holding the grant", required: true },
+      { name: "msg-type", metavar: "type-url", description: "Message type of the grant", default: EXECUTE_CONTRACT_TYPE_URL },
+    ],
+    examples: [`${PROGRAM_NAME} authz revoke xion1hot...`],
+    run: (options) => revokeAuthz(options),
+  },
+  {
+    name: "network status",
+    summary: "Probe the network's RPC endpoints (height, sync state, latency)",
+    description:
+      "Query /status on every RPC endpoint of the active network (rpcEndpoint and rpcEndpoints in the networks file) " +
+      "and show its latest block height, whether it is catching up, its latency and which endpoint commands connect to. " +
+      "Exits with code 1 when no endpoint is healthy.",
+    options: [
+      { name: "timeout", metavar: "ms", description: "Probe timeout per endpoint", default: String(PROBE_TIMEOUT_MS) },
+    ],
+    examples: [`${PROGRAM_NAME} network status`, `${PROGRAM_NAME} network status --network mainnet --json`],
+    run: (options) => networkStatus(options),
+  },
+];
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+/**
+ * xion-nft command-line interface
+ * Single entry point exposing all scripts as subcommands with named flags
+ */
+
+import { runCli, findCommand, UsageError } from "../utils/cli.js";
+import { configureOutput, isJsonOutput, printError } from "../utils/output.js";
+import { COMMANDS, PROGRAM_NAME } from "./commands.js";
+
+async function main() {
+  const argv = process.argv.slice(2);
+
+  // Output mode from the flags alone, so errors raised before options are resolved are
+  // reported in the right format; runCli reconfigures it once env and config are read
+  configureOutput({ json: argv.includes("--json"), quiet: argv.includes("--quiet") || argv.includes("-q") });
+
+  try {
+    await runCli(PROGRAM_NAME, COMMANDS, argv);
+  } catch (error) {
+    const command = error.command?.name || findCommand(COMMANDS, argv)?.command.name || null;
+
+    if (error instanceof UsageError) {
+      if (isJsonOutput()) {
+        printError(error, { command, exitCode: 2 });
+      } else {
+        const hint = error.command ? `${error.command.name} --help` : "--help";
+        process.stderr.write(`Error: ${error.message}\nRun '${PROGRAM_NAME} ${hint}' for usage.\n`);
+      }
+      process.exit(2);
+    }
+
+    // Typed errors (utils/errors.js) have a distinct exit code per category
+    const exitCode = error.exitCode || 1;
+    printError(error, { command, exitCode });
+    process.exit(exitCode);
+  }
+}
+
+main();
@@ -0,0 +1,638 @@
+/**
+ * xion-nft-scripts library entry point
+ * XionNftClient wraps the helpers in utils/ for use from Node services: its methods print nothing,
+ * return plain result objects and throw the error classes from utils/errors.js.
+ * The CLI's script functions (with their progress output) are re-exported below it
+ */
+
+import { toBase64, fromBase64, toHex } from "@cosmjs/encoding";
+import { sha256 } from "@cosmjs/crypto";
+import { TxRaw } from "cosmjs-types/cosmos/tx/v1beta1/tx.js";
+import {
+  createWalletFromMnemonic,
+  createAminoWalletFromMnemonic,
+  getHdPaths,
+  getFirstAccount,
+  connectQueryClient,
+  connectSigningClient,
+  queryContract,
+  queryContractAtHeight,
+  broadcastWithRetry,
+  assertTxSuccess,
+  toInstantiateMessage,
+  simulateTransaction,
+  calculateFee,
+  validateAddress,
+  getBalance,
+} from "./utils/helpers.js";
+import { toAuthzExecuteMessage } from "./utils/authz.js";
+import {
+  cw721Messages,
+  toExecuteMessage,
+  getTokenOwner,
+  contractQuerier,
+  getAllTokenIds,
+  getOwnerTokenIds,
+  getCollectionInfo,
+} from "./utils/cw721.js";
+import { signArbitrary } from "./utils/signing.js";
+import {
+  XionNftError,
+  ValidationError,
+  WalletError,
+  QueryError,
+  TransactionError,
+  wrapError,
+} from "./utils/errors.js";
+import { unlockKey } from "./utils/keystore.js";
+import XION_CONFIG, { getNetworkConfig } from "./utils/config.js";
+
+/**
+ * @typedef {object} TxResult
+ * @property {string} transactionHash - Transaction hash (uppercase hex)
+ * @property {number} height - Block height the transaction was included at
+ * @property {bigint} gasUsed - Gas used
+ * @property {bigint} gasWanted - Gas limit of the transaction
+ * @property {Array<object>} events - ABCI events ({ type, attributes })
+ */
+
+/**
+ * @typedef {TxResult} DeployResult
+ * @property {string} contractAddress - Address of the new collection
+ * @property {number} codeId - Code ID it was instantiated from
+ */
+
+/**
+ * @typedef {object} FeeEstimate
+ * @property {number} gas - Estimated gas, with the network's gas adjustment applied
+ * @property {object} fee - StdFee ({ amount, gas }) at the network's gas price
+ */
+
+/**
+ * @typedef {object} SignedTx
+ * @property {Uint8Array} txBytes - Encoded TxRaw, ready for broadcast()
+ * @property {string} transactionHash - Hash the transaction will have once broadcast
+ */
+
+/**
+ * @typedef {object} MessageSignature
+ * @property {string} message - Signed message
+ * @property {string} signer - Signer address
+ * @property {string} publicKey - Base64 public key
+ * @property {string} signature - Base64 signature
+ * @property {object} signDoc - ADR-036 sign doc that was signed
+ * @property {string} format - Always "adr-036"
+ */
+
+/**
+ * Reduce a CosmJS broadcast or execute result to a TxResult
+ * @param {object} result - DeliverTxResponse, ExecuteResult or InstantiateResult
+ * @returns {TxResult} Transaction result
+ */
+function toTxResult(result) {
+  return {
+    transactionHash: result.transactionHash,
+    height: result.height,
+    gasUsed: result.gasUsed,
+    gasWanted: result.gasWanted,
+    events: result.events || [],
+  };
+}
+
+/**
+ * Client for CW721 collections on XION
+ * Create it with XionNftClient.connect(); without a wallet or mnemonic it is read-only
+ * and the transaction methods throw WalletError
+ */
+export class XionNftClient {
+  /**
+   * Use XionNftClient.connect() instead; the constructor does no I/O
+   * @param {object} options - Client state
+   * @param {object} options.network - Network configuration
+   * @param {CosmWasmClient|SigningCosmWasmClient} options.client - Connected CosmJS client
+   * @param {OfflineSigner} options.wallet - Wallet (optional)
+   * @param {string} options.address - Wallet address (optional)
+   * @param {string} options.mnemonic - Mnemonic, kept for ADR-036 message signing (optional)
+   * @param {Array<HdPath>} options.hdPaths - Derivation paths of the mnemonic's accounts (optional)
+   * @param {Function} options.onRetry - Called before a broadcast is retried (optional)
+   */
+  constructor({ network, client, wallet = null, address = null, mnemonic = null, hdPaths = null, onRetry = null }) {
+    this.network = network;
+    this.client = client;
+    this.wallet = wallet;
+    this.address = address;
+    this.mnemonic = mnemonic;
+    this.hdPaths = hdPaths;
+    this.onRetry = onRetry;
+  }
+
+  /**
+   * Connect to a network, optionally with a wallet
+   * @param {object} options - Connection options
+   * @param {object|string} options.network - Network configuration, or a network name
+   *   ("testnet", "mainnet", "local" or one from networks.json); defaults to testnet
+   * @param {string} options.mnemonic - BIP39 mnemonic to sign with (optional)
+   * @param {string} options.from - Keystore key to sign with instead of a mnemonic (optional)
+   * @param {string} options.passphrase - Passphrase of the "from" key (optional; defaults to
+   *   XION_NFT_PASSPHRASE, or a terminal prompt)
+   * @param {string} options.keystore - Keystore directory (optional; defaults to XION_NFT_KEYSTORE or ~/.xion-nft/keys)
+   * @param {number} options.accountIndex - Account of the mnemonic to sign with, m/44'/118'/0'/0/<index> (default 0)
+   * @param {string} options.hdPath - Full derivation path to sign with, instead of accountIndex (optional)
+   * @param {OfflineSigner} options.wallet - Wallet to sign with instead of a mnemonic (optional)
+   * @param {Function} options.onRetry - Called with { attempt, retries, delayMs, reason } before a
+   *   broadcast is retried (optional; retries are silent by default). Retry counts and delays come
+   *   from the network's "broadcast" settings
+   * @returns {Promise<XionNftClient>} Connected client
+   */
+  static async connect({
+    network = XION_CONFIG,
+    mnemonic,
+    from,
+    passphrase,
+    keystore,
+    accountIndex = 0,
+    hdPath,
+    wallet,
+    onRetry = null,
+  } = {}) {
+    let config = network;
+    if (typeof network === "string") {
+      try {
+        config = getNetworkConfig(network);
+      } catch (error) {
+        throw wrapError(error, ValidationError);
+      }
+    }
+
+    let hdPaths;
+    try {
+      hdPaths = getHdPaths({ accountIndex, hdPath: hdPath || null });
+    } catch (error) {
+      throw wrapError(error, ValidationError);
+    }
+
+    try {
+      let signer = wallet || null;
+      if (!signer && !mnemonic && from) {
+        mnemonic = await unlockKey(from, { passphrase, dir: keystore });
+      }
+      if (!signer && mnemonic) {
+        signer = await createWalletFromMnemonic(mnemonic, config, { hdPaths });
+      }
+
+      if (!signer) {
+        const client = await connectQueryClient(config);
+        return new XionNftClient({ network: config, client, onRetry });
+      }
+
+      const account = await getFirstAccount(signer);
+      const client = await connectSigningClient(signer, config);
+      return new XionNftClient({
+        network: config,
+        client,
+        wallet: signer,
+        address: account.address,
+        mnemonic: mnemonic || null,
+        hdPaths: mnemonic ? hdPaths : null,
+        onRetry,
+      });
+    } catch (error) {
+      if (error.message && /invalid mnemonic/i.test(error.message)) {
+        throw new WalletError(error.message, { cause: error });
+      }
+      throw wrapError(error, XionNftError, `Could not connect to ${config.chainId}`);
+    }
+  }
+
+  /**
+   * Close the RPC connection
+   */
+  disconnect() {
+    this.client.disconnect();
+  }
+
+  /**
+   * Throw WalletError unless the client was connected with a wallet
+   */
+  requireWallet() {
+    if (!this.wallet) {
+      throw new WalletError("This client is read-only. Connect with a mnemonic or wallet to send transactions");
+    }
+  }
+
+  /**
+   * Throw ValidationError unless the address is valid on this network
+   * @param {string} address - Address to check
+   * @param {string} label - What the address is, for the message (e.g. "recipient")
+   */
+  checkAddress(address, label) {
+    const reason = validateAddress(address, this.network);
+    if (reason) {
+      throw new ValidationError(`Invalid ${label} address ${address ?? ""}: ${reason}`);
+    }
+  }
+
+  /**
+   * Instantiate a new CW721 collection
+   * @param {object} options - Deployment options
+   * @param {string} options.name - Collection name
+   * @param {string} options.symbol - Collection symbol
+   * @param {string} options.label - Contract label (defaults to the symbol in lower case)
+   * @param {number} options.codeId - Code ID (defaults to the network's cw721-metadata-onchain code)
+   * @param {string} options.minter - Minter address (defaults to the wallet)
+   * @param {string} options.admin - Contract admin (defaults to the wallet; pass "" for no admin)
+   * @returns {Promise<DeployResult>} Transaction result with the contract address
+   */
+  async deploy({ name, symbol, label, codeId, minter, admin } = {}) {
+    this.requireWallet();
+    if (!name || !symbol) {
+      throw new ValidationError("Collection name and symbol are required");
+    }
+    const contractCodeId = Number(codeId ?? this.network.cw721MetadataOnchainCodeId);
+    if (!Number.isInteger(contractCodeId) || contractCodeId <= 0) {
+      throw new ValidationError(`No valid CW721 code ID for ${this.network.chainName} (got ${codeId})`);
+    }
+    const minterAddress = minter || this.address;
+    this.checkAddress(minterAddress, "minter");
+    const adminAddress = admin ?? this.address;
+    if (adminAddress) {
+      this.checkAddress(adminAddress, "admin");
+    }
+
+    const message = toInstantiateMessage(
+      this.address,
+      contractCodeId,
+      { name, symbol, minter: minterAddress },
+      label || symbol.toLowerCase(),
+      adminAddress
+    );
+    const result = await this.signAndBroadcast([message], "", "Deploy failed");
+    const instantiated = result.events.find((event) => event.type === "instantiate");
+    const contractAddress = instantiated?.attributes.find((attr) => attr.key === "_contract_address")?.value;
+    return { ...result, contractAddress, codeId: contractCodeId };
+  }
+
+  /**
+   * Sign and broadcast messages with retries (see broadcastWithRetry in utils/helpers.js)
+   * @param {Array<object>} messages - EncodeObjects
+   * @param {string} memo - Transaction memo (optional)
+   * @param {string} context - Prefix for error messages (optional)
+   * @returns {Promise<TxResult>} Transaction result; a failed transaction is thrown as a typed error
+   */
+  async signAndBroadcast(messages, memo = "", context = "Transaction failed") {
+    this.requireWallet();
+    let result;
+    try {
+      result = await broadcastWithRetry(this.client, this.address, messages, "auto", memo, {
+        network: this.network,
+        onRetry: this.onRetry,
+      });
+    } catch (error) {
+      throw wrapError(error, TransactionError, context, this.network);
+    }
+    return toTxResult(assertTxSuccess(result, this.network));
+  }
+
+  /**
+   * Execute any message on a contract as the wallet
+   * @param {string} contract - Contract address
+   * @param {object} msg - Execute message
+   * @param {object} options - Execute options
+   * @param {string} options.memo - Transaction memo (optional)
+   * @param {Array} options.funds - Coins to send with the message (optional)
+   * @param {string} options.authzGranter - Execute as this address with its authz grant, in a MsgExec (optional)
+   * @returns {Promise<TxResult>} Transaction result
+   */
+  async execute(contract, msg, { memo = "", funds = [], authzGranter } = {}) {
+    this.requireWallet();
+    this.checkAddress(contract, "contract");
+
+    let message;
+    if (authzGranter) {
+      this.checkAddress(authzGranter, "authz granter");
+      message = toAuthzExecuteMessage(this.address, authzGranter, contract, msg, funds);
+    } else {
+      message = toExecuteMessage(this.address, contract, msg);
+      message.value.funds = [...funds];
+    }
+    return this.signAndBroadcast([message], memo, "Execute failed");
+  }
+
+  /**
+   * Mint a token (the wallet, or the authz granter, must be the collection's minter)
+   * @param {object} options - Mint options
+   * @param {string} options.contract - NFT contract address
+   * @param {string} options.tokenId - Token ID
+   * @param {string} options.owner - Owner of the new token (defaults to the minter)
+   * @param {string} options.tokenUri - Metadata URI (optional)
+   * @param {object} options.extension - On-chain metadata, for contracts that accept it in mint (optional)
+   * @param {string} options.authzGranter - Mint as this minter with its authz grant (optional)
+   * @returns {Promise<TxResult>} Transaction result
+   */
+  async mint({ contract, tokenId, owner, tokenUri, extension, authzGranter } = {}) {
+    if (!tokenId) {
+      throw new ValidationError("Token ID is required");
+    }
+    const ownerAddress = owner || authzGranter || this.address;
+    this.requireWallet();
+    this.checkAddress(ownerAddress, "owner");
+
+    const mint = { token_id: String(tokenId), owner: ownerAddress };
+    if (tokenUri) {
+      mint.token_uri = tokenUri;
+    }
+    if (extension) {
+      mint.extension = extension;
+    }
+    return this.execute(contract, { mint }, { memo: `Minted NFT #${tokenId}`, authzGranter });
+  }
+
+  /**
+   * Transfer a token to another address
+   * @param {object} options - Transfer options
+   * @param {string} options.contract - NFT contract address
+   * @param {string} options.tokenId - Token ID
+   * @param {string} options.recipient - New owner
+   * @param {string} options.authzGranter - Transfer as this address with its authz grant (optional)
+   * @returns {Promise<TxResult>} Transaction result
+   */
+  async transfer({ contract, tokenId, recipient, authzGranter } = {}) {
+    if (!tokenId) {
+      throw new ValidationError("Token ID is required");
+    }
+    this.checkAddress(recipient, "recipient");
+    return this.execute(contract, cw721Messages.transferNft(recipient, String(tokenId)), {
+      memo: `Transfer NFT #${tokenId}`,
+      authzGranter,
+    });
+  }
+
+  /**
+   * Burn a token
+   * @param {object} options - Burn options
+   * @param {string} options.contract - NFT contract address
+   * @param {string} options.tokenId - Token ID
+   * @returns {Promise<TxResult>} Transaction result
+   */
+  async burn({ contract, tokenId } = {}) {
+    if (!tokenId) {
+      throw new ValidationError("Token ID is required");
+    }
+    return this.execute(contract, cw721Messages.burn(String(tokenId)), { memo: `Burn NFT #${tokenId}` });
+  }
+
+  /**
+   * Run a smart query on a contract
+   * @param {string} contract - Contract address
+   * @param {object} queryMsg - Query message
+   * @param {object} options - Query options
+   * @param {number} options.height - Query the state at this block height (needs an archive node for old heights)
+   * @returns {Promise<any>} Query result
+   */
+  async query(contract, queryMsg, { height } = {}) {
+    this.checkAddress(contract, "contract");
+    try {
+      if (height !== undefined) {
+        return await queryContractAtHeight(this.client, contract, queryMsg, Number(height));
+      }
+      return await queryContract(this.client, contract, queryMsg);
+    } catch (error) {
+      throw wrapError(error, QueryError, "Query failed");
+    }
+  }
+
+  /**
+   * Look up a token's owner and approvals
+   * @param {string} contract - NFT contract address
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<object>} { owner, approvals }
+   */
+  async ownerOf(contract, tokenId) {
+    this.checkAddress(contract, "contract");
+    try {
+      return await getTokenOwner(this.client, contract, String(tokenId));
+    } catch (error) {
+      throw wrapError(error, QueryError);
+    }
+  }
+
+  /**
+   * Read a token's metadata
+   * @param {string} contract - NFT contract address
+   * @param {string} tokenId - Token ID
+   * @returns {Promise<object>} nft_info result ({ token_uri, extension })
+   */
+  async nftInfo(contract, tokenId) {
+    return this.query(contract, { nft_info: { token_id: String(tokenId) } });
+  }
+
+  /**
+   * List token IDs, of the whole collection or of one owner
+   * @param {string} contract - NFT contract address
+   * @param {object} options - Listing options
+   * @param {string} options.owner - Only list this owner's tokens (optional)
+   * @param {number} options.pageSize - Tokens requested per query (optional)
+   * @returns {Promise<Array<string>>} Token IDs
+   */
+  async tokens(contract, { owner, pageSize } = {}) {
+    this.checkAddress(contract, "contract");
+    if (owner) {
+      this.checkAddress(owner, "owner");
+    }
+    const query = contractQuerier(this.client, contract);
+    try {
+      return owner ? await getOwnerTokenIds(query, owner, { pageSize }) : await getAllTokenIds(query, { pageSize });
+    } catch (error) {
+      throw wrapError(error, QueryError, "Token listing failed");
+    }
+  }
+
+  /**
+   * Read collection-level information
+   * @param {string} contract - NFT contract address
+   * @returns {Promise<object>} { name, symbol, numTokens, minter, ownership }
+   */
+  async collectionInfo(contract) {
+    this.checkAddress(contract, "contract");
+    try {
+      return await getCollectionInfo(contractQuerier(this.client, contract));
+    } catch (error) {
+      throw wrapError(error, QueryError, "Collection query failed");
+    }
+  }
+
+  /**
+   * Get the native token balance of an address
+   * @param {string} address - Address (defaults to the wallet)
+   * @returns {Promise<object>} Coin ({ denom, amount })
+   */
+  async balance(address = this.address) {
+    this.checkAddress(address, "account");
+    try {
+      return await getBalance(this.client, address, this.network);
+    } catch (error) {
+      throw wrapError(error, QueryError, "Balance query failed");
+    }
+  }
+
+  /**
+   * Build a MsgExecuteContract from the wallet, for estimate() and sign()
+   * @param {string} contract - Contract address
+   * @param {object} msg - Execute message
+   * @returns {object} EncodeObject
+   */
+  executeMessage(contract, msg) {
+    this.requireWallet();
+    this.checkAddress(contract, "contract");
+    return toExecuteMessage(this.address, contract, msg);
+  }
+
+  /**
+   * Simulate messages and price the fee
+   * @param {Array<object>} messages - EncodeObjects (see executeMessage())
+   * @returns {Promise<FeeEstimate>} Gas and fee
+   */
+  async estimate(messages) {
+    this.requireWallet();
+    try {
+      const gas = await simulateTransaction(this.client, this.address, messages, this.network);
+      return { gas, fee: calculateFee(gas, this.network) };
+    } catch (error) {
+      throw wrapError(error, TransactionError, "Simulation failed", this.network);
+    }
+  }
+
+  /**
+   * Sign messages without broadcasting them
+   * @param {Array<object>} messages - EncodeObjects (see executeMessage())
+   * @param {object} options - Signing options
+   * @param {object} options.fee - StdFee (defaults to an estimate())
+   * @param {string} options.memo - Transaction memo (optional)
+   * @returns {Promise<SignedTx>} Signed transaction bytes and hash
+   */
+  async sign(messages, { fee, memo = "" } = {}) {
+    this.requireWallet();
+    const txFee = fee || (await this.estimate(messages)).fee;
+
+    try {
+      const txRaw = await this.client.sign(this.address, messages, txFee, memo);
+      const txBytes = TxRaw.encode(txRaw).finish();
+      return { txBytes, transactionHash: toHex(sha256(txBytes)).toUpperCase() };
+    } catch (error) {
+      throw wrapError(error, TransactionError, "Signing failed", this.network);
+    }
+  }
+
+  /**
+   * Broadcast a signed transaction and wait for it to be included
+   * @param {Uint8Array|string} txBytes - Encoded TxRaw (bytes or base64)
+   * @returns {Promise<TxResult>} Transaction result
+   */
+  async broadcast(txBytes) {
+    let bytes = txBytes;
+    if (typeof txBytes === "string") {
+      try {
+        bytes = fromBase64(txBytes);
+      } catch (error) {
+        throw new ValidationError("Transaction bytes must be a Uint8Array or base64 string", { cause: error });
+      }
+    }
+
+    let result;
+    try {
+      result = await this.client.broadcastTx(bytes);
+    } catch (error) {
+      throw wrapError(error, TransactionError, "Broadcast failed", this.network);
+    }
+    return toTxResult(assertTxSuccess(result, this.network));
+  }
+
+  /**
+   * Sign an arbitrary message following ADR-036 (verify with verifySignature())
+   * Needs a mnemonic, or a wallet that supports signAmino
+   * @param {string|Uint8Array} message - Message to sign
+   * @returns {Promise<MessageSignature>} Signature data, in the format sign-message exports
+   */
+  async signMessage(message) {
+    this.requireWallet();
+    if (!message) {
+      throw new ValidationError("Message is required");
+    }
+
+    let aminoWallet = this.wallet;
+    if (typeof aminoWallet.signAmino !== "function") {
+      if (!this.mnemonic) {
+        throw new WalletError("Message signing needs an amino-capable wallet (connect with a mnemonic)");
+      }
+      aminoWallet = await createAminoWalletFromMnemonic(this.mnemonic, this.network, { hdPaths: this.hdPaths });
+    }
+
+    try {
+      const account = await getFirstAccount(aminoWallet);
+      const signed = await signArbitrary(aminoWallet, account.address, message);
+      return {
+        message: typeof message === "string" ? message : toBase64(message),
+        signer: account.address,
+        publicKey: toBase64(account.pubkey),
+        signature: signed.signature.signature,
+        signDoc: signed.signed,
+        format: "adr-036",
+      };
+    } catch (error) {
+      throw wrapError(error, WalletError, "Message signing failed");
+    }
+  }
+}
+
+export {
+  XionNftError,
+  ValidationError,
+  WalletError,
+  NetworkUnavailableError,
+  QueryError,
+  TransactionError,
+  InsufficientFundsError,
+  SequenceMismatchError,
+  OutOfGasError,
+  ContractError,
+  TokenNotFoundError,
+  UnauthorizedError,
+  classifyError,
+} from "./utils/errors.js";
+export { XION_CONFIG, XION_MAINNET_CONFIG, XION_LOCAL_CONFIG, getNetworkConfig } from "./utils/config.js";
+export { cw721Messages, toExecuteMessage, parseExpiration } from "./utils/cw721.js";
+export { verifySignature } from "./utils/signing.js";
+export { rankEndpoints } from "./utils/endpoints.js";
+export { checkMnemonic, suggestWords } from "./utils/mnemonic.js";
+
+// Script functions used by the CLI (they print progress with console.log)
+export { createWallet, validateMnemonic, recoverWallet } from "./scripts/create-wallet.js";
+export { deriveAccounts } from "./scripts/derive-accounts.js";
+export { deployContract } from "./scripts/deploy-contract.js";
+export { mintToken } from "./scripts/mint-token.js";
+export { mintBatch } from "./scripts/mint-batch.js";
+export { transferNFT } from "./scripts/transfer-nft.js";
+export { airdropNFTs } from "./scripts/airdrop-nft.js";
+export { approveNFT, revokeNFT, approveAll, revokeAll } from "./scripts/approve-nft.js";
+export { sendNFT } from "./scripts/send-nft.js";
+export { burnNFT } from "./scripts/burn-nft.js";
+export { checkGasFee } from "./scripts/check-gas-fee.js";
+export { transferGas } from "./scripts/transfer-gas.js";
+export { distributeTokens } from "./scripts/distribute-tokens.js";
+export { verifyOwnership } from "./scripts/verify-ownership.js";
+export { inspectCollection } from "./scripts/inspect-collection.js";
+export { snapshotHolders, verifyHoldersSnapshot } from "./scripts/snapshot-holders.js";
+export { syncIndex } from "./scripts/index-sync.js";
+export { tokenHistory } from "./scripts/token-history.js";
+export { monitorTransaction } from "./scripts/monitor-transaction.js";
+export { watchContract } from "./scripts/watch-contract.js";
+export { accountHistory } from "./scripts/account-history.js";
+export { signMessage } from "./scripts/sign-message.js";
+export { verifyMessage } from "./scripts/verify-message.js";
+export { signTransaction, signPreparedTransaction } from "./scripts/sign-transaction.js";
+export { prepareTransaction } from "./scripts/prepare-transaction.js";
+export { broadcastTransaction } from "./scripts/broadcast-transaction.js";
+export { createMultisig, signMultisig, combineMultisig } from "./scripts/multisig.js";
+export { grantAuthz, listGrants, revokeAuthz } from "./scripts/authz.js";
+export { networkStatus } from "./scripts/network-status.js";
+export { addKey, importKey, listKeys, exportKey, deleteKey } from "./scripts/keys.js";
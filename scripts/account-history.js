@@ -0,0 +1,222 @@
+/**
+ * List the transactions of an account
+ * Searches for transactions the address sent (message.sender) or received funds in
+ * (transfer.recipient), newest first, decodes their messages and reports fees, gas and
+ * status as a table or CSV for accounting
+ */
+
+import { toHex } from "@cosmjs/encoding";
+import { connectQueryClient, validateAddress } from "../utils/helpers.js";
+import { decodeTxBytes, describeMessage, formatCoins, createDecoderRegistry } from "../utils/messages.js";
+import { toCsv, writeReport } from "../utils/manifest.js";
+import { writeData } from "../utils/output.js";
+import XION_CONFIG from "../utils/config.js";
+
+// Output formats: a table of the transactions, or CSV on stdout
+export const HISTORY_FORMATS = ["table", "csv"];
+
+// Columns of the CSV and JSON reports
+const HISTORY_COLUMNS = [
+  "height",
+  "time",
+  "hash",
+  "status",
+  "code",
+  "role",
+  "messages",
+  "summary",
+  "fee",
+  "gas_wanted",
+  "gas_used",
+  "memo",
+];
+
+/**
+ * Search transactions newest first, one RPC page at a time, until enough are found
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} query - Tendermint tx_search query
+ * @param {number} limit - Maximum number of transactions
+ * @param {number} pageSize - Transactions requested per page (the RPC node caps this at 100)
+ * @returns {Promise<Array<object>>} Raw tx_search results ({ hash, height, index, tx, result })
+ */
+async function searchNewestTxs(client, query, limit, pageSize) {
+  const comet = client.forceGetCometClient();
+  const txs = [];
+
+  for (let page = 1; txs.length < limit; page++) {
+    const response = await comet.txSearch({ query, page, per_page: pageSize, order_by: "desc" });
+    txs.push(...response.txs);
+    if (response.txs.length === 0 || page * pageSize >= response.totalCount) {
+      break;
+    }
+  }
+
+  return txs.slice(0, limit);
+}
+
+/**
+ * Turn a tx_search result into a report row
+ * @param {object} tx - Raw tx_search result
+ * @param {string} role - "sender", "recipient" or "both"
+ * @param {string} time - Block time
+ * @param {Registry} registry - Registry to decode messages with
+ * @param {object} network - Network configuration
+ * @returns {object} Report row
+ */
+function toHistoryRow(tx, role, time, registry, network) {
+  const decoded = decodeTxBytes(tx.tx, registry);
+  const descriptions = decoded.messages.map((msg) => describeMessage(msg, network, registry));
+
+  return {
+    height: tx.height,
+    time,
+    hash: toHex(tx.hash).toUpperCase(),
+    status: tx.result.code === 0 ? "success" : "failed",
+    code: tx.result.code,
+    role,
+    messages: descriptions.map((d) => d.type).join("; "),
+    summary: descriptions.map((d) => d.summary).join("; "),
+    fee: formatCoins(decoded.fee.amount),
+    gas_wanted: tx.result.gasWanted.toString(),
+    gas_used: tx.result.gasUsed.toString(),
+    memo: decoded.memo,
+  };
+}
+
+/**
+ * Print report rows as a fixed-width table
+ * @param {Array<object>} rows - Report rows
+ * @param {Function} log - Output function
+ */
+function printHistoryTable(rows, log) {
+  const shorten = (text, width) => (text.length > width ? text.slice(0, width - 3) + "..." : text);
+
+  log(
+    `${"Height".padEnd(10)} ${"Time".padEnd(20)} ${"Status".padEnd(8)} ${"Role".padEnd(9)} ` +
+      `${"Fee".padEnd(14)} ${"Gas Used".padEnd(19)} ${"Hash".padEnd(12)} Summary`
+  );
+  log("-".repeat(80));
+  for (const row of rows) {
+    log(
+      `${String(row.height).padEnd(10)} ${row.time.slice(0, 19).padEnd(20)} ${row.status.padEnd(8)} ` +
+        `${row.role.padEnd(9)} ${shorten(row.fee, 14).padEnd(14)} ` +
+        `${`${row.gas_used}/${row.gas_wanted}`.padEnd(19)} ${row.hash.slice(0, 12)} ${shorten(row.summary, 60)}`
+    );
+  }
+}
+
+/**
+ * List an account's transactions
+ * @param {object} options - History options
+ * @param {string} options.address - Account address
+ * @param {number|string} options.limit - Maximum number of transactions, newest first
+ * @param {number|string} options.pageSize - Transactions requested per RPC page (at most 100)
+ * @param {string} options.format - "table" or "csv" (CSV goes to stdout, progress to stderr)
+ * @param {string} options.output - Also write the rows to this file, .csv or .json (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { address, transactions (report rows), file }
+ */
+export async function accountHistory({
+  address,
+  limit = 50,
+  pageSize = 50,
+  format = "table",
+  output,
+  network = XION_CONFIG,
+} = {}) {
+  // CSV owns stdout, so progress messages go to stderr
+  const log = format === "csv" ? console.error : console.log;
+
+  log("Reading Account History...\n");
+
+  // Validate inputs
+  if (!address) {
+    throw new Error("Address not provided. Pass --address xion1...");
+  }
+  const addressError = validateAddress(address, network);
+  if (addressError) {
+    throw new Error(`Invalid address ${address}: ${addressError}`);
+  }
+  if (!HISTORY_FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (available: ${HISTORY_FORMATS.join(", ")})`);
+  }
+
+  const LIMIT = parseInt(limit);
+  if (!Number.isInteger(LIMIT) || LIMIT < 1) {
+    throw new Error(`Invalid limit: ${limit}`);
+  }
+  const PAGE_SIZE = parseInt(pageSize);
+  if (!Number.isInteger(PAGE_SIZE) || PAGE_SIZE < 1 || PAGE_SIZE > 100) {
+    throw new Error(`Invalid page size: ${pageSize} (1-100)`);
+  }
+
+  // Connect query client (read-only, no wallet needed)
+  log("Connecting to XION network...");
+  const client = await connectQueryClient(network);
+  log(`Connected to ${network.chainId}\n`);
+
+  log("Query Details:");
+  log(`   Address: ${address}`);
+  log(`   Limit: ${LIMIT} (newest first)\n`);
+
+  let rows;
+  try {
+    log("Searching transactions...");
+    const sent = await searchNewestTxs(client, `message.sender='${address}'`, LIMIT, PAGE_SIZE);
+    log(`   Sent: ${sent.length}`);
+    const received = await searchNewestTxs(client, `transfer.recipient='${address}'`, LIMIT, PAGE_SIZE);
+    log(`   Received: ${received.length}`);
+
+    // Merge both searches by hash; each is newest first, so the newest LIMIT of the union are in them
+    const byHash = new Map();
+    for (const tx of sent) {
+      byHash.set(toHex(tx.hash), { tx, role: "sender" });
+    }
+    for (const tx of received) {
+      const key = toHex(tx.hash);
+      byHash.set(key, byHash.has(key) ? { tx, role: "both" } : { tx, role: "recipient" });
+    }
+    const merged = [...byHash.values()]
+      .sort((a, b) => b.tx.height - a.tx.height || b.tx.index - a.tx.index)
+      .slice(0, LIMIT);
+
+    // Block times, one query per height
+    const times = new Map();
+    for (const { tx } of merged) {
+      if (!times.has(tx.height)) {
+        const block = await client.getBlock(tx.height);
+        times.set(tx.height, block.header.time);
+      }
+    }
+
+    const registry = createDecoderRegistry();
+    rows = merged.map(({ tx, role }) => toHistoryRow(tx, role, times.get(tx.height), registry, network));
+  } finally {
+    client.disconnect();
+  }
+
+  log("");
+  if (format === "csv") {
+    writeData(toCsv(rows, HISTORY_COLUMNS));
+  } else if (rows.length > 0) {
+    printHistoryTable(rows, log);
+  }
+
+  const file = output ? writeReport(output, rows, HISTORY_COLUMNS) : null;
+
+  const failed = rows.filter((row) => row.status === "failed").length;
+
+  log("\n" + "=".repeat(80));
+  log("ACCOUNT HISTORY");
+  log("=".repeat(80));
+  log(`Address: ${address}`);
+  log(`Transactions: ${rows.length}${rows.length === LIMIT ? " (limit reached, raise --limit for more)" : ""}`);
+  log(`Failed: ${failed}`);
+  if (file) {
+    log(`Report: ${file}`);
+  }
+  log("=".repeat(80));
+  log("");
+
+  return { address, transactions: rows, file };
+}
@@ -0,0 +1,311 @@
+/**
+ * Airdrop NFTs: transfer many tokens to many recipients
+ * Validates every recipient, checks ownership of every token with owner_of, batches
+ * transfer_nft messages into multi-message transactions and writes a per-row report.
+ * With several senders (consecutive HD accounts of one wallet), each sends the tokens it owns or
+ * may transfer, and the senders broadcast in parallel since each has its own sequence
+ */
+
+import path from "path";
+import { toUtf8 } from "@cosmjs/encoding";
+import {
+  loadWallet,
+  connectSigningClient,
+  queryContract,
+  simulateTransaction,
+  calculateFee,
+  broadcastWithRetry,
+  validateAddress,
+  getExplorerTxUrl,
+} from "../utils/helpers.js";
+import { loadManifest, writeReport, chunk } from "../utils/manifest.js";
+import { isOperator } from "../utils/cw721.js";
+import { isNotFoundError } from "../utils/errors.js";
+import XION_CONFIG from "../utils/config.js";
+
+// Columns of the per-row report
+const REPORT_COLUMNS = ["row", "token_id", "recipient", "sender", "status", "tx_hash", "reason"];
+
+/**
+ * Check a row before sending: recipient address, token ownership, and which senders may transfer it
+ * A sender may transfer a token it owns, is approved for, or is an operator for its owner
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} contract - NFT contract address
+ * @param {Array<string>} senders - Addresses sending the tokens
+ * @param {object} row - Manifest row ({ token_id, recipient })
+ * @param {object} network - Network configuration
+ * @param {Map} operators - Cache of operator checks, keyed by "owner/sender"
+ * @returns {Promise<object>} { problem } (report entry) if the row should not be sent, otherwise { eligible } senders
+ */
+async function precheckRow(client, contract, senders, row, network, operators) {
+  const addressError = validateAddress(row.recipient, network);
+  if (addressError) {
+    return { problem: { status: "failed", reason: `Invalid recipient: ${addressError}` } };
+  }
+
+  let ownerResult;
+  try {
+    ownerResult = await queryContract(client, contract, { owner_of: { token_id: row.token_id } });
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return { problem: { status: "failed", reason: "Token not found" } };
+    }
+    throw error;
+  }
+
+  if (ownerResult.owner === row.recipient) {
+    return { problem: { status: "skipped", reason: "Recipient already owns the token" } };
+  }
+
+  if (senders.includes(ownerResult.owner)) {
+    return { eligible: [ownerResult.owner] };
+  }
+
+  const approved = (ownerResult.approvals || []).map((approval) => approval.spender);
+  const eligible = [];
+  for (const sender of senders) {
+    const key = `${ownerResult.owner}/${sender}`;
+    if (!approved.includes(sender) && !operators.has(key)) {
+      operators.set(key, await isOperator(client, contract, ownerResult.owner, sender));
+    }
+    if (approved.includes(sender) || operators.get(key)) {
+      eligible.push(sender);
+    }
+  }
+  if (eligible.length === 0) {
+    const by = senders.length > 1 ? "any of the senders" : "the sender";
+    return { problem: { status: "failed", reason: `Token is owned by ${ownerResult.owner}, not ${by}` } };
+  }
+
+  return { eligible };
+}
+
+/**
+ * Transfer every token in a manifest to its recipient
+ * @param {object} options - Airdrop options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.manifest - CSV or JSON manifest with token_id and recipient columns
+ * @param {number|string} options.chunkSize - Transfer messages per transaction
+ * @param {number|string} options.maxGas - Split a chunk when its simulated gas exceeds this
+ * @param {string} options.report - Report file path, .csv or .json (defaults to <manifest>.report.csv)
+ * @param {boolean} options.dryRun - Run the checks and write the report without sending
+ * @param {number|string} options.senders - Number of wallet accounts to send from, starting at the
+ *   selected one (default 1)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Summary ({ results, transferred, skipped, failed, transactions, report })
+ */
+export async function airdropNFTs({
+  contract,
+  manifest,
+  chunkSize = 20,
+  maxGas = 4000000,
+  report,
+  dryRun = false,
+  senders = 1,
+  network = XION_CONFIG,
+} = {}) {
+  console.log("Airdropping NFTs...\n");
+
+  // Validate inputs
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+
+  if (!manifest) {
+    throw new Error("Manifest not provided. Pass --manifest airdrop.csv");
+  }
+
+  const CHUNK_SIZE = parseInt(chunkSize);
+  const MAX_GAS = parseInt(maxGas);
+  if (!Number.isInteger(CHUNK_SIZE) || CHUNK_SIZE < 1) {
+    throw new Error(`Invalid chunk size: ${chunkSize}`);
+  }
+  if (!Number.isInteger(MAX_GAS) || MAX_GAS < 1) {
+    throw new Error(`Invalid max gas: ${maxGas}`);
+  }
+  const SENDERS = parseInt(senders);
+  if (!Number.isInteger(SENDERS) || SENDERS < 1) {
+    throw new Error(`Invalid number of senders: ${senders}`);
+  }
+
+  const rows = loadManifest(manifest, { required: ["token_id"] });
+  if (rows.length === 0) {
+    throw new Error(`Manifest ${manifest} has no rows`);
+  }
+
+  const reportPath = report ? path.resolve(report) : `${path.resolve(manifest)}.report.csv`;
+
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network, { count: SENDERS });
+  const addresses = (await wallet.getAccounts()).map((account) => account.address);
+  console.log(`Wallet loaded: ${addresses.join(", ")}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  console.log("Airdrop Details:");
+  console.log(`   Contract: ${contract}`);
+  console.log(`   Manifest: ${path.resolve(manifest)} (${rows.length} rows)`);
+  console.log(`   From: ${addresses.join(", ")}`);
+  console.log(`   Chunk Size: ${CHUNK_SIZE} transfers per transaction (max gas ${MAX_GAS})`);
+
+  // One report entry per manifest row, filled in as rows are checked and sent
+  const results = rows.map((row) => ({
+    row: row.row,
+    token_id: row.token_id,
+    recipient: row.recipient || "",
+    sender: "",
+    status: "pending",
+    tx_hash: "",
+    reason: "",
+  }));
+  const setResult = (row, fields) => Object.assign(results[row.row - 1], fields);
+
+  const transactions = [];
+
+  try {
+    // Pre-check every row
+    console.log(`\nChecking ${rows.length} row(s)...`);
+    const seen = new Set();
+    const operators = new Map();
+    // Rows each sender will transfer; a row several senders may transfer goes to the least loaded one
+    const assigned = new Map(addresses.map((address) => [address, []]));
+    for (const row of rows) {
+      if (seen.has(row.token_id)) {
+        setResult(row, { status: "failed", reason: "Duplicate token ID in manifest" });
+        continue;
+      }
+      seen.add(row.token_id);
+
+      const { problem, eligible } = await precheckRow(client, contract, addresses, row, network, operators);
+      if (problem) {
+        setResult(row, problem);
+      } else {
+        const sender = eligible.reduce((best, address) =>
+          assigned.get(address).length < assigned.get(best).length ? address : best
+        );
+        assigned.get(sender).push(row);
+        setResult(row, { sender });
+      }
+    }
+    const toSend = [...assigned.values()].flat();
+
+    const countStatus = (status) => results.filter((r) => r.status === status).length;
+    console.log(`   Ready to transfer: ${toSend.length}`);
+    if (addresses.length > 1) {
+      assigned.forEach((senderRows, sender) => console.log(`      ${sender}: ${senderRows.length}`));
+    }
+    console.log(`   Skipped: ${countStatus("skipped")}`);
+    console.log(`   Failed checks: ${countStatus("failed")}`);
+
+    if (dryRun) {
+      toSend.forEach((row) => setResult(row, { status: "ready", reason: "Dry run" }));
+    } else {
+      const toMessage = (sender, row) => ({
+        typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
+        value: {
+          sender,
+          contract,
+          msg: toUtf8(JSON.stringify({ transfer_nft: { recipient: row.recipient, token_id: row.token_id } })),
+          funds: [],
+        },
+      });
+
+      // Each sender works through its own chunks in order; the senders run in parallel
+      const sendChunks = async (sender, queue) => {
+        const label = addresses.length > 1 ? ` from ${sender}` : "";
+        while (queue.length > 0) {
+          const batch = queue.shift();
+          const messages = batch.map((row) => toMessage(sender, row));
+
+          let gasEstimate;
+          try {
+            gasEstimate = await simulateTransaction(client, sender, messages, network);
+          } catch (error) {
+            if (batch.length > 1) {
+              // One transfer in the chunk fails: split to isolate it
+              const half = Math.ceil(batch.length / 2);
+              queue.unshift(batch.slice(0, half), batch.slice(half));
+            } else {
+              setResult(batch[0], { status: "failed", reason: error.message });
+            }
+            continue;
+          }
+
+          if (gasEstimate > MAX_GAS && batch.length > 1) {
+            const half = Math.ceil(batch.length / 2);
+            queue.unshift(batch.slice(0, half), batch.slice(half));
+            continue;
+          }
+
+          const fee = calculateFee(gasEstimate, network);
+          console.log(`\nTransferring ${batch.length} token(s)${label}...`);
+
+          let result;
+          try {
+            result = await broadcastWithRetry(client, sender, messages, fee, `Airdrop ${batch.length} NFT(s)`, {
+              network,
+            });
+          } catch (error) {
+            // A transaction that was accepted but not seen in a block may still be included: keep its hash
+            const txHash = error.transactionHash ?? "";
+            batch.forEach((row) => setResult(row, { status: "failed", tx_hash: txHash, reason: error.message }));
+            console.log(`   Failed${label}: ${error.message}`);
+            continue;
+          }
+
+          if (result.code !== 0) {
+            batch.forEach((row) =>
+              setResult(row, { status: "failed", tx_hash: result.transactionHash, reason: result.rawLog })
+            );
+            console.log(`   Failed with code ${result.code}${label}: ${result.rawLog}`);
+          } else {
+            batch.forEach((row) => setResult(row, { status: "transferred", tx_hash: result.transactionHash }));
+            transactions.push(result.transactionHash);
+            console.log(`   Tx: ${result.transactionHash} (height ${result.height})`);
+          }
+        }
+      };
+
+      await Promise.all(
+        [...assigned.entries()].map(([sender, senderRows]) => sendChunks(sender, chunk(senderRows, CHUNK_SIZE)))
+      );
+    }
+  } finally {
+    client.disconnect();
+    writeReport(reportPath, results, REPORT_COLUMNS);
+  }
+
+  const transferred = results.filter((r) => r.status === "transferred").length;
+  const skipped = results.filter((r) => r.status === "skipped").length;
+  const failed = results.filter((r) => r.status === "failed");
+
+  console.log("\n" + "=".repeat(80));
+  console.log(dryRun ? "AIRDROP DRY RUN COMPLETE" : "AIRDROP COMPLETE");
+  console.log("=".repeat(80));
+  console.log(`Transferred: ${transferred}`);
+  console.log(`Skipped: ${skipped}`);
+  console.log(`Failed: ${failed.length}`);
+  failed.forEach((r) => {
+    console.log(`   Row ${r.row} (token ${r.token_id}): ${r.reason}`);
+  });
+  console.log(`Transactions: ${transactions.length}`);
+  transactions.forEach((hash) => {
+    console.log(`   ${getExplorerTxUrl(hash, network)}`);
+  });
+  console.log(`Report: ${reportPath}`);
+  console.log("=".repeat(80));
+  console.log("");
+
+  return {
+    results,
+    transferred,
+    skipped,
+    failed: failed.length,
+    transactions,
+    report: reportPath,
+  };
+}
@@ -0,0 +1,289 @@
+/**
+ * Manage CW721 approvals
+ * approve/revoke give or remove a spender's right to transfer one token;
+ * approve_all/revoke_all do the same for an operator over all of the owner's tokens
+ */
+
+import {
+  loadWallet,
+  getFirstAccount,
+  connectSigningClient,
+  executeContract,
+  validateAddress,
+  getExplorerTxUrl,
+} from "../utils/helpers.js";
+import { printTxResult } from "../utils/output.js";
+import {
+  cw721Messages,
+  parseExpiration,
+  formatExpiration,
+  getTokenPermissions,
+  isOperator,
+} from "../utils/cw721.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Load the wallet, run a pre-flight check, execute an approval message and print the result
+ * @param {object} action - Action definition
+ * @param {string} action.title - Banner title, e.g. "NFT APPROVED"
+ * @param {string} action.contract - NFT contract address
+ * @param {object} action.details - Label/value pairs to print before executing
+ * @param {Function} action.check - async (client, sender) => void; throws if the action is not allowed
+ * @param {Function} action.buildMsg - (sender) => execute message
+ * @param {string} action.memo - Transaction memo
+ * @param {object} network - Network configuration
+ * @returns {Promise<object>} Transaction result
+ */
+async function runApprovalAction({ title, contract, details, check, buildMsg, memo }, network) {
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  try {
+    console.log("Details:");
+    console.log(`   Contract: ${contract}`);
+    console.log(`   From: ${account.address}`);
+    for (const [label, value] of Object.entries(details)) {
+      console.log(`   ${label}: ${value}`);
+    }
+
+    console.log("\nChecking permissions...");
+    await check(client, account.address);
+    console.log("   OK");
+
+    console.log("\nExecuting...");
+    const result = await executeContract(
+      client,
+      account.address,
+      contract,
+      buildMsg(account.address),
+      memo,
+      [],
+      network
+    );
+
+    console.log("\n" + "=".repeat(80));
+    console.log(title);
+    console.log("=".repeat(80));
+    for (const [label, value] of Object.entries(details)) {
+      console.log(`${label}: ${value}`);
+    }
+    console.log(`Contract: ${contract}`);
+    console.log(`Explorer: ${getExplorerTxUrl(result.transactionHash, network)}`);
+    console.log("=".repeat(80));
+
+    printTxResult(result);
+    console.log("");
+
+    return result;
+  } finally {
+    client.disconnect();
+  }
+}
+
+/**
+ * Require the sender to be the token owner or an operator for the owner
+ * (approved spenders of a single token cannot grant or revoke approvals)
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} contract - NFT contract address
+ * @param {string} tokenId - Token ID
+ * @param {string} sender - Sender address
+ * @returns {Promise<object>} Token permissions
+ */
+async function requireOwnerOrOperator(client, contract, tokenId, sender) {
+  const permissions = await getTokenPermissions(client, contract, tokenId, sender);
+  if (!permissions.isOwner && !permissions.isOperator) {
+    throw new Error(
+      `Token ${tokenId} is owned by ${permissions.owner}. Only the owner or one of its operators can change approvals.`
+    );
+  }
+  return permissions;
+}
+
+/**
+ * Validate that a spender/operator address is usable
+ * @param {string} address - Address to check
+ * @param {string} label - Option name for error messages
+ * @param {object} network - Network configuration
+ */
+function requireAddress(address, label, network) {
+  if (!address) {
+    throw new Error(`${label} not provided. Pass --${label.toLowerCase()}`);
+  }
+  const addressError = validateAddress(address, network);
+  if (addressError) {
+    throw new Error(`Invalid ${label.toLowerCase()} address ${address}: ${addressError}`);
+  }
+}
+
+/**
+ * Approve a spender to transfer or send one token
+ * @param {object} options - Approval options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.tokenId - Token ID
+ * @param {string} options.spender - Address to approve
+ * @param {string|number} options.expiresAtHeight - Expire at this block height (optional)
+ * @param {string|number} options.expiresAtTime - Expire at this time, ISO date or unix seconds (optional)
+ * @param {boolean} options.neverExpires - Never expire (the default when no expiration is given)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function approveNFT({
+  contract,
+  tokenId,
+  spender,
+  expiresAtHeight,
+  expiresAtTime,
+  neverExpires,
+  network = XION_CONFIG,
+} = {}) {
+  console.log("Approving NFT Spender...\n");
+
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+  if (!tokenId) {
+    throw new Error("TOKEN_ID not provided. Pass --token-id or set TOKEN_ID in your .env file");
+  }
+  requireAddress(spender, "Spender", network);
+  const expires = parseExpiration({ expiresAtHeight, expiresAtTime, neverExpires });
+
+  return runApprovalAction(
+    {
+      title: "NFT APPROVED",
+      contract,
+      details: { "Token ID": tokenId, Spender: spender, Expires: formatExpiration(expires) },
+      check: async (client, sender) => {
+        if (spender === sender) {
+          throw new Error("Cannot approve yourself as spender");
+        }
+        await requireOwnerOrOperator(client, contract, tokenId, sender);
+      },
+      buildMsg: () => cw721Messages.approve(spender, tokenId, expires),
+      memo: `Approve ${spender} for NFT #${tokenId}`,
+    },
+    network
+  );
+}
+
+/**
+ * Revoke a spender's approval for one token
+ * @param {object} options - Revoke options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.tokenId - Token ID
+ * @param {string} options.spender - Address to revoke
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function revokeNFT({ contract, tokenId, spender, network = XION_CONFIG } = {}) {
+  console.log("Revoking NFT Approval...\n");
+
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+  if (!tokenId) {
+    throw new Error("TOKEN_ID not provided. Pass --token-id or set TOKEN_ID in your .env file");
+  }
+  requireAddress(spender, "Spender", network);
+
+  return runApprovalAction(
+    {
+      title: "NFT APPROVAL REVOKED",
+      contract,
+      details: { "Token ID": tokenId, Spender: spender },
+      check: async (client, sender) => {
+        const permissions = await requireOwnerOrOperator(client, contract, tokenId, sender);
+        if (!permissions.approvals.some((approval) => approval.spender === spender)) {
+          throw new Error(`${spender} has no approval for token ${tokenId}; nothing to revoke`);
+        }
+      },
+      buildMsg: () => cw721Messages.revoke(spender, tokenId),
+      memo: `Revoke ${spender} for NFT #${tokenId}`,
+    },
+    network
+  );
+}
+
+/**
+ * Approve an operator for all of the wallet's tokens
+ * @param {object} options - Approval options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.operator - Address to approve as operator
+ * @param {string|number} options.expiresAtHeight - Expire at this block height (optional)
+ * @param {string|number} options.expiresAtTime - Expire at this time, ISO date or unix seconds (optional)
+ * @param {boolean} options.neverExpires - Never expire (the default when no expiration is given)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function approveAll({
+  contract,
+  operator,
+  expiresAtHeight,
+  expiresAtTime,
+  neverExpires,
+  network = XION_CONFIG,
+} = {}) {
+  console.log("Approving Operator...\n");
+
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+  requireAddress(operator, "Operator", network);
+  const expires = parseExpiration({ expiresAtHeight, expiresAtTime, neverExpires });
+
+  return runApprovalAction(
+    {
+      title: "OPERATOR APPROVED",
+      contract,
+      details: { Operator: operator, Expires: formatExpiration(expires) },
+      check: async (client, sender) => {
+        if (operator === sender) {
+          throw new Error("Cannot approve yourself as operator");
+        }
+      },
+      buildMsg: () => cw721Messages.approveAll(operator, expires),
+      memo: `Approve operator ${operator}`,
+    },
+    network
+  );
+}
+
+/**
+ * Revoke an operator's approval for all of the wallet's tokens
+ * @param {object} options - Revoke options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.operator - Operator address to revoke
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function revokeAll({ contract, operator, network = XION_CONFIG } = {}) {
+  console.log("Revoking Operator...\n");
+
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+  requireAddress(operator, "Operator", network);
+
+  return runApprovalAction(
+    {
+      title: "OPERATOR REVOKED",
+      contract,
+      details: { Operator: operator },
+      check: async (client, sender) => {
+        if (!(await isOperator(client, contract, sender, operator))) {
+          throw new Error(`${operator} is not an operator for ${sender}; nothing to revoke`);
+        }
+      },
+      buildMsg: () => cw721Messages.revokeAll(operator),
+      memo: `Revoke operator ${operator}`,
+    },
+    network
+  );
+}
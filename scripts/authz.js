@@ -0,0 +1,343 @@
+/**
+ * Manage authz grants
+ * grant lets a grantee (e.g. a hot wallet) execute contracts on behalf of the granter (e.g. the
+ * collection minter) within limits and until an expiry; list shows the grants on chain and revoke
+ * removes them. The grantee then uses them with 'nft mint/transfer --authz-granter'
+ */
+
+import {
+  loadWallet,
+  getFirstAccount,
+  connectSigningClient,
+  connectQueryClient,
+  broadcastWithRetry,
+  assertTxSuccess,
+  validateAddress,
+  parseExactXionAmount,
+  formatXionAmount,
+  getExplorerTxUrl,
+} from "../utils/helpers.js";
+import {
+  AUTHORIZATION_TYPES,
+  EXECUTE_CONTRACT_TYPE_URL,
+  parseGrantExpiration,
+  contractExecutionAuthorization,
+  genericAuthorization,
+  toGrantMessage,
+  toRevokeMessage,
+  queryGrants,
+} from "../utils/authz.js";
+import { printTxResult } from "../utils/output.js";
+import { ValidationError } from "../utils/errors.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Split a comma or space separated list
+ * @param {string|Array<string>} value - List
+ * @returns {Array<string>} Non-empty entries
+ */
+function splitList(value) {
+  const entries = Array.isArray(value) ? value : String(value ?? "").split(/[\s,]+/);
+  return entries.map((entry) => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Validate an address option
+ * @param {string} address - Address to check
+ * @param {string} label - Option name for error messages
+ * @param {object} network - Network configuration
+ */
+function requireAddress(address, label, network) {
+  if (!address) {
+    throw new ValidationError(`${label} not provided. Pass --${label.toLowerCase()}`);
+  }
+  const addressError = validateAddress(address, network);
+  if (addressError) {
+    throw new ValidationError(`Invalid ${label.toLowerCase()} address ${address}: ${addressError}`);
+  }
+}
+
+/**
+ * Format coins, showing the network denom in XION
+ * @param {Array<object>} coins - Coins ({ denom, amount })
+ * @param {object} network - Network configuration
+ * @returns {string} e.g. "5.000000 XION"
+ */
+function formatCoins(coins, network) {
+  return coins
+    .map((coin) =>
+      coin.denom === network.denom ? `${formatXionAmount(coin.amount, network)} XION` : `${coin.amount} ${coin.denom}`
+    )
+    .join(", ");
+}
+
+/**
+ * One-line summary of a described authorization
+ * @param {object} authorization - Result of describeAuthorization()
+ * @param {object} network - Network configuration
+ * @returns {Array<string>} Lines
+ */
+function formatAuthorization(authorization, network) {
+  if (authorization.type === "generic") {
+    return [`Generic: any ${authorization.msg}`];
+  }
+  if (authorization.type !== "contract") {
+    return [authorization.type];
+  }
+  return authorization.grants.map((grant) => {
+    const limits = [];
+    if (grant.maxCalls !== null) {
+      limits.push(`${grant.maxCalls} calls left`);
+    }
+    if (grant.maxFunds !== null) {
+      limits.push(`funds up to ${formatCoins(grant.maxFunds, network)}`);
+    }
+    const messages = grant.messages ? grant.messages.join(", ") : "any message";
+    return `Contract ${grant.contract}: ${messages}; ${limits.join(", ") || "no limit"}`;
+  });
+}
+
+/**
+ * Grant a wallet the right to execute contracts on behalf of the configured wallet
+ * A contract grant (the default) covers one contract and needs --max-calls and/or --max-funds;
+ * a generic grant covers every MsgExecuteContract, to any contract, without limits
+ * @param {object} options - Grant options
+ * @param {string} options.grantee - Address receiving the grant (e.g. a hot wallet)
+ * @param {string} options.type - "contract" or "generic" (defaults to contract)
+ * @param {string} options.contract - Contract the grantee may execute (contract grants)
+ * @param {string|number} options.maxCalls - Number of executions allowed (contract grants, optional)
+ * @param {string|number} options.maxFunds - Total XION the grantee may attach to executions (contract grants, optional)
+ * @param {string|Array<string>} options.messages - Allowed message keys, e.g. "mint,transfer_nft" (contract grants, optional)
+ * @param {string} options.expires - Expiry: ISO date, unix seconds or a duration like 30d (optional, never by default)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function grantAuthz({
+  grantee,
+  type = "contract",
+  contract,
+  maxCalls,
+  maxFunds,
+  messages,
+  expires,
+  network = XION_CONFIG,
+} = {}) {
+  requireAddress(grantee, "Grantee", network);
+  if (!AUTHORIZATION_TYPES.includes(type)) {
+    throw new ValidationError(`Invalid grant type: ${type} (available: ${AUTHORIZATION_TYPES.join(", ")})`);
+  }
+
+  const MAX_CALLS = maxCalls === undefined || maxCalls === null || maxCalls === "" ? null : Number(maxCalls);
+  if (MAX_CALLS !== null && (!Number.isInteger(MAX_CALLS) || MAX_CALLS <= 0)) {
+    throw new ValidationError(`Invalid --max-calls: ${maxCalls} (a positive whole number)`);
+  }
+  const MAX_FUNDS = maxFunds ? parseExactXionAmount(maxFunds, network) : null;
+  if (MAX_FUNDS === "0") {
+    throw new ValidationError(`Invalid --max-funds: ${maxFunds} (must be more than 0)`);
+  }
+  const MESSAGES = splitList(messages);
+  const expiration = parseGrantExpiration(expires);
+
+  let authorization;
+  if (type === "generic") {
+    if (MAX_CALLS !== null || MAX_FUNDS !== null || MESSAGES.length > 0) {
+      throw new ValidationError("--max-calls, --max-funds and --messages only apply to contract grants (--type contract)");
+    }
+    authorization = genericAuthorization(EXECUTE_CONTRACT_TYPE_URL);
+  } else {
+    if (contract) {
+      requireAddress(contract, "Contract", network);
+    }
+    authorization = contractExecutionAuthorization({
+      contract,
+      maxCalls: MAX_CALLS,
+      maxFunds: MAX_FUNDS ? [{ denom: network.denom, amount: MAX_FUNDS }] : [],
+      messages: MESSAGES,
+    });
+  }
+
+  console.log("Granting Authz Authorization...\n");
+
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  if (grantee === account.address) {
+    throw new ValidationError("Cannot grant an authorization to the granting wallet itself");
+  }
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  const details = {
+    Granter: account.address,
+    Grantee: grantee,
+    Type: type === "generic" ? "generic (any MsgExecuteContract, any contract)" : "contract execution",
+    ...(type === "contract"
+      ? {
+          Contract: contract,
+          Messages: MESSAGES.length > 0 ? MESSAGES.join(", ") : "any",
+          "Max Calls": MAX_CALLS ?? "unlimited",
+          "Max Funds": MAX_FUNDS ? `${maxFunds} XION` : "unlimited",
+        }
+      : {}),
+    Expires: expiration ? expiration.toISOString() : "never (until revoked)",
+  };
+
+  try {
+    console.log("Grant Details:");
+    for (const [label, value] of Object.entries(details)) {
+      console.log(`   ${label}: ${value}`);
+    }
+    if (type === "generic") {
+      console.log("\nWarning: a generic grant lets the grantee execute any contract as the granter");
+    }
+
+    console.log("\nBroadcasting grant...");
+    const message = toGrantMessage(account.address, grantee, authorization, expiration);
+    const result = assertTxSuccess(
+      await broadcastWithRetry(client, account.address, [message], "auto", `Authz grant to ${grantee}`, { network }),
+      network
+    );
+
+    console.log("\n" + "=".repeat(80));
+    console.log("AUTHZ GRANT CREATED");
+    console.log("=".repeat(80));
+    for (const [label, value] of Object.entries(details)) {
+      console.log(`${label}: ${value}`);
+    }
+    console.log(`Explorer: ${getExplorerTxUrl(result.transactionHash, network)}`);
+    console.log("=".repeat(80));
+
+    printTxResult(result);
+
+    console.log("\nNEXT STEPS:");
+    console.log("   1. Fund the grantee; it signs and pays the fees of the transactions it sends");
+    console.log(`   2. From the grantee: xion-nft nft mint --authz-granter ${account.address} --token-id <id>`);
+    console.log(`   3. Check the grant with 'xion-nft authz list' and remove it with 'xion-nft authz revoke ${grantee}'`);
+    console.log("");
+
+    return result;
+  } finally {
+    client.disconnect();
+  }
+}
+
+/**
+ * List authz grants on chain
+ * Without --granter or --grantee, lists the grants given by the configured wallet
+ * @param {object} options - List options
+ * @param {string} options.granter - Granter address (optional)
+ * @param {string} options.grantee - Grantee address (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { granter, grantee, grants: [{ granter, grantee, authorization, expiration }] }
+ */
+export async function listGrants({ granter, grantee, network = XION_CONFIG } = {}) {
+  if (granter) {
+    requireAddress(granter, "Granter", network);
+  }
+  if (grantee) {
+    requireAddress(grantee, "Grantee", network);
+  }
+  if (!granter && !grantee) {
+    const wallet = await loadWallet(network);
+    granter = (await getFirstAccount(wallet)).address;
+  }
+
+  const client = await connectQueryClient(network);
+  let grants;
+  try {
+    grants = await queryGrants(client, { granter, grantee });
+  } finally {
+    client.disconnect();
+  }
+
+  const now = new Date();
+  console.log(`Authz grants${granter ? ` from ${granter}` : ""}${grantee ? ` to ${grantee}` : ""}\n`);
+  if (grants.length === 0) {
+    console.log("No grants. Create one with 'xion-nft authz grant <grantee>'");
+  } else {
+    console.log("-".repeat(80));
+    grants.forEach((grant, index) => {
+      const expiry = grant.expiration
+        ? `${grant.expiration.toISOString()}${grant.expiration <= now ? " (expired)" : ""}`
+        : "never";
+      console.log(`${index + 1}. ${grant.granter} -> ${grant.grantee}`);
+      for (const line of formatAuthorization(grant.authorization, network)) {
+        console.log(`   ${line}`);
+      }
+      console.log(`   Expires: ${expiry}`);
+    });
+    console.log("-".repeat(80));
+    console.log(`Total: ${grants.length}`);
+  }
+  console.log("");
+
+  return {
+    granter: granter || null,
+    grantee: grantee || null,
+    grants: grants.map((grant) => ({
+      ...grant,
+      expiration: grant.expiration ? grant.expiration.toISOString() : null,
+    })),
+  };
+}
+
+/**
+ * Revoke a grant given by the configured wallet
+ * @param {object} options - Revoke options
+ * @param {string} options.grantee - Address holding the grant
+ * @param {string} options.msgType - Message type of the grant (defaults to MsgExecuteContract)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function revokeAuthz({ grantee, msgType = EXECUTE_CONTRACT_TYPE_URL, network = XION_CONFIG } = {}) {
+  requireAddress(grantee, "Grantee", network);
+
+  console.log("Revoking Authz Grant...\n");
+
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  try {
+    console.log("Revoke Details:");
+    console.log(`   Granter: ${account.address}`);
+    console.log(`   Grantee: ${grantee}`);
+    console.log(`   Message Type: ${msgType}`);
+
+    console.log("\nBroadcasting revoke...");
+    const message = toRevokeMessage(account.address, grantee, msgType);
+    const result = assertTxSuccess(
+      await broadcastWithRetry(client, account.address, [message], "auto", `Authz revoke from ${grantee}`, { network }),
+      network
+    );
+
+    console.log("\n" + "=".repeat(80));
+    console.log("AUTHZ GRANT REVOKED");
+    console.log("=".repeat(80));
+    console.log(`Granter: ${account.address}`);
+    console.log(`Grantee: ${grantee}`);
+    console.log(`Message Type: ${msgType}`);
+    console.log(`Explorer: ${getExplorerTxUrl(result.transactionHash, network)}`);
+    console.log("=".repeat(80));
+
+    printTxResult(result);
+    console.log("");
+
+    return result;
+  } finally {
+    client.disconnect();
+  }
+}
@@ -0,0 +1,256 @@
+/**
+ * Broadcast a transaction signed by sign-transaction
+ * Runs pre-flight checks (chain ID, signature, account sequence) against the active
+ * network before broadcasting. Only a query connection is needed, no MNEMONIC.
+ */
+
+import fs from "fs";
+import path from "path";
+import { sha256, Secp256k1, Secp256k1Signature } from "@cosmjs/crypto";
+import { fromBase64 } from "@cosmjs/encoding";
+import { pubkeyToAddress, pubkeyType, isMultisigThresholdPubkey } from "@cosmjs/amino";
+import { decodePubkey, makeSignBytes, makeSignDoc } from "@cosmjs/proto-signing";
+import { TxRaw, AuthInfo, TxBody } from "cosmjs-types/cosmos/tx/v1beta1/tx.js";
+import { SignMode } from "cosmjs-types/cosmos/tx/signing/v1beta1/signing.js";
+import {
+  connectQueryClient,
+  waitForTransaction,
+  getExplorerTxUrl,
+} from "../utils/helpers.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Decode signed transaction bytes into their body, auth info and signer details
+ * @param {Uint8Array} txBytes - Protobuf encoded TxRaw
+ * @param {object} network - Network configuration for the address prefix (optional, defaults to testnet)
+ * @returns {object} Decoded transaction ({ txRaw, body, authInfo, signer })
+ */
+export function decodeSignedTx(txBytes, network = XION_CONFIG) {
+  let txRaw;
+  try {
+    txRaw = TxRaw.decode(txBytes);
+  } catch (error) {
+    throw new Error(`Signed transaction bytes could not be decoded as a TxRaw: ${error.message}`);
+  }
+
+  const body = TxBody.decode(txRaw.bodyBytes);
+  const authInfo = AuthInfo.decode(txRaw.authInfoBytes);
+
+  if (authInfo.signerInfos.length === 0 || txRaw.signatures.length === 0) {
+    throw new Error("Signed transaction contains no signatures");
+  }
+
+  // Transactions produced by sign-transaction and multisig combine have exactly one signer
+  const signerInfo = authInfo.signerInfos[0];
+  const signer = {
+    sequence: Number(signerInfo.sequence),
+    signMode: signerInfo.modeInfo?.single?.mode,
+    pubkey: null,
+    address: null,
+  };
+
+  try {
+    signer.pubkey = decodePubkey(signerInfo.publicKey);
+    if (signer.pubkey.type === pubkeyType.secp256k1 || isMultisigThresholdPubkey(signer.pubkey)) {
+      signer.address = pubkeyToAddress(signer.pubkey, network.addressPrefix);
+    }
+  } catch (error) {
+    // Unsupported key types (e.g. abstract accounts) are left undecoded
+    signer.pubkey = null;
+  }
+
+  return { txRaw, body, authInfo, signer };
+}
+
+/**
+ * Check that a SIGN_MODE_DIRECT signature is valid for the given chain ID and account number
+ * @param {object} decoded - Result of decodeSignedTx()
+ * @param {string} chainId - Chain ID the signature should be valid for
+ * @param {number} accountNumber - On-chain account number of the signer
+ * @returns {Promise<boolean|null>} Whether the signature verifies, or null if it cannot be checked offline
+ */
+export async function verifyTxSignature(decoded, chainId, accountNumber) {
+  const { txRaw, signer } = decoded;
+  if (signer.signMode !== SignMode.SIGN_MODE_DIRECT || signer.pubkey?.type !== pubkeyType.secp256k1) {
+    return null;
+  }
+
+  const signDoc = makeSignDoc(txRaw.bodyBytes, txRaw.authInfoBytes, chainId, accountNumber);
+  const messageHash = sha256(makeSignBytes(signDoc));
+
+  try {
+    const signature = Secp256k1Signature.fromFixedLength(txRaw.signatures[0]);
+    return await Secp256k1.verifySignature(signature, messageHash, fromBase64(signer.pubkey.value));
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Broadcast a signed transaction file after running pre-flight checks
+ * @param {object} options - Broadcast options
+ * @param {string} options.file - Signed transaction file produced by sign-transaction
+ * @param {boolean} options.wait - Wait for the transaction to be included in a block
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Broadcast result (hash, plus height, code and gas when waited for)
+ */
+export async function broadcastTransaction({
+  file = "signed-tx.json",
+  wait = false,
+  network = XION_CONFIG,
+} = {}) {
+  console.log("Broadcasting Signed Transaction...\n");
+
+  const filePath = path.resolve(file);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Signed transaction file not found: ${filePath}`);
+  }
+
+  console.log(`Loading signed transaction from: ${filePath}`);
+  const signedTxData = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+  if (!Array.isArray(signedTxData.signedTxBytes)) {
+    throw new Error(`${filePath} does not contain signedTxBytes. Was it produced by 'xion-nft sign tx'?`);
+  }
+
+  const txBytes = Uint8Array.from(signedTxData.signedTxBytes);
+  const decoded = decodeSignedTx(txBytes, network);
+  const signerAddress = decoded.signer.address || signedTxData.accountAddress;
+
+  console.log("\nTransaction Details:");
+  console.log(`   Type: ${signedTxData.txType || "unknown"}`);
+  if (signedTxData.description) {
+    console.log(`   Description: ${signedTxData.description}`);
+  }
+  console.log(`   Signer: ${signerAddress}`);
+  console.log(`   Chain ID: ${signedTxData.chainId}`);
+  console.log(`   Signed Sequence: ${decoded.signer.sequence}`);
+  console.log(`   Messages: ${decoded.body.messages.map((msg) => msg.typeUrl).join(", ")}`);
+  console.log(`   Memo: ${decoded.body.memo || "(none)"}`);
+
+  // Pre-flight: chain ID recorded at signing time must match the active network
+  console.log("\nRunning pre-flight checks...");
+  if (signedTxData.chainId && signedTxData.chainId !== network.chainId) {
+    throw new Error(
+      `Transaction was signed for chain "${signedTxData.chainId}" but the active network is ` +
+        `"${network.chainId}". Pass --network to select the matching network.`
+    );
+  }
+
+  if (
+    decoded.signer.address &&
+    signedTxData.accountAddress &&
+    decoded.signer.address !== signedTxData.accountAddress
+  ) {
+    throw new Error(
+      `Signer public key belongs to ${decoded.signer.address}, not to ${signedTxData.accountAddress} as recorded in the file`
+    );
+  }
+
+  // Connect query client (read-only, no wallet needed)
+  console.log("Connecting to XION network...");
+  const client = await connectQueryClient(network);
+  const onChainChainId = await client.getChainId();
+  if (onChainChainId !== network.chainId) {
+    client.disconnect();
+    throw new Error(
+      `RPC endpoint ${network.rpcEndpoint} reports chain "${onChainChainId}", expected "${network.chainId}"`
+    );
+  }
+  console.log(`Connected to ${network.chainId}`);
+  console.log(`   Chain ID: OK (${network.chainId})`);
+
+  const account = await client.getAccount(signerAddress);
+  if (!account) {
+    client.disconnect();
+    throw new Error(`Account ${signerAddress} not found on chain. Please fund the account first.`);
+  }
+
+  // Pre-flight: the signature commits to the chain ID and account number
+  const signatureValid = await verifyTxSignature(decoded, network.chainId, account.accountNumber);
+  if (signatureValid === false) {
+    client.disconnect();
+    throw new Error(
+      `Signature is not valid for chain "${network.chainId}" and account number ${account.accountNumber}. ` +
+        "The transaction was signed for a different chain or account and would be rejected."
+    );
+  }
+  const unchecked = isMultisigThresholdPubkey(decoded.signer.pubkey ?? {})
+    ? "not checked here (multisig; 'multisig combine' checked each member signature)"
+    : "not checked (unsupported sign mode or key type)";
+  console.log(`   Signature: ${signatureValid ? "OK" : unchecked}`);
+
+  // Pre-flight: the signed sequence must match the next on-chain sequence
+  const signedSequence = decoded.signer.sequence;
+  const onChainSequence = account.sequence;
+  if (signedSequence === onChainSequence) {
+    console.log(`   Sequence: OK (${signedSequence})`);
+  } else if (signedSequence < onChainSequence) {
+    console.log(`   WARNING: Sequence is stale (signed ${signedSequence}, on-chain ${onChainSequence})`);
+    console.log("   Another transaction has already used this sequence. The node will reject it;");
+    console.log("   sign the transaction again with 'xion-nft sign tx'.");
+  } else {
+    console.log(`   WARNING: Sequence is ahead (signed ${signedSequence}, on-chain ${onChainSequence})`);
+    console.log(`   Broadcast the ${signedSequence - onChainSequence} earlier transaction(s) from this account first,`);
+    console.log("   otherwise the node will reject it.");
+  }
+
+  console.log("\nBroadcasting transaction...");
+
+  let transactionHash;
+  try {
+    transactionHash = await client.broadcastTxSync(txBytes);
+  } catch (error) {
+    client.disconnect();
+    throw error;
+  }
+
+  console.log(`Transaction accepted into the mempool: ${transactionHash}`);
+
+  let result = { transactionHash, included: false };
+
+  if (wait) {
+    console.log("Waiting for the transaction to be included in a block...");
+    let tx;
+    try {
+      tx = await waitForTransaction(client, transactionHash);
+    } finally {
+      client.disconnect();
+    }
+
+    result = {
+      transactionHash,
+      included: true,
+      height: tx.height,
+      code: tx.code,
+      gasUsed: Number(tx.gasUsed),
+      gasWanted: Number(tx.gasWanted),
+      rawLog: tx.rawLog,
+    };
+
+    if (tx.code !== 0) {
+      throw new Error(`Transaction ${transactionHash} failed with code ${tx.code}: ${tx.rawLog}`);
+    }
+  } else {
+    client.disconnect();
+  }
+
+  console.log("\n" + "=".repeat(80));
+  console.log(wait ? "TRANSACTION BROADCAST SUCCESSFULLY" : "TRANSACTION SUBMITTED");
+  console.log("=".repeat(80));
+  console.log(`Transaction Hash: ${transactionHash}`);
+  if (result.included) {
+    console.log(`Height: ${result.height}`);
+    console.log(`Gas Used: ${result.gasUsed} / ${result.gasWanted}`);
+  }
+  console.log(`Explorer: ${getExplorerTxUrl(transactionHash, network)}`);
+  console.log("=".repeat(80));
+
+  if (!wait) {
+    console.log("\nThe transaction has not been included in a block yet. To follow it:");
+    console.log(`   xion-nft tx monitor ${transactionHash} --wait`);
+  }
+  console.log("");
+
+  return result;
+}
@@ -0,0 +1,91 @@
+/**
+ * Burn an NFT
+ * Executes burn on the CW721 contract, permanently destroying the token
+ */
+
+import {
+  loadWallet,
+  getFirstAccount,
+  connectSigningClient,
+  executeContract,
+  getExplorerTxUrl,
+} from "../utils/helpers.js";
+import { printTxResult } from "../utils/output.js";
+import { cw721Messages, getTokenPermissions } from "../utils/cw721.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Burn a single NFT
+ * @param {object} options - Burn options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.tokenId - Token ID to burn
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function burnNFT({ contract, tokenId, network = XION_CONFIG } = {}) {
+  console.log("Burning NFT...\n");
+
+  // Validate inputs
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+
+  if (!tokenId) {
+    throw new Error("TOKEN_ID not provided. Pass --token-id or set TOKEN_ID in your .env file");
+  }
+
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  try {
+    console.log("Burn Details:");
+    console.log(`   Contract: ${contract}`);
+    console.log(`   Token ID: ${tokenId}`);
+    console.log(`   From: ${account.address}`);
+
+    // Check ownership or approval
+    console.log("\nChecking permissions...");
+    const permissions = await getTokenPermissions(client, contract, tokenId, account.address);
+    if (!permissions.isOwner && !permissions.isApproved && !permissions.isOperator) {
+      throw new Error(
+        `Token ${tokenId} is owned by ${permissions.owner} and ${account.address} is not approved to burn it`
+      );
+    }
+    console.log(`   OK (${permissions.isOwner ? "owner" : permissions.isApproved ? "approved spender" : "operator"})`);
+
+    console.log("\nExecuting burn...");
+    const result = await executeContract(
+      client,
+      account.address,
+      contract,
+      cw721Messages.burn(tokenId),
+      `Burned NFT #${tokenId}`,
+      [],
+      network
+    );
+
+    console.log("\n" + "=".repeat(80));
+    console.log("NFT BURNED SUCCESSFULLY!");
+    console.log("=".repeat(80));
+    console.log(`Token ID: ${tokenId}`);
+    console.log(`Previous Owner: ${permissions.owner}`);
+    console.log(`Contract: ${contract}`);
+    console.log(`Explorer: ${getExplorerTxUrl(result.transactionHash, network)}`);
+    console.log("=".repeat(80));
+
+    printTxResult(result);
+    console.log("");
+
+    return result;
+  } finally {
+    client.disconnect();
+  }
+}
@@ -11,185 +11,304 @@ import {
   simulateTransaction,
   calculateFee,
   formatXionAmount,
-  handleError,
+  validateAddress,
 } from "../utils/helpers.js";
+import {
+  cw721Messages,
+  toExecuteMessage,
+  encodeHookMsg,
+  getTokenPermissions,
+} from "../utils/cw721.js";
 import XION_CONFIG from "../utils/config.js";
 
-async function checkGasFee() {
-  try {
-    // Configuration
-    const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-    const TRANSACTION_TYPE = process.env.TX_TYPE || process.argv[2] || "mint";
-
-    console.log("Estimating Gas Fees...\n");
-
-    // Load wallet
-    console.log("Loading wallet from environment...");
-    const wallet = await loadWallet();
-    const account = await getFirstAccount(wallet);
-    console.log(`Wallet loaded: ${account.address}\n`);
-
-    // Connect signing client
-    console.log("Connecting to XION network...");
-    const client = await connectSigningClient(wallet);
-    console.log(`Connected to ${XION_CONFIG.chainId}\n`);
-
-    let messages = [];
-    let txDescription = "";
-
-    // Build message based on transaction type
-    switch (TRANSACTION_TYPE.toLowerCase()) {
-      case "mint":
-        if (!CONTRACT_ADDRESS) {
-          console.error("Error: CONTRACT_ADDRESS required for mint simulation");
-          return;
-        }
-        const mintMsg = {
-          mint: {
-            token_id: "99999", // Use high number unlikely to exist
-            owner: account.address,
-            token_uri: "ipfs://example",
-            // Note: Code ID 525 doesn't support extension in mint message
-          },
-        };
-        messages = [
-          {
-            typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
-            value: {
-              sender: account.address,
-              contract: CONTRACT_ADDRESS,
-              msg: toUtf8(JSON.stringify(mintMsg)),
-              funds: [],
-            },
-          },
-        ];
-        txDescription = "Mint NFT";
-        break;
-
-      case "transfer-nft":
-        if (!CONTRACT_ADDRESS) {
-          console.error("Error: CONTRACT_ADDRESS required for transfer-nft simulation");
-          return;
-        }
-        const transferNftMsg = {
-          transfer_nft: {
-            recipient: account.address, // Use own address for simulation
-            token_id: "2", // Use token that exists and you own
+// Transaction types that can be simulated
+export const GAS_TX_TYPES = [
+  "mint",
+  "transfer-nft",
+  "send-tokens",
+  "instantiate",
+  "approve",
+  "revoke",
+  "approve-all",
+  "revoke-all",
+  "send-nft",
+  "burn",
+];
+
+// Types that act on a single existing token and need the sender to own it (or be approved)
+const TOKEN_TX_TYPES = ["approve", "revoke", "send-nft", "burn"];
+
+// Address option required by each type
+const ADDRESS_OPTIONS = {
+  approve: "spender",
+  revoke: "spender",
+  "approve-all": "operator",
+  "revoke-all": "operator",
+  "send-nft": "receiver",
+};
+
+/**
+ * Simulate a transaction of the given type and print the estimated fee
+ * @param {object} options - Estimation options
+ * @param {string} options.txType - Transaction type (see GAS_TX_TYPES)
+ * @param {string} options.contract - NFT contract address (all NFT types)
+ * @param {string} options.recipient - Recipient address (send-tokens, optional)
+ * @param {string} options.amount - Amount in uxion (send-tokens, optional)
+ * @param {string} options.tokenId - Token ID (approve, revoke, send-nft, burn; transfer-nft defaults to "2")
+ * @param {string} options.spender - Spender address (approve, revoke)
+ * @param {string} options.operator - Operator address (approve-all, revoke-all)
+ * @param {string} options.receiver - Receiving contract (send-nft)
+ * @param {string} options.msg - JSON hook message (send-nft, optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Gas estimate, fee and balance information
+ */
+export async function checkGasFee({
+  txType = "mint",
+  contract,
+  recipient,
+  amount = "1000000", // 1 XION in uxion
+  tokenId,
+  spender,
+  operator,
+  receiver,
+  msg,
+  network = XION_CONFIG,
+} = {}) {
+  const TRANSACTION_TYPE = txType.toLowerCase();
+
+  if (!GAS_TX_TYPES.includes(TRANSACTION_TYPE)) {
+    throw new Error(`Unknown transaction type: ${txType} (available: ${GAS_TX_TYPES.join(", ")})`);
+  }
+
+  if (!["send-tokens", "instantiate"].includes(TRANSACTION_TYPE) && !contract) {
+    throw new Error(`CONTRACT_ADDRESS required for ${TRANSACTION_TYPE} simulation`);
+  }
+
+  if (TOKEN_TX_TYPES.includes(TRANSACTION_TYPE) && !tokenId) {
+    throw new Error(`TOKEN_ID required for ${TRANSACTION_TYPE} simulation. Pass --token-id`);
+  }
+
+  const addressOption = ADDRESS_OPTIONS[TRANSACTION_TYPE];
+  const targetAddress = { spender, operator, receiver }[addressOption];
+  if (addressOption) {
+    if (!targetAddress) {
+      throw new Error(`--${addressOption} required for ${TRANSACTION_TYPE} simulation`);
+    }
+    const addressError = validateAddress(targetAddress, network);
+    if (addressError) {
+      throw new Error(`Invalid ${addressOption} address ${targetAddress}: ${addressError}`);
+    }
+  }
+
+  console.log("Estimating Gas Fees...\n");
+
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  let messages = [];
+  let txDescription = "";
+
+  // Build message based on transaction type
+  switch (TRANSACTION_TYPE) {
+    case "mint":
+      const mintMsg = {
+        mint: {
+          token_id: "99999", // Use high number unlikely to exist
+          owner: account.address,
+          token_uri: "ipfs://example",
+          // Note: Code ID 525 doesn't support extension in mint message
+        },
+      };
+      messages = [
+        {
+          typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
+          value: {
+            sender: account.address,
+            contract,
+            msg: toUtf8(JSON.stringify(mintMsg)),
+            funds: [],
           },
-        };
-        messages = [
-          {
-            typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
-            value: {
-              sender: account.address,
-              contract: CONTRACT_ADDRESS,
-              msg: toUtf8(JSON.stringify(transferNftMsg)),
-              funds: [],
-            },
+        },
+      ];
+      txDescription = "Mint NFT";
+      break;
+
+    case "transfer-nft":
+      const transferNftMsg = {
+        transfer_nft: {
+          recipient: account.address, // Use own address for simulation
+          token_id: tokenId || "2", // Use token that exists and you own
+        },
+      };
+      messages = [
+        {
+          typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
+          value: {
+            sender: account.address,
+            contract,
+            msg: toUtf8(JSON.stringify(transferNftMsg)),
+            funds: [],
           },
-        ];
-        txDescription = "Transfer NFT";
-        break;
-
-      case "send-tokens":
-        const amount = process.env.AMOUNT || "1000000"; // 1 XION in uxion
-        const recipient = process.env.RECIPIENT || account.address; // Use own address for simulation
-        messages = [
-          {
-            typeUrl: "/cosmos.bank.v1beta1.MsgSend",
-            value: {
-              fromAddress: account.address,
-              toAddress: recipient,
-              amount: [{ denom: XION_CONFIG.denom, amount: amount }],
-            },
+        },
+      ];
+      txDescription = "Transfer NFT";
+      break;
+
+    case "send-tokens":
+      messages = [
+        {
+          typeUrl: "/cosmos.bank.v1beta1.MsgSend",
+          value: {
+            fromAddress: account.address,
+            toAddress: recipient || account.address, // Use own address for simulation
+            amount: [{ denom: network.denom, amount: amount }],
           },
-        ];
-        txDescription = "Send Tokens";
-        break;
-
-      case "instantiate":
-        const codeId = XION_CONFIG.cw721MetadataOnchainCodeId;
-        const instantiateMsg = {
-          name: "Test NFT Collection",
-          symbol: "TEST",
-          minter: account.address,
-        };
-        messages = [
-          {
-            typeUrl: "/cosmwasm.wasm.v1.MsgInstantiateContract",
-            value: {
-              sender: account.address,
-              admin: account.address,
-              codeId: BigInt(codeId),
-              label: "test-contract",
-              msg: toUtf8(JSON.stringify(instantiateMsg)),
-              funds: [],
-            },
+        },
+      ];
+      txDescription = "Send Tokens";
+      break;
+
+    case "instantiate":
+      const codeId = network.cw721MetadataOnchainCodeId;
+      if (!codeId) {
+        client.disconnect();
+        throw new Error(`No CW721 code ID configured for ${network.chainName}`);
+      }
+      const instantiateMsg = {
+        name: "Test NFT Collection",
+        symbol: "TEST",
+        minter: account.address,
+      };
+      messages = [
+        {
+          typeUrl: "/cosmwasm.wasm.v1.MsgInstantiateContract",
+          value: {
+            sender: account.address,
+            admin: account.address,
+            codeId: BigInt(codeId),
+            label: "test-contract",
+            msg: toUtf8(JSON.stringify(instantiateMsg)),
+            funds: [],
           },
-        ];
-        txDescription = "Instantiate Contract";
-        break;
-
-      default:
-        console.error(`Unknown transaction type: ${TRANSACTION_TYPE}`);
-        console.log("\nAvailable transaction types:");
-        console.log("   - mint: Estimate gas for minting an NFT");
-        console.log("   - transfer-nft: Estimate gas for transferring an NFT");
-        console.log("   - send-tokens: Estimate gas for sending XION tokens");
-        console.log("   - instantiate: Estimate gas for deploying a contract");
-        console.log("\nUsage: npm run check-gas <transaction-type>");
-        return;
-    }
+        },
+      ];
+      txDescription = "Instantiate Contract";
+      break;
+
+    case "approve":
+      messages = [toExecuteMessage(account.address, contract, cw721Messages.approve(targetAddress, tokenId))];
+      txDescription = `Approve spender for NFT #${tokenId}`;
+      break;
+
+    case "revoke":
+      messages = [toExecuteMessage(account.address, contract, cw721Messages.revoke(targetAddress, tokenId))];
+      txDescription = `Revoke spender for NFT #${tokenId}`;
+      break;
+
+    case "approve-all":
+      messages = [toExecuteMessage(account.address, contract, cw721Messages.approveAll(targetAddress))];
+      txDescription = "Approve operator";
+      break;
+
+    case "revoke-all":
+      messages = [toExecuteMessage(account.address, contract, cw721Messages.revokeAll(targetAddress))];
+      txDescription = "Revoke operator";
+      break;
+
+    case "send-nft":
+      messages = [
+        toExecuteMessage(
+          account.address,
+          contract,
+          cw721Messages.sendNft(targetAddress, tokenId, encodeHookMsg({ msg }))
+        ),
+      ];
+      txDescription = `Send NFT #${tokenId} to contract`;
+      break;
+
+    case "burn":
+      messages = [toExecuteMessage(account.address, contract, cw721Messages.burn(tokenId))];
+      txDescription = `Burn NFT #${tokenId}`;
+      break;
+  }
 
-    console.log(`Simulating: ${txDescription}`);
-    console.log("Estimating gas...\n");
-
-    // Simulate transaction
-    const gasEstimate = await simulateTransaction(client, account.address, messages);
-
-    // Calculate fee
-    const fee = calculateFee(gasEstimate);
-    const feeAmount = parseInt(fee.amount[0].amount);
-    const feeInXion = formatXionAmount(feeAmount);
-
-    console.log("=".repeat(80));
-    console.log("GAS ESTIMATION RESULTS");
-    console.log("=".repeat(80));
-    console.log(`Transaction Type: ${txDescription}`);
-    console.log(`Estimated Gas: ${gasEstimate} units`);
-    console.log(`Gas Price: ${XION_CONFIG.gasPrice}`);
-    console.log(`Gas Adjustment: ${XION_CONFIG.gasAdjustment}x`);
-    console.log(`Estimated Fee: ${feeAmount} ${XION_CONFIG.denom} (${feeInXion} XION)`);
-    console.log("=".repeat(80));
-
-    // Get current balance
-    const balance = await client.getBalance(account.address, XION_CONFIG.denom);
-    const balanceInXion = formatXionAmount(balance.amount);
-
-    console.log("\nWallet Balance:");
-    console.log(`   Current: ${balance.amount} ${XION_CONFIG.denom} (${balanceInXion} XION)`);
-    console.log(`   After TX: ${parseInt(balance.amount) - feeAmount} ${XION_CONFIG.denom} (${formatXionAmount(parseInt(balance.amount) - feeAmount)} XION)`);
-
-    if (parseInt(balance.amount) < feeAmount) {
-      console.log("\nWarning: Insufficient balance for this transaction!");
-      console.log("   Please fund your wallet with testnet tokens.");
-    } else {
-      console.log("\nSufficient balance for this transaction");
+  // Simulation fails with an opaque contract error if the wallet cannot act on the token
+  if (TOKEN_TX_TYPES.includes(TRANSACTION_TYPE)) {
+    let permissions;
+    try {
+      permissions = await getTokenPermissions(client, contract, tokenId, account.address);
+    } catch (error) {
+      client.disconnect();
+      throw error;
+    }
+    const allowed = ["approve", "revoke"].includes(TRANSACTION_TYPE)
+      ? permissions.isOwner || permissions.isOperator
+      : permissions.isOwner || permissions.isApproved || permissions.isOperator;
+    if (!allowed) {
+      client.disconnect();
+      throw new Error(`Token ${tokenId} is owned by ${permissions.owner}; ${account.address} cannot ${TRANSACTION_TYPE} it`);
     }
+  }
+
+  console.log(`Simulating: ${txDescription}`);
+  console.log("Estimating gas...\n");
+
+  // Simulate transaction
+  const gasEstimate = await simulateTransaction(client, account.address, messages, network);
+
+  // Calculate fee
+  const fee = calculateFee(gasEstimate, network);
+  const feeAmount = parseInt(fee.amount[0].amount);
+  const feeInXion = formatXionAmount(feeAmount, network);
 
-    console.log("\nNOTE:");
-    console.log("   - Gas estimates are approximate and may vary");
-    console.log("   - Actual gas used may be different from the estimate");
-    console.log("   - Fees are automatically calculated as: gas_used × gas_price");
-    console.log("");
+  console.log("=".repeat(80));
+  console.log("GAS ESTIMATION RESULTS");
+  console.log("=".repeat(80));
+  console.log(`Transaction Type: ${txDescription}`);
+  console.log(`Estimated Gas: ${gasEstimate} units`);
+  console.log(`Gas Price: ${network.gasPrice}`);
+  console.log(`Gas Adjustment: ${network.gasAdjustment}x`);
+  console.log(`Estimated Fee: ${feeAmount} ${network.denom} (${feeInXion} XION)`);
+  console.log("=".repeat(80));
 
-    // Disconnect client
-    client.disconnect();
+  // Get current balance
+  const balance = await client.getBalance(account.address, network.denom);
+  const balanceInXion = formatXionAmount(balance.amount, network);
 
-  } catch (error) {
-    handleError(error);
+  console.log("\nWallet Balance:");
+  console.log(`   Current: ${balance.amount} ${network.denom} (${balanceInXion} XION)`);
+  console.log(`   After TX: ${parseInt(balance.amount) - feeAmount} ${network.denom} (${formatXionAmount(parseInt(balance.amount) - feeAmount, network)} XION)`);
+
+  if (parseInt(balance.amount) < feeAmount) {
+    console.log("\nWarning: Insufficient balance for this transaction!");
+    console.log("   Please fund your wallet with testnet tokens.");
+  } else {
+    console.log("\nSufficient balance for this transaction");
   }
-}
 
-// Run the script
-checkGasFee();
+  console.log("\nNOTE:");
+  console.log("   - Gas estimates are approximate and may vary");
+  console.log("   - Actual gas used may be different from the estimate");
+  console.log("   - Fees are automatically calculated as: gas_used × gas_price");
+  console.log("");
+
+  // Disconnect client
+  client.disconnect();
+
+  return {
+    txType: TRANSACTION_TYPE,
+    description: txDescription,
+    gasEstimate,
+    fee,
+    balance: balance.amount,
+    sufficient: parseInt(balance.amount) >= feeAmount,
+  };
+}
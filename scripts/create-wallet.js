@@ -1,57 +1,234 @@
 /**
- * Create a new XION wallet
- * Generates a new mnemonic phrase and derives the public/private key pair
+ * Create, validate and recover XION wallets
+ * Generates a new 12- or 24-word mnemonic, checks an existing one (wordlist, checksum, typo
+ * suggestions) or recovers its address, and can store the mnemonic in the encrypted keystore or
+ * a .env file (mode 600) instead of printing it
  */
 
 import { DirectSecp256k1HdWallet } from "@cosmjs/proto-signing";
+import { pathToString } from "@cosmjs/crypto";
+import { createWalletFromMnemonic, getHdPaths } from "../utils/helpers.js";
+import { saveKey as saveKeystoreKey, readPassphrase } from "../utils/keystore.js";
+import {
+  checkMnemonic,
+  assertValidMnemonic,
+  formatMnemonicProblems,
+  readMnemonic,
+  checkEnvFile,
+  saveMnemonicToEnv,
+} from "../utils/mnemonic.js";
+import { ValidationError } from "../utils/errors.js";
+import { printAlways } from "../utils/output.js";
 import XION_CONFIG from "../utils/config.js";
-import { handleError } from "../utils/helpers.js";
-
-async function createWallet() {
-  try {
-    console.log("Creating new XION wallet...\n");
-
-    // Generate a new wallet with 24-word mnemonic
-    const wallet = await DirectSecp256k1HdWallet.generate(24, {
-      prefix: XION_CONFIG.addressPrefix,
-    });
-
-    // Get the mnemonic
-    const mnemonic = wallet.mnemonic;
-
-    // Get account info
-    const accounts = await wallet.getAccounts();
-    const account = accounts[0];
-
-    // Display results
-    console.log("Wallet created successfully!\n");
-    console.log("=" .repeat(80));
-    console.log("MNEMONIC PHRASE (Keep this secure and private!):");
-    console.log("=" .repeat(80));
-    console.log(mnemonic);
-    console.log("=" .repeat(80));
-    console.log("\nWALLET INFORMATION:");
-    console.log(`   Address: ${account.address}`);
-    console.log(`   Algorithm: ${account.algo}`);
-    console.log(`   Public Key: ${Buffer.from(account.pubkey).toString("hex")}`);
-    console.log("\nIMPORTANT SECURITY NOTES:");
-    console.log("   1. Store your mnemonic phrase in a secure location");
-    console.log("   2. Never share your mnemonic with anyone");
-    console.log("   3. Add it to your .env file as MNEMONIC=\"your mnemonic phrase\"");
-    console.log("   4. Add .env to .gitignore to prevent accidental commits");
-    console.log("\nFUNDING YOUR WALLET:");
-    console.log(`   Network: ${XION_CONFIG.chainName}`);
-    console.log(`   Chain ID: ${XION_CONFIG.chainId}`);
+
+// Mnemonic lengths offered for new wallets
+export const WALLET_WORD_COUNTS = ["12", "24"];
+
+/**
+ * Store a mnemonic in the keystore and/or a .env file
+ * @param {string} mnemonic - Mnemonic
+ * @param {object} options - Storage options
+ * @param {string} options.key - Keystore key name (optional)
+ * @param {string} options.envFile - .env file (optional)
+ * @param {object} options.network - Network configuration
+ * @returns {Promise<object>} { key (saved key or null), envFile (path or null) }
+ */
+async function storeMnemonic(mnemonic, { key, envFile, network }) {
+  // Check the .env file first, so a failure there does not leave a keystore key behind
+  if (envFile) {
+    checkEnvFile(envFile);
+  }
+
+  let saved = null;
+  if (key) {
+    const passphrase = await readPassphrase(key, { confirm: true });
+    saved = await saveKeystoreKey(key, mnemonic, passphrase, { network });
+  }
+  const envPath = envFile ? saveMnemonicToEnv(envFile, mnemonic) : null;
+  return { key: saved, envFile: envPath };
+}
+
+/**
+ * Print where a stored mnemonic went
+ * @param {object} stored - Result of storeMnemonic
+ */
+function printStorage(stored) {
+  if (stored.key) {
+    console.log(`   Keystore: key "${stored.key.name}" (${stored.key.file})`);
+    console.log(`   Sign with it: --from ${stored.key.name}`);
+  }
+  if (stored.envFile) {
+    console.log(`   .env file: ${stored.envFile} (MNEMONIC, mode 600)`);
+  }
+}
+
+/**
+ * Print how to fund an address on the network
+ * @param {string} address - Wallet address
+ * @param {object} network - Network configuration
+ */
+function printFunding(address, network) {
+  console.log("\nFUNDING YOUR WALLET:");
+  console.log(`   Network: ${network.chainName}`);
+  console.log(`   Chain ID: ${network.chainId}`);
+  if (network.faucet) {
     console.log(`   To get testnet tokens:`);
-    console.log(`   1. Join Discord: ${XION_CONFIG.faucet.discord}`);
+    console.log(`   1. Join Discord: ${network.faucet.discord}`);
     console.log(`   2. Get @Builder role`);
-    console.log(`   3. Use command: ${XION_CONFIG.faucet.command.replace("[your-xion-address]", account.address)}`);
-    console.log("");
+    console.log(`   3. Use command: ${network.faucet.command.replace("[your-xion-address]", address)}`);
+  } else {
+    console.log(`   Send ${network.denom} to ${address} before using this wallet`);
+  }
+}
 
-  } catch (error) {
-    handleError(error);
+/**
+ * Generate a new wallet
+ * Without --save-key or --save-env the mnemonic is printed; with either it is stored instead and not shown
+ * @param {object} options - Wallet options
+ * @param {number|string} options.words - Mnemonic length, 12 or 24 (defaults to 24)
+ * @param {string} options.saveKey - Store the mnemonic encrypted in the keystore under this name (optional)
+ * @param {string} options.saveEnv - Write MNEMONIC to this .env file (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Address, algorithm, hex public key, word count, where the mnemonic was
+ *   stored, and the mnemonic itself when it was printed
+ */
+export async function createWallet({ words = 24, saveKey: key, saveEnv: envFile, network = XION_CONFIG } = {}) {
+  const WORDS = String(words);
+  if (!WALLET_WORD_COUNTS.includes(WORDS)) {
+    throw new ValidationError(`Invalid word count: ${words} (available: ${WALLET_WORD_COUNTS.join(", ")})`);
   }
+
+  console.log("Creating new XION wallet...\n");
+
+  // Generate a new wallet
+  const wallet = await DirectSecp256k1HdWallet.generate(Number(WORDS), {
+    prefix: network.addressPrefix,
+  });
+
+  // Get the mnemonic
+  const mnemonic = wallet.mnemonic;
+
+  // Get account info
+  const accounts = await wallet.getAccounts();
+  const account = accounts[0];
+
+  // Store it, or display it
+  const stored = await storeMnemonic(mnemonic, { key, envFile, network });
+  const printed = !stored.key && !stored.envFile;
+
+  console.log("Wallet created successfully!\n");
+  if (printed) {
+    // Not stored anywhere, so it is printed even with --quiet
+    printAlways([
+      "=".repeat(80),
+      "MNEMONIC PHRASE (Keep this secure and private!):",
+      "=".repeat(80),
+      mnemonic,
+      "=".repeat(80),
+    ]);
+  }
+  console.log("\nWALLET INFORMATION:");
+  console.log(`   Address: ${account.address}`);
+  console.log(`   Algorithm: ${account.algo}`);
+  console.log(`   Public Key: ${Buffer.from(account.pubkey).toString("hex")}`);
+  console.log(`   Words: ${WORDS}`);
+  printStorage(stored);
+  console.log("\nIMPORTANT SECURITY NOTES:");
+  if (printed) {
+    console.log("   1. Store your mnemonic phrase in a secure location");
+    console.log("   2. Never share your mnemonic with anyone");
+    console.log("   3. Store it encrypted with 'xion-nft keys import <name>' and sign with --from <name>");
+    console.log("      (next time, pass --save-key <name> to store it directly without printing it)");
+    console.log("   4. If you use .env, add it to .gitignore to prevent accidental commits");
+  } else {
+    const backup = stored.key ? `'xion-nft keys export ${stored.key.name}' shows it` : `it is in ${stored.envFile}`;
+    console.log(`   1. The mnemonic was not printed; write down a backup (${backup})`);
+    console.log("   2. Never share your mnemonic with anyone");
+    console.log("   3. If you use .env, add it to .gitignore to prevent accidental commits");
+  }
+  printFunding(account.address, network);
+  console.log("");
+
+  return {
+    ...(printed ? { mnemonic } : {}),
+    address: account.address,
+    algo: account.algo,
+    pubkey: Buffer.from(account.pubkey).toString("hex"),
+    words: Number(WORDS),
+    key: stored.key ? stored.key.name : null,
+    envFile: stored.envFile,
+  };
 }
 
-// Run the script
-createWallet();
+/**
+ * Check a mnemonic without using it: word count, BIP39 English wordlist and checksum
+ * The mnemonic is read from MNEMONIC or prompted for; unknown words are reported by position with
+ * suggested corrections. Sets a failure exit code when the mnemonic is invalid
+ * @returns {Promise<object>} { valid, wordCount, problems: [{ position, word, suggestions }], error }
+ */
+export async function validateMnemonic() {
+  const { mnemonic, source } = await readMnemonic();
+  console.log(`Checking the mnemonic from ${source === "MNEMONIC" ? "MNEMONIC" : "the prompt"}...\n`);
+
+  const check = checkMnemonic(mnemonic);
+
+  console.log("=".repeat(80));
+  console.log(check.valid ? "MNEMONIC VALID" : "MNEMONIC INVALID");
+  console.log("=".repeat(80));
+  console.log(`Words: ${check.wordCount}`);
+  if (!check.valid) {
+    console.log(`Problem: ${check.error}`);
+    if (check.problems.length > 0) {
+      console.log(`   ${formatMnemonicProblems(check.problems)}`);
+    }
+    process.exitCode = 1;
+  }
+  console.log("=".repeat(80));
+  console.log("");
+
+  return check;
+}
+
+/**
+ * Recover a wallet from an existing mnemonic and show its address
+ * The mnemonic is read from MNEMONIC or prompted for, validated, and optionally stored in the
+ * keystore or a .env file. The account follows --account-index / --hd-path
+ * @param {object} options - Recovery options
+ * @param {string} options.saveKey - Store the mnemonic encrypted in the keystore under this name (optional)
+ * @param {string} options.saveEnv - Write MNEMONIC to this .env file (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { address, path, pubkey, words, key, envFile }
+ */
+export async function recoverWallet({ saveKey: key, saveEnv: envFile, network = XION_CONFIG } = {}) {
+  console.log("Recovering XION wallet...\n");
+
+  const input = await readMnemonic();
+  const mnemonic = assertValidMnemonic(input.mnemonic);
+
+  const hdPaths = getHdPaths();
+  const wallet = await createWalletFromMnemonic(mnemonic, network, { hdPaths });
+  const [account] = await wallet.getAccounts();
+
+  const stored = await storeMnemonic(mnemonic, { key, envFile, network });
+
+  console.log("=".repeat(80));
+  console.log("WALLET RECOVERED");
+  console.log("=".repeat(80));
+  console.log(`Address: ${account.address}`);
+  console.log(`Path: ${pathToString(hdPaths[0])}`);
+  console.log(`Public Key: ${Buffer.from(account.pubkey).toString("hex")}`);
+  console.log(`Words: ${mnemonic.split(" ").length}`);
+  printStorage(stored);
+  console.log("=".repeat(80));
+  console.log("\nOther accounts of this mnemonic: 'xion-nft wallet derive' (with MNEMONIC set, or --from <key>)");
+  console.log("");
+
+  return {
+    address: account.address,
+    path: pathToString(hdPaths[0]),
+    pubkey: Buffer.from(account.pubkey).toString("hex"),
+    words: mnemonic.split(" ").length,
+    key: stored.key ? stored.key.name : null,
+    envFile: stored.envFile,
+  };
+}
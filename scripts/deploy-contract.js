@@ -1,7 +1,8 @@
 /**
  * Deploy (instantiate) a CW721 NFT contract
  * Uses pre-deployed CW721-metadata-onchain contract code (Code ID: 525 on testnet)
- * This contract variant supports storing full metadata on-chain
+ * This contract variant supports storing full metadata on-chain. The minter and admin default to
+ * the deploying wallet and can be another address or a multisig account
  */
 
 import {
@@ -9,95 +10,144 @@ import {
   getFirstAccount,
   connectSigningClient,
   instantiateContract,
-  printTxResult,
-  handleError,
+  getExplorerAddressUrl,
+  validateAddress,
 } from "../utils/helpers.js";
+import { readMultisigFile } from "../utils/multisig.js";
+import { ValidationError } from "../utils/errors.js";
+import { printTxResult } from "../utils/output.js";
 import XION_CONFIG from "../utils/config.js";
 
-async function deployContract() {
-  try {
-    // Configuration - Update these values as needed
-    const NFT_NAME = process.env.NFT_NAME || "My NFT Collection";
-    const NFT_SYMBOL = process.env.NFT_SYMBOL || "MNFT";
-    const CONTRACT_LABEL = process.env.CONTRACT_LABEL || "my-nft-contract";
-
-    console.log("Deploying CW721 NFT Contract...\n");
-
-    // Load wallet
-    console.log("Loading wallet from environment...");
-    const wallet = await loadWallet();
-    const account = await getFirstAccount(wallet);
-    console.log(`Wallet loaded: ${account.address}\n`);
-
-    // Connect signing client
-    console.log("Connecting to XION network...");
-    const client = await connectSigningClient(wallet);
-    console.log(`Connected to ${XION_CONFIG.chainId}\n`);
-
-    // Check balance
-    const balance = await client.getBalance(account.address, XION_CONFIG.denom);
-    console.log(`Wallet balance: ${balance.amount} ${balance.denom}`);
-
-    if (parseInt(balance.amount) === 0) {
-      console.log("\nWarning: Wallet has zero balance!");
-      console.log("   Please fund your wallet with testnet tokens before deploying.");
-      console.log(`   Discord: ${XION_CONFIG.faucet.discord}`);
-      console.log(`   Command: ${XION_CONFIG.faucet.command}`);
-      return;
+/**
+ * Instantiate a new CW721 collection (the wallet is minter and admin unless others are given)
+ * @param {object} options - Deployment options
+ * @param {string} options.name - Collection name
+ * @param {string} options.symbol - Collection symbol
+ * @param {string} options.label - Contract label
+ * @param {number} options.codeId - CW721 code ID (optional, defaults to the network's cw721-metadata-onchain code)
+ * @param {string} options.minter - Minter address (optional, defaults to the multisig or the wallet)
+ * @param {string} options.admin - Contract admin address (optional, defaults to the multisig or the wallet)
+ * @param {string} options.multisig - Multisig file from 'multisig create', made minter and admin (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object|null>} Instantiation result, or null if the wallet is unfunded
+ */
+export async function deployContract({
+  name = "My NFT Collection",
+  symbol = "MNFT",
+  label = "my-nft-contract",
+  codeId,
+  minter,
+  admin,
+  multisig,
+  network = XION_CONFIG,
+} = {}) {
+  const contractCodeId = codeId ? parseInt(codeId) : network.cw721MetadataOnchainCodeId;
+  if (!contractCodeId) {
+    throw new Error(`No CW721 code ID configured for ${network.chainName}. Pass --code-id or set cw721MetadataOnchainCodeId in your networks file`);
+  }
+
+  const multisigAccount = multisig ? readMultisigFile(multisig, network) : null;
+  for (const [role, address] of [["minter", minter], ["admin", admin]]) {
+    const problem = address ? validateAddress(address, network) : null;
+    if (problem) {
+      throw new ValidationError(`Invalid ${role} address ${address}: ${problem}`);
     }
+  }
 
-    // Prepare instantiation message
-    const instantiateMsg = {
-      name: NFT_NAME,
-      symbol: NFT_SYMBOL,
-      minter: account.address, // Wallet address will be the minter
-    };
-
-    console.log("\nContract Configuration:");
-    console.log(`   Name: ${NFT_NAME}`);
-    console.log(`   Symbol: ${NFT_SYMBOL}`);
-    console.log(`   Minter: ${account.address}`);
-    console.log(`   Code ID: ${XION_CONFIG.cw721MetadataOnchainCodeId}`);
-    console.log(`   Label: ${CONTRACT_LABEL}`);
-
-    console.log("\nInstantiating contract...");
-
-    // Instantiate the contract
-    const result = await instantiateContract(
-      client,
-      account.address,
-      XION_CONFIG.cw721MetadataOnchainCodeId,
-      instantiateMsg,
-      CONTRACT_LABEL,
-      account.address // Set deployer as admin for ownership transfer capability
-    );
-
-    // Get contract address from result
-    const contractAddress = result.contractAddress;
-
-    console.log("\n" + "=".repeat(80));
-    console.log("CONTRACT DEPLOYED SUCCESSFULLY!");
-    console.log("=".repeat(80));
-    console.log(`Contract Address: ${contractAddress}`);
-    console.log(`Explorer: https://www.mintscan.io/xion-testnet/address/${contractAddress}`);
-    console.log("=".repeat(80));
-
-    // Print transaction details
-    printTxResult(result);
-
-    console.log("\nNEXT STEPS:");
-    console.log(`   1. Add CONTRACT_ADDRESS="${contractAddress}" to your .env file`);
-    console.log("   2. Use mint-token.js to mint your first NFT");
-    console.log("   3. Use transfer-nft.js to transfer NFTs between addresses");
-    console.log("");
-
-    // Disconnect client
+  console.log("Deploying CW721 NFT Contract...\n");
+
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  // Check balance
+  const balance = await client.getBalance(account.address, network.denom);
+  console.log(`Wallet balance: ${balance.amount} ${balance.denom}`);
+
+  if (parseInt(balance.amount) === 0) {
+    console.log("\nWarning: Wallet has zero balance!");
+    console.log(`   Please fund your wallet on ${network.chainName} before deploying.`);
+    if (network.faucet) {
+      console.log(`   Discord: ${network.faucet.discord}`);
+      console.log(`   Command: ${network.faucet.command}`);
+    }
     client.disconnect();
+    return null;
+  }
 
-  } catch (error) {
-    handleError(error);
+  // The multisig (if any) takes both roles unless one is given explicitly
+  const minterAddress = minter || multisigAccount?.address || account.address;
+  const adminAddress = admin || multisigAccount?.address || account.address;
+  const describe = (address) => {
+    if (address === account.address) {
+      return `${address} (this wallet)`;
+    }
+    if (address === multisigAccount?.address) {
+      return `${address} (multisig, ${multisigAccount.threshold} of ${multisigAccount.members.length})`;
+    }
+    return address;
+  };
+
+  // Prepare instantiation message
+  const instantiateMsg = {
+    name,
+    symbol,
+    minter: minterAddress,
+  };
+
+  console.log("\nContract Configuration:");
+  console.log(`   Name: ${name}`);
+  console.log(`   Symbol: ${symbol}`);
+  console.log(`   Minter: ${describe(minterAddress)}`);
+  console.log(`   Admin: ${describe(adminAddress)}`);
+  console.log(`   Code ID: ${contractCodeId}`);
+  console.log(`   Label: ${label}`);
+
+  console.log("\nInstantiating contract...");
+
+  // Instantiate the contract
+  const result = await instantiateContract(
+    client,
+    account.address,
+    contractCodeId,
+    instantiateMsg,
+    label,
+    adminAddress, // The admin can migrate the contract and change its admin
+    network
+  );
+
+  // Get contract address from result
+  const contractAddress = result.contractAddress;
+
+  console.log("\n" + "=".repeat(80));
+  console.log("CONTRACT DEPLOYED SUCCESSFULLY!");
+  console.log("=".repeat(80));
+  console.log(`Contract Address: ${contractAddress}`);
+  console.log(`Explorer: ${getExplorerAddressUrl(contractAddress, network)}`);
+  console.log("=".repeat(80));
+
+  // Print transaction details
+  printTxResult(result);
+
+  console.log("\nNEXT STEPS:");
+  console.log(`   1. Add CONTRACT_ADDRESS="${contractAddress}" to your .env file`);
+  if (minterAddress === multisigAccount?.address) {
+    console.log("   2. Mint as the multisig: 'xion-nft tx prepare mint-nft --multisig <file>', then 'multisig sign' and 'multisig combine'");
+  } else {
+    console.log("   2. Use 'xion-nft nft mint' to mint your first NFT");
   }
-}
+  console.log("   3. Use 'xion-nft nft transfer' to transfer NFTs between addresses");
+  console.log("");
+
+  // Disconnect client
+  client.disconnect();
 
-// Run the script
-deployContract();
+  return result;
+}
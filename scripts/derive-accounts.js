@@ -0,0 +1,49 @@
+/**
+ * List the accounts of a mnemonic
+ * Derives consecutive HD accounts from the configured wallet (--from key or MNEMONIC), starting at
+ * --account-index or --hd-path, and prints each one's path and address. Works offline
+ */
+
+import { pathToString } from "@cosmjs/crypto";
+import { toHex } from "@cosmjs/encoding";
+import { resolveMnemonic } from "../utils/keystore.js";
+import { createWalletFromMnemonic, getHdPaths } from "../utils/helpers.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Derive and print the first accounts of the configured wallet
+ * @param {object} options - Derive options
+ * @param {number|string} options.count - Number of accounts (defaults to 5)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { accounts: [{ path, address, pubkey }] }
+ */
+export async function deriveAccounts({ count = 5, network = XION_CONFIG } = {}) {
+  const COUNT = parseInt(count);
+  if (!Number.isInteger(COUNT) || COUNT < 1 || COUNT > 1000) {
+    throw new Error(`Invalid count: ${count} (1-1000)`);
+  }
+
+  console.log("Deriving accounts...\n");
+
+  const mnemonic = await resolveMnemonic();
+  const hdPaths = getHdPaths({ count: COUNT });
+  const wallet = await createWalletFromMnemonic(mnemonic, network, { hdPaths });
+  const derived = await wallet.getAccounts();
+
+  const accounts = derived.map((account, i) => ({
+    path: pathToString(hdPaths[i]),
+    address: account.address,
+    pubkey: toHex(account.pubkey),
+  }));
+
+  console.log(`${"Path".padEnd(24)} Address`);
+  console.log("-".repeat(80));
+  for (const account of accounts) {
+    console.log(`${account.path.padEnd(24)} ${account.address}`);
+  }
+  console.log("");
+  console.log("Sign with one of them: --account-index <n> (the last path component) or --hd-path <path>");
+  console.log("");
+
+  return { accounts };
+}
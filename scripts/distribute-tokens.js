@@ -0,0 +1,302 @@
+/**
+ * Distribute XION tokens to many recipients
+ * Reads per-address amounts from a recipients file and sends them in a single
+ * MsgMultiSend or in batches of MsgSend, after previewing the total cost
+ * (amounts + simulated fees) against the wallet balance. In send mode the batches can be spread
+ * over several accounts of the wallet, which broadcast in parallel
+ */
+
+import path from "path";
+import {
+  loadWallet,
+  connectSigningClient,
+  getBalance,
+  formatXionAmount,
+  parseExactXionAmount,
+  simulateTransaction,
+  calculateFee,
+  broadcastWithRetry,
+  validateAddress,
+  getExplorerTxUrl,
+} from "../utils/helpers.js";
+import { loadManifest, chunk } from "../utils/manifest.js";
+import XION_CONFIG from "../utils/config.js";
+
+// How the transfers are packed into transactions
+export const DISTRIBUTION_MODES = ["multisend", "send"];
+
+/**
+ * Read and validate the recipients file
+ * @param {string} file - CSV or JSON file with address (or recipient) and amount (XION) columns
+ * @param {object} network - Network configuration
+ * @returns {Array<object>} Recipients ({ row, address, amount, amountUxion })
+ */
+function loadRecipients(file, network) {
+  const rows = loadManifest(file, { required: ["amount"] });
+  if (rows.length === 0) {
+    throw new Error(`Recipients file ${file} has no rows`);
+  }
+
+  const problems = [];
+  const seen = new Map();
+  const recipients = rows.map((row) => {
+    const address = row.address || row.recipient;
+    const addressError = validateAddress(address, network);
+    if (addressError) {
+      problems.push(`row ${row.row}: ${addressError}`);
+    } else if (seen.has(address)) {
+      problems.push(`row ${row.row}: ${address} is already listed in row ${seen.get(address)}`);
+    } else {
+      seen.set(address, row.row);
+    }
+
+    // Parsed as a decimal string: floating point would turn 1.005 XION into 1004999 uxion
+    let amountUxion = "0";
+    try {
+      amountUxion = parseExactXionAmount(row.amount, network);
+      if (amountUxion === "0") {
+        problems.push(`row ${row.row}: invalid amount "${row.amount}" (must be more than 0)`);
+      }
+    } catch (error) {
+      problems.push(`row ${row.row}: ${error.message}`);
+    }
+
+    return { row: row.row, address, amount: row.amount, amountUxion };
+  });
+
+  if (problems.length > 0) {
+    throw new Error(`Recipients file has ${problems.length} invalid row(s):\n   ${problems.join("\n   ")}`);
+  }
+
+  return recipients;
+}
+
+/**
+ * Send XION to every address in a recipients file
+ * @param {object} options - Distribution options
+ * @param {string} options.file - CSV or JSON recipients file (address, amount in XION)
+ * @param {string} options.mode - "multisend" (one MsgMultiSend) or "send" (batched MsgSend)
+ * @param {number|string} options.chunkSize - MsgSend messages per transaction (send mode)
+ * @param {boolean} options.dryRun - Preview the cost without sending
+ * @param {number|string} options.senders - Number of wallet accounts to send from, starting at the
+ *   selected one (send mode only, default 1); batches are dealt to them in turn
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Summary ({ mode, recipients, totalAmount, totalFee, balance, senders, transactions })
+ */
+export async function distributeTokens({
+  file,
+  mode = "multisend",
+  chunkSize = 50,
+  dryRun = false,
+  senders = 1,
+  network = XION_CONFIG,
+} = {}) {
+  console.log("Distributing XION Tokens...\n");
+
+  // Validate inputs
+  if (!file) {
+    throw new Error("Recipients file not provided. Pass --file recipients.csv or set RECIPIENTS_FILE in your .env file");
+  }
+
+  if (!DISTRIBUTION_MODES.includes(mode)) {
+    throw new Error(`Unknown mode: ${mode} (available: ${DISTRIBUTION_MODES.join(", ")})`);
+  }
+
+  const CHUNK_SIZE = parseInt(chunkSize);
+  if (!Number.isInteger(CHUNK_SIZE) || CHUNK_SIZE < 1) {
+    throw new Error(`Invalid chunk size: ${chunkSize}`);
+  }
+
+  const SENDERS = parseInt(senders);
+  if (!Number.isInteger(SENDERS) || SENDERS < 1) {
+    throw new Error(`Invalid number of senders: ${senders}`);
+  }
+  if (SENDERS > 1 && mode !== "send") {
+    throw new Error("Several senders need --mode send (a MsgMultiSend is sent by one account)");
+  }
+
+  const recipients = loadRecipients(file, network);
+  const totalAmount = recipients.reduce((sum, r) => sum + BigInt(r.amountUxion), 0n);
+
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network, { count: SENDERS });
+  const addresses = (await wallet.getAccounts()).map((account) => account.address);
+  console.log(`Wallet loaded: ${addresses.join(", ")}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  const coin = (amount) => [{ denom: network.denom, amount: amount.toString() }];
+
+  // Build the transactions ({ sender, amount, messages }); send-mode batches go to the senders in turn
+  let batches;
+  if (mode === "multisend") {
+    batches = [
+      {
+        sender: addresses[0],
+        amount: totalAmount,
+        messages: [
+          {
+            typeUrl: "/cosmos.bank.v1beta1.MsgMultiSend",
+            value: {
+              inputs: [{ address: addresses[0], coins: coin(totalAmount) }],
+              outputs: recipients.map((r) => ({ address: r.address, coins: coin(r.amountUxion) })),
+            },
+          },
+        ],
+      },
+    ];
+  } else {
+    batches = chunk(recipients, CHUNK_SIZE).map((group, i) => {
+      const sender = addresses[i % addresses.length];
+      return {
+        sender,
+        amount: group.reduce((sum, r) => sum + BigInt(r.amountUxion), 0n),
+        messages: group.map((r) => ({
+          typeUrl: "/cosmos.bank.v1beta1.MsgSend",
+          value: {
+            fromAddress: sender,
+            toAddress: r.address,
+            amount: coin(r.amountUxion),
+          },
+        })),
+      };
+    });
+  }
+
+  try {
+    // Simulate every transaction to preview the fees
+    console.log(`Simulating ${batches.length} transaction(s)...`);
+    for (const batch of batches) {
+      const gasEstimate = await simulateTransaction(client, batch.sender, batch.messages, network);
+      batch.fee = calculateFee(gasEstimate, network);
+    }
+    const totalFee = batches.reduce((sum, batch) => sum + BigInt(batch.fee.amount[0].amount), 0n);
+    const totalCost = totalAmount + totalFee;
+
+    // Each sender pays for its own batches
+    const senderCosts = [];
+    for (const address of addresses) {
+      const own = batches.filter((batch) => batch.sender === address);
+      const required = own.reduce((sum, batch) => sum + batch.amount + BigInt(batch.fee.amount[0].amount), 0n);
+      const balance = await getBalance(client, address, network);
+      senderCosts.push({ address, transactions: own.length, required, balance: balance.amount });
+    }
+    const totalBalance = senderCosts.reduce((sum, cost) => sum + BigInt(cost.balance), 0n);
+    const short = senderCosts.filter((cost) => BigInt(cost.balance) < cost.required);
+    const sufficient = short.length === 0;
+
+    console.log("\nRecipients:");
+    recipients.forEach((r) => {
+      console.log(`   ${r.address}  ${formatXionAmount(r.amountUxion, network)} XION`);
+    });
+
+    console.log("\n" + "=".repeat(80));
+    console.log("DISTRIBUTION PREVIEW");
+    console.log("=".repeat(80));
+    console.log(`Mode: ${mode === "multisend" ? "single MsgMultiSend" : `MsgSend, ${CHUNK_SIZE} per transaction`}`);
+    console.log(`Recipients: ${recipients.length}`);
+    console.log(`Transactions: ${batches.length}`);
+    console.log(`Total Amount: ${totalAmount} ${network.denom} (${formatXionAmount(totalAmount.toString(), network)} XION)`);
+    console.log(`Estimated Fees: ${totalFee} ${network.denom} (${formatXionAmount(totalFee.toString(), network)} XION)`);
+    console.log(`Total Cost: ${totalCost} ${network.denom} (${formatXionAmount(totalCost.toString(), network)} XION)`);
+    console.log(`Balance: ${totalBalance} ${network.denom} (${formatXionAmount(totalBalance.toString(), network)} XION)`);
+    if (senderCosts.length > 1) {
+      console.log("Senders:");
+      senderCosts.forEach((cost) => {
+        console.log(
+          `   ${cost.address}  ${cost.transactions} tx, needs ${cost.required} ${network.denom}, ` +
+            `has ${cost.balance} ${network.denom}`
+        );
+      });
+    }
+    console.log(`Sufficient: ${sufficient ? "Yes" : "No"}`);
+    console.log("=".repeat(80));
+
+    const summary = {
+      mode,
+      recipients: recipients.map((r) => ({ address: r.address, amount: r.amountUxion })),
+      totalAmount: totalAmount.toString(),
+      totalFee: totalFee.toString(),
+      balance: totalBalance.toString(),
+      senders: senderCosts.map((cost) => ({ ...cost, required: cost.required.toString() })),
+      transactions: [],
+    };
+
+    if (!sufficient) {
+      const shortfalls = short.map(
+        (cost) => `${cost.address} requires ${cost.required} ${network.denom}, available ${cost.balance} ${network.denom}`
+      );
+      throw new Error(`Insufficient balance: ${shortfalls.join("; ")}`);
+    }
+
+    if (dryRun) {
+      console.log("\nDry run: no transactions sent\n");
+      return summary;
+    }
+
+    // Each sender sends its batches in order and stops at its first failure; the senders run in parallel
+    const failures = [];
+    const sendBatches = async (address) => {
+      for (const batch of batches.filter((b) => b.sender === address)) {
+        const number = batches.indexOf(batch) + 1;
+        console.log(`\nSending transaction ${number}/${batches.length} (${batch.messages.length} message(s))...`);
+        const result = await broadcastWithRetry(
+          client,
+          address,
+          batch.messages,
+          batch.fee,
+          `Distribute XION to ${mode === "multisend" ? recipients.length : batch.messages.length} address(es)`,
+          { network }
+        );
+
+        if (result.code !== 0) {
+          failures.push(
+            `transaction ${number} (${result.transactionHash}) failed with code ${result.code}: ${result.rawLog}`
+          );
+          return;
+        }
+
+        summary.transactions.push(result.transactionHash);
+        console.log(`   Tx ${number}: ${result.transactionHash} (height ${result.height})`);
+        console.log(`   Explorer: ${getExplorerTxUrl(result.transactionHash, network)}`);
+      }
+    };
+    const outcomes = await Promise.allSettled(addresses.map(sendBatches));
+    const rejected = outcomes.filter((outcome) => outcome.status === "rejected").map((outcome) => outcome.reason);
+    if (rejected.length > 0 && addresses.length === 1) {
+      throw rejected[0];
+    }
+    rejected.forEach((error) => failures.push(error.message));
+
+    if (failures.length > 0) {
+      const sent = summary.transactions.length;
+      throw new Error(
+        `Distribution failed: ${failures.join("; ")}. ` +
+          `${sent} of ${batches.length} transaction(s) were sent` +
+          (sent > 0 ? ` (${summary.transactions.join(", ")}); remove those recipients before re-running.` : ".")
+      );
+    }
+
+    const newBalances = await Promise.all(addresses.map((address) => getBalance(client, address, network)));
+    const newBalance = newBalances.reduce((sum, balance) => sum + BigInt(balance.amount), 0n);
+
+    console.log("\n" + "=".repeat(80));
+    console.log("TOKENS DISTRIBUTED SUCCESSFULLY!");
+    console.log("=".repeat(80));
+    console.log(`Recipients: ${recipients.length}`);
+    console.log(`Distributed: ${totalAmount} ${network.denom} (${formatXionAmount(totalAmount.toString(), network)} XION)`);
+    console.log(`Previous Balance: ${totalBalance} ${network.denom}`);
+    console.log(`Current Balance: ${newBalance} ${network.denom}`);
+    console.log(`Recipients File: ${path.resolve(file)}`);
+    console.log("=".repeat(80));
+    console.log("");
+
+    return summary;
+  } finally {
+    client.disconnect();
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Build or update the local index of a CW721 collection
+ * Backfills mint, transfer, send and burn events with searchTx from the contract's
+ * instantiation height, then resumes from the last indexed height on every later run
+ */
+
+import { connectQueryClient, validateAddress } from "../utils/helpers.js";
+import { decodeCw721Events, searchContractTxs } from "../utils/events.js";
+import {
+  DEFAULT_INDEX_FILE,
+  openIndex,
+  getIndexedContract,
+  addIndexedContract,
+  applyIndexEvents,
+  getIndexStats,
+} from "../utils/indexer.js";
+import XION_CONFIG from "../utils/config.js";
+
+// Heights per searchTx query, to keep responses small
+const SYNC_RANGE = 5000;
+
+/**
+ * Find the height a contract was instantiated at
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} contract - Contract address
+ * @returns {Promise<number>} Instantiation height (1 for contracts created at genesis)
+ */
+async function getInstantiationHeight(client, contract) {
+  const { contractInfo } = await client.forceGetQueryClient().wasm.getContractInfo(contract);
+  if (!contractInfo) {
+    throw new Error(`Contract ${contract} not found`);
+  }
+  const height = Number(contractInfo.created?.blockHeight || 0);
+  return Math.max(height, 1);
+}
+
+/**
+ * Index a collection's events up to the latest height
+ * Each range of heights is applied in one database transaction, so an interrupted sync
+ * resumes from the last completed range
+ * @param {object} options - Sync options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.db - Index file path (defaults to xion-nft-index.db)
+ * @param {number|string} options.fromHeight - First height to index when the contract is new to the index
+ *   (defaults to its instantiation height)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { contract, db, fromHeight, indexedHeight, newEvents, stats }
+ */
+export async function syncIndex({ contract, db = DEFAULT_INDEX_FILE, fromHeight, network = XION_CONFIG } = {}) {
+  console.log("Syncing NFT Index...\n");
+
+  // Validate inputs
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+  const addressError = validateAddress(contract, network);
+  if (addressError) {
+    throw new Error(`Invalid contract address ${contract}: ${addressError}`);
+  }
+  if (fromHeight !== undefined && !/^\d+$/.test(String(fromHeight))) {
+    throw new Error(`Invalid from height: ${fromHeight}`);
+  }
+
+  const index = await openIndex(db);
+  let client = null;
+
+  try {
+    let state = getIndexedContract(index, contract);
+    if (state && state.chainId !== network.chainId) {
+      throw new Error(`Index ${db} holds ${contract} from chain ${state.chainId}, but the active network is ${network.chainId}`);
+    }
+    if (state && fromHeight !== undefined) {
+      console.log(`Contract already indexed from height ${state.startHeight}; ignoring --from-height\n`);
+    }
+
+    // Connect query client (read-only, no wallet needed)
+    console.log("Connecting to XION network...");
+    client = await connectQueryClient(network);
+    console.log(`Connected to ${network.chainId}\n`);
+
+    if (!state) {
+      const startHeight =
+        fromHeight !== undefined ? Number(fromHeight) : await getInstantiationHeight(client, contract);
+      addIndexedContract(index, { address: contract, chainId: network.chainId, startHeight });
+      state = getIndexedContract(index, contract);
+      console.log(`Added ${contract} to the index, starting at height ${startHeight}\n`);
+    }
+
+    const latestHeight = await client.getHeight();
+    const firstHeight = state.indexedHeight + 1;
+
+    console.log("Sync Details:");
+    console.log(`   Contract: ${contract}`);
+    console.log(`   Index: ${db}`);
+    console.log(`   Heights: ${firstHeight <= latestHeight ? `${firstHeight} - ${latestHeight}` : "up to date"}\n`);
+
+    let indexedHeight = state.indexedHeight;
+    let newEvents = 0;
+    while (indexedHeight < latestHeight) {
+      const to = Math.min(indexedHeight + SYNC_RANGE, latestHeight);
+      const txs = await searchContractTxs(client, contract, indexedHeight + 1, to);
+      const events = txs.flatMap((tx) =>
+        decodeCw721Events(tx.events, contract, { height: tx.height, txHash: tx.hash }).map((event) => ({
+          ...event,
+          txIndex: tx.txIndex,
+        }))
+      );
+
+      const stored = applyIndexEvents(index, contract, events, to);
+      newEvents += stored;
+      indexedHeight = to;
+      console.log(`   ... indexed through ${to} (${stored} new event(s))`);
+    }
+
+    const stats = getIndexStats(index, contract);
+
+    console.log("\n" + "=".repeat(80));
+    console.log("INDEX SYNCED");
+    console.log("=".repeat(80));
+    console.log(`Contract: ${contract}`);
+    console.log(`Indexed Height: ${indexedHeight}`);
+    console.log(`New Events: ${newEvents}`);
+    console.log(`Tokens: ${stats.tokens} (${stats.burned} burned)`);
+    console.log(`Holders: ${stats.holders}`);
+    console.log(`Events: ${stats.events}`);
+    console.log("=".repeat(80));
+    console.log("");
+
+    return {
+      contract,
+      db,
+      fromHeight: state.startHeight,
+      indexedHeight,
+      newEvents,
+      stats,
+    };
+  } finally {
+    if (client) {
+      client.disconnect();
+    }
+    index.close();
+  }
+}
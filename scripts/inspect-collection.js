@@ -0,0 +1,188 @@
+/**
+ * Inspect an NFT collection
+ * Shows contract_info, num_tokens and the minter/ownership, lists token IDs for the
+ * whole collection or one owner (paging with start_after), and can dump a snapshot of
+ * every token's owner, token_uri and extension as JSON or CSV
+ */
+
+import fs from "fs";
+import path from "path";
+import { connectQueryClient } from "../utils/helpers.js";
+import {
+  contractQuerier,
+  getAllTokenIds,
+  getOwnerTokenIds,
+  getCollectionInfo,
+} from "../utils/cw721.js";
+import { toCsv } from "../utils/manifest.js";
+import XION_CONFIG from "../utils/config.js";
+
+// Snapshot output formats
+export const SNAPSHOT_FORMATS = ["json", "csv"];
+
+// Columns of a CSV snapshot (extension is written as a JSON string)
+const SNAPSHOT_COLUMNS = ["token_id", "owner", "token_uri", "extension"];
+
+/**
+ * Write a collection snapshot
+ * JSON snapshots keep the extension as an object and carry the collection details
+ * @param {string} file - Output file path
+ * @param {string} format - "json" or "csv"
+ * @param {object} meta - Snapshot details (contract, chainId, height, collection)
+ * @param {Array<object>} tokens - Snapshot rows ({ token_id, owner, token_uri, extension })
+ * @returns {string} Resolved output path
+ */
+function writeSnapshot(file, format, meta, tokens) {
+  const filePath = path.resolve(file);
+  const content =
+    format === "json"
+      ? JSON.stringify({ ...meta, tokens }, null, 2)
+      : toCsv(
+          tokens.map((token) => ({
+            ...token,
+            extension: token.extension === null || token.extension === undefined ? "" : JSON.stringify(token.extension),
+          })),
+          SNAPSHOT_COLUMNS
+        );
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+/**
+ * Inspect a collection and optionally dump a snapshot of every token
+ * @param {object} options - Inspect options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.owner - Only list the tokens held by this address (optional)
+ * @param {string} options.output - Write a snapshot of every token to this file (optional)
+ * @param {string} options.format - Snapshot format, "json" or "csv" (defaults to the output file extension)
+ * @param {number|string} options.pageSize - Token IDs requested per page
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { contract, codeId, admin, collection, height, owner, tokenIds, snapshot }
+ */
+export async function inspectCollection({
+  contract,
+  owner,
+  output,
+  format,
+  pageSize = 100,
+  network = XION_CONFIG,
+} = {}) {
+  console.log("Inspecting NFT Collection...\n");
+
+  // Validate inputs
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+
+  const PAGE_SIZE = parseInt(pageSize);
+  if (!Number.isInteger(PAGE_SIZE) || PAGE_SIZE < 1) {
+    throw new Error(`Invalid page size: ${pageSize}`);
+  }
+
+  let snapshotFormat = null;
+  if (output) {
+    snapshotFormat = format || (path.extname(output).toLowerCase() === ".json" ? "json" : "csv");
+    if (!SNAPSHOT_FORMATS.includes(snapshotFormat)) {
+      throw new Error(`Unknown format: ${snapshotFormat} (available: ${SNAPSHOT_FORMATS.join(", ")})`);
+    }
+  }
+
+  // Connect query client (read-only, no wallet needed)
+  console.log("Connecting to XION network...");
+  const client = await connectQueryClient(network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  const query = contractQuerier(client, contract);
+  const onPage = (tokens) => console.log(`   ... ${tokens.length} token(s), last ${tokens[tokens.length - 1]}`);
+
+  try {
+    const height = await client.getHeight();
+    const contractDetails = await client.getContract(contract);
+    const collection = await getCollectionInfo(query);
+
+    console.log("=".repeat(80));
+    console.log("COLLECTION");
+    console.log("=".repeat(80));
+    console.log(`Contract: ${contract}`);
+    console.log(`Name: ${collection.name}`);
+    console.log(`Symbol: ${collection.symbol}`);
+    console.log(`Tokens: ${collection.numTokens}`);
+    console.log(`Minter: ${collection.minter || "None"}`);
+    if (collection.ownership) {
+      console.log(`Owner: ${collection.ownership.owner || "None"}`);
+      if (collection.ownership.pending_owner) {
+        console.log(`Pending Owner: ${collection.ownership.pending_owner}`);
+      }
+    }
+    console.log(`Code ID: ${contractDetails.codeId}`);
+    console.log(`Admin: ${contractDetails.admin || "None"}`);
+    console.log(`Label: ${contractDetails.label}`);
+    console.log(`Height: ${height}`);
+    console.log("=".repeat(80));
+
+    // List token IDs, for one owner or the whole collection
+    let tokenIds;
+    if (owner) {
+      console.log(`\nListing tokens owned by ${owner}...`);
+      tokenIds = await getOwnerTokenIds(query, owner, { pageSize: PAGE_SIZE, onPage });
+      console.log(`\nTokens owned by ${owner}: ${tokenIds.length}`);
+    } else {
+      console.log("\nListing all tokens...");
+      tokenIds = await getAllTokenIds(query, { pageSize: PAGE_SIZE, onPage });
+      console.log(`\nTokens listed: ${tokenIds.length}`);
+      if (tokenIds.length !== collection.numTokens) {
+        console.log(`   Warning: num_tokens reports ${collection.numTokens} (tokens minted or burned while listing?)`);
+      }
+    }
+    if (tokenIds.length > 0 && !output) {
+      console.log(`   Token IDs: ${tokenIds.join(", ")}`);
+    }
+
+    let snapshot = null;
+    if (output) {
+      console.log(`\nReading owner and metadata of ${tokenIds.length} token(s)...`);
+      const tokens = [];
+      for (const tokenId of tokenIds) {
+        const { access, info } = await query({ all_nft_info: { token_id: tokenId } });
+        tokens.push({
+          token_id: tokenId,
+          owner: access.owner,
+          token_uri: info.token_uri || "",
+          extension: info.extension ?? null,
+        });
+        if (tokens.length % 100 === 0) {
+          console.log(`   ... ${tokens.length}/${tokenIds.length}`);
+        }
+      }
+
+      const meta = {
+        contract,
+        chainId: network.chainId,
+        height,
+        timestamp: new Date().toISOString(),
+        collection,
+        ...(owner && { owner }),
+      };
+      const file = writeSnapshot(output, snapshotFormat, meta, tokens);
+      snapshot = { file, format: snapshotFormat, tokens: tokens.length };
+
+      console.log(`\nSnapshot (${snapshotFormat}) saved to: ${file}`);
+      console.log(`   Tokens may change while the snapshot is read; it reflects heights from ${height} onward`);
+    }
+
+    console.log("");
+
+    return {
+      contract,
+      codeId: contractDetails.codeId,
+      admin: contractDetails.admin || null,
+      collection,
+      height,
+      owner: owner || null,
+      tokenIds,
+      snapshot,
+    };
+  } finally {
+    client.disconnect();
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * Manage the encrypted keystore
+ * Creates, imports, lists, exports and deletes named keys. Key files hold the mnemonic encrypted
+ * with a passphrase; sign with a key by passing --from <name> to any transaction command
+ */
+
+import { DirectSecp256k1HdWallet } from "@cosmjs/proto-signing";
+import {
+  saveKey,
+  listKeys as listKeystore,
+  readKey,
+  unlockKey,
+  removeKey,
+  readPassphrase,
+  getKeystoreDir,
+} from "../utils/keystore.js";
+import { readMnemonic, assertValidMnemonic } from "../utils/mnemonic.js";
+import { ValidationError } from "../utils/errors.js";
+import { printAlways } from "../utils/output.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Print a stored key's details
+ * @param {object} key - Saved key ({ name, address, file })
+ */
+function printKeyDetails(key) {
+  console.log(`   Name: ${key.name}`);
+  console.log(`   Address: ${key.address}`);
+  console.log(`   File: ${key.file}`);
+}
+
+/**
+ * Throw if a key name is already taken, before asking for secrets
+ * @param {string} name - Key name
+ * @param {string} keystore - Keystore directory (optional)
+ */
+function assertKeyNameFree(name, keystore) {
+  let existing = null;
+  try {
+    existing = readKey(name, keystore);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      throw error;
+    }
+  }
+  if (existing) {
+    throw new ValidationError(`Key "${name}" already exists (${existing.file})`, {
+      hint: `Choose another name or remove it with 'xion-nft keys delete ${name}'`,
+    });
+  }
+}
+
+/**
+ * Generate a new 24-word mnemonic and store it encrypted under a name
+ * The mnemonic is printed once so it can be written down as a backup
+ * @param {object} options - Key options
+ * @param {string} options.name - Key name
+ * @param {string} options.keystore - Keystore directory (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { name, address, pubkey, createdAt, file }
+ */
+export async function addKey({ name, keystore, network = XION_CONFIG } = {}) {
+  console.log(`Creating key "${name}"...\n`);
+
+  assertKeyNameFree(name, keystore);
+  const wallet = await DirectSecp256k1HdWallet.generate(24, { prefix: network.addressPrefix });
+  const passphrase = await readPassphrase(name, { confirm: true });
+  const key = await saveKey(name, wallet.mnemonic, passphrase, { dir: keystore, network });
+
+  console.log("Key created and encrypted.\n");
+  // The backup is shown only here, so it is printed even with --quiet
+  printAlways([
+    "=".repeat(80),
+    "BACKUP MNEMONIC (write it down; it is the only way to recover the key):",
+    "=".repeat(80),
+    wallet.mnemonic,
+    "=".repeat(80),
+    "",
+  ]);
+  printKeyDetails(key);
+  console.log(`\nSign with it: xion-nft <command> --from ${name}`);
+  console.log("");
+
+  return key;
+}
+
+/**
+ * Store an existing mnemonic encrypted under a name
+ * The mnemonic is read from MNEMONIC when set (to move a .env wallet into the keystore),
+ * otherwise it is prompted for without echo
+ * @param {object} options - Key options
+ * @param {string} options.name - Key name
+ * @param {string} options.keystore - Keystore directory (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { name, address, pubkey, createdAt, file }
+ */
+export async function importKey({ name, keystore, network = XION_CONFIG } = {}) {
+  console.log(`Importing key "${name}"...\n`);
+
+  assertKeyNameFree(name, keystore);
+  const input = await readMnemonic();
+  if (input.source === "MNEMONIC") {
+    console.log("Using the mnemonic from MNEMONIC");
+  }
+  const mnemonic = assertValidMnemonic(input.mnemonic);
+
+  const passphrase = await readPassphrase(name, { confirm: true });
+  const key = await saveKey(name, mnemonic, passphrase, { dir: keystore, network });
+
+  const duplicates = listKeystore(keystore).filter((other) => other.address === key.address && other.name !== name);
+
+  console.log("\n" + "=".repeat(80));
+  console.log("KEY IMPORTED");
+  console.log("=".repeat(80));
+  printKeyDetails(key);
+  if (duplicates.length > 0) {
+    console.log(`   Note: same address as ${duplicates.map((other) => `"${other.name}"`).join(", ")}`);
+  }
+  console.log("=".repeat(80));
+  if (process.env.MNEMONIC) {
+    console.log("\nRemove MNEMONIC from your .env file and sign with --from " + name);
+  }
+  console.log("");
+
+  return key;
+}
+
+/**
+ * List the keys in the keystore (no passphrase needed)
+ * @param {object} options - List options
+ * @param {string} options.keystore - Keystore directory (optional)
+ * @returns {Promise<object>} { keystore, keys: [{ name, address, pubkey, createdAt, file }] }
+ */
+export async function listKeys({ keystore } = {}) {
+  const dir = getKeystoreDir(keystore);
+  const keys = listKeystore(keystore);
+
+  console.log(`Keystore: ${dir}\n`);
+  if (keys.length === 0) {
+    console.log("No keys. Create one with 'xion-nft keys add <name>' or 'xion-nft keys import <name>'");
+  } else {
+    console.log(`${"Name".padEnd(20)} ${"Address".padEnd(45)} Created`);
+    console.log("-".repeat(80));
+    for (const key of keys) {
+      console.log(`${key.name.padEnd(20)} ${key.address.padEnd(45)} ${key.createdAt.slice(0, 10)}`);
+    }
+  }
+  console.log("");
+
+  return { keystore: dir, keys };
+}
+
+/**
+ * Decrypt a key and print its mnemonic
+ * @param {object} options - Export options
+ * @param {string} options.name - Key name
+ * @param {string} options.keystore - Keystore directory (optional)
+ * @returns {Promise<object>} { name, address, mnemonic }
+ */
+export async function exportKey({ name, keystore } = {}) {
+  const key = readKey(name, keystore);
+  const mnemonic = await unlockKey(name, { dir: keystore });
+
+  console.log("\n" + "=".repeat(80));
+  console.log(`MNEMONIC OF "${name}" (Keep this secure and private!):`);
+  console.log("=".repeat(80));
+  console.log(mnemonic);
+  console.log("=".repeat(80));
+  console.log(`Address: ${key.address}`);
+  console.log("");
+
+  return { name, address: key.address, mnemonic };
+}
+
+/**
+ * Delete a key
+ * The passphrase is asked first so a mistyped name cannot remove the wrong key; --force skips it
+ * (for a key whose passphrase is lost)
+ * @param {object} options - Delete options
+ * @param {string} options.name - Key name
+ * @param {boolean} options.force - Delete without unlocking the key first
+ * @param {string} options.keystore - Keystore directory (optional)
+ * @returns {Promise<object>} { name, address, file }
+ */
+export async function deleteKey({ name, force = false, keystore } = {}) {
+  const key = readKey(name, keystore);
+  if (!force) {
+    await unlockKey(name, { dir: keystore });
+  }
+  const file = removeKey(name, keystore);
+
+  console.log(`Deleted key "${name}" (${key.address})`);
+  console.log(`   Removed: ${file}`);
+  console.log("");
+
+  return { name, address: key.address, file };
+}
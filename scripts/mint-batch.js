@@ -0,0 +1,326 @@
+/**
+ * Mint NFTs in bulk from a CSV or JSON manifest
+ * Packs several mint messages into each transaction, skips token IDs that already
+ * exist on the contract and records progress in a journal so an interrupted run
+ * can be resumed without minting anything twice
+ */
+
+import path from "path";
+import { toUtf8 } from "@cosmjs/encoding";
+import {
+  loadWallet,
+  getFirstAccount,
+  connectSigningClient,
+  queryContract,
+  simulateTransaction,
+  calculateFee,
+  signAndBroadcastWithHash,
+  waitForTransaction,
+  getExplorerTxUrl,
+  validateAddress,
+} from "../utils/helpers.js";
+import {
+  loadManifest,
+  hashFile,
+  defaultJournalPath,
+  loadJournal,
+  saveJournal,
+  chunk,
+} from "../utils/manifest.js";
+import { isNotFoundError } from "../utils/errors.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Check whether a token ID is already minted
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} contract - NFT contract address
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<boolean>} True if nft_info returns the token
+ */
+async function tokenExists(client, contract, tokenId) {
+  try {
+    await queryContract(client, contract, { nft_info: { token_id: tokenId } });
+    return true;
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Settle a transaction left pending by an interrupted run
+ * @param {SigningCosmWasmClient} client - Signing client
+ * @param {object} journal - Progress journal
+ * @returns {Promise<void>}
+ */
+async function reconcilePending(client, journal) {
+  const { txHash, tokenIds } = journal.pending;
+  console.log(`Checking transaction ${txHash} from the interrupted run...`);
+
+  let tx = null;
+  try {
+    // Give a transaction that was still in the mempool a few blocks to land
+    tx = await waitForTransaction(client, txHash, 15, 1000);
+  } catch (error) {
+    tx = null;
+  }
+
+  if (tx && tx.code === 0) {
+    console.log(`   Included at height ${tx.height}; marking ${tokenIds.length} token(s) as minted`);
+    for (const tokenId of tokenIds) {
+      journal.completed[tokenId] = { txHash, height: tx.height };
+    }
+  } else if (tx) {
+    console.log(`   Failed with code ${tx.code}; the tokens will be retried`);
+  } else {
+    console.log("   Not found on chain; the tokens will be re-checked and retried");
+  }
+
+  journal.pending = null;
+}
+
+/**
+ * Mint every token in a manifest
+ * @param {object} options - Batch options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.manifest - CSV or JSON manifest with token_id, owner and token_uri columns
+ * @param {number|string} options.chunkSize - Mint messages per transaction
+ * @param {number|string} options.maxGas - Split a chunk when its simulated gas exceeds this
+ * @param {string} options.journal - Progress journal path (defaults to <manifest>.progress.json)
+ * @param {boolean} options.dryRun - Check the manifest and existing tokens without minting
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Summary ({ minted, existing, alreadyDone, transactions, journal })
+ */
+export async function mintBatch({
+  contract,
+  manifest,
+  chunkSize = 20,
+  maxGas = 4000000,
+  journal: journalFile,
+  dryRun = false,
+  network = XION_CONFIG,
+} = {}) {
+  console.log("Batch Minting NFTs...\n");
+
+  // Validate inputs
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+
+  if (!manifest) {
+    throw new Error("Manifest not provided. Pass --manifest tokens.csv");
+  }
+
+  const CHUNK_SIZE = parseInt(chunkSize);
+  const MAX_GAS = parseInt(maxGas);
+  if (!Number.isInteger(CHUNK_SIZE) || CHUNK_SIZE < 1) {
+    throw new Error(`Invalid chunk size: ${chunkSize}`);
+  }
+  if (!Number.isInteger(MAX_GAS) || MAX_GAS < 1) {
+    throw new Error(`Invalid max gas: ${maxGas}`);
+  }
+
+  const rows = loadManifest(manifest, { required: ["token_id"] });
+  if (rows.length === 0) {
+    throw new Error(`Manifest ${manifest} has no rows`);
+  }
+
+  const seen = new Map();
+  for (const row of rows) {
+    if (seen.has(row.token_id)) {
+      throw new Error(
+        `Token ID "${row.token_id}" appears twice in the manifest (rows ${seen.get(row.token_id)} and ${row.row})`
+      );
+    }
+    seen.set(row.token_id, row.row);
+  }
+
+  // An empty owner mints to the wallet; anything else must be an address on this network
+  const badOwners = rows
+    .filter((row) => row.owner)
+    .map((row) => ({ row, error: validateAddress(row.owner, network) }))
+    .filter(({ error }) => error);
+  if (badOwners.length > 0) {
+    throw new Error(
+      `Invalid owner in the manifest:\n` +
+        badOwners.map(({ row, error }) => `   row ${row.row} (${row.token_id}): ${row.owner}: ${error}`).join("\n")
+    );
+  }
+
+  const journalPath = journalFile ? path.resolve(journalFile) : defaultJournalPath(manifest);
+  const journal = loadJournal(journalPath, {
+    operation: "mint-batch",
+    contract,
+    chainId: network.chainId,
+  });
+
+  const manifestHash = hashFile(manifest);
+  if (journal.manifestHash && journal.manifestHash !== manifestHash) {
+    console.log("Note: the manifest changed since the journal was written; tokens already minted stay skipped\n");
+  }
+  journal.manifestHash = manifestHash;
+
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  console.log("Batch Details:");
+  console.log(`   Contract: ${contract}`);
+  console.log(`   Manifest: ${path.resolve(manifest)} (${rows.length} tokens)`);
+  console.log(`   Journal: ${journalPath}`);
+  console.log(`   Chunk Size: ${CHUNK_SIZE} mints per transaction (max gas ${MAX_GAS})`);
+
+  try {
+    if (journal.pending) {
+      console.log("");
+      await reconcilePending(client, journal);
+      if (!dryRun) {
+        saveJournal(journalPath, journal);
+      }
+    }
+
+    const alreadyDone = rows.filter((row) => journal.completed[row.token_id]);
+
+    // Pre-check which tokens already exist on the contract
+    console.log(`\nChecking ${rows.length - alreadyDone.length} token ID(s) against the contract...`);
+    const existing = [];
+    const toMint = [];
+    for (const row of rows) {
+      if (journal.completed[row.token_id]) {
+        continue;
+      }
+      if (await tokenExists(client, contract, row.token_id)) {
+        existing.push(row);
+      } else {
+        toMint.push(row);
+      }
+    }
+
+    console.log(`   Already minted by this journal: ${alreadyDone.length}`);
+    console.log(`   Already exist on the contract: ${existing.length}`);
+    if (existing.length > 0) {
+      console.log(`      ${existing.map((row) => row.token_id).join(", ")}`);
+    }
+    console.log(`   To mint: ${toMint.length}`);
+
+    if (dryRun || toMint.length === 0) {
+      console.log(dryRun ? "\nDry run: no transactions sent\n" : "\nNothing to mint\n");
+      return {
+        minted: [],
+        existing: existing.map((row) => row.token_id),
+        alreadyDone: alreadyDone.map((row) => row.token_id),
+        pending: toMint.map((row) => row.token_id),
+        transactions: [],
+        journal: journalPath,
+      };
+    }
+
+    const toMessage = (row) => ({
+      typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
+      value: {
+        sender: account.address,
+        contract,
+        msg: toUtf8(
+          JSON.stringify({
+            mint: {
+              token_id: row.token_id,
+              owner: row.owner || account.address,
+              token_uri: row.token_uri || null,
+            },
+          })
+        ),
+        funds: [],
+      },
+    });
+
+    const minted = [];
+    const transactions = [];
+    const queue = chunk(toMint, CHUNK_SIZE);
+
+    while (queue.length > 0) {
+      const batch = queue.shift();
+      const messages = batch.map(toMessage);
+      const tokenIds = batch.map((row) => row.token_id);
+
+      const gasEstimate = await simulateTransaction(client, account.address, messages, network);
+      if (gasEstimate > MAX_GAS && batch.length > 1) {
+        // Too large for one transaction: split it and try the halves
+        const half = Math.ceil(batch.length / 2);
+        console.log(`\nChunk of ${batch.length} needs ${gasEstimate} gas (max ${MAX_GAS}); splitting`);
+        queue.unshift(batch.slice(0, half), batch.slice(half));
+        continue;
+      }
+
+      const fee = calculateFee(gasEstimate, network);
+      console.log(`\nMinting ${tokenIds.length} token(s): ${tokenIds[0]} .. ${tokenIds[tokenIds.length - 1]}`);
+      console.log(`   Gas: ${gasEstimate}, Fee: ${fee.amount[0].amount} ${fee.amount[0].denom}`);
+
+      const result = await signAndBroadcastWithHash(
+        client,
+        account.address,
+        messages,
+        fee,
+        `Batch mint ${tokenIds.length} NFT(s)`,
+        (txHash) => {
+          journal.pending = { txHash, tokenIds, submittedAt: new Date().toISOString() };
+          saveJournal(journalPath, journal);
+        },
+        network
+      );
+
+      if (result.code !== 0) {
+        journal.pending = null;
+        saveJournal(journalPath, journal);
+        throw new Error(
+          `Mint transaction ${result.transactionHash} failed with code ${result.code}: ${result.rawLog}. ` +
+            `${minted.length} token(s) were minted before the failure; re-run the same command to resume.`
+        );
+      }
+
+      for (const row of batch) {
+        journal.completed[row.token_id] = { txHash: result.transactionHash, height: result.height };
+        minted.push({ tokenId: row.token_id, owner: row.owner || account.address, txHash: result.transactionHash });
+      }
+      journal.pending = null;
+      saveJournal(journalPath, journal);
+      transactions.push(result.transactionHash);
+
+      console.log(`   Tx: ${result.transactionHash} (height ${result.height})`);
+      console.log(`   Progress: ${alreadyDone.length + minted.length}/${rows.length - existing.length}`);
+    }
+
+    console.log("\n" + "=".repeat(80));
+    console.log("BATCH MINT COMPLETE");
+    console.log("=".repeat(80));
+    console.log(`Minted: ${minted.length}`);
+    console.log(`Skipped (already existed): ${existing.length}`);
+    console.log(`Skipped (minted in an earlier run): ${alreadyDone.length}`);
+    console.log(`Transactions: ${transactions.length}`);
+    transactions.forEach((hash) => {
+      console.log(`   ${getExplorerTxUrl(hash, network)}`);
+    });
+    console.log(`Journal: ${journalPath}`);
+    console.log("=".repeat(80));
+    console.log("");
+
+    return {
+      minted,
+      existing: existing.map((row) => row.token_id),
+      alreadyDone: alreadyDone.map((row) => row.token_id),
+      pending: [],
+      transactions,
+      journal: journalPath,
+    };
+  } finally {
+    client.disconnect();
+  }
+}
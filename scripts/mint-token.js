@@ -9,166 +9,202 @@ import {
   getFirstAccount,
   connectSigningClient,
   executeContract,
-  printTxResult,
-  handleError,
+  validateAddress,
+  getExplorerTxUrl,
 } from "../utils/helpers.js";
+import { executeContractWithAuthz } from "../utils/authz.js";
+import { printTxResult } from "../utils/output.js";
+import { ValidationError } from "../utils/errors.js";
 import XION_CONFIG from "../utils/config.js";
 
-async function mintToken() {
-  try {
-    // Configuration - Can be passed as environment variables or command line args
-    const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-    const TOKEN_ID = process.env.TOKEN_ID || process.argv[2] || "1";
-    const OWNER_ADDRESS = process.env.OWNER_ADDRESS || process.argv[3]; // Optional, defaults to minter
-    const TOKEN_URI = process.env.TOKEN_URI || process.argv[4] || "ipfs://QmExample...";
-    const TOKEN_NAME = process.env.TOKEN_NAME || "NFT #" + TOKEN_ID;
-    const TOKEN_DESCRIPTION = process.env.TOKEN_DESCRIPTION || "An NFT from my collection";
-    const TOKEN_IMAGE = process.env.TOKEN_IMAGE || TOKEN_URI;
-
-    // Metadata storage mode: "onchain" or "offchain" (default: onchain)
-    const METADATA_STORAGE = (process.env.METADATA_STORAGE || "onchain").toLowerCase();
-
-    // Additional metadata attributes (for on-chain storage)
-    const TOKEN_ATTRIBUTES = process.env.TOKEN_ATTRIBUTES; // JSON string of attributes
-
-    console.log("Minting new NFT...\n");
-
-    // Validate contract address
-    if (!CONTRACT_ADDRESS) {
-      console.error("Error: CONTRACT_ADDRESS not set!");
-      console.log("   Please set CONTRACT_ADDRESS in your .env file");
-      console.log("   Or run: export CONTRACT_ADDRESS=xion1...");
-      return;
+/**
+ * Mint a single NFT
+ * @param {object} options - Mint options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.tokenId - Token ID to mint
+ * @param {string} options.owner - Owner address (optional, defaults to minter)
+ * @param {string} options.tokenUri - Metadata URI
+ * @param {string} options.tokenName - Token name (optional)
+ * @param {string} options.description - Token description (optional)
+ * @param {string} options.image - Token image URI (optional, defaults to token URI)
+ * @param {string} options.attributes - JSON string of attributes (optional)
+ * @param {string} options.animationUrl - Animation URL (optional)
+ * @param {string} options.externalUrl - External URL (optional)
+ * @param {string} options.backgroundColor - Background color (optional)
+ * @param {string} options.storage - Metadata storage mode: "onchain" or "offchain"
+ * @param {string} options.authzGranter - Mint on behalf of this minter address with an authz grant (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function mintToken({
+  contract,
+  tokenId = "1",
+  owner,
+  tokenUri = "ipfs://QmExample...",
+  tokenName,
+  description = "An NFT from my collection",
+  image,
+  attributes,
+  animationUrl,
+  externalUrl,
+  backgroundColor,
+  storage = "onchain",
+  authzGranter,
+  network = XION_CONFIG,
+} = {}) {
+  const TOKEN_NAME = tokenName || "NFT #" + tokenId;
+  const TOKEN_IMAGE = image || tokenUri;
+
+  // Metadata storage mode: "onchain" or "offchain" (default: onchain)
+  const METADATA_STORAGE = storage.toLowerCase();
+
+  console.log("Minting new NFT...\n");
+
+  // Validate contract address
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+  if (authzGranter) {
+    const addressError = validateAddress(authzGranter, network);
+    if (addressError) {
+      throw new ValidationError(`Invalid authz granter address ${authzGranter}: ${addressError}`);
     }
+  }
 
-    // Load wallet
-    console.log("Loading wallet from environment...");
-    const wallet = await loadWallet();
-    const account = await getFirstAccount(wallet);
-    console.log(`Wallet loaded: ${account.address}\n`);
-
-    // Connect signing client
-    console.log("Connecting to XION network...");
-    const client = await connectSigningClient(wallet);
-    console.log(`Connected to ${XION_CONFIG.chainId}\n`);
-
-    // Determine owner (defaults to minter if not specified)
-    const ownerAddress = OWNER_ADDRESS || account.address;
-
-    // Prepare storage info for display
-    let storageInfo;
-    let extension = null; // Store for display purposes only
-
-    if (METADATA_STORAGE === "onchain") {
-      // Note: This contract (Code ID 525) doesn't support inline extension in mint
-      // Metadata must be stored via token_uri (IPFS or HTTP endpoint)
-      // The "onchain" mode here means token_uri points to on-chain queryable metadata
-      extension = {
-        name: TOKEN_NAME,
-        description: TOKEN_DESCRIPTION,
-        image: TOKEN_IMAGE,
-      };
-
-      // Add attributes if provided
-      if (TOKEN_ATTRIBUTES) {
-        try {
-          extension.attributes = JSON.parse(TOKEN_ATTRIBUTES);
-        } catch (e) {
-          console.log("Warning: Could not parse TOKEN_ATTRIBUTES JSON, skipping attributes");
-        }
-      }
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  // With an authz grant the contract sees the granter as sender, so the granter is the minter
+  const minterAddress = authzGranter || account.address;
+
+  // Determine owner (defaults to minter if not specified)
+  const ownerAddress = owner || minterAddress;
+
+  // Prepare storage info for display
+  let storageInfo;
+  let extension = null; // Store for display purposes only
+
+  if (METADATA_STORAGE === "onchain") {
+    // Note: This contract (Code ID 525) doesn't support inline extension in mint
+    // Metadata must be stored via token_uri (IPFS or HTTP endpoint)
+    // The "onchain" mode here means token_uri points to on-chain queryable metadata
+    extension = {
+      name: TOKEN_NAME,
+      description,
+      image: TOKEN_IMAGE,
+    };
 
-      // Add any other metadata fields
-      if (process.env.TOKEN_ANIMATION_URL) {
-        extension.animation_url = process.env.TOKEN_ANIMATION_URL;
-      }
-      if (process.env.TOKEN_EXTERNAL_URL) {
-        extension.external_url = process.env.TOKEN_EXTERNAL_URL;
-      }
-      if (process.env.TOKEN_BACKGROUND_COLOR) {
-        extension.background_color = process.env.TOKEN_BACKGROUND_COLOR;
+    // Add attributes if provided
+    if (attributes) {
+      try {
+        extension.attributes = JSON.parse(attributes);
+      } catch (e) {
+        console.log("Warning: Could not parse TOKEN_ATTRIBUTES JSON, skipping attributes");
       }
+    }
 
-      storageInfo = "METADATA VIA TOKEN_URI (This contract uses token_uri for all metadata)";
-    } else {
-      storageInfo = "OFF-CHAIN (Metadata stored on IPFS: " + TOKEN_URI + ")";
+    // Add any other metadata fields
+    if (animationUrl) {
+      extension.animation_url = animationUrl;
+    }
+    if (externalUrl) {
+      extension.external_url = externalUrl;
+    }
+    if (backgroundColor) {
+      extension.background_color = backgroundColor;
     }
 
-    // Prepare mint message - Code ID 525 doesn't support extension field in mint
-    // All metadata must come from token_uri
-    const mintMsg = {
-      mint: {
-        token_id: TOKEN_ID,
-        owner: ownerAddress,
-        token_uri: TOKEN_URI,
-      },
-    };
+    storageInfo = "METADATA VIA TOKEN_URI (This contract uses token_uri for all metadata)";
+  } else {
+    storageInfo = "OFF-CHAIN (Metadata stored on IPFS: " + tokenUri + ")";
+  }
 
-    console.log("NFT Details:");
-    console.log(`   Contract: ${CONTRACT_ADDRESS}`);
-    console.log(`   Token ID: ${TOKEN_ID}`);
-    console.log(`   Owner: ${ownerAddress}`);
-    console.log(`   Storage Mode: ${METADATA_STORAGE.toUpperCase()}`);
-    console.log(`   ${storageInfo}`);
-    if (METADATA_STORAGE === "onchain") {
-      console.log(`   Name: ${TOKEN_NAME}`);
-      console.log(`   Description: ${TOKEN_DESCRIPTION}`);
-      console.log(`   Image: ${TOKEN_IMAGE}`);
-      if (extension.attributes) {
-        console.log(`   Attributes: ${JSON.stringify(extension.attributes)}`);
-      }
-    }
-    console.log(`   Token URI: ${TOKEN_URI}`);
-
-    console.log("\nMinting NFT...");
-
-    // Execute mint transaction
-    const result = await executeContract(
-      client,
-      account.address,
-      CONTRACT_ADDRESS,
-      mintMsg,
-      `Minted NFT #${TOKEN_ID}`
-    );
-
-    console.log("\n" + "=".repeat(80));
-    console.log("NFT MINTED SUCCESSFULLY!");
-    console.log("=".repeat(80));
-    console.log(`Token ID: ${TOKEN_ID}`);
-    console.log(`Owner: ${ownerAddress}`);
-    console.log(`Contract: ${CONTRACT_ADDRESS}`);
-    console.log(`Storage: ${METADATA_STORAGE.toUpperCase()}`);
-    console.log(`Explorer: https://www.mintscan.io/xion-testnet/tx/${result.transactionHash}`);
-    console.log("=".repeat(80));
-
-    // Print transaction details
-    printTxResult(result);
-
-    console.log("\nMETADATA STORAGE:");
-    if (METADATA_STORAGE === "onchain") {
-      console.log("   All metadata is stored ON-CHAIN in the contract");
-      console.log("   Metadata can be queried directly from the contract");
-      console.log("   No external dependencies (IPFS not required)");
-    } else {
-      console.log("   Metadata is stored OFF-CHAIN on IPFS");
-      console.log("   Token URI: " + TOKEN_URI);
-      console.log("   Contract stores only the IPFS reference");
-      console.log("   Wallets/apps will fetch metadata from IPFS");
+  // Prepare mint message - Code ID 525 doesn't support extension field in mint
+  // All metadata must come from token_uri
+  const mintMsg = {
+    mint: {
+      token_id: tokenId,
+      owner: ownerAddress,
+      token_uri: tokenUri,
+    },
+  };
+
+  console.log("NFT Details:");
+  console.log(`   Contract: ${contract}`);
+  console.log(`   Token ID: ${tokenId}`);
+  console.log(`   Owner: ${ownerAddress}`);
+  if (authzGranter) {
+    console.log(`   Minter: ${authzGranter} (authz grant, signed by ${account.address})`);
+  }
+  console.log(`   Storage Mode: ${METADATA_STORAGE.toUpperCase()}`);
+  console.log(`   ${storageInfo}`);
+  if (METADATA_STORAGE === "onchain") {
+    console.log(`   Name: ${TOKEN_NAME}`);
+    console.log(`   Description: ${description}`);
+    console.log(`   Image: ${TOKEN_IMAGE}`);
+    if (extension.attributes) {
+      console.log(`   Attributes: ${JSON.stringify(extension.attributes)}`);
     }
+  }
+  console.log(`   Token URI: ${tokenUri}`);
+
+  console.log("\nMinting NFT...");
+
+  // Execute mint transaction (wrapped in MsgExec when minting for an authz granter)
+  const result = authzGranter
+    ? await executeContractWithAuthz(
+        client,
+        account.address,
+        authzGranter,
+        contract,
+        mintMsg,
+        `Minted NFT #${tokenId}`,
+        [],
+        network
+      )
+    : await executeContract(client, account.address, contract, mintMsg, `Minted NFT #${tokenId}`, [], network);
+
+  console.log("\n" + "=".repeat(80));
+  console.log("NFT MINTED SUCCESSFULLY!");
+  console.log("=".repeat(80));
+  console.log(`Token ID: ${tokenId}`);
+  console.log(`Owner: ${ownerAddress}`);
+  console.log(`Contract: ${contract}`);
+  console.log(`Storage: ${METADATA_STORAGE.toUpperCase()}`);
+  console.log(`Explorer: ${getExplorerTxUrl(result.transactionHash, network)}`);
+  console.log("=".repeat(80));
+
+  // Print transaction details
+  printTxResult(result);
+
+  console.log("\nMETADATA STORAGE:");
+  if (METADATA_STORAGE === "onchain") {
+    console.log("   All metadata is stored ON-CHAIN in the contract");
+    console.log("   Metadata can be queried directly from the contract");
+    console.log("   No external dependencies (IPFS not required)");
+  } else {
+    console.log("   Metadata is stored OFF-CHAIN on IPFS");
+    console.log("   Token URI: " + tokenUri);
+    console.log("   Contract stores only the IPFS reference");
+    console.log("   Wallets/apps will fetch metadata from IPFS");
+  }
 
-    console.log("\nNEXT STEPS:");
-    console.log("   1. Use verify-ownership.js to verify the NFT owner");
-    console.log("   2. Use transfer-nft.js to transfer the NFT to another address");
-    console.log("   3. Query NFT metadata using the contract address and token ID");
-    console.log("");
+  console.log("\nNEXT STEPS:");
+  console.log("   1. Use 'xion-nft nft verify' to verify the NFT owner");
+  console.log("   2. Use 'xion-nft nft transfer' to transfer the NFT to another address");
+  console.log("   3. Query NFT metadata using the contract address and token ID");
+  console.log("");
 
-    // Disconnect client
-    client.disconnect();
+  // Disconnect client
+  client.disconnect();
 
-  } catch (error) {
-    handleError(error);
-  }
+  return result;
 }
-
-// Run the script
-mintToken();
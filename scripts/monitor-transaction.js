@@ -7,171 +7,130 @@ import {
   connectQueryClient,
   getTransaction,
   waitForTransaction,
-  formatXionAmount,
-  handleError,
+  getExplorerTxUrl,
 } from "../utils/helpers.js";
+import { decodeTxBytes, describeMessage, formatCoin, createDecoderRegistry } from "../utils/messages.js";
 import XION_CONFIG from "../utils/config.js";
 
-async function monitorTransaction() {
-  try {
-    // Configuration - Can be passed as environment variable or command line arg
-    const TX_HASH = process.env.TX_HASH || process.argv[2];
-    const WAIT_FOR_TX = process.env.WAIT === "true" || process.argv[3] === "--wait";
-
-    console.log("Monitoring Transaction...\n");
-
-    // Validate input
-    if (!TX_HASH) {
-      console.error("Error: Transaction hash not provided!");
-      console.log("   Usage: npm run monitor-tx <transaction_hash> [--wait]");
-      console.log("   Or set TX_HASH in .env file");
-      console.log("\n   Options:");
-      console.log("     --wait: Wait for transaction to be indexed if not found immediately");
-      return;
-    }
+/**
+ * Look up a transaction by hash and print its status, messages, events and fee
+ * @param {object} options - Monitor options
+ * @param {string} options.hash - Transaction hash
+ * @param {boolean} options.wait - Wait for the transaction to be indexed
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object|null>} Indexed transaction, or null if not found
+ */
+export async function monitorTransaction({ hash, wait = false, network = XION_CONFIG } = {}) {
+  console.log("Monitoring Transaction...\n");
 
-    // Connect query client (read-only)
-    console.log("Connecting to XION network...");
-    const client = await connectQueryClient();
-    console.log(`Connected to ${XION_CONFIG.chainId}\n`);
+  // Validate input
+  if (!hash) {
+    throw new Error("Transaction hash not provided. Pass --hash or set TX_HASH in your .env file");
+  }
 
-    console.log("Query Details:");
-    console.log(`   Transaction Hash: ${TX_HASH}`);
-    console.log(`   Wait for indexing: ${WAIT_FOR_TX ? "Yes" : "No"}`);
+  // Connect query client (read-only)
+  console.log("Connecting to XION network...");
+  const client = await connectQueryClient(network);
+  console.log(`Connected to ${network.chainId}\n`);
 
-    console.log("\nFetching transaction...");
+  console.log("Query Details:");
+  console.log(`   Transaction Hash: ${hash}`);
+  console.log(`   Wait for indexing: ${wait ? "Yes" : "No"}`);
 
-    // Get transaction
-    let tx;
-    if (WAIT_FOR_TX) {
-      console.log("   Waiting for transaction to be indexed (max 20 attempts)...");
-      tx = await waitForTransaction(client, TX_HASH);
-    } else {
-      tx = await getTransaction(client, TX_HASH);
-    }
+  console.log("\nFetching transaction...");
 
-    if (!tx) {
-      console.log("\nTransaction not found!");
-      console.log("   The transaction may not be indexed yet.");
-      console.log("   Try running with --wait flag to wait for indexing:");
-      console.log(`   npm run monitor-tx ${TX_HASH} --wait`);
-      return;
-    }
+  // Get transaction
+  let tx;
+  if (wait) {
+    console.log("   Waiting for transaction to be indexed (max 20 attempts)...");
+    tx = await waitForTransaction(client, hash);
+  } else {
+    tx = await getTransaction(client, hash);
+  }
 
-    console.log("\n" + "=".repeat(80));
-    console.log("TRANSACTION FOUND");
-    console.log("=".repeat(80));
-    console.log(`Hash: ${tx.hash}`);
-    console.log(`Height: ${tx.height}`);
-    console.log(`Gas Used: ${tx.gasUsed}`);
-    console.log(`Gas Wanted: ${tx.gasWanted}`);
-    console.log(`Explorer: https://www.mintscan.io/xion-testnet/tx/${tx.hash}`);
-
-    // Check transaction result
-    if (tx.code === 0) {
-      console.log(`Status: SUCCESS`);
-    } else {
-      console.log(`Status: FAILED (Code: ${tx.code})`);
-      if (tx.rawLog) {
-        console.log(`Error Log: ${tx.rawLog}`);
-      }
+  if (!tx) {
+    console.log("\nTransaction not found!");
+    console.log("   The transaction may not be indexed yet.");
+    console.log("   Try running with --wait flag to wait for indexing:");
+    console.log(`   xion-nft tx monitor ${hash} --wait`);
+    client.disconnect();
+    return null;
+  }
+
+  console.log("\n" + "=".repeat(80));
+  console.log("TRANSACTION FOUND");
+  console.log("=".repeat(80));
+  console.log(`Hash: ${tx.hash}`);
+  console.log(`Height: ${tx.height}`);
+  console.log(`Gas Used: ${tx.gasUsed}`);
+  console.log(`Gas Wanted: ${tx.gasWanted}`);
+  console.log(`Explorer: ${getExplorerTxUrl(tx.hash, network)}`);
+
+  // Check transaction result
+  if (tx.code === 0) {
+    console.log(`Status: SUCCESS`);
+  } else {
+    console.log(`Status: FAILED (Code: ${tx.code})`);
+    if (tx.rawLog) {
+      console.log(`Error Log: ${tx.rawLog}`);
     }
+  }
 
-    console.log("=".repeat(80));
-
-    // Parse transaction details
-    if (tx.tx && tx.tx.body && tx.tx.body.messages) {
-      console.log("\nTransaction Messages:");
-      tx.tx.body.messages.forEach((msg, i) => {
-        console.log(`\n   Message ${i + 1}:`);
-        console.log(`     Type: ${msg["@type"] || msg.typeUrl}`);
-
-        // Display message-specific details
-        if (msg["@type"]?.includes("MsgSend") || msg.typeUrl?.includes("MsgSend")) {
-          console.log(`     From: ${msg.fromAddress || msg.from_address}`);
-          console.log(`     To: ${msg.toAddress || msg.to_address}`);
-          if (msg.amount && msg.amount.length > 0) {
-            msg.amount.forEach((coin) => {
-              const formattedAmount = formatXionAmount(coin.amount);
-              console.log(`     Amount: ${coin.amount} ${coin.denom} (${formattedAmount} XION)`);
-            });
-          }
-        } else if (msg["@type"]?.includes("MsgExecuteContract") || msg.typeUrl?.includes("MsgExecuteContract")) {
-          console.log(`     Sender: ${msg.sender}`);
-          console.log(`     Contract: ${msg.contract}`);
-          if (msg.msg) {
-            try {
-              const msgContent = typeof msg.msg === "string" ? JSON.parse(msg.msg) : msg.msg;
-              console.log(`     Message: ${JSON.stringify(msgContent, null, 2)}`);
-            } catch (e) {
-              console.log(`     Message: ${JSON.stringify(msg.msg)}`);
-            }
-          }
-          if (msg.funds && msg.funds.length > 0) {
-            console.log(`     Funds: ${JSON.stringify(msg.funds)}`);
-          }
-        } else if (msg["@type"]?.includes("MsgInstantiateContract") || msg.typeUrl?.includes("MsgInstantiateContract")) {
-          console.log(`     Sender: ${msg.sender}`);
-          console.log(`     Code ID: ${msg.codeId || msg.code_id}`);
-          console.log(`     Label: ${msg.label}`);
-          if (msg.admin) {
-            console.log(`     Admin: ${msg.admin}`);
-          }
-        }
-      });
+  console.log("=".repeat(80));
 
-      if (tx.tx.body.memo) {
-        console.log(`\nMemo: ${tx.tx.body.memo}`);
-      }
-    }
+  // Decode the transaction body (messages, memo) and fee from the raw bytes
+  const registry = createDecoderRegistry();
+  const decoded = decodeTxBytes(tx.tx, registry);
+
+  console.log("\nTransaction Messages:");
+  decoded.messages.forEach((msg, i) => {
+    const { fields } = describeMessage(msg, network, registry);
+    console.log(`\n   Message ${i + 1}:`);
+    console.log(`     Type: ${msg.typeUrl}`);
+    fields.forEach(([label, value]) => {
+      console.log(`     ${label}: ${value}`);
+    });
+  });
 
-    // Parse events/logs
-    if (tx.events && tx.events.length > 0) {
-      console.log("\nTransaction Events:");
-      tx.events.forEach((event, i) => {
-        console.log(`\n   Event ${i + 1}: ${event.type}`);
-        event.attributes.forEach((attr) => {
-          console.log(`     ${attr.key}: ${attr.value}`);
-        });
+  if (decoded.memo) {
+    console.log(`\nMemo: ${decoded.memo}`);
+  }
+
+  // Parse events/logs
+  if (tx.events && tx.events.length > 0) {
+    console.log("\nTransaction Events:");
+    tx.events.forEach((event, i) => {
+      console.log(`\n   Event ${i + 1}: ${event.type}`);
+      event.attributes.forEach((attr) => {
+        console.log(`     ${attr.key}: ${attr.value}`);
       });
-    }
+    });
+  }
 
-    // Calculate fee
-    if (tx.tx && tx.tx.authInfo && tx.tx.authInfo.fee) {
-      const fee = tx.tx.authInfo.fee;
-      if (fee.amount && fee.amount.length > 0) {
-        console.log("\nTransaction Fee:");
-        fee.amount.forEach((coin) => {
-          const formattedFee = formatXionAmount(coin.amount);
-          console.log(`   ${coin.amount} ${coin.denom} (${formattedFee} XION)`);
-        });
-      }
-      if (fee.gasLimit) {
-        console.log(`   Gas Limit: ${fee.gasLimit}`);
-      }
-    }
+  // Transaction fee
+  if (decoded.fee.amount.length > 0) {
+    console.log("\nTransaction Fee:");
+    decoded.fee.amount.forEach((coin) => {
+      console.log(`   ${formatCoin(coin, network)}`);
+    });
+  }
+  if (decoded.fee.gasLimit) {
+    console.log(`   Gas Limit: ${decoded.fee.gasLimit}`);
+  }
+  if (decoded.fee.granter) {
+    console.log(`   Fee Granter: ${decoded.fee.granter}`);
+  }
 
-    // Gas efficiency
-    if (tx.gasUsed && tx.gasWanted) {
-      const efficiency = ((parseInt(tx.gasUsed) / parseInt(tx.gasWanted)) * 100).toFixed(2);
-      console.log(`\nGas Efficiency: ${efficiency}% (${tx.gasUsed}/${tx.gasWanted})`);
-    }
+  // Gas efficiency
+  if (tx.gasUsed && tx.gasWanted) {
+    const efficiency = ((parseInt(tx.gasUsed) / parseInt(tx.gasWanted)) * 100).toFixed(2);
+    console.log(`\nGas Efficiency: ${efficiency}% (${tx.gasUsed}/${tx.gasWanted})`);
+  }
 
-    console.log("");
+  console.log("");
 
-    // Disconnect client
-    client.disconnect();
+  // Disconnect client
+  client.disconnect();
 
-  } catch (error) {
-    if (error.message && error.message.includes("not found")) {
-      console.error("\nTransaction not found!");
-      console.log("   Please verify the transaction hash and try again.");
-      console.log("   Or use --wait flag to wait for the transaction to be indexed.");
-    } else {
-      handleError(error);
-    }
-  }
+  return tx;
 }
-
-// Run the script
-monitorTransaction();
@@ -0,0 +1,371 @@
+/**
+ * Multisig accounts: create, co-sign and combine
+ * Builds a legacy amino threshold multisig from member public keys, lets each member sign an
+ * unsigned transaction file offline (amino JSON sign mode) and combines the partial signatures
+ * into a transaction file 'tx broadcast' accepts. Only 'tx prepare' and 'tx broadcast' go online
+ */
+
+import fs from "fs";
+import path from "path";
+import { encodeSecp256k1Pubkey } from "@cosmjs/amino";
+import { fromBase64, fromHex, toBase64 } from "@cosmjs/encoding";
+import { SigningCosmWasmClient } from "@cosmjs/cosmwasm-stargate";
+import { makeMultisignedTx } from "@cosmjs/stargate";
+import { loadAminoWallet, getFirstAccount } from "../utils/helpers.js";
+import { readKey } from "../utils/keystore.js";
+import {
+  UNSIGNED_TX_FORMAT,
+  decodeTxMessages,
+  parsePublicKey,
+  toReadableMessage,
+} from "../utils/transactions.js";
+import {
+  MULTISIG_FORMAT,
+  MULTISIG_SIGNATURE_FORMAT,
+  buildMultisig,
+  describeMultisig,
+  readSignatureFile,
+  makeAminoSignBytes,
+  makeMultisigBodyBytes,
+  verifyAminoSignature,
+} from "../utils/multisig.js";
+import { ValidationError, WalletError } from "../utils/errors.js";
+import { toSignedTxData } from "./sign-transaction.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Split a list option given as a string ("a,b c") or an array
+ * @param {string|Array<string>} value - List
+ * @returns {Array<string>} Entries
+ */
+function splitList(value) {
+  const entries = Array.isArray(value) ? value : String(value ?? "").split(/[\s,]+/);
+  return entries.map((entry) => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Resolve a member given as a public key (base64 or hex) or a keystore key name
+ * @param {string} member - Public key or key name
+ * @returns {object} Amino secp256k1 pubkey
+ */
+function resolveMemberPubkey(member) {
+  try {
+    return parsePublicKey(member);
+  } catch (error) {
+    // Not a public key; try it as a keystore key name below
+  }
+  let key;
+  try {
+    key = readKey(member);
+  } catch (error) {
+    throw new ValidationError(`"${member}" is neither a secp256k1 public key (base64 or hex) nor a keystore key`, {
+      cause: error,
+      hint: "Each member can print their public key with 'xion-nft wallet recover' or 'xion-nft keys list --json'",
+    });
+  }
+  return encodeSecp256k1Pubkey(fromHex(key.pubkey));
+}
+
+/**
+ * Read an unsigned transaction file prepared for a multisig account
+ * @param {string} file - Unsigned transaction file
+ * @param {object} network - Network configuration
+ * @returns {object} { unsignedTx, multisig, messages, signerData, filePath }
+ */
+function readMultisigTx(file, network) {
+  const filePath = path.resolve(file);
+  if (!fs.existsSync(filePath)) {
+    throw new ValidationError(`Unsigned transaction file not found: ${filePath}`);
+  }
+  const unsignedTx = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+  if (unsignedTx.format !== UNSIGNED_TX_FORMAT) {
+    throw new ValidationError(`${filePath} is not an unsigned transaction file. Create one with 'xion-nft tx prepare'.`);
+  }
+  if (!unsignedTx.multisig) {
+    throw new ValidationError(`${filePath} was not prepared for a multisig account`, {
+      hint: "Prepare it with 'xion-nft tx prepare <type> --multisig multisig.json', or sign it with 'xion-nft tx sign'",
+    });
+  }
+  if (unsignedTx.chainId !== network.chainId) {
+    throw new ValidationError(
+      `Transaction was prepared for chain "${unsignedTx.chainId}" but the active network is ` +
+        `"${network.chainId}". Pass --network to select the matching network.`
+    );
+  }
+
+  const multisig = describeMultisig(unsignedTx.multisig.pubkey, network);
+  if (multisig.address !== unsignedTx.accountAddress) {
+    throw new ValidationError(
+      `Multisig public key gives ${multisig.address}, but the transaction is for ${unsignedTx.accountAddress}`
+    );
+  }
+
+  return {
+    unsignedTx,
+    multisig,
+    messages: decodeTxMessages(unsignedTx.messages),
+    signerData: {
+      chainId: unsignedTx.chainId,
+      accountNumber: unsignedTx.accountNumber,
+      sequence: unsignedTx.sequence,
+    },
+    filePath,
+  };
+}
+
+/**
+ * Print a multisig's address, threshold and members
+ * @param {object} multisig - Result of buildMultisig() or describeMultisig()
+ */
+function printMultisig(multisig) {
+  console.log(`Address: ${multisig.address}`);
+  console.log(`Threshold: ${multisig.threshold} of ${multisig.members.length}`);
+  console.log("Members:");
+  multisig.members.forEach((member, i) => {
+    console.log(`   ${i + 1}. ${member.address} (${member.pubkey})`);
+  });
+}
+
+/**
+ * Build a threshold multisig account from member public keys and save it to a file
+ * Members are given as public keys (base64 or hex) or keystore key names; no network connection is made
+ * @param {object} options - Multisig options
+ * @param {string|Array<string>} options.pubkeys - Member public keys or key names (comma separated)
+ * @param {number|string} options.threshold - Signatures required (defaults to 2)
+ * @param {string} options.output - Output file (defaults to multisig.json)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { address, threshold, pubkey, members, file }
+ */
+export async function createMultisig({ pubkeys, threshold = 2, output = "multisig.json", network = XION_CONFIG } = {}) {
+  const members = splitList(pubkeys);
+  if (members.length === 0) {
+    throw new ValidationError("No member public keys given. Pass --pubkeys <key1,key2,key3>");
+  }
+
+  console.log("Creating multisig account...\n");
+
+  const multisig = buildMultisig(members.map(resolveMemberPubkey), threshold, network);
+
+  const outputPath = path.resolve(output);
+  const data = {
+    format: MULTISIG_FORMAT,
+    address: multisig.address,
+    threshold: multisig.threshold,
+    pubkey: multisig.pubkey,
+    members: multisig.members,
+    createdAt: new Date().toISOString(),
+  };
+  fs.writeFileSync(outputPath, JSON.stringify(data, null, 2) + "\n");
+
+  console.log("=".repeat(80));
+  console.log("MULTISIG CREATED");
+  console.log("=".repeat(80));
+  printMultisig(multisig);
+  console.log("=".repeat(80));
+  console.log(`\nMultisig saved to: ${outputPath}`);
+  console.log("\nNEXT STEPS:");
+  console.log(`   1. Fund ${multisig.address} (it needs tokens for fees before it can sign)`);
+  console.log(`   2. Make it the collection's admin and minter: xion-nft contract deploy --multisig ${path.basename(outputPath)}`);
+  console.log(`   3. Prepare a transaction for it: xion-nft tx prepare <type> --multisig ${path.basename(outputPath)}`);
+  console.log("");
+
+  return { ...multisig, file: outputPath };
+}
+
+/**
+ * Sign an unsigned multisig transaction file as one of the members
+ * Works offline: the account number, sequence and fee recorded in the file are signed as-is, in
+ * amino JSON sign mode. The wallet is the configured one (--from or MNEMONIC, --account-index)
+ * @param {object} options - Signing options
+ * @param {string} options.file - Unsigned transaction file from 'tx prepare --multisig'
+ * @param {string} options.output - Signature file (defaults to signature-<member address>.json)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Signature data as written to the output file
+ */
+export async function signMultisig({ file = "unsigned-tx.json", output, network = XION_CONFIG } = {}) {
+  console.log("Signing Multisig Transaction (offline)...\n");
+
+  const { unsignedTx, multisig, messages, signerData, filePath } = readMultisigTx(file, network);
+  console.log(`Loaded unsigned transaction from: ${filePath}`);
+
+  console.log("Loading wallet from environment...");
+  const wallet = await loadAminoWallet(network);
+  const account = await getFirstAccount(wallet);
+  const pubkey = toBase64(account.pubkey);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  if (!multisig.members.some((member) => member.pubkey === pubkey)) {
+    throw new WalletError(`${account.address} is not a member of multisig ${multisig.address}`, {
+      hint: "Select the member's key with --from <key>, --account-index or --hd-path",
+    });
+  }
+
+  console.log("Transaction Details (review before signing):");
+  console.log(`   Type: ${unsignedTx.txType}`);
+  console.log(`   Description: ${unsignedTx.description}`);
+  console.log(`   Multisig: ${multisig.address} (${multisig.threshold} of ${multisig.members.length})`);
+  console.log(`   Chain ID: ${signerData.chainId}`);
+  console.log(`   Account Number: ${signerData.accountNumber}`);
+  console.log(`   Sequence: ${signerData.sequence}`);
+  console.log(`   Fee: ${unsignedTx.fee.amount[0].amount} ${unsignedTx.fee.amount[0].denom} (Gas: ${unsignedTx.fee.gas})`);
+  console.log(`   Memo: ${unsignedTx.memo}`);
+  console.log("   Messages:");
+  messages.forEach((msg, i) => {
+    console.log(`     ${i + 1}. ${JSON.stringify(toReadableMessage(msg))}`);
+  });
+
+  console.log("\nSigning transaction...");
+
+  // The member signs the multisig account's sign document; only its signature and body are kept
+  const client = await SigningCosmWasmClient.offline(wallet);
+  const txRaw = await client.sign(account.address, messages, unsignedTx.fee, unsignedTx.memo, signerData);
+  client.disconnect();
+
+  const signature = txRaw.signatures[0];
+  const signBytes = makeAminoSignBytes(messages, unsignedTx.fee, signerData, unsignedTx.memo);
+  if (!(await verifyAminoSignature(signBytes, signature, pubkey))) {
+    throw new Error("The signature does not match the transaction file; the message types may not support amino signing");
+  }
+
+  const signatureData = {
+    format: MULTISIG_SIGNATURE_FORMAT,
+    chainId: signerData.chainId,
+    multisigAddress: multisig.address,
+    accountNumber: signerData.accountNumber,
+    sequence: signerData.sequence,
+    txType: unsignedTx.txType,
+    description: unsignedTx.description,
+    signer: account.address,
+    pubkey,
+    signature: toBase64(signature),
+    bodyBytes: toBase64(txRaw.bodyBytes),
+    timestamp: new Date().toISOString(),
+  };
+
+  const outputPath = path.resolve(output || `signature-${account.address}.json`);
+  fs.writeFileSync(outputPath, JSON.stringify(signatureData, null, 2) + "\n");
+
+  console.log("\n" + "=".repeat(80));
+  console.log("MULTISIG SIGNATURE CREATED");
+  console.log("=".repeat(80));
+  console.log(`Signer: ${account.address}`);
+  console.log(`Description: ${unsignedTx.description}`);
+  console.log("=".repeat(80));
+  console.log(`\nSignature saved to: ${outputPath}`);
+  console.log("\nNEXT STEP (once enough members have signed):");
+  console.log(`   xion-nft multisig combine ${path.basename(filePath)} signature-*.json --output signed-tx.json`);
+  console.log("");
+
+  return signatureData;
+}
+
+/**
+ * Combine member signatures into a signed transaction file
+ * Every signature is checked against the unsigned transaction file before it is used; the result
+ * can be broadcast with 'tx broadcast'. No network connection is made
+ * @param {object} options - Combine options
+ * @param {string} options.file - Unsigned transaction file from 'tx prepare --multisig'
+ * @param {string|Array<string>} options.signatures - Signature files from 'multisig sign'
+ * @param {string} options.output - Output file for the signed transaction (defaults to signed-tx.json)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Signed transaction data as written to the output file, plus signers
+ */
+export async function combineMultisig({
+  file = "unsigned-tx.json",
+  signatures,
+  output = "signed-tx.json",
+  network = XION_CONFIG,
+} = {}) {
+  const signatureFiles = splitList(signatures);
+  if (signatureFiles.length === 0) {
+    throw new ValidationError("No signature files given. Pass the files written by 'xion-nft multisig sign'");
+  }
+
+  console.log("Combining Multisig Signatures...\n");
+
+  const { unsignedTx, multisig, messages, signerData, filePath } = readMultisigTx(file, network);
+  console.log(`Loaded unsigned transaction from: ${filePath}`);
+
+  const signBytes = makeAminoSignBytes(messages, unsignedTx.fee, signerData, unsignedTx.memo);
+  const collected = new Map();
+
+  console.log("\nChecking signatures...");
+  for (const signatureFile of signatureFiles) {
+    const partial = readSignatureFile(signatureFile);
+    const label = path.basename(partial.file);
+
+    const member = multisig.members.find((candidate) => candidate.pubkey === partial.pubkey);
+    if (!member) {
+      throw new ValidationError(`${label}: ${partial.signer} is not a member of multisig ${multisig.address}`);
+    }
+    if (
+      partial.multisigAddress !== multisig.address ||
+      partial.chainId !== signerData.chainId ||
+      partial.accountNumber !== signerData.accountNumber ||
+      partial.sequence !== signerData.sequence
+    ) {
+      throw new ValidationError(
+        `${label} was signed for ${partial.multisigAddress} on ${partial.chainId} (account ${partial.accountNumber}, ` +
+          `sequence ${partial.sequence}), not for this transaction`,
+        { hint: "Every member must sign the same unsigned transaction file" }
+      );
+    }
+    if (!(await verifyAminoSignature(signBytes, fromBase64(partial.signature), member.pubkey))) {
+      throw new ValidationError(`${label}: the signature of ${member.address} does not match this transaction`, {
+        hint: "Every member must sign the same unsigned transaction file",
+      });
+    }
+    if (collected.has(member.address)) {
+      console.log(`   ${member.address}: duplicate, skipped (${label})`);
+      continue;
+    }
+    collected.set(member.address, fromBase64(partial.signature));
+    console.log(`   ${member.address}: OK (${label})`);
+  }
+
+  if (collected.size < multisig.threshold) {
+    throw new ValidationError(
+      `Only ${collected.size} of the ${multisig.threshold} required signatures (${multisig.threshold} of ${multisig.members.length})`,
+      { hint: "Collect more signatures with 'xion-nft multisig sign' and combine them all" }
+    );
+  }
+
+  // The body is rebuilt from the unsigned transaction the signatures were checked against; the
+  // bodyBytes in a signature file are not trusted
+  const bodyBytes = makeMultisigBodyBytes(messages, unsignedTx.memo);
+  const txRaw = makeMultisignedTx(multisig.pubkey, signerData.sequence, unsignedTx.fee, bodyBytes, collected);
+  const signedTxData = {
+    ...toSignedTxData(txRaw, {
+      chainId: signerData.chainId,
+      accountAddress: multisig.address,
+      accountNumber: signerData.accountNumber,
+      sequence: signerData.sequence,
+      txType: unsignedTx.txType,
+      description: unsignedTx.description,
+      memo: unsignedTx.memo,
+      fee: unsignedTx.fee,
+      messages,
+    }),
+    signers: Array.from(collected.keys()),
+  };
+
+  console.log("\n" + "=".repeat(80));
+  console.log("MULTISIG TRANSACTION COMBINED");
+  console.log("=".repeat(80));
+  console.log(`Multisig: ${multisig.address}`);
+  console.log(`Signatures: ${collected.size} of ${multisig.members.length} (threshold ${multisig.threshold})`);
+  console.log(`Description: ${unsignedTx.description}`);
+  console.log(`Signed Tx Size: ${signedTxData.signedTxBytes.length} bytes`);
+  console.log("=".repeat(80));
+
+  const outputPath = path.resolve(output);
+  fs.writeFileSync(outputPath, JSON.stringify(signedTxData, null, 2));
+
+  console.log(`\nSigned transaction saved to: ${outputPath}`);
+  console.log("\nNEXT STEP (on an online machine):");
+  console.log(`   xion-nft tx broadcast ${path.basename(outputPath)} --network ${network.name} --wait`);
+  console.log("");
+
+  return signedTxData;
+}
@@ -0,0 +1,61 @@
+/**
+ * Show the health of a network's RPC endpoints
+ * Probes every configured endpoint (rpcEndpoint and rpcEndpoints) for its latest block height,
+ * sync state and latency, and shows which one commands would connect to
+ */
+
+import { rankEndpoints, PROBE_TIMEOUT_MS } from "../utils/endpoints.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Probe a network's RPC endpoints
+ * Sets a failure exit code when no endpoint is healthy
+ * @param {object} options - Status options
+ * @param {number|string} options.timeout - Probe timeout in milliseconds (defaults to 5000)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { chainId, selected, endpoints (probe results, best first) }
+ */
+export async function networkStatus({ timeout = PROBE_TIMEOUT_MS, network = XION_CONFIG } = {}) {
+  const timeoutMs = parseInt(timeout);
+  if (!Number.isInteger(timeoutMs) || timeoutMs <= 0) {
+    throw new Error(`Invalid timeout: ${timeout}`);
+  }
+
+  console.log(`Probing RPC endpoints for ${network.chainName} (${network.chainId})...\n`);
+
+  const endpoints = await rankEndpoints(network, { timeoutMs });
+  const selected = endpoints.find((probe) => probe.healthy) || null;
+
+  console.log(`${"Endpoint".padEnd(48)} ${"Height".padEnd(12)} ${"Latency".padEnd(9)} Status`);
+  console.log("-".repeat(80));
+  for (const probe of endpoints) {
+    const height = probe.height !== null ? String(probe.height) : "-";
+    const latency = probe.latencyMs !== null ? `${probe.latencyMs}ms` : "-";
+    const status = probe.healthy ? "ok" : probe.issue;
+    const marker = probe === selected ? " (selected)" : "";
+    console.log(`${probe.endpoint.padEnd(48)} ${height.padEnd(12)} ${latency.padEnd(9)} ${status}${marker}`);
+  }
+
+  const healthy = endpoints.filter((probe) => probe.healthy).length;
+
+  console.log("\n" + "=".repeat(80));
+  console.log("NETWORK STATUS");
+  console.log("=".repeat(80));
+  console.log(`Network: ${network.name} (${network.chainId})`);
+  console.log(`Healthy Endpoints: ${healthy}/${endpoints.length}`);
+  if (selected) {
+    console.log(`Selected: ${selected.endpoint}`);
+    console.log(`Latest Block: ${selected.height} (${selected.blockTime})`);
+  } else {
+    console.log("Selected: none (no healthy endpoint)");
+    process.exitCode = 1;
+  }
+  console.log("=".repeat(80));
+  console.log("");
+
+  return {
+    chainId: network.chainId,
+    selected: selected ? selected.endpoint : null,
+    endpoints,
+  };
+}
@@ -0,0 +1,187 @@
+/**
+ * Prepare an unsigned transaction for offline signing
+ * Runs on an online machine without the signer's mnemonic: fetches the account number
+ * and sequence and simulates gas, then saves everything the offline signer needs
+ */
+
+import fs from "fs";
+import path from "path";
+import { pubkeyToAddress } from "@cosmjs/amino";
+import {
+  connectQueryClient,
+  simulateWithPublicKey,
+  calculateFee,
+} from "../utils/helpers.js";
+import {
+  UNSIGNED_TX_FORMAT,
+  encodeTxMessages,
+  parsePublicKey,
+  toReadableMessage,
+} from "../utils/transactions.js";
+import { readMultisigFile, simulateMultisig } from "../utils/multisig.js";
+import { validateTxOptions, buildTxMessages } from "./sign-transaction.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Build an unsigned transaction and save it for offline signing
+ * @param {object} options - Preparation options
+ * @param {string} options.txType - Transaction type (send-tokens, mint-nft, transfer-nft)
+ * @param {string} options.signer - Address that will sign the transaction
+ * @param {string} options.multisig - Multisig file from 'multisig create'; the multisig signs instead of --signer (optional)
+ * @param {string} options.publicKey - Signer public key, base64 or hex (needed for simulation if the account has never signed)
+ * @param {string|number} options.gas - Gas limit to use instead of simulating (optional)
+ * @param {string} options.output - Output file path
+ * @param {string} options.recipient - Recipient address (send-tokens, transfer-nft)
+ * @param {string} options.amount - Amount in XION (send-tokens)
+ * @param {string} options.contract - NFT contract address (mint-nft, transfer-nft)
+ * @param {string} options.tokenId - Token ID (mint-nft, transfer-nft)
+ * @param {string} options.tokenUri - Token URI (mint-nft)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Unsigned transaction data as written to the output file
+ */
+export async function prepareTransaction({
+  txType = "send-tokens",
+  signer,
+  multisig,
+  publicKey,
+  gas,
+  output = "unsigned-tx.json",
+  recipient,
+  amount = "1.0",
+  contract,
+  tokenId,
+  tokenUri = "ipfs://example",
+  network = XION_CONFIG,
+} = {}) {
+  const TX_TYPE = validateTxOptions(txType, { recipient, contract });
+
+  const account = multisig ? readMultisigFile(multisig, network) : null;
+  if (account) {
+    if (signer && signer !== account.address) {
+      throw new Error(`--signer ${signer} is not the multisig address ${account.address}`);
+    }
+    signer = account.address;
+  }
+
+  if (!signer) {
+    throw new Error("Signer address not provided. Pass --signer (or --multisig) or set SIGNER_ADDRESS in your .env file");
+  }
+
+  let pubkey = account ? account.pubkey : null;
+  if (publicKey && !account) {
+    pubkey = parsePublicKey(publicKey);
+    const derivedAddress = pubkeyToAddress(pubkey, network.addressPrefix);
+    if (derivedAddress !== signer) {
+      throw new Error(`Public key belongs to ${derivedAddress}, not to the signer ${signer}`);
+    }
+  }
+
+  console.log("Preparing Unsigned Transaction...\n");
+
+  // Connect query client (read-only, no wallet needed)
+  console.log("Connecting to XION network...");
+  const client = await connectQueryClient(network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  // Get account info for sequence and account number
+  const accountInfo = await client.getAccount(signer);
+  if (!accountInfo) {
+    client.disconnect();
+    throw new Error(`Account ${signer} not found on chain. Please fund the account first.`);
+  }
+
+  const { messages, memo, description } = buildTxMessages(
+    TX_TYPE,
+    { recipient, amount, contract, tokenId, tokenUri },
+    signer,
+    network
+  );
+
+  console.log("Transaction Details:");
+  console.log(`   Type: ${TX_TYPE}`);
+  console.log(`   Description: ${description}`);
+  console.log(`   From: ${signer}${account ? ` (multisig, ${account.threshold} of ${account.members.length})` : ""}`);
+  console.log(`   Account Number: ${accountInfo.accountNumber}`);
+  console.log(`   Sequence: ${accountInfo.sequence}`);
+  console.log(`   Memo: ${memo}`);
+
+  // Estimate gas using the signer's public key (simulation does not need a signature)
+  let gasEstimate;
+  if (gas) {
+    gasEstimate = parseInt(gas);
+    if (!Number.isInteger(gasEstimate) || gasEstimate <= 0) {
+      client.disconnect();
+      throw new Error(`Invalid gas limit: ${gas}`);
+    }
+    console.log(`\nUsing gas limit: ${gasEstimate}`);
+  } else {
+    pubkey = pubkey || accountInfo.pubkey;
+    if (!pubkey) {
+      client.disconnect();
+      throw new Error(
+        `No public key on chain for ${signer} (the account has never signed a transaction). ` +
+          "Pass --public-key to simulate gas, or --gas to set the gas limit manually."
+      );
+    }
+    console.log("\nSimulating transaction...");
+    try {
+      gasEstimate = account
+        ? await simulateMultisig(client, account.pubkey, accountInfo.sequence, messages, memo, network)
+        : await simulateWithPublicKey(client, pubkey, accountInfo.sequence, messages, memo, network);
+    } catch (error) {
+      client.disconnect();
+      throw error;
+    }
+    console.log(`Estimated gas: ${gasEstimate}`);
+  }
+  client.disconnect();
+
+  const fee = calculateFee(gasEstimate, network);
+
+  const unsignedTx = {
+    format: UNSIGNED_TX_FORMAT,
+    chainId: network.chainId,
+    accountAddress: signer,
+    accountNumber: accountInfo.accountNumber,
+    sequence: accountInfo.sequence,
+    txType: TX_TYPE,
+    description,
+    memo,
+    fee,
+    ...(account ? { multisig: { address: account.address, threshold: account.threshold, pubkey: account.pubkey } } : {}),
+    messages: encodeTxMessages(messages),
+    readableMessages: messages.map(toReadableMessage),
+    timestamp: new Date().toISOString(),
+  };
+
+  console.log("\n" + "=".repeat(80));
+  console.log("UNSIGNED TRANSACTION PREPARED");
+  console.log("=".repeat(80));
+  console.log(`Description: ${description}`);
+  console.log(`Fee: ${fee.amount[0].amount} ${fee.amount[0].denom} (Gas: ${fee.gas})`);
+  console.log("=".repeat(80));
+
+  const outputPath = path.resolve(output);
+  fs.writeFileSync(outputPath, JSON.stringify(unsignedTx, null, 2));
+
+  console.log(`\nUnsigned transaction saved to: ${outputPath}`);
+  console.log("\nNEXT STEPS:");
+  if (account) {
+    console.log(`   1. Each member signs a copy offline (${account.threshold} of ${account.members.length} needed):`);
+    console.log(`      xion-nft multisig sign ${path.basename(outputPath)} --network ${network.name} --from <member-key>`);
+    console.log("   2. Combine the signature files on any machine:");
+    console.log(`      xion-nft multisig combine ${path.basename(outputPath)} signature-*.json --output signed-tx.json`);
+    console.log("   3. Broadcast signed-tx.json from an online machine:");
+  } else {
+    console.log("   1. Copy the file to the offline signing machine and sign it:");
+    console.log(`      xion-nft tx sign ${path.basename(outputPath)} --offline --network ${network.name} --output signed-tx.json`);
+    console.log("   2. Copy signed-tx.json back to an online machine and broadcast it:");
+  }
+  console.log(`      xion-nft tx broadcast signed-tx.json --network ${network.name} --wait`);
+  console.log("\nIMPORTANT NOTES:");
+  console.log("   - The transaction uses sequence number:", accountInfo.sequence);
+  console.log("   - Broadcasting any other transaction from this account first will invalidate it");
+  console.log("");
+
+  return unsignedTx;
+}
@@ -0,0 +1,122 @@
+/**
+ * Send an NFT to a receiving contract
+ * Executes send_nft, which transfers the token and calls the receiver's
+ * receive_nft hook with the base64 encoded message
+ */
+
+import {
+  loadWallet,
+  getFirstAccount,
+  connectSigningClient,
+  executeContract,
+  validateAddress,
+  getExplorerTxUrl,
+} from "../utils/helpers.js";
+import { printTxResult } from "../utils/output.js";
+import { cw721Messages, encodeHookMsg, getTokenPermissions } from "../utils/cw721.js";
+import { classifyError } from "../utils/errors.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Send a single NFT to a contract
+ * @param {object} options - Send options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.tokenId - Token ID to send
+ * @param {string} options.receiver - Receiving contract address (must implement receive_nft)
+ * @param {string} options.msg - JSON hook message for the receiver (optional)
+ * @param {string} options.msgBase64 - Base64 hook message, if already encoded (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function sendNFT({ contract, tokenId, receiver, msg, msgBase64, network = XION_CONFIG } = {}) {
+  console.log("Sending NFT to Contract...\n");
+
+  // Validate inputs
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+
+  if (!tokenId) {
+    throw new Error("TOKEN_ID not provided. Pass --token-id or set TOKEN_ID in your .env file");
+  }
+
+  if (!receiver) {
+    throw new Error("Receiving contract not provided. Pass --receiver");
+  }
+
+  const addressError = validateAddress(receiver, network);
+  if (addressError) {
+    throw new Error(`Invalid receiver address ${receiver}: ${addressError}`);
+  }
+
+  const hookMsg = encodeHookMsg({ msg, msgBase64 });
+
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  try {
+    console.log("Send Details:");
+    console.log(`   Contract: ${contract}`);
+    console.log(`   Token ID: ${tokenId}`);
+    console.log(`   From: ${account.address}`);
+    console.log(`   Receiver: ${receiver}`);
+    console.log(`   Hook Msg (base64): ${hookMsg}`);
+
+    // Check ownership or approval
+    console.log("\nChecking permissions...");
+    const permissions = await getTokenPermissions(client, contract, tokenId, account.address);
+    if (!permissions.isOwner && !permissions.isApproved && !permissions.isOperator) {
+      throw new Error(
+        `Token ${tokenId} is owned by ${permissions.owner} and ${account.address} is not approved to send it`
+      );
+    }
+    console.log(`   OK (${permissions.isOwner ? "owner" : permissions.isApproved ? "approved spender" : "operator"})`);
+
+    // The receiver must be a contract, or the hook call fails
+    // Only a "no such contract" answer means that; network and node errors are reported as they are
+    try {
+      await client.getContract(receiver);
+    } catch (error) {
+      if (/no such contract|not found/i.test(error.message || "")) {
+        throw new Error(`${receiver} is not a contract. Use 'xion-nft nft transfer' to send to a wallet address.`);
+      }
+      throw classifyError(error, { network, context: `Could not look up receiver ${receiver}` });
+    }
+
+    console.log("\nExecuting send...");
+    const result = await executeContract(
+      client,
+      account.address,
+      contract,
+      cw721Messages.sendNft(receiver, tokenId, hookMsg),
+      `Sent NFT #${tokenId} to ${receiver}`,
+      [],
+      network
+    );
+
+    console.log("\n" + "=".repeat(80));
+    console.log("NFT SENT SUCCESSFULLY!");
+    console.log("=".repeat(80));
+    console.log(`Token ID: ${tokenId}`);
+    console.log(`From: ${permissions.owner}`);
+    console.log(`To Contract: ${receiver}`);
+    console.log(`Contract: ${contract}`);
+    console.log(`Explorer: ${getExplorerTxUrl(result.transactionHash, network)}`);
+    console.log("=".repeat(80));
+
+    printTxResult(result);
+    console.log("");
+
+    return result;
+  } finally {
+    client.disconnect();
+  }
+}
@@ -1,171 +1,91 @@
 /**
  * Sign an arbitrary message with a private key
- * Uses the wallet to sign a message for verification/authentication purposes
+ * Produces an ADR-036 (sign/MsgSignData) signature for verification/authentication purposes
  */
 
-import { sha256, Secp256k1, Secp256k1Signature } from "@cosmjs/crypto";
-import { toUtf8, toBase64 } from "@cosmjs/encoding";
-import { makeSignDoc } from "@cosmjs/amino";
+import fs from "fs";
+import path from "path";
+import { toBase64 } from "@cosmjs/encoding";
 import {
-  loadWallet,
+  loadAminoWallet,
   getFirstAccount,
-  connectSigningClient,
-  handleError,
 } from "../utils/helpers.js";
+import { signArbitrary } from "../utils/signing.js";
 import XION_CONFIG from "../utils/config.js";
 
-async function signMessage() {
-  try {
-    // Configuration - Can be passed as environment variable or command line arg
-    const MESSAGE = process.env.MESSAGE || process.argv.slice(2).join(" ");
-
-    console.log("Signing Message...\n");
-
-    // Validate input
-    if (!MESSAGE) {
-      console.error("Error: Message not provided!");
-      console.log("   Usage: npm run sign-message <message>");
-      console.log('   Example: npm run sign-message "Hello, XION blockchain!"');
-      console.log("   Or set MESSAGE in .env file");
-      return;
-    }
-
-    // Load wallet
-    console.log("Loading wallet from environment...");
-    const wallet = await loadWallet();
-    const account = await getFirstAccount(wallet);
-    console.log(`Wallet loaded: ${account.address}\n`);
-
-    console.log("Signing Details:");
-    console.log(`   Signer: ${account.address}`);
-    console.log(`   Message: "${MESSAGE}"`);
-    console.log(`   Chain ID: ${XION_CONFIG.chainId}`);
-
-    console.log("\nSigning message...");
-
-    // Simple message signing: hash the message and use wallet's serialize method
-    // DirectSecp256k1HdWallet doesn't expose signAmino directly, so we use signing client
-    const client = await connectSigningClient(wallet);
-
-    // Create a simple sign doc for arbitrary message signing
-    const messageBytes = toUtf8(MESSAGE);
-    const messageHash = sha256(messageBytes);
-
-    // For message signing, we'll create a minimal transaction-like structure
-    // This is a workaround since wallet.signAmino isn't directly exposed
-    const signDoc = {
-      chain_id: XION_CONFIG.chainId,
-      account_number: "0",
-      sequence: "0",
-      fee: {
-        amount: [],
-        gas: "0",
-      },
-      msgs: [
-        {
-          type: "sign/MsgSignData",
-          value: {
-            signer: account.address,
-            data: toBase64(messageBytes),
-          },
-        },
-      ],
-      memo: "",
-    };
-
-    // Use the wallet's amino signer interface
-    const aminoTypes = wallet;
-    let signature;
-
-    try {
-      // Try to access signAmino through the wallet object
-      if (typeof wallet.signAmino === 'function') {
-        signature = await wallet.signAmino(account.address, signDoc);
-      } else {
-        // Fallback: create signature info manually
-        console.log("Note: Using simplified signing (wallet.signAmino not available)");
-        console.log("      This produces a hash-based signature for demonstration.");
-        console.log("      For production use, implement proper secp256k1 signing.\n");
-        signature = {
-          signed: signDoc,
-          signature: {
-            pub_key: {
-              type: "tendermint/PubKeySecp256k1",
-              value: toBase64(account.pubkey),
-            },
-            signature: toBase64(messageHash), // SHA-256 hash of message (not a true signature)
-          },
-        };
-      }
-    } catch (err) {
-      console.log(`Signing method not available: ${err.message}`);
-      signature = {
-        signed: signDoc,
-        signature: {
-          pub_key: {
-            type: "tendermint/PubKeySecp256k1",
-            value: toBase64(account.pubkey),
-          },
-          signature: toBase64(messageHash),
-        },
-      };
-    }
-
-    console.log("\n" + "=".repeat(80));
-    console.log("MESSAGE SIGNED SUCCESSFULLY");
-    console.log("=".repeat(80));
-    console.log(`Original Message: "${MESSAGE}"`);
-    console.log(`Signer Address: ${account.address}`);
-    console.log(`Public Key: ${toBase64(account.pubkey)}`);
-    console.log(`Signature: ${signature.signature.signature}`);
-    console.log(`Signature (JSON):`);
-    console.log(JSON.stringify(signature, null, 2));
-    console.log("=".repeat(80));
-
-    // Create timestamped sign data for additional context
-    const timestampedSignData = {
-      message: MESSAGE,
-      signer: account.address,
-      timestamp: new Date().toISOString(),
-    };
-
-    console.log("\nTimestamped Sign Data:");
-    console.log(JSON.stringify(timestampedSignData, null, 2));
+/**
+ * Sign an arbitrary message with the wallet key
+ * @param {object} options - Signing options
+ * @param {string} options.message - Message to sign
+ * @param {string} options.output - File to save the signature data to (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Export data (message, signer, public key, signature)
+ */
+export async function signMessage({ message, output, network = XION_CONFIG } = {}) {
+  console.log("Signing Message...\n");
 
-    // Provide verification info
-    console.log("\nVERIFICATION INSTRUCTIONS:");
-    console.log("   To verify this signature, you need:");
-    console.log("   1. The original message");
-    console.log("   2. The signature");
-    console.log("   3. The public key or signer address");
-    console.log("\n   Use a signature verification library with secp256k1:");
-    console.log("   - @cosmjs/crypto: verifySecp256k1Signature()");
-    console.log("   - Or verify on-chain using a smart contract");
+  // Validate input
+  if (!message) {
+    throw new Error("Message not provided. Pass --message or set MESSAGE in your .env file");
+  }
 
+  // Load wallet (amino-capable, required for ADR-036 signing)
+  console.log("Loading wallet from environment...");
+  const wallet = await loadAminoWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  console.log("Signing Details:");
+  console.log(`   Signer: ${account.address}`);
+  console.log(`   Message: "${message}"`);
+  console.log(`   Format: ADR-036 (sign/MsgSignData)`);
+
+  console.log("\nSigning message...");
+
+  // Sign the ADR-036 sign doc offline (no network connection needed)
+  const signature = await signArbitrary(wallet, account.address, message);
+
+  console.log("\n" + "=".repeat(80));
+  console.log("MESSAGE SIGNED SUCCESSFULLY");
+  console.log("=".repeat(80));
+  console.log(`Original Message: "${message}"`);
+  console.log(`Signer Address: ${account.address}`);
+  console.log(`Public Key: ${toBase64(account.pubkey)}`);
+  console.log(`Signature: ${signature.signature.signature}`);
+  console.log(`Signature (JSON):`);
+  console.log(JSON.stringify(signature, null, 2));
+  console.log("=".repeat(80));
+
+  const exportData = {
+    message,
+    signer: account.address,
+    publicKey: toBase64(account.pubkey),
+    signature: signature.signature.signature,
+    signDoc: signature.signed,
+    format: "adr-036",
+    timestamp: new Date().toISOString(),
+  };
+
+  // Provide verification info
+  console.log("\nVERIFICATION INSTRUCTIONS:");
+  console.log("   To verify this signature, you need:");
+  console.log("   1. The original message");
+  console.log("   2. The signature");
+  console.log("   3. The public key and signer address");
+  console.log("\n   Verify with this toolkit:");
+  console.log("   - CLI: xion-nft verify message signature.json");
+  console.log("   - Code: verifySignature() from utils/signing.js");
+
+  if (output) {
+    const outputPath = path.resolve(output);
+    fs.writeFileSync(outputPath, JSON.stringify(exportData, null, 2));
+    console.log(`\nSignature data saved to: ${outputPath}`);
+  } else {
     console.log("\nEXPORT DATA (save this for verification):");
-    const exportData = {
-      message: MESSAGE,
-      signer: account.address,
-      publicKey: toBase64(account.pubkey),
-      signature: signature.signature.signature,
-      signDoc: signature.signed,
-      chainId: XION_CONFIG.chainId,
-      timestamp: new Date().toISOString(),
-    };
     console.log(JSON.stringify(exportData, null, 2));
-
-    // Save to file option
-    console.log("\nTo save this signature to a file:");
-    console.log(`   echo '${JSON.stringify(exportData)}' > signature.json`);
-    console.log("");
-
-    // Disconnect client
-    client.disconnect();
-
-  } catch (error) {
-    handleError(error);
+    console.log("\nTo save this signature to a file, run again with --output signature.json");
   }
-}
+  console.log("");
 
-// Run the script
-signMessage();
+  return exportData;
+}
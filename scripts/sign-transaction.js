@@ -1,11 +1,14 @@
 /**
- * Sign a transaction offline and save for later broadcast
- * Creates a signed transaction that can be broadcast at a later time
+ * Sign a transaction and save it for later broadcast
+ * Signs either in one online step, or from an unsigned file created by
+ * prepare-transaction (optionally with no network access at all)
  */
 
 import fs from "fs";
 import path from "path";
 import { toUtf8 } from "@cosmjs/encoding";
+import { SigningCosmWasmClient } from "@cosmjs/cosmwasm-stargate";
+import { TxRaw } from "cosmjs-types/cosmos/tx/v1beta1/tx.js";
 import {
   loadWallet,
   getFirstAccount,
@@ -13,259 +16,414 @@ import {
   parseXionAmount,
   simulateTransaction,
   calculateFee,
-  handleError,
 } from "../utils/helpers.js";
+import {
+  UNSIGNED_TX_FORMAT,
+  decodeTxMessages,
+  toReadableMessage,
+} from "../utils/transactions.js";
+import { broadcastTransaction } from "./broadcast-transaction.js";
 import XION_CONFIG from "../utils/config.js";
 
-async function signTransaction() {
-  try {
-    // Configuration - Can be passed as environment variables or command line args
-    const TX_TYPE = process.env.TX_TYPE || process.argv[2] || "send-tokens";
-    const OUTPUT_FILE = process.env.OUTPUT_FILE || process.argv[3] || "signed-tx.json";
-
-    console.log("Signing Transaction for Later Broadcast...\n");
+// Transaction types that can be signed for later broadcast
+export const SIGN_TX_TYPES = ["send-tokens", "mint-nft", "transfer-nft"];
 
-    // Load wallet
-    console.log("Loading wallet from environment...");
-    const wallet = await loadWallet();
-    const account = await getFirstAccount(wallet);
-    console.log(`Wallet loaded: ${account.address}\n`);
+/**
+ * Validate the transaction type and the options it requires
+ * @param {string} txType - Transaction type (send-tokens, mint-nft, transfer-nft)
+ * @param {object} options - Transaction options ({ recipient, contract })
+ * @returns {string} Normalized transaction type
+ */
+export function validateTxOptions(txType, { recipient, contract } = {}) {
+  const TX_TYPE = txType.toLowerCase();
 
-    // Connect signing client
-    console.log("Connecting to XION network...");
-    const client = await connectSigningClient(wallet);
-    console.log(`Connected to ${XION_CONFIG.chainId}\n`);
+  if (!SIGN_TX_TYPES.includes(TX_TYPE)) {
+    throw new Error(`Unknown transaction type: ${txType} (available: ${SIGN_TX_TYPES.join(", ")})`);
+  }
 
-    // Get account info for sequence and account number
-    const accountInfo = await client.getAccount(account.address);
-    if (!accountInfo) {
-      throw new Error("Account not found on chain. Please fund your account first.");
-    }
+  if (["mint-nft", "transfer-nft"].includes(TX_TYPE) && !contract) {
+    throw new Error(`CONTRACT_ADDRESS required for ${TX_TYPE}`);
+  }
 
-    let messages = [];
-    let memo = "";
-    let txDescription = "";
+  if (TX_TYPE === "transfer-nft" && !recipient) {
+    throw new Error("RECIPIENT required for transfer-nft");
+  }
 
-    // Build transaction based on type
-    switch (TX_TYPE.toLowerCase()) {
-      case "send-tokens":
-        const sendRecipient = process.env.RECIPIENT || account.address; // Use own address as default
-        const sendAmount = process.env.AMOUNT || "1.0";
-        const amountInUxion = parseXionAmount(sendAmount);
+  return TX_TYPE;
+}
 
-        messages = [
+/**
+ * Build the messages, memo and description for a transaction type
+ * @param {string} txType - Transaction type (send-tokens, mint-nft, transfer-nft)
+ * @param {object} options - Transaction options ({ recipient, amount, contract, tokenId, tokenUri })
+ * @param {string} sender - Sender address
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {object} { messages, memo, description }
+ */
+export function buildTxMessages(
+  txType,
+  { recipient, amount = "1.0", contract, tokenId, tokenUri = "ipfs://example" } = {},
+  sender,
+  network = XION_CONFIG
+) {
+  switch (txType) {
+    case "send-tokens": {
+      const sendRecipient = recipient || sender; // Use own address as default
+      const amountInUxion = parseXionAmount(amount, network);
+
+      return {
+        messages: [
           {
             typeUrl: "/cosmos.bank.v1beta1.MsgSend",
             value: {
-              fromAddress: account.address,
+              fromAddress: sender,
               toAddress: sendRecipient,
-              amount: [{ denom: XION_CONFIG.denom, amount: amountInUxion }],
+              amount: [{ denom: network.denom, amount: amountInUxion }],
             },
           },
-        ];
-        memo = `Send ${sendAmount} XION`;
-        txDescription = `Send ${sendAmount} XION to ${sendRecipient}`;
-        break;
-
-      case "mint-nft":
-        const mintContract = process.env.CONTRACT_ADDRESS;
-        const tokenId = process.env.TOKEN_ID || "99999"; // Use high number unlikely to exist
-        const tokenUri = process.env.TOKEN_URI || "ipfs://example";
-
-        if (!mintContract) {
-          console.error("Error: CONTRACT_ADDRESS required for mint-nft");
-          return;
-        }
-
-        const mintMsg = {
-          mint: {
-            token_id: tokenId,
-            owner: account.address,
-            token_uri: tokenUri,
-            // Note: Code ID 525 doesn't support extension in mint message
-          },
-        };
+        ],
+        memo: `Send ${amount} XION`,
+        description: `Send ${amount} XION to ${sendRecipient}`,
+      };
+    }
+
+    case "mint-nft": {
+      const mintTokenId = tokenId || "99999"; // Use high number unlikely to exist
+
+      const mintMsg = {
+        mint: {
+          token_id: mintTokenId,
+          owner: sender,
+          token_uri: tokenUri,
+          // Note: Code ID 525 doesn't support extension in mint message
+        },
+      };
 
-        messages = [
+      return {
+        messages: [
           {
             typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
             value: {
-              sender: account.address,
-              contract: mintContract,
+              sender,
+              contract,
               msg: toUtf8(JSON.stringify(mintMsg)),
               funds: [],
             },
           },
-        ];
-        memo = `Mint NFT #${tokenId}`;
-        txDescription = `Mint NFT #${tokenId}`;
-        break;
-
-      case "transfer-nft":
-        const transferContract = process.env.CONTRACT_ADDRESS;
-        const transferTokenId = process.env.TOKEN_ID || "1";
-        const transferRecipient = process.env.RECIPIENT;
-
-        if (!transferContract) {
-          console.error("Error: CONTRACT_ADDRESS required for transfer-nft");
-          return;
-        }
-        if (!transferRecipient) {
-          console.error("Error: RECIPIENT required for transfer-nft");
-          return;
-        }
-
-        const transferMsg = {
-          transfer_nft: {
-            recipient: transferRecipient,
-            token_id: transferTokenId,
-          },
-        };
+        ],
+        memo: `Mint NFT #${mintTokenId}`,
+        description: `Mint NFT #${mintTokenId}`,
+      };
+    }
+
+    case "transfer-nft": {
+      const transferTokenId = tokenId || "1";
 
-        messages = [
+      const transferMsg = {
+        transfer_nft: {
+          recipient,
+          token_id: transferTokenId,
+        },
+      };
+
+      return {
+        messages: [
           {
             typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
             value: {
-              sender: account.address,
-              contract: transferContract,
+              sender,
+              contract,
               msg: toUtf8(JSON.stringify(transferMsg)),
               funds: [],
             },
           },
-        ];
-        memo = `Transfer NFT #${transferTokenId}`;
-        txDescription = `Transfer NFT #${transferTokenId} to ${transferRecipient}`;
-        break;
-
-      default:
-        console.error(`Unknown transaction type: ${TX_TYPE}`);
-        console.log("\nAvailable transaction types:");
-        console.log("   - send-tokens: Send XION tokens (requires RECIPIENT, AMOUNT)");
-        console.log("   - mint-nft: Mint an NFT (requires CONTRACT_ADDRESS, TOKEN_ID, TOKEN_URI)");
-        console.log("   - transfer-nft: Transfer an NFT (requires CONTRACT_ADDRESS, TOKEN_ID, RECIPIENT)");
-        console.log("\nUsage: npm run sign-tx <transaction-type> [output-file]");
-        return;
+        ],
+        memo: `Transfer NFT #${transferTokenId}`,
+        description: `Transfer NFT #${transferTokenId} to ${recipient}`,
+      };
     }
 
-    console.log("Transaction Details:");
-    console.log(`   Type: ${TX_TYPE}`);
-    console.log(`   Description: ${txDescription}`);
-    console.log(`   From: ${account.address}`);
-    console.log(`   Account Number: ${accountInfo.accountNumber}`);
-    console.log(`   Sequence: ${accountInfo.sequence}`);
-    console.log(`   Memo: ${memo}`);
-
-    console.log("\nSigning transaction...");
-
-    // Estimate gas and calculate fee
-    const gasEstimate = await simulateTransaction(client, account.address, messages);
-    const fee = calculateFee(gasEstimate);
-
-    // Sign the transaction (but don't broadcast)
-    const txRaw = await client.sign(account.address, messages, fee, memo);
-
-    // Serialize the signed transaction
-    const txBytes = Array.from(txRaw);
-
-    // Prepare export data
-    const signedTxData = {
-      chainId: XION_CONFIG.chainId,
-      accountAddress: account.address,
-      accountNumber: accountInfo.accountNumber,
-      sequence: accountInfo.sequence,
-      txType: TX_TYPE,
-      description: txDescription,
-      memo: memo,
-      fee: {
-        amount: fee.amount,
-        gas: fee.gas,
-      },
-      messages: messages.map((msg) => ({
-        typeUrl: msg.typeUrl,
-        value: msg.value,
-      })),
-      signedTxBytes: txBytes,
-      timestamp: new Date().toISOString(),
-    };
-
-    console.log("\n" + "=".repeat(80));
-    console.log("TRANSACTION SIGNED SUCCESSFULLY");
-    console.log("=".repeat(80));
-    console.log(`Transaction Type: ${TX_TYPE}`);
-    console.log(`Description: ${txDescription}`);
-    console.log(`Fee: ${fee.amount[0].amount} ${fee.amount[0].denom} (Gas: ${fee.gas})`);
-    console.log(`Signed Tx Size: ${txBytes.length} bytes`);
-    console.log("=".repeat(80));
-
-    // Save to file
-    const outputPath = path.resolve(OUTPUT_FILE);
-    fs.writeFileSync(outputPath, JSON.stringify(signedTxData, null, 2));
-
-    console.log(`\nSigned transaction saved to: ${outputPath}`);
-
-    console.log("\nTO BROADCAST THIS TRANSACTION LATER:");
-    console.log("   1. Use the broadcast script (create one or use cosmjs):");
-    console.log(`      const txBytes = Uint8Array.from(data.signedTxBytes);`);
-    console.log(`      const result = await client.broadcastTx(txBytes);`);
-    console.log("\n   2. Or use CLI:");
-    console.log(`      xiond tx broadcast ${outputPath} --node ${XION_CONFIG.rpcEndpoint}`);
-
-    console.log("\nIMPORTANT NOTES:");
-    console.log("   - This transaction is signed with sequence number:", accountInfo.sequence);
-    console.log("   - If you broadcast other transactions first, this will fail due to sequence mismatch");
-    console.log("   - The transaction must be broadcast before it expires (typically 24 hours)");
-    console.log("   - Store this file securely as it represents a signed, ready-to-execute transaction");
-    console.log("");
-
-    // Disconnect client
-    client.disconnect();
-
-  } catch (error) {
-    handleError(error);
+    default:
+      throw new Error(`Unknown transaction type: ${txType} (available: ${SIGN_TX_TYPES.join(", ")})`);
+  }
+}
+
+/**
+ * Serialize a signed TxRaw together with the details shown when broadcasting
+ * @param {TxRaw} txRaw - Signed transaction
+ * @param {object} details - Chain ID, signer, account number, sequence, type, description, memo, fee and messages
+ * @returns {object} Signed transaction file contents
+ */
+export function toSignedTxData(txRaw, { messages, fee, ...details }) {
+  return {
+    ...details,
+    fee: {
+      amount: fee.amount,
+      gas: fee.gas,
+    },
+    messages: messages.map(toReadableMessage),
+    signedTxBytes: Array.from(TxRaw.encode(txRaw).finish()),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Sign a transaction and save it to a file for later broadcast
+ * @param {object} options - Signing options
+ * @param {string} options.txType - Transaction type (send-tokens, mint-nft, transfer-nft)
+ * @param {string} options.output - Output file path
+ * @param {string} options.recipient - Recipient address (send-tokens, transfer-nft)
+ * @param {string} options.amount - Amount in XION (send-tokens)
+ * @param {string} options.contract - NFT contract address (mint-nft, transfer-nft)
+ * @param {string} options.tokenId - Token ID (mint-nft, transfer-nft)
+ * @param {string} options.tokenUri - Token URI (mint-nft)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Signed transaction data as written to the output file
+ */
+export async function signTransaction({
+  txType = "send-tokens",
+  output = "signed-tx.json",
+  recipient,
+  amount = "1.0",
+  contract,
+  tokenId,
+  tokenUri = "ipfs://example",
+  network = XION_CONFIG,
+} = {}) {
+  const TX_TYPE = validateTxOptions(txType, { recipient, contract });
+
+  console.log("Signing Transaction for Later Broadcast...\n");
+
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  // Get account info for sequence and account number
+  const accountInfo = await client.getAccount(account.address);
+  if (!accountInfo) {
+    throw new Error("Account not found on chain. Please fund your account first.");
   }
+
+  const { messages, memo, description: txDescription } = buildTxMessages(
+    TX_TYPE,
+    { recipient, amount, contract, tokenId, tokenUri },
+    account.address,
+    network
+  );
+
+  console.log("Transaction Details:");
+  console.log(`   Type: ${TX_TYPE}`);
+  console.log(`   Description: ${txDescription}`);
+  console.log(`   From: ${account.address}`);
+  console.log(`   Account Number: ${accountInfo.accountNumber}`);
+  console.log(`   Sequence: ${accountInfo.sequence}`);
+  console.log(`   Memo: ${memo}`);
+
+  console.log("\nSigning transaction...");
+
+  // Estimate gas and calculate fee
+  const gasEstimate = await simulateTransaction(client, account.address, messages, network);
+  const fee = calculateFee(gasEstimate, network);
+
+  // Sign the transaction (but don't broadcast)
+  const txRaw = await client.sign(account.address, messages, fee, memo);
+
+  // Prepare export data
+  const signedTxData = toSignedTxData(txRaw, {
+    chainId: network.chainId,
+    accountAddress: account.address,
+    accountNumber: accountInfo.accountNumber,
+    sequence: accountInfo.sequence,
+    txType: TX_TYPE,
+    description: txDescription,
+    memo,
+    fee,
+    messages,
+  });
+  const txBytes = signedTxData.signedTxBytes;
+
+  console.log("\n" + "=".repeat(80));
+  console.log("TRANSACTION SIGNED SUCCESSFULLY");
+  console.log("=".repeat(80));
+  console.log(`Transaction Type: ${TX_TYPE}`);
+  console.log(`Description: ${txDescription}`);
+  console.log(`Fee: ${fee.amount[0].amount} ${fee.amount[0].denom} (Gas: ${fee.gas})`);
+  console.log(`Signed Tx Size: ${txBytes.length} bytes`);
+  console.log("=".repeat(80));
+
+  // Save to file
+  const outputPath = path.resolve(output);
+  fs.writeFileSync(outputPath, JSON.stringify(signedTxData, null, 2));
+
+  console.log(`\nSigned transaction saved to: ${outputPath}`);
+
+  console.log("\nTO BROADCAST THIS TRANSACTION LATER:");
+  console.log(`   xion-nft tx broadcast ${outputPath} --wait`);
+  console.log("   (no MNEMONIC needed; checks chain ID and sequence before broadcasting)");
+
+  console.log("\nIMPORTANT NOTES:");
+  console.log("   - This transaction is signed with sequence number:", accountInfo.sequence);
+  console.log("   - If you broadcast other transactions first, this will fail due to sequence mismatch");
+  console.log("   - The transaction must be broadcast before it expires (typically 24 hours)");
+  console.log("   - Store this file securely as it represents a signed, ready-to-execute transaction");
+  console.log("");
+
+  // Disconnect client
+  client.disconnect();
+
+  return signedTxData;
 }
 
-// Bonus: Broadcast function (can be used separately)
-export async function broadcastSignedTransaction(signedTxFile) {
-  try {
-    console.log("Broadcasting Signed Transaction...\n");
-
-    // Read signed transaction file
-    const signedTxData = JSON.parse(fs.readFileSync(signedTxFile, "utf-8"));
-
-    console.log("Loading signed transaction...");
-    console.log(`   File: ${signedTxFile}`);
-    console.log(`   Type: ${signedTxData.txType}`);
-    console.log(`   Signer: ${signedTxData.accountAddress}`);
-    console.log(`   Sequence: ${signedTxData.sequence}`);
-
-    // Load wallet (just for connection, not for signing)
-    const wallet = await loadWallet();
-    const client = await connectSigningClient(wallet);
-
-    console.log("\nBroadcasting transaction...");
-
-    // Convert back to Uint8Array and broadcast
-    const txBytes = Uint8Array.from(signedTxData.signedTxBytes);
-    const result = await client.broadcastTx(txBytes);
-
-    console.log("\n" + "=".repeat(80));
-    console.log("TRANSACTION BROADCAST SUCCESSFULLY");
-    console.log("=".repeat(80));
-    console.log(`Transaction Hash: ${result.transactionHash}`);
-    console.log(`Height: ${result.height}`);
-    console.log(`Gas Used: ${result.gasUsed}`);
-    console.log(`Explorer: https://www.mintscan.io/xion-testnet/tx/${result.transactionHash}`);
-    console.log("=".repeat(80));
-    console.log("");
-
-    client.disconnect();
-
-    return result;
-  } catch (error) {
-    handleError(error);
+/**
+ * Sign an unsigned transaction file produced by prepareTransaction()
+ * With offline set, no network connection is made: the account number, sequence
+ * and fee recorded in the file are used as-is
+ * @param {object} options - Signing options
+ * @param {string} options.file - Unsigned transaction file
+ * @param {string} options.output - Output file for the signed transaction
+ * @param {boolean} options.offline - Sign without connecting to the network
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Signed transaction data as written to the output file
+ */
+export async function signPreparedTransaction({
+  file = "unsigned-tx.json",
+  output = "signed-tx.json",
+  offline = false,
+  network = XION_CONFIG,
+} = {}) {
+  console.log(`Signing Prepared Transaction${offline ? " (offline)" : ""}...\n`);
+
+  const filePath = path.resolve(file);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Unsigned transaction file not found: ${filePath}`);
   }
+
+  console.log(`Loading unsigned transaction from: ${filePath}`);
+  const unsignedTx = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+
+  if (unsignedTx.format !== UNSIGNED_TX_FORMAT) {
+    throw new Error(`${filePath} is not an unsigned transaction file. Create one with 'xion-nft tx prepare'.`);
+  }
+
+  if (unsignedTx.multisig) {
+    throw new Error(
+      `${filePath} was prepared for multisig ${unsignedTx.accountAddress}. Each member signs it with ` +
+        "'xion-nft multisig sign', then 'xion-nft multisig combine' builds the signed transaction."
+    );
+  }
+
+  if (unsignedTx.chainId !== network.chainId) {
+    throw new Error(
+      `Transaction was prepared for chain "${unsignedTx.chainId}" but the active network is ` +
+        `"${network.chainId}". Pass --network to select the matching network.`
+    );
+  }
+
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  if (account.address !== unsignedTx.accountAddress) {
+    throw new Error(
+      `Transaction was prepared for ${unsignedTx.accountAddress} but the wallet address is ${account.address}`
+    );
+  }
+
+  let client;
+  let signerData = {
+    accountNumber: unsignedTx.accountNumber,
+    sequence: unsignedTx.sequence,
+    chainId: unsignedTx.chainId,
+  };
+
+  if (offline) {
+    client = await SigningCosmWasmClient.offline(wallet);
+  } else {
+    // Refresh account number and sequence in case they changed since preparing
+    console.log("Connecting to XION network...");
+    client = await connectSigningClient(wallet, network);
+    console.log(`Connected to ${network.chainId}\n`);
+
+    const accountInfo = await client.getAccount(account.address);
+    if (!accountInfo) {
+      client.disconnect();
+      throw new Error("Account not found on chain. Please fund your account first.");
+    }
+    if (accountInfo.sequence !== unsignedTx.sequence) {
+      console.log(
+        `WARNING: Sequence changed since preparing (prepared ${unsignedTx.sequence}, on-chain ${accountInfo.sequence}); using on-chain value\n`
+      );
+    }
+    signerData = { ...signerData, accountNumber: accountInfo.accountNumber, sequence: accountInfo.sequence };
+  }
+
+  const messages = decodeTxMessages(unsignedTx.messages);
+
+  console.log("Transaction Details (review before signing):");
+  console.log(`   Type: ${unsignedTx.txType}`);
+  console.log(`   Description: ${unsignedTx.description}`);
+  console.log(`   From: ${account.address}`);
+  console.log(`   Chain ID: ${signerData.chainId}`);
+  console.log(`   Account Number: ${signerData.accountNumber}`);
+  console.log(`   Sequence: ${signerData.sequence}`);
+  console.log(`   Fee: ${unsignedTx.fee.amount[0].amount} ${unsignedTx.fee.amount[0].denom} (Gas: ${unsignedTx.fee.gas})`);
+  console.log(`   Memo: ${unsignedTx.memo}`);
+  console.log("   Messages:");
+  messages.forEach((msg, i) => {
+    console.log(`     ${i + 1}. ${JSON.stringify(toReadableMessage(msg))}`);
+  });
+
+  console.log("\nSigning transaction...");
+
+  const txRaw = await client.sign(account.address, messages, unsignedTx.fee, unsignedTx.memo, signerData);
+  client.disconnect();
+
+  const signedTxData = toSignedTxData(txRaw, {
+    chainId: signerData.chainId,
+    accountAddress: account.address,
+    accountNumber: signerData.accountNumber,
+    sequence: signerData.sequence,
+    txType: unsignedTx.txType,
+    description: unsignedTx.description,
+    memo: unsignedTx.memo,
+    fee: unsignedTx.fee,
+    messages,
+  });
+
+  console.log("\n" + "=".repeat(80));
+  console.log("TRANSACTION SIGNED SUCCESSFULLY");
+  console.log("=".repeat(80));
+  console.log(`Description: ${unsignedTx.description}`);
+  console.log(`Signed Tx Size: ${signedTxData.signedTxBytes.length} bytes`);
+  console.log("=".repeat(80));
+
+  const outputPath = path.resolve(output);
+  fs.writeFileSync(outputPath, JSON.stringify(signedTxData, null, 2));
+
+  console.log(`\nSigned transaction saved to: ${outputPath}`);
+  console.log("\nNEXT STEP (on an online machine):");
+  console.log(`   xion-nft tx broadcast ${path.basename(outputPath)} --network ${network.name} --wait`);
+  console.log("");
+
+  return signedTxData;
 }
 
-// Run the script
-signTransaction();
+/**
+ * Broadcast a transaction previously saved by signTransaction()
+ * Kept for existing callers; see broadcastTransaction() in scripts/broadcast-transaction.js
+ * @param {string} signedTxFile - Path to the signed transaction file
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Broadcast result
+ */
+export async function broadcastSignedTransaction(signedTxFile, network = XION_CONFIG) {
+  return broadcastTransaction({ file: signedTxFile, wait: true, network });
+}
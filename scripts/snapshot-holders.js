@@ -0,0 +1,262 @@
+/**
+ * Snapshot the holders of an NFT collection at a block height
+ * Pages through all_tokens and owner_of with every query pinned to the same height, and
+ * writes a deterministic holders file (owner -> token IDs, counts) stamped with a SHA-256
+ * hash of its contents, so allowlist and airdrop tooling can check it was not altered
+ * and re-run it against the chain
+ */
+
+import fs from "fs";
+import path from "path";
+import { sha256 } from "@cosmjs/crypto";
+import { toHex, toUtf8 } from "@cosmjs/encoding";
+import { connectQueryClient, queryContractAtHeight } from "../utils/helpers.js";
+import { getAllTokenIds } from "../utils/cw721.js";
+import XION_CONFIG from "../utils/config.js";
+
+// Format marker of holders files
+export const HOLDERS_SNAPSHOT_FORMAT = "xion-nft/holders-snapshot";
+
+/**
+ * Compare two strings by UTF-16 code units, independent of locale
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Sort order
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Hash the contents of a holders snapshot (every field except "hash" itself)
+ * Field order is fixed by buildHoldersSnapshot, so the same holders at the same height
+ * always produce the same hash
+ * @param {object} snapshot - Holders snapshot
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashHoldersSnapshot(snapshot) {
+  const content = { ...snapshot };
+  delete content.hash;
+  return toHex(sha256(toUtf8(JSON.stringify(content))));
+}
+
+/**
+ * Build a holders snapshot from token ownership
+ * Holders are sorted by address and token IDs within a holder are sorted, so the output
+ * does not depend on the order the chain returned them in
+ * @param {object} details - Snapshot details
+ * @param {string} details.chainId - Chain ID
+ * @param {string} details.contract - NFT contract address
+ * @param {number} details.height - Block height the snapshot was taken at
+ * @param {string} details.blockTime - Block time at that height (ISO 8601)
+ * @param {Array<object>} owners - Token owners ({ tokenId, owner })
+ * @returns {object} Holders snapshot, including its hash
+ */
+export function buildHoldersSnapshot({ chainId, contract, height, blockTime }, owners) {
+  const byOwner = new Map();
+  for (const { tokenId, owner } of owners) {
+    if (!byOwner.has(owner)) {
+      byOwner.set(owner, []);
+    }
+    byOwner.get(owner).push(tokenId);
+  }
+
+  const holders = [...byOwner.keys()].sort(compareStrings).map((owner) => {
+    const tokenIds = byOwner.get(owner).sort(compareStrings);
+    return { owner, count: tokenIds.length, tokenIds };
+  });
+
+  const snapshot = {
+    format: HOLDERS_SNAPSHOT_FORMAT,
+    version: 1,
+    chainId,
+    contract,
+    height,
+    blockTime,
+    totalTokens: owners.length,
+    totalHolders: holders.length,
+    holders,
+  };
+  snapshot.hash = hashHoldersSnapshot(snapshot);
+  return snapshot;
+}
+
+/**
+ * Read the owner of every token in a collection at a fixed height
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} contract - NFT contract address
+ * @param {number} height - Block height
+ * @param {number} pageSize - Token IDs requested per page
+ * @returns {Promise<Array<object>>} Token owners ({ tokenId, owner })
+ */
+async function readOwnersAtHeight(client, contract, height, pageSize) {
+  const query = (queryMsg) => queryContractAtHeight(client, contract, queryMsg, height);
+
+  console.log("Listing tokens...");
+  const tokenIds = await getAllTokenIds(query, {
+    pageSize,
+    onPage: (tokens) => console.log(`   ... ${tokens.length} token(s), last ${tokens[tokens.length - 1]}`),
+  });
+
+  console.log(`\nReading owners of ${tokenIds.length} token(s)...`);
+  const owners = [];
+  for (const tokenId of tokenIds) {
+    const { owner } = await query({ owner_of: { token_id: tokenId } });
+    owners.push({ tokenId, owner });
+    if (owners.length % 100 === 0) {
+      console.log(`   ... ${owners.length}/${tokenIds.length}`);
+    }
+  }
+
+  return owners;
+}
+
+/**
+ * Snapshot a collection's holders at a block height and write the holders file
+ * @param {object} options - Snapshot options
+ * @param {string} options.contract - NFT contract address
+ * @param {number|string} options.height - Block height (defaults to the latest height)
+ * @param {string} options.output - Holders file path (defaults to holders-<contract>-<height>.json)
+ * @param {number|string} options.pageSize - Token IDs requested per page
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { file, snapshot }
+ */
+export async function snapshotHolders({ contract, height, output, pageSize = 100, network = XION_CONFIG } = {}) {
+  console.log("Snapshotting NFT Holders...\n");
+
+  // Validate inputs
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+
+  const PAGE_SIZE = parseInt(pageSize);
+  if (!Number.isInteger(PAGE_SIZE) || PAGE_SIZE < 1) {
+    throw new Error(`Invalid page size: ${pageSize}`);
+  }
+
+  if (height !== undefined && !/^\d+$/.test(String(height))) {
+    throw new Error(`Invalid height: ${height}`);
+  }
+
+  // Connect query client (read-only, no wallet needed)
+  console.log("Connecting to XION network...");
+  const client = await connectQueryClient(network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  try {
+    const latestHeight = await client.getHeight();
+    const HEIGHT = height !== undefined ? Number(height) : latestHeight;
+    if (HEIGHT < 1 || HEIGHT > latestHeight) {
+      throw new Error(`Height ${HEIGHT} is not available (latest height is ${latestHeight})`);
+    }
+
+    const block = await client.getBlock(HEIGHT);
+
+    console.log("Snapshot Details:");
+    console.log(`   Contract: ${contract}`);
+    console.log(`   Height: ${HEIGHT}${height === undefined ? " (latest)" : ""}`);
+    console.log(`   Block Time: ${block.header.time}\n`);
+
+    const owners = await readOwnersAtHeight(client, contract, HEIGHT, PAGE_SIZE);
+    const snapshot = buildHoldersSnapshot(
+      { chainId: network.chainId, contract, height: HEIGHT, blockTime: block.header.time },
+      owners
+    );
+
+    const filePath = path.resolve(output || `holders-${contract}-${HEIGHT}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2) + "\n");
+
+    console.log("\n" + "=".repeat(80));
+    console.log("HOLDERS SNAPSHOT SAVED");
+    console.log("=".repeat(80));
+    console.log(`Contract: ${contract}`);
+    console.log(`Height: ${HEIGHT}`);
+    console.log(`Tokens: ${snapshot.totalTokens}`);
+    console.log(`Holders: ${snapshot.totalHolders}`);
+    console.log(`Hash: ${snapshot.hash}`);
+    console.log(`File: ${filePath}`);
+    console.log("=".repeat(80));
+    console.log("");
+
+    return { file: filePath, snapshot };
+  } finally {
+    client.disconnect();
+  }
+}
+
+/**
+ * Verify a holders file: its hash, and optionally its contents against the chain
+ * @param {object} options - Verify options
+ * @param {string} options.file - Holders file path
+ * @param {boolean} options.onChain - Re-read the holders at the file's height and compare
+ * @param {number|string} options.pageSize - Token IDs requested per page (with onChain)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { valid, hashValid, chainMatches, hash }
+ */
+export async function verifyHoldersSnapshot({ file, onChain = false, pageSize = 100, network = XION_CONFIG } = {}) {
+  console.log("Verifying Holders Snapshot...\n");
+
+  if (!file) {
+    throw new Error("Holders file not provided. Pass --file holders.json");
+  }
+
+  const filePath = path.resolve(file);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Holders file not found: ${filePath}`);
+  }
+
+  const snapshot = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  if (snapshot.format !== HOLDERS_SNAPSHOT_FORMAT) {
+    throw new Error(`${filePath} is not a holders snapshot (format: ${snapshot.format})`);
+  }
+
+  const hashValid = hashHoldersSnapshot(snapshot) === snapshot.hash;
+  console.log(`File: ${filePath}`);
+  console.log(`Contract: ${snapshot.contract}`);
+  console.log(`Height: ${snapshot.height}`);
+  console.log(`Hash: ${hashValid ? "valid" : "INVALID - the file was modified after it was written"}`);
+
+  let chainMatches = null;
+  if (onChain) {
+    if (snapshot.chainId !== network.chainId) {
+      throw new Error(`Holders file is for chain ${snapshot.chainId}, but the active network is ${network.chainId}`);
+    }
+
+    const PAGE_SIZE = parseInt(pageSize);
+    if (!Number.isInteger(PAGE_SIZE) || PAGE_SIZE < 1) {
+      throw new Error(`Invalid page size: ${pageSize}`);
+    }
+
+    console.log("\nConnecting to XION network...");
+    const client = await connectQueryClient(network);
+    console.log(`Connected to ${network.chainId}\n`);
+
+    try {
+      const block = await client.getBlock(snapshot.height);
+      const owners = await readOwnersAtHeight(client, snapshot.contract, snapshot.height, PAGE_SIZE);
+      const fresh = buildHoldersSnapshot(
+        {
+          chainId: network.chainId,
+          contract: snapshot.contract,
+          height: snapshot.height,
+          blockTime: block.header.time,
+        },
+        owners
+      );
+      chainMatches = fresh.hash === snapshot.hash;
+    } finally {
+      client.disconnect();
+    }
+
+    console.log(`\nOn-chain: ${chainMatches ? "MATCH" : "MISMATCH - the chain reports different holders at this height"}`);
+  }
+
+  const valid = hashValid && chainMatches !== false;
+
+  console.log("\n" + "=".repeat(80));
+  console.log(valid ? "HOLDERS SNAPSHOT VERIFIED" : "HOLDERS SNAPSHOT INVALID");
+  console.log("=".repeat(80));
+  console.log("");
+
+  return { valid, hashValid, chainMatches, hash: snapshot.hash };
+}
@@ -0,0 +1,84 @@
+/**
+ * Show the history of an NFT from the local index
+ * Lists the token's mint, transfers, sends and burn in chain order, without querying the chain;
+ * run "index sync" first to bring the index up to date
+ */
+
+import {
+  DEFAULT_INDEX_FILE,
+  openIndex,
+  getIndexedContract,
+  getIndexedToken,
+  getIndexedTokenHistory,
+} from "../utils/indexer.js";
+import { formatCw721Event } from "../utils/events.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Read a token's recorded events from the index
+ * @param {object} options - History options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.tokenId - Token ID
+ * @param {string} options.db - Index file path (defaults to xion-nft-index.db)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { contract, tokenId, owner, burned, indexedHeight, events }
+ */
+export async function tokenHistory({ contract, tokenId, db = DEFAULT_INDEX_FILE, network = XION_CONFIG } = {}) {
+  console.log("Reading NFT History...\n");
+
+  // Validate inputs
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+
+  if (!tokenId) {
+    throw new Error("TOKEN_ID not provided. Pass --token-id or set TOKEN_ID in your .env file");
+  }
+
+  const index = await openIndex(db, { mustExist: true });
+
+  try {
+    const state = getIndexedContract(index, contract);
+    if (!state) {
+      throw new Error(`Contract ${contract} is not in ${db}. Index it first with: xion-nft index sync --contract ${contract}`);
+    }
+    if (state.chainId !== network.chainId) {
+      throw new Error(`Index ${db} holds ${contract} from chain ${state.chainId}, but the active network is ${network.chainId}`);
+    }
+
+    const token = getIndexedToken(index, contract, tokenId);
+    if (!token) {
+      throw new Error(`Token ${tokenId} has no recorded events in ${contract} up to height ${state.indexedHeight}`);
+    }
+    const events = getIndexedTokenHistory(index, contract, tokenId);
+
+    console.log("=".repeat(80));
+    console.log("TOKEN HISTORY");
+    console.log("=".repeat(80));
+    console.log(`Contract: ${contract}`);
+    console.log(`Token ID: ${tokenId}`);
+    console.log(`Owner: ${token.burned ? "None (burned)" : token.owner}`);
+    console.log(`Indexed Height: ${state.indexedHeight} (last updated ${state.updatedAt})`);
+    console.log("=".repeat(80));
+
+    events.forEach((event) => {
+      const typed = { ...event, tokenId };
+      if (event.type === "mint") {
+        typed.owner = event.recipient;
+      }
+      console.log(`[${event.height}] ${formatCw721Event(typed)}  (tx ${event.txHash})`);
+    });
+    console.log("");
+
+    return {
+      contract,
+      tokenId,
+      owner: token.owner,
+      burned: token.burned,
+      indexedHeight: state.indexedHeight,
+      events,
+    };
+  } finally {
+    index.close();
+  }
+}
@@ -8,102 +8,106 @@ import {
   getFirstAccount,
   connectSigningClient,
   executeContract,
-  printTxResult,
-  handleError,
+  validateAddress,
+  getExplorerTxUrl,
 } from "../utils/helpers.js";
+import { executeContractWithAuthz } from "../utils/authz.js";
+import { printTxResult } from "../utils/output.js";
+import { ValidationError } from "../utils/errors.js";
 import XION_CONFIG from "../utils/config.js";
 
-async function transferNFT() {
-  try {
-    // Configuration - Can be passed as environment variables or command line args
-    const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-    const TOKEN_ID = process.env.TOKEN_ID || process.argv[2];
-    const RECIPIENT = process.env.RECIPIENT || process.argv[3];
+/**
+ * Transfer a single NFT
+ * @param {object} options - Transfer options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.tokenId - Token ID to transfer
+ * @param {string} options.recipient - Recipient address
+ * @param {string} options.authzGranter - Transfer on behalf of this address with an authz grant (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result
+ */
+export async function transferNFT({ contract, tokenId, recipient, authzGranter, network = XION_CONFIG } = {}) {
+  console.log("Transferring NFT...\n");
 
-    console.log("Transferring NFT...\n");
+  // Validate inputs
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
 
-    // Validate inputs
-    if (!CONTRACT_ADDRESS) {
-      console.error("Error: CONTRACT_ADDRESS not set!");
-      console.log("   Please set CONTRACT_ADDRESS in your .env file");
-      return;
-    }
+  if (!tokenId) {
+    throw new Error("TOKEN_ID not provided. Pass --token-id or set TOKEN_ID in your .env file");
+  }
 
-    if (!TOKEN_ID) {
-      console.error("Error: TOKEN_ID not provided!");
-      console.log("   Usage: npm run transfer-nft <token_id> <recipient_address>");
-      console.log("   Or set TOKEN_ID and RECIPIENT in .env file");
-      return;
-    }
+  if (!recipient) {
+    throw new Error("RECIPIENT address not provided. Pass --recipient or set RECIPIENT in your .env file");
+  }
 
-    if (!RECIPIENT) {
-      console.error("Error: RECIPIENT address not provided!");
-      console.log("   Usage: npm run transfer-nft <token_id> <recipient_address>");
-      console.log("   Or set RECIPIENT in .env file");
-      return;
+  if (authzGranter) {
+    const addressError = validateAddress(authzGranter, network);
+    if (addressError) {
+      throw new ValidationError(`Invalid authz granter address ${authzGranter}: ${addressError}`);
     }
+  }
 
-    // Load wallet
-    console.log("Loading wallet from environment...");
-    const wallet = await loadWallet();
-    const account = await getFirstAccount(wallet);
-    console.log(`Wallet loaded: ${account.address}\n`);
-
-    // Connect signing client
-    console.log("Connecting to XION network...");
-    const client = await connectSigningClient(wallet);
-    console.log(`Connected to ${XION_CONFIG.chainId}\n`);
-
-    // Prepare transfer message
-    const transferMsg = {
-      transfer_nft: {
-        recipient: RECIPIENT,
-        token_id: TOKEN_ID,
-      },
-    };
-
-    console.log("Transfer Details:");
-    console.log(`   Contract: ${CONTRACT_ADDRESS}`);
-    console.log(`   Token ID: ${TOKEN_ID}`);
-    console.log(`   From: ${account.address}`);
-    console.log(`   To: ${RECIPIENT}`);
-
-    console.log("\nExecuting transfer...");
-
-    // Execute transfer transaction
-    const result = await executeContract(
-      client,
-      account.address,
-      CONTRACT_ADDRESS,
-      transferMsg,
-      `Transferred NFT #${TOKEN_ID} to ${RECIPIENT}`
-    );
-
-    console.log("\n" + "=".repeat(80));
-    console.log("NFT TRANSFERRED SUCCESSFULLY!");
-    console.log("=".repeat(80));
-    console.log(`Token ID: ${TOKEN_ID}`);
-    console.log(`From: ${account.address}`);
-    console.log(`To: ${RECIPIENT}`);
-    console.log(`Contract: ${CONTRACT_ADDRESS}`);
-    console.log(`Explorer: https://www.mintscan.io/xion-testnet/tx/${result.transactionHash}`);
-    console.log("=".repeat(80));
-
-    // Print transaction details
-    printTxResult(result);
-
-    console.log("\nNEXT STEPS:");
-    console.log("   1. Use verify-ownership.js to confirm the new owner");
-    console.log("   2. Use monitor-transaction.js to track transaction status");
-    console.log("");
-
-    // Disconnect client
-    client.disconnect();
-
-  } catch (error) {
-    handleError(error);
+  // Load wallet
+  console.log("Loading wallet from environment...");
+  const wallet = await loadWallet(network);
+  const account = await getFirstAccount(wallet);
+  console.log(`Wallet loaded: ${account.address}\n`);
+
+  // Connect signing client
+  console.log("Connecting to XION network...");
+  const client = await connectSigningClient(wallet, network);
+  console.log(`Connected to ${network.chainId}\n`);
+
+  // With an authz grant the contract sees the granter as sender
+  const senderAddress = authzGranter || account.address;
+
+  // Prepare transfer message
+  const transferMsg = {
+    transfer_nft: {
+      recipient,
+      token_id: tokenId,
+    },
+  };
+
+  console.log("Transfer Details:");
+  console.log(`   Contract: ${contract}`);
+  console.log(`   Token ID: ${tokenId}`);
+  console.log(`   From: ${senderAddress}`);
+  console.log(`   To: ${recipient}`);
+  if (authzGranter) {
+    console.log(`   Signed By: ${account.address} (authz grant)`);
   }
-}
 
-// Run the script
-transferNFT();
+  console.log("\nExecuting transfer...");
+
+  // Execute transfer transaction (wrapped in MsgExec when transferring for an authz granter)
+  const memo = `Transferred NFT #${tokenId} to ${recipient}`;
+  const result = authzGranter
+    ? await executeContractWithAuthz(client, account.address, authzGranter, contract, transferMsg, memo, [], network)
+    : await executeContract(client, account.address, contract, transferMsg, memo, [], network);
+
+  console.log("\n" + "=".repeat(80));
+  console.log("NFT TRANSFERRED SUCCESSFULLY!");
+  console.log("=".repeat(80));
+  console.log(`Token ID: ${tokenId}`);
+  console.log(`From: ${senderAddress}`);
+  console.log(`To: ${recipient}`);
+  console.log(`Contract: ${contract}`);
+  console.log(`Explorer: ${getExplorerTxUrl(result.transactionHash, network)}`);
+  console.log("=".repeat(80));
+
+  // Print transaction details
+  printTxResult(result);
+
+  console.log("\nNEXT STEPS:");
+  console.log("   1. Use 'xion-nft nft verify' to confirm the new owner");
+  console.log("   2. Use 'xion-nft tx monitor' to track transaction status");
+  console.log("");
+
+  // Disconnect client
+  client.disconnect();
+
+  return result;
+}
@@ -0,0 +1,67 @@
+/**
+ * Verify a signed message
+ * Checks an ADR-036 signature exported by sign-message and that the public key belongs to the signer
+ */
+
+import fs from "fs";
+import path from "path";
+import { verifySignature } from "../utils/signing.js";
+import XION_CONFIG from "../utils/config.js";
+
+/**
+ * Verify an exported message signature
+ * @param {object} options - Verification options
+ * @param {string} options.file - Signature JSON file produced by sign-message (optional if fields are given)
+ * @param {string} options.message - Original message (overrides the file)
+ * @param {string} options.signer - Signer address (overrides the file)
+ * @param {string} options.publicKey - Base64 public key (overrides the file)
+ * @param {string} options.signature - Base64 signature (overrides the file)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Verification result
+ */
+export async function verifyMessage({
+  file,
+  message,
+  signer,
+  publicKey,
+  signature,
+  network = XION_CONFIG,
+} = {}) {
+  console.log("Verifying Signed Message...\n");
+
+  let data = {};
+  if (file) {
+    const filePath = path.resolve(file);
+    console.log(`Loading signature data from: ${filePath}`);
+    data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  }
+
+  // Explicit values take precedence over the file contents
+  const signatureData = {
+    ...data,
+    ...(message !== undefined && { message }),
+    ...(signer !== undefined && { signer }),
+    ...(publicKey !== undefined && { publicKey }),
+    ...(signature !== undefined && { signature }),
+  };
+
+  console.log("\nSignature Details:");
+  console.log(`   Message: "${signatureData.message}"`);
+  console.log(`   Signer: ${signatureData.signer}`);
+
+  const result = await verifySignature(signatureData, network);
+
+  console.log("\n" + "=".repeat(80));
+  console.log(result.valid ? "SIGNATURE VALID" : "SIGNATURE INVALID");
+  console.log("=".repeat(80));
+  console.log(`Signature matches message: ${result.signatureValid ? "Yes" : "No"}`);
+  console.log(`Public key matches signer: ${result.addressMatches ? "Yes" : "No"}`);
+  console.log(`Address from public key: ${result.derivedAddress}`);
+  if (result.reason) {
+    console.log(`Reason: ${result.reason}`);
+  }
+  console.log("=".repeat(80));
+  console.log("");
+
+  return result;
+}
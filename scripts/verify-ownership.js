@@ -1,163 +1,254 @@
 /**
  * Verify ownership of an NFT token
- * Queries the contract to check who owns a specific token
+ * Queries the contract (or the local index) to check who owns a specific token
  */
 
 import {
   connectQueryClient,
   queryContract,
-  handleError,
 } from "../utils/helpers.js";
+import { contractQuerier, getOwnerTokenIds } from "../utils/cw721.js";
+import { openIndex, getIndexedContract, getIndexedToken, getIndexedOwnerTokens } from "../utils/indexer.js";
+import { isNotFoundError, TokenNotFoundError } from "../utils/errors.js";
 import XION_CONFIG from "../utils/config.js";
 
-async function verifyOwnership() {
+/**
+ * Answer an ownership check from the local index instead of the chain
+ * Approvals and metadata are not indexed, so they are not reported
+ * @param {object} options - Query options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.tokenId - Token ID to verify
+ * @param {string} options.expectedOwner - Expected owner address (optional)
+ * @param {string} options.index - Index file path
+ * @param {object} options.network - Network configuration
+ * @returns {Promise<object>} Owner, verification result and the height the index is current to
+ */
+async function verifyFromIndex({ contract, tokenId, expectedOwner, index, network }) {
+  const db = await openIndex(index, { mustExist: true });
+
+  let state;
+  let token;
+  let ownedTokens = [];
   try {
-    // Configuration - Can be passed as environment variables or command line args
-    const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS;
-    const TOKEN_ID = process.env.TOKEN_ID || process.argv[2];
-    const EXPECTED_OWNER = process.env.EXPECTED_OWNER || process.argv[3]; // Optional
-
-    console.log("Verifying NFT Ownership...\n");
-
-    // Validate inputs
-    if (!CONTRACT_ADDRESS) {
-      console.error("Error: CONTRACT_ADDRESS not set!");
-      console.log("   Please set CONTRACT_ADDRESS in your .env file");
-      return;
+    state = getIndexedContract(db, contract);
+    if (!state) {
+      throw new Error(`Contract ${contract} is not in ${index}. Index it first with: xion-nft index sync --contract ${contract}`);
+    }
+    if (state.chainId !== network.chainId) {
+      throw new Error(`Index ${index} holds ${contract} from chain ${state.chainId}, but the active network is ${network.chainId}`);
     }
 
-    if (!TOKEN_ID) {
-      console.error("Error: TOKEN_ID not provided!");
-      console.log("   Usage: npm run verify-ownership <token_id> [expected_owner_address]");
-      console.log("   Or set TOKEN_ID in .env file");
-      return;
+    token = getIndexedToken(db, contract, tokenId);
+    if (!token || token.burned) {
+      throw new TokenNotFoundError(`Token ${tokenId} not found in contract ${contract} (index height ${state.indexedHeight})`, {
+        hint: `Run 'xion-nft index sync --contract ${contract}' if it was minted since`,
+      });
     }
+    ownedTokens = getIndexedOwnerTokens(db, contract, token.owner);
+  } finally {
+    db.close();
+  }
+
+  console.log("\n" + "=".repeat(80));
+  console.log("OWNERSHIP VERIFICATION RESULT (LOCAL INDEX)");
+  console.log("=".repeat(80));
+  console.log(`Token ID: ${tokenId}`);
+  console.log(`Owner: ${token.owner}`);
+  console.log(`Indexed Height: ${state.indexedHeight} (last updated ${state.updatedAt})`);
+  console.log("=".repeat(80));
+
+  let verified = null;
+  if (expectedOwner) {
+    verified = token.owner === expectedOwner;
+
+    console.log("\nVerification Check:");
+    console.log(`   Expected: ${expectedOwner}`);
+    console.log(`   Actual: ${token.owner}`);
+
+    if (verified) {
+      console.log("   MATCH - Ownership verified!");
+    } else {
+      console.log("   MISMATCH - Owner does not match expected address");
+    }
+  }
 
-    // Connect query client (read-only, no wallet needed)
-    console.log("Connecting to XION network...");
-    const client = await connectQueryClient();
-    console.log(`Connected to ${XION_CONFIG.chainId}\n`);
+  console.log(`\nTotal NFTs owned by ${token.owner}: ${ownedTokens.length}`);
+  if (ownedTokens.length > 0) {
+    console.log(`   Token IDs: ${ownedTokens.join(", ")}`);
+  }
+  console.log("");
+
+  return {
+    tokenId,
+    owner: token.owner,
+    approvals: null,
+    verified,
+    nftInfo: null,
+    ownedTokens,
+    indexedHeight: state.indexedHeight,
+  };
+}
 
-    console.log("Query Details:");
-    console.log(`   Contract: ${CONTRACT_ADDRESS}`);
-    console.log(`   Token ID: ${TOKEN_ID}`);
+/**
+ * Query the owner, approvals and metadata of a token
+ * @param {object} options - Query options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.tokenId - Token ID to verify
+ * @param {string} options.expectedOwner - Expected owner address (optional)
+ * @param {string} options.index - Answer from this local index file instead of the chain (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Owner, approvals, metadata and verification result
+ */
+export async function verifyOwnership({
+  contract,
+  tokenId,
+  expectedOwner,
+  index,
+  network = XION_CONFIG,
+} = {}) {
+  console.log("Verifying NFT Ownership...\n");
+
+  // Validate inputs
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
 
-    console.log("\nQuerying NFT ownership...");
+  if (!tokenId) {
+    throw new Error("TOKEN_ID not provided. Pass --token-id or set TOKEN_ID in your .env file");
+  }
 
-    // Query owner of NFT
-    const ownerQuery = {
-      owner_of: {
-        token_id: TOKEN_ID,
-      },
-    };
+  if (index) {
+    return verifyFromIndex({ contract, tokenId, expectedOwner, index, network });
+  }
 
-    const ownerResult = await queryContract(client, CONTRACT_ADDRESS, ownerQuery);
+  // Connect query client (read-only, no wallet needed)
+  console.log("Connecting to XION network...");
+  const client = await connectQueryClient(network);
+  console.log(`Connected to ${network.chainId}\n`);
 
-    console.log("\n" + "=".repeat(80));
-    console.log("OWNERSHIP VERIFICATION RESULT");
-    console.log("=".repeat(80));
-    console.log(`Token ID: ${TOKEN_ID}`);
-    console.log(`Owner: ${ownerResult.owner}`);
+  console.log("Query Details:");
+  console.log(`   Contract: ${contract}`);
+  console.log(`   Token ID: ${tokenId}`);
 
-    if (ownerResult.approvals && ownerResult.approvals.length > 0) {
-      console.log(`Approvals: ${ownerResult.approvals.length}`);
-      ownerResult.approvals.forEach((approval, i) => {
-        console.log(`   ${i + 1}. ${approval.spender} (expires: ${approval.expires})`);
-      });
-    } else {
-      console.log("Approvals: None");
+  console.log("\nQuerying NFT ownership...");
+
+  // Query owner of NFT
+  const ownerQuery = {
+    owner_of: {
+      token_id: tokenId,
+    },
+  };
+
+  let ownerResult;
+  try {
+    ownerResult = await queryContract(client, contract, ownerQuery);
+  } catch (error) {
+    client.disconnect();
+    if (isNotFoundError(error)) {
+      throw new TokenNotFoundError(`Token ${tokenId} not found in contract ${contract}`, { cause: error });
     }
+    throw error;
+  }
 
-    console.log("=".repeat(80));
+  console.log("\n" + "=".repeat(80));
+  console.log("OWNERSHIP VERIFICATION RESULT");
+  console.log("=".repeat(80));
+  console.log(`Token ID: ${tokenId}`);
+  console.log(`Owner: ${ownerResult.owner}`);
+
+  if (ownerResult.approvals && ownerResult.approvals.length > 0) {
+    console.log(`Approvals: ${ownerResult.approvals.length}`);
+    ownerResult.approvals.forEach((approval, i) => {
+      console.log(`   ${i + 1}. ${approval.spender} (expires: ${approval.expires})`);
+    });
+  } else {
+    console.log("Approvals: None");
+  }
 
-    // If expected owner provided, verify match
-    if (EXPECTED_OWNER) {
-      console.log("\nVerification Check:");
-      console.log(`   Expected: ${EXPECTED_OWNER}`);
-      console.log(`   Actual: ${ownerResult.owner}`);
+  console.log("=".repeat(80));
 
-      if (ownerResult.owner === EXPECTED_OWNER) {
-        console.log("   MATCH - Ownership verified!");
-      } else {
-        console.log("   MISMATCH - Owner does not match expected address");
-      }
+  // If expected owner provided, verify match
+  let verified = null;
+  if (expectedOwner) {
+    verified = ownerResult.owner === expectedOwner;
+
+    console.log("\nVerification Check:");
+    console.log(`   Expected: ${expectedOwner}`);
+    console.log(`   Actual: ${ownerResult.owner}`);
+
+    if (verified) {
+      console.log("   MATCH - Ownership verified!");
+    } else {
+      console.log("   MISMATCH - Owner does not match expected address");
     }
+  }
+
+  // Query NFT info (metadata)
+  console.log("\nFetching NFT metadata...");
+
+  const nftInfoQuery = {
+    nft_info: {
+      token_id: tokenId,
+    },
+  };
+
+  let nftInfo = null;
+  try {
+    nftInfo = await queryContract(client, contract, nftInfoQuery);
+
+    console.log("\nNFT Metadata:");
+    console.log(`   Token URI: ${nftInfo.token_uri || "Not set"}`);
 
-    // Query NFT info (metadata)
-    console.log("\nFetching NFT metadata...");
-
-    const nftInfoQuery = {
-      nft_info: {
-        token_id: TOKEN_ID,
-      },
-    };
-
-    try {
-      const nftInfo = await queryContract(client, CONTRACT_ADDRESS, nftInfoQuery);
-
-      console.log("\nNFT Metadata:");
-      console.log(`   Token URI: ${nftInfo.token_uri || "Not set"}`);
-
-      if (nftInfo.extension) {
-        if (nftInfo.extension.name) {
-          console.log(`   Name: ${nftInfo.extension.name}`);
-        }
-        if (nftInfo.extension.description) {
-          console.log(`   Description: ${nftInfo.extension.description}`);
-        }
-        if (nftInfo.extension.image) {
-          console.log(`   Image: ${nftInfo.extension.image}`);
-        }
-
-        // Display any other extension fields
-        const knownFields = ['name', 'description', 'image'];
-        const otherFields = Object.keys(nftInfo.extension).filter(k => !knownFields.includes(k));
-        if (otherFields.length > 0) {
-          console.log("   Additional metadata:");
-          otherFields.forEach(field => {
-            console.log(`     ${field}: ${JSON.stringify(nftInfo.extension[field])}`);
-          });
-        }
+    if (nftInfo.extension) {
+      if (nftInfo.extension.name) {
+        console.log(`   Name: ${nftInfo.extension.name}`);
+      }
+      if (nftInfo.extension.description) {
+        console.log(`   Description: ${nftInfo.extension.description}`);
+      }
+      if (nftInfo.extension.image) {
+        console.log(`   Image: ${nftInfo.extension.image}`);
       }
-    } catch (metadataError) {
-      console.log("\nCould not fetch metadata (may not be available)");
-    }
 
-    // Query all tokens owned by this owner
-    console.log("\nChecking owner's total NFTs...");
-
-    const tokensQuery = {
-      tokens: {
-        owner: ownerResult.owner,
-        limit: 100,
-      },
-    };
-
-    try {
-      const tokensResult = await queryContract(client, CONTRACT_ADDRESS, tokensQuery);
-      console.log(`\nTotal NFTs owned by ${ownerResult.owner}: ${tokensResult.tokens.length}`);
-      if (tokensResult.tokens.length > 0) {
-        console.log(`   Token IDs: ${tokensResult.tokens.join(", ")}`);
+      // Display any other extension fields
+      const knownFields = ['name', 'description', 'image'];
+      const otherFields = Object.keys(nftInfo.extension).filter(k => !knownFields.includes(k));
+      if (otherFields.length > 0) {
+        console.log("   Additional metadata:");
+        otherFields.forEach(field => {
+          console.log(`     ${field}: ${JSON.stringify(nftInfo.extension[field])}`);
+        });
       }
-    } catch (tokensError) {
-      console.log("\nCould not fetch owner's token list");
     }
+  } catch (metadataError) {
+    console.log("\nCould not fetch metadata (may not be available)");
+  }
 
-    console.log("");
-
-    // Disconnect client
-    client.disconnect();
+  // Query all tokens owned by this owner (paged, so owners of more than one page are counted in full)
+  console.log("\nChecking owner's total NFTs...");
 
-  } catch (error) {
-    if (error.message && error.message.includes("not found")) {
-      console.error("\nError: Token not found!");
-      console.log("   The specified token ID does not exist in this contract.");
-      console.log("   Please check the token ID and contract address.");
-    } else {
-      handleError(error);
+  let ownedTokens = null;
+  try {
+    ownedTokens = await getOwnerTokenIds(contractQuerier(client, contract), ownerResult.owner);
+    console.log(`\nTotal NFTs owned by ${ownerResult.owner}: ${ownedTokens.length}`);
+    if (ownedTokens.length > 0) {
+      console.log(`   Token IDs: ${ownedTokens.join(", ")}`);
     }
+  } catch (tokensError) {
+    console.log("\nCould not fetch owner's token list");
   }
-}
 
-// Run the script
-verifyOwnership();
+  console.log("");
+
+  // Disconnect client
+  client.disconnect();
+
+  return {
+    tokenId,
+    owner: ownerResult.owner,
+    approvals: ownerResult.approvals || [],
+    verified,
+    nftInfo,
+    ownedTokens,
+  };
+}
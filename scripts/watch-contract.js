@@ -0,0 +1,349 @@
+/**
+ * Watch a CW721 contract for mints, transfers, sends and burns
+ * Subscribes to the contract's wasm events over the RPC websocket and polls searchTx by
+ * height alongside it (every few seconds when the websocket is unavailable, less often as a
+ * gap check while it is up), printing typed events or writing them as NDJSON
+ */
+
+import fs from "fs";
+import path from "path";
+import WebSocket from "ws";
+import { sha256 } from "@cosmjs/crypto";
+import { toHex, fromBase64 } from "@cosmjs/encoding";
+import { connectQueryClient, validateAddress } from "../utils/helpers.js";
+import { decodeCw721Events, formatCw721Event, searchContractTxs } from "../utils/events.js";
+import { writeData } from "../utils/output.js";
+import XION_CONFIG from "../utils/config.js";
+
+// How events are received: websocket with polling fallback, websocket only, or polling only
+export const WATCH_MODES = ["auto", "websocket", "poll"];
+
+// Output formats: one line of text per event, or one JSON object per line on stdout
+export const WATCH_FORMATS = ["text", "ndjson"];
+
+// Heights per searchTx query when catching up, to keep responses small
+const POLL_RANGE = 5000;
+
+// Seconds between gap-check polls while the websocket is connected
+const GAP_CHECK_INTERVAL = 30;
+
+// Seconds to wait for the websocket connection
+const WEBSOCKET_TIMEOUT = 10;
+
+/**
+ * Wait, returning early if any of the signals is aborted
+ * (listens to each signal itself rather than using AbortSignal.any, which needs Node 20.3)
+ * @param {number} ms - Milliseconds to wait
+ * @param {Array<AbortSignal>} signals - Abort signals
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signals) {
+  return new Promise((resolve) => {
+    if (signals.some((signal) => signal.aborted)) {
+      resolve();
+      return;
+    }
+    const done = () => {
+      clearTimeout(timer);
+      signals.forEach((signal) => signal.removeEventListener("abort", done));
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signals.forEach((signal) => signal.addEventListener("abort", done, { once: true }));
+  });
+}
+
+/**
+ * Websocket URL for a network: its "websocketEndpoint", or the RPC endpoint with a ws(s) scheme
+ * @param {object} network - Network configuration
+ * @returns {string} Websocket base URL (the client appends /websocket)
+ */
+export function getWebsocketEndpoint(network) {
+  return network.websocketEndpoint || network.rpcEndpoint.replace(/^http/, "ws");
+}
+
+/**
+ * Subscribe to the transactions of a contract over the RPC websocket (JSON-RPC "subscribe")
+ * The connection is not re-established if it drops; the caller falls back to polling
+ * @param {object} network - Network configuration
+ * @param {string} contract - Contract address
+ * @param {Function} onTx - Called with ({ height, hash, code, events }) for each transaction
+ * @returns {Promise<object>} { closed: Promise that rejects when the subscription ends, close() }
+ */
+async function subscribeContractTxs(network, contract, onTx) {
+  const url = `${getWebsocketEndpoint(network).replace(/\/$/, "")}/websocket`;
+  const socket = new WebSocket(url);
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      socket.terminate();
+      reject(new Error(`No websocket connection to ${url} after ${WEBSOCKET_TIMEOUT}s`));
+    }, WEBSOCKET_TIMEOUT * 1000);
+    socket.once("open", () => {
+      clearTimeout(timer);
+      resolve();
+    });
+    socket.once("error", (error) => {
+      clearTimeout(timer);
+      socket.terminate();
+      reject(new Error(`Websocket connection to ${url} failed: ${error.message}`));
+    });
+  });
+
+  const closed = new Promise((resolve, reject) => {
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return;
+      }
+      if (message.error) {
+        reject(new Error(`Websocket subscription failed: ${message.error.data || message.error.message}`));
+        return;
+      }
+
+      // The first response confirms the subscription; later ones carry a TxResult
+      const txResult = message.result?.data?.value?.TxResult;
+      if (!txResult) {
+        return;
+      }
+      onTx({
+        height: Number(txResult.height),
+        hash: toHex(sha256(fromBase64(txResult.tx))).toUpperCase(),
+        code: txResult.result.code || 0,
+        events: txResult.result.events || [],
+      });
+    });
+    socket.on("error", (error) => reject(new Error(`Websocket error: ${error.message}`)));
+    socket.on("close", () => reject(new Error("Websocket closed by the node")));
+  });
+
+  socket.send(
+    JSON.stringify({
+      jsonrpc: "2.0",
+      id: 1,
+      method: "subscribe",
+      params: { query: `tm.event='Tx' AND wasm._contract_address='${contract}'` },
+    })
+  );
+
+  return {
+    closed,
+    close: () => {
+      socket.removeAllListeners("close");
+      socket.on("error", () => {});
+      socket.terminate();
+    },
+  };
+}
+
+/**
+ * Watch a contract and report its CW721 events until stopped
+ * Events are reported once each, in height order within each source; a transaction seen
+ * over the websocket is not reported again by the gap-check poll
+ * @param {object} options - Watch options
+ * @param {string} options.contract - NFT contract address
+ * @param {string} options.mode - "auto", "websocket" or "poll"
+ * @param {number|string} options.fromHeight - Report events from this height (default: new blocks only)
+ * @param {number|string} options.untilHeight - Stop after this height (default: run until stopped)
+ * @param {number|string} options.interval - Seconds between polls when polling
+ * @param {string} options.format - "text" or "ndjson" (NDJSON goes to stdout, progress to stderr)
+ * @param {string} options.output - Also append every event as NDJSON to this file (optional)
+ * @param {Function} options.onEvent - Called with each typed event (optional)
+ * @param {AbortSignal} options.signal - Stops the watcher when aborted (optional)
+ * @param {object} options.network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} { contract, events, fromHeight, toHeight, websocket (whether it subscribed) }
+ */
+export async function watchContract({
+  contract,
+  mode = "auto",
+  fromHeight,
+  untilHeight,
+  interval = 5,
+  format = "text",
+  output,
+  onEvent,
+  signal = new AbortController().signal,
+  network = XION_CONFIG,
+} = {}) {
+  // NDJSON owns stdout, so progress messages go to stderr
+  const log = format === "ndjson" ? console.error : console.log;
+
+  log("Watching NFT Contract...\n");
+
+  // Validate inputs
+  if (!contract) {
+    throw new Error("CONTRACT_ADDRESS not set. Pass --contract or set CONTRACT_ADDRESS in your .env file");
+  }
+  const addressError = validateAddress(contract, network);
+  if (addressError) {
+    throw new Error(`Invalid contract address ${contract}: ${addressError}`);
+  }
+  if (!WATCH_MODES.includes(mode)) {
+    throw new Error(`Unknown mode: ${mode} (available: ${WATCH_MODES.join(", ")})`);
+  }
+  if (!WATCH_FORMATS.includes(format)) {
+    throw new Error(`Unknown format: ${format} (available: ${WATCH_FORMATS.join(", ")})`);
+  }
+
+  const INTERVAL = Number(interval);
+  if (!Number.isFinite(INTERVAL) || INTERVAL <= 0) {
+    throw new Error(`Invalid interval: ${interval}`);
+  }
+  for (const [label, value] of [["from height", fromHeight], ["until height", untilHeight]]) {
+    if (value !== undefined && !/^\d+$/.test(String(value))) {
+      throw new Error(`Invalid ${label}: ${value}`);
+    }
+  }
+  const UNTIL_HEIGHT = untilHeight !== undefined ? Number(untilHeight) : null;
+
+  const outputPath = output ? path.resolve(output) : null;
+
+  // Connect query client (read-only, no wallet needed)
+  log("Connecting to XION network...");
+  const client = await connectQueryClient(network);
+  log(`Connected to ${network.chainId}\n`);
+
+  // Everything up to "covered" has been reported; "recent" holds transactions reported
+  // above it (from the websocket) so the next poll does not report them again
+  const latestHeight = await client.getHeight();
+  const startHeight = fromHeight !== undefined ? Number(fromHeight) : latestHeight + 1;
+  let covered = startHeight - 1;
+  const recent = new Map();
+  let eventCount = 0;
+
+  const emit = (event) => {
+    eventCount++;
+    const line = JSON.stringify(event);
+    if (format === "ndjson") {
+      writeData(line + "\n");
+    } else {
+      console.log(`[${event.height}] ${formatCw721Event(event)}  (tx ${event.txHash})`);
+    }
+    if (outputPath) {
+      fs.appendFileSync(outputPath, line + "\n");
+    }
+    if (onEvent) {
+      onEvent(event);
+    }
+  };
+
+  const handleTx = ({ height, hash, code, events }) => {
+    if (code !== 0 || height <= covered || recent.has(hash)) {
+      return;
+    }
+    if (UNTIL_HEIGHT !== null && height > UNTIL_HEIGHT) {
+      return;
+    }
+    recent.set(hash, height);
+    decodeCw721Events(events, contract, { height, txHash: hash }).forEach(emit);
+  };
+
+  const poll = async () => {
+    let target = await client.getHeight();
+    if (UNTIL_HEIGHT !== null) {
+      target = Math.min(target, UNTIL_HEIGHT);
+    }
+
+    while (covered < target && !signal.aborted) {
+      const to = Math.min(covered + POLL_RANGE, target);
+      const txs = await searchContractTxs(client, contract, covered + 1, to);
+      txs.forEach((tx) => handleTx({ height: tx.height, hash: tx.hash, code: tx.code, events: tx.events }));
+
+      covered = to;
+      for (const [hash, height] of recent) {
+        if (height <= covered) {
+          recent.delete(hash);
+        }
+      }
+    }
+  };
+
+  log("Watch Details:");
+  log(`   Contract: ${contract}`);
+  log(`   From Height: ${startHeight}${fromHeight === undefined ? " (next block)" : ""}`);
+  log(`   Until Height: ${UNTIL_HEIGHT ?? "stopped with Ctrl+C"}`);
+  log(`   Mode: ${mode}`);
+  if (outputPath) {
+    log(`   Output: ${outputPath}`);
+  }
+  log("");
+
+  let websocket = null;
+  let websocketError = null;
+  let subscribed = false;
+  const stopOnFailure = new AbortController();
+  const stopSignals = [signal, stopOnFailure.signal];
+
+  try {
+    const reachedEnd = () => UNTIL_HEIGHT !== null && covered >= UNTIL_HEIGHT;
+
+    if (mode !== "poll" && !(UNTIL_HEIGHT !== null && UNTIL_HEIGHT <= latestHeight)) {
+      try {
+        websocket = await subscribeContractTxs(network, contract, handleTx);
+        subscribed = true;
+        log("Subscribed to wasm events over the RPC websocket\n");
+        websocket.closed.catch((error) => {
+          websocketError = error;
+          if (websocket) {
+            websocket.close();
+            websocket = null;
+          }
+          if (mode === "websocket") {
+            stopOnFailure.abort();
+          } else {
+            log(`\n${error.message}; falling back to polling every ${INTERVAL}s\n`);
+          }
+        });
+      } catch (error) {
+        if (mode === "websocket") {
+          throw error;
+        }
+        log(`${error.message}; polling searchTx every ${INTERVAL}s instead\n`);
+      }
+    } else if (mode === "poll") {
+      log(`Polling searchTx every ${INTERVAL}s\n`);
+    }
+
+    while (!stopSignals.some((s) => s.aborted)) {
+      // A failed poll (node restarting, rate limit) is retried; "covered" only advances on success
+      try {
+        await poll();
+      } catch (error) {
+        log(`Poll failed: ${error.message}; retrying in ${INTERVAL}s`);
+      }
+      if (reachedEnd()) {
+        break;
+      }
+      const waitSeconds = websocket ? Math.max(INTERVAL, GAP_CHECK_INTERVAL) : INTERVAL;
+      await sleep(waitSeconds * 1000, stopSignals);
+    }
+
+    if (mode === "websocket" && websocketError) {
+      throw websocketError;
+    }
+  } finally {
+    if (websocket) {
+      websocket.close();
+    }
+    client.disconnect();
+  }
+
+  log("\n" + "=".repeat(80));
+  log("WATCH STOPPED");
+  log("=".repeat(80));
+  log(`Contract: ${contract}`);
+  log(`Heights Scanned: ${covered >= startHeight ? `${startHeight} - ${covered}` : "none"}`);
+  log(`Events: ${eventCount}`);
+  log("=".repeat(80));
+  log("");
+
+  return {
+    contract,
+    events: eventCount,
+    fromHeight: startHeight,
+    toHeight: covered,
+    websocket: subscribed,
+  };
+}
@@ -0,0 +1,310 @@
+/**
+ * Authz grants for contract execution
+ * Builds MsgGrant / MsgRevoke for a ContractExecutionAuthorization (per contract, with call or
+ * funds limits and a message filter) or a GenericAuthorization for MsgExecuteContract, wraps
+ * messages in MsgExec so a grantee can act for the granter, and reads grants back from the chain
+ */
+
+import { toUtf8, fromUtf8 } from "@cosmjs/encoding";
+import { createProtobufRpcClient } from "@cosmjs/stargate";
+import { MsgExecuteContract } from "cosmjs-types/cosmwasm/wasm/v1/tx.js";
+import {
+  ContractExecutionAuthorization,
+  MaxCallsLimit,
+  MaxFundsLimit,
+  CombinedLimit,
+  AllowAllMessagesFilter,
+  AcceptedMessageKeysFilter,
+  AcceptedMessagesFilter,
+} from "cosmjs-types/cosmwasm/wasm/v1/authz.js";
+import { GenericAuthorization } from "cosmjs-types/cosmos/authz/v1beta1/authz.js";
+import { MsgGrant, MsgRevoke, MsgExec } from "cosmjs-types/cosmos/authz/v1beta1/tx.js";
+import { QueryClientImpl } from "cosmjs-types/cosmos/authz/v1beta1/query.js";
+import { PageRequest } from "cosmjs-types/cosmos/base/query/v1beta1/pagination.js";
+import { createRegistry } from "./transactions.js";
+import { broadcastWithRetry, assertTxSuccess } from "./helpers.js";
+import { ValidationError } from "./errors.js";
+import XION_CONFIG from "./config.js";
+
+// Message type the grants authorize; authz keys grants by granter, grantee and this type URL
+export const EXECUTE_CONTRACT_TYPE_URL = "/cosmwasm.wasm.v1.MsgExecuteContract";
+
+// Kinds of grant 'authz grant' can create
+export const AUTHORIZATION_TYPES = ["contract", "generic"];
+
+const DURATION_UNITS = { m: 60, h: 3600, d: 86400 };
+
+/**
+ * Encode a protobuf value as an Any
+ * @param {object} Type - cosmjs-types message type (with typeUrl, fromPartial and encode)
+ * @param {object} value - Message fields
+ * @returns {object} { typeUrl, value }
+ */
+function toAny(Type, value) {
+  return { typeUrl: Type.typeUrl, value: Type.encode(Type.fromPartial(value)).finish() };
+}
+
+/**
+ * Parse a grant expiration: an ISO 8601 date, unix seconds, or a duration from now (30d, 12h, 90m)
+ * @param {string} value - Expiration
+ * @param {Date} now - Current time (optional)
+ * @returns {Date|null} Expiration date, or null when no value is given
+ */
+export function parseGrantExpiration(value, now = new Date()) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const text = String(value).trim();
+  const duration = /^(\d+)([mhd])$/.exec(text);
+  let date;
+  if (duration) {
+    date = new Date(now.getTime() + Number(duration[1]) * DURATION_UNITS[duration[2]] * 1000);
+  } else if (/^\d+$/.test(text)) {
+    date = new Date(Number(text) * 1000);
+  } else {
+    date = new Date(text);
+  }
+
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`Invalid expiration: ${value} (use an ISO date, unix seconds, or a duration like 30d, 12h)`);
+  }
+  if (date <= now) {
+    throw new ValidationError(`Expiration ${date.toISOString()} is in the past`);
+  }
+  return date;
+}
+
+/**
+ * Build a ContractExecutionAuthorization for one contract
+ * wasmd requires a limit on every contract grant, so at least one of maxCalls and maxFunds is needed
+ * @param {object} options - Authorization options
+ * @param {string} options.contract - Contract the grantee may execute
+ * @param {number} options.maxCalls - Number of executions allowed (optional)
+ * @param {Array<object>} options.maxFunds - Total funds the grantee may attach, as coins (optional)
+ * @param {Array<string>} options.messages - Allowed top-level message keys, e.g. ["mint"] (optional, defaults to all)
+ * @returns {object} Authorization as an Any
+ */
+export function contractExecutionAuthorization({ contract, maxCalls, maxFunds, messages = [] }) {
+  if (!contract) {
+    throw new ValidationError("A contract grant needs --contract");
+  }
+  if (!maxCalls && !(maxFunds && maxFunds.length > 0)) {
+    throw new ValidationError("A contract grant needs a limit: pass --max-calls, --max-funds or both");
+  }
+
+  let limit;
+  if (maxCalls && maxFunds?.length > 0) {
+    limit = toAny(CombinedLimit, { callsRemaining: BigInt(maxCalls), amounts: maxFunds });
+  } else if (maxCalls) {
+    limit = toAny(MaxCallsLimit, { remaining: BigInt(maxCalls) });
+  } else {
+    limit = toAny(MaxFundsLimit, { amounts: maxFunds });
+  }
+  const filter =
+    messages.length > 0 ? toAny(AcceptedMessageKeysFilter, { keys: messages }) : toAny(AllowAllMessagesFilter, {});
+
+  return toAny(ContractExecutionAuthorization, { grants: [{ contract, limit, filter }] });
+}
+
+/**
+ * Build a GenericAuthorization (any number of messages of one type, to any contract)
+ * @param {string} msgTypeUrl - Message type URL (defaults to MsgExecuteContract)
+ * @returns {object} Authorization as an Any
+ */
+export function genericAuthorization(msgTypeUrl = EXECUTE_CONTRACT_TYPE_URL) {
+  return toAny(GenericAuthorization, { msg: msgTypeUrl });
+}
+
+/**
+ * Build a MsgGrant
+ * @param {string} granter - Address granting the authorization
+ * @param {string} grantee - Address receiving it
+ * @param {object} authorization - Authorization as an Any
+ * @param {Date|null} expiration - Expiration (optional; null never expires)
+ * @returns {object} EncodeObject
+ */
+export function toGrantMessage(granter, grantee, authorization, expiration = null) {
+  return {
+    typeUrl: "/cosmos.authz.v1beta1.MsgGrant",
+    value: MsgGrant.fromPartial({
+      granter,
+      grantee,
+      grant: {
+        authorization,
+        expiration: expiration ? { seconds: BigInt(Math.floor(expiration.getTime() / 1000)), nanos: 0 } : undefined,
+      },
+    }),
+  };
+}
+
+/**
+ * Build a MsgRevoke
+ * @param {string} granter - Address that granted the authorization
+ * @param {string} grantee - Address holding it
+ * @param {string} msgTypeUrl - Message type of the grant (defaults to MsgExecuteContract)
+ * @returns {object} EncodeObject
+ */
+export function toRevokeMessage(granter, grantee, msgTypeUrl = EXECUTE_CONTRACT_TYPE_URL) {
+  return {
+    typeUrl: "/cosmos.authz.v1beta1.MsgRevoke",
+    value: MsgRevoke.fromPartial({ granter, grantee, msgTypeUrl }),
+  };
+}
+
+/**
+ * Build a contract execute message sent by the granter and wrapped in a MsgExec signed by the grantee
+ * @param {string} grantee - Address signing the transaction
+ * @param {string} granter - Address the contract sees as sender
+ * @param {string} contract - Contract address
+ * @param {object} msg - Execute message (JSON)
+ * @param {Array<object>} funds - Coins to attach (optional)
+ * @returns {object} MsgExec EncodeObject
+ */
+export function toAuthzExecuteMessage(grantee, granter, contract, msg, funds = []) {
+  const inner = {
+    typeUrl: EXECUTE_CONTRACT_TYPE_URL,
+    value: MsgExecuteContract.fromPartial({
+      sender: granter,
+      contract,
+      msg: toUtf8(JSON.stringify(msg)),
+      funds: [...funds],
+    }),
+  };
+  return {
+    typeUrl: "/cosmos.authz.v1beta1.MsgExec",
+    value: MsgExec.fromPartial({ grantee, msgs: [createRegistry().encodeAsAny(inner)] }),
+  };
+}
+
+/**
+ * Execute a contract message on behalf of a granter (with broadcastWithRetry)
+ * The grantee signs and pays the fee; the contract sees the granter as sender
+ * @param {SigningCosmWasmClient} client - Signing client of the grantee
+ * @param {string} granteeAddress - Grantee's address
+ * @param {string} granterAddress - Granter's address
+ * @param {string} contractAddress - Contract address
+ * @param {object} executeMsg - Execute message object
+ * @param {string} memo - Transaction memo (optional)
+ * @param {Array} funds - Funds to send with execution (optional)
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result (DeliverTxResponse)
+ */
+export async function executeContractWithAuthz(
+  client,
+  granteeAddress,
+  granterAddress,
+  contractAddress,
+  executeMsg,
+  memo = "",
+  funds = [],
+  network = XION_CONFIG
+) {
+  const message = toAuthzExecuteMessage(granteeAddress, granterAddress, contractAddress, executeMsg, funds);
+  const result = await broadcastWithRetry(client, granteeAddress, [message], "auto", memo, { network });
+  return assertTxSuccess(result, network);
+}
+
+/**
+ * Describe a contract grant's limit
+ * @param {object} limit - Limit as an Any
+ * @returns {object} { maxCalls, maxFunds } (each null when not limited)
+ */
+function describeLimit(limit) {
+  switch (limit?.typeUrl) {
+    case MaxCallsLimit.typeUrl:
+      return { maxCalls: Number(MaxCallsLimit.decode(limit.value).remaining), maxFunds: null };
+    case MaxFundsLimit.typeUrl:
+      return { maxCalls: null, maxFunds: MaxFundsLimit.decode(limit.value).amounts };
+    case CombinedLimit.typeUrl: {
+      const combined = CombinedLimit.decode(limit.value);
+      return { maxCalls: Number(combined.callsRemaining), maxFunds: combined.amounts };
+    }
+    default:
+      return { maxCalls: null, maxFunds: null, other: limit?.typeUrl ?? null };
+  }
+}
+
+/**
+ * Describe a contract grant's message filter
+ * @param {object} filter - Filter as an Any
+ * @returns {string[]|null} Allowed message keys or messages, or null when all messages are allowed
+ */
+function describeFilter(filter) {
+  switch (filter?.typeUrl) {
+    case AllowAllMessagesFilter.typeUrl:
+      return null;
+    case AcceptedMessageKeysFilter.typeUrl:
+      return AcceptedMessageKeysFilter.decode(filter.value).keys;
+    case AcceptedMessagesFilter.typeUrl:
+      return AcceptedMessagesFilter.decode(filter.value).messages.map((msg) => fromUtf8(msg));
+    default:
+      return [filter?.typeUrl ?? "unknown filter"];
+  }
+}
+
+/**
+ * Decode an authorization into plain JSON
+ * @param {object} authorization - Authorization as an Any
+ * @returns {object} { type: "contract", grants } / { type: "generic", msg } / { type: <type URL> }
+ */
+export function describeAuthorization(authorization) {
+  switch (authorization?.typeUrl) {
+    case ContractExecutionAuthorization.typeUrl:
+      return {
+        type: "contract",
+        grants: ContractExecutionAuthorization.decode(authorization.value).grants.map((grant) => ({
+          contract: grant.contract,
+          ...describeLimit(grant.limit),
+          messages: describeFilter(grant.filter),
+        })),
+      };
+    case GenericAuthorization.typeUrl:
+      return { type: "generic", msg: GenericAuthorization.decode(authorization.value).msg };
+    default:
+      return { type: authorization?.typeUrl ?? "unknown" };
+  }
+}
+
+/**
+ * List grants given by a granter and/or held by a grantee
+ * With both addresses only the grants between them are returned
+ * @param {CosmWasmClient} client - Query client
+ * @param {object} options - Query options
+ * @param {string} options.granter - Granter address (optional)
+ * @param {string} options.grantee - Grantee address (optional)
+ * @returns {Promise<Array<object>>} { granter, grantee, authorization (described), expiration (Date or null) } per grant
+ */
+export async function queryGrants(client, { granter, grantee } = {}) {
+  if (!granter && !grantee) {
+    throw new ValidationError("Pass a granter, a grantee or both");
+  }
+  const query = new QueryClientImpl(createProtobufRpcClient(client.forceGetQueryClient()));
+
+  const grants = [];
+  let key = new Uint8Array();
+  do {
+    const pagination = PageRequest.fromPartial({ key, limit: 100n });
+    let response;
+    if (granter && grantee) {
+      response = await query.Grants({ granter, grantee, msgTypeUrl: "", pagination });
+      response.grants = response.grants.map((grant) => ({ ...grant, granter, grantee }));
+    } else if (granter) {
+      response = await query.GranterGrants({ granter, pagination });
+    } else {
+      response = await query.GranteeGrants({ grantee, pagination });
+    }
+
+    for (const grant of response.grants) {
+      grants.push({
+        granter: grant.granter,
+        grantee: grant.grantee,
+        authorization: describeAuthorization(grant.authorization),
+        expiration: grant.expiration ? new Date(Number(grant.expiration.seconds) * 1000) : null,
+      });
+    }
+    key = response.pagination?.nextKey ?? new Uint8Array();
+  } while (key.length > 0);
+
+  return grants;
+}
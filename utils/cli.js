@@ -0,0 +1,481 @@
+/**
+ * Command-line utilities for the xion-nft CLI
+ * Flag parsing, option resolution (flag > env > config file > default) and help output
+ */
+
+import fs from "fs";
+import path from "path";
+import { parseArgs } from "util";
+import readline from "readline/promises";
+import { getNetworkConfig } from "./config.js";
+import { configureOutput, printResult } from "./output.js";
+import { classifyError } from "./errors.js";
+import { configureKeystore } from "./keystore.js";
+import { configureWallet } from "./helpers.js";
+
+// Config file looked up in the working directory when --config is not given
+export const DEFAULT_CONFIG_FILE = "xion-nft.config.json";
+
+// Options accepted by every command
+export const GLOBAL_OPTIONS = [
+  {
+    name: "config",
+    env: "XION_NFT_CONFIG",
+    metavar: "file",
+    description: `Path to a JSON config file (default: ./${DEFAULT_CONFIG_FILE})`,
+  },
+  {
+    name: "network",
+    env: "XION_NETWORK",
+    metavar: "name",
+    description: "Network profile: testnet, mainnet, local or a name from the networks file",
+    default: "testnet",
+  },
+  {
+    name: "networks-file",
+    env: "XION_NETWORKS_FILE",
+    metavar: "file",
+    description: "Path to a networks JSON file (default: ./networks.json)",
+  },
+  {
+    name: "from",
+    env: "XION_NFT_FROM",
+    metavar: "key",
+    description: "Sign with this keystore key instead of MNEMONIC (see 'keys list')",
+  },
+  {
+    name: "keystore",
+    env: "XION_NFT_KEYSTORE",
+    metavar: "dir",
+    description: "Keystore directory (default: ~/.xion-nft/keys)",
+  },
+  {
+    name: "account-index",
+    env: "XION_NFT_ACCOUNT_INDEX",
+    metavar: "n",
+    description: "Sign with the account at m/44'/118'/0'/0/<n> of the mnemonic (default: 0)",
+  },
+  {
+    name: "hd-path",
+    env: "XION_NFT_HD_PATH",
+    metavar: "path",
+    description: "Sign with the account at this derivation path (e.g. m/44'/118'/1'/0/0), instead of --account-index",
+  },
+  {
+    name: "retries",
+    env: "XION_NFT_RETRIES",
+    metavar: "n",
+    description: "Broadcast retries after a sequence mismatch or an unreachable node (default: 3, or the network's broadcast.retries)",
+  },
+  {
+    name: "yes",
+    short: "y",
+    type: "boolean",
+    description: "Skip the confirmation prompt on networks that require it (e.g. mainnet)",
+    default: false,
+  },
+  {
+    name: "json",
+    env: "XION_NFT_JSON",
+    type: "boolean",
+    description: "Write the result as one JSON object on stdout; progress goes to stderr",
+    default: false,
+  },
+  {
+    name: "quiet",
+    short: "q",
+    type: "boolean",
+    description: "Only report errors (with --json, only the JSON result)",
+    default: false,
+  },
+  {
+    name: "help",
+    short: "h",
+    type: "boolean",
+    description: "Show help for this command",
+  },
+];
+
+/**
+ * Error raised for invalid command-line usage (unknown flags, missing values, ...)
+ */
+export class UsageError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} command - Command definition the error relates to (optional)
+   */
+  constructor(message, command = null) {
+    super(message);
+    this.name = "UsageError";
+    this.command = command;
+  }
+}
+
+/**
+ * Convert a kebab-case flag name to the camelCase option key
+ * @param {string} name - Flag name (e.g. "token-id")
+ * @returns {string} Option key (e.g. "tokenId")
+ */
+export function toOptionKey(name) {
+  return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Load the CLI config file
+ * A missing default file is ignored; a missing explicit file is an error
+ * @param {string} configPath - Explicit config file path (optional)
+ * @returns {object} Config values keyed by option key
+ */
+export function loadConfigFile(configPath) {
+  const filePath = path.resolve(configPath || DEFAULT_CONFIG_FILE);
+
+  if (!fs.existsSync(filePath)) {
+    if (configPath) {
+      throw new UsageError(`Config file not found: ${filePath}`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new UsageError(`Could not parse config file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Convert a raw value from env/config into the option's type
+ * @param {object} option - Option definition
+ * @param {any} value - Raw value
+ * @returns {any} Typed value
+ */
+function coerceValue(option, value) {
+  if (option.type === "boolean") {
+    if (typeof value === "boolean") {
+      return value;
+    }
+    return ["true", "1", "yes"].includes(String(value).toLowerCase());
+  }
+  return String(value);
+}
+
+/**
+ * Parse command-line arguments for a command
+ * @param {object} command - Command definition
+ * @param {Array<string>} argv - Arguments following the command name
+ * @returns {object} Parsed flags and positionals
+ */
+export function parseCommandArgs(command, argv) {
+  const definitions = [...GLOBAL_OPTIONS, ...command.options];
+  const parseOptions = {};
+
+  definitions.forEach((option) => {
+    parseOptions[option.name] = {
+      type: option.type === "boolean" ? "boolean" : "string",
+    };
+    if (option.short) {
+      parseOptions[option.name].short = option.short;
+    }
+  });
+
+  try {
+    const { values, positionals } = parseArgs({
+      args: argv,
+      options: parseOptions,
+      allowPositionals: true,
+      strict: true,
+    });
+    return { flags: values, positionals };
+  } catch (error) {
+    throw new UsageError(error.message, command);
+  }
+}
+
+/**
+ * Resolve option values for a command
+ * Precedence: command-line flag (or positional) > environment variable > config file > default
+ * @param {object} command - Command definition
+ * @param {object} flags - Parsed flags
+ * @param {Array<string>} positionals - Positional arguments
+ * @param {object} config - Config file values
+ * @returns {object} Resolved options keyed by camelCase option name
+ */
+export function resolveOptions(command, flags, positionals, config = {}) {
+  const fromPositionals = {};
+  const args = command.args || [];
+
+  args.forEach((arg, i) => {
+    if (arg.endsWith("...")) {
+      const rest = positionals.slice(i);
+      if (rest.length > 0) {
+        fromPositionals[arg.slice(0, -3)] = rest.join(" ");
+      }
+    } else if (positionals[i] !== undefined) {
+      fromPositionals[arg] = positionals[i];
+    }
+  });
+
+  const hasVariadic = args.some((arg) => arg.endsWith("..."));
+  if (!hasVariadic && positionals.length > args.length) {
+    throw new UsageError(
+      `Unexpected argument: ${positionals[args.length]}`,
+      command
+    );
+  }
+
+  const options = {};
+
+  for (const option of command.options) {
+    const key = toOptionKey(option.name);
+    let value;
+
+    if (flags[option.name] !== undefined) {
+      value = flags[option.name];
+    } else if (fromPositionals[option.name] !== undefined) {
+      value = fromPositionals[option.name];
+    } else if (option.env && process.env[option.env] !== undefined && process.env[option.env] !== "") {
+      value = coerceValue(option, process.env[option.env]);
+    } else if (config[key] !== undefined) {
+      value = coerceValue(option, config[key]);
+    } else {
+      value = option.default;
+    }
+
+    if (option.required && (value === undefined || value === "")) {
+      const sources = [`--${option.name}`];
+      if (option.env) {
+        sources.push(`${option.env} in .env`);
+      }
+      sources.push(`"${key}" in the config file`);
+      throw new UsageError(
+        `Missing required option --${option.name} (set ${sources.join(", or ")})`,
+        command
+      );
+    }
+
+    if (option.choices && value !== undefined && !option.choices.includes(value)) {
+      throw new UsageError(
+        `Invalid value for --${option.name}: "${value}" (expected one of: ${option.choices.join(", ")})`,
+        command
+      );
+    }
+
+    options[key] = value;
+  }
+
+  return options;
+}
+
+/**
+ * Format a single option line for help output
+ * @param {object} option - Option definition
+ * @returns {string} Help line
+ */
+function formatOptionHelp(option) {
+  let flag = option.short ? `-${option.short}, --${option.name}` : `    --${option.name}`;
+  if (option.type !== "boolean") {
+    flag += ` <${option.metavar || "value"}>`;
+  }
+
+  const details = [];
+  if (option.required) {
+    details.push("required");
+  }
+  if (option.env) {
+    details.push(`env: ${option.env}`);
+  }
+  if (option.default !== undefined) {
+    details.push(`default: ${option.default}`);
+  }
+  if (option.choices) {
+    details.push(`one of: ${option.choices.join(", ")}`);
+  }
+
+  const suffix = details.length > 0 ? ` (${details.join(", ")})` : "";
+  return `  ${flag.padEnd(34)} ${option.description}${suffix}`;
+}
+
+/**
+ * Render help text for a single command
+ * @param {string} programName - CLI program name
+ * @param {object} command - Command definition
+ * @returns {string} Help text
+ */
+export function formatCommandHelp(programName, command) {
+  const args = (command.args || []).map((arg) => `[${arg}]`).join(" ");
+  const lines = [
+    `Usage: ${programName} ${command.name}${args ? " " + args : ""} [options]`,
+    "",
+    command.description || command.summary,
+    "",
+    "Options:",
+    ...command.options.map(formatOptionHelp),
+    "",
+    "Global options:",
+    ...GLOBAL_OPTIONS.map(formatOptionHelp),
+  ];
+
+  if (command.examples && command.examples.length > 0) {
+    lines.push("", "Examples:");
+    command.examples.forEach((example) => lines.push(`  ${example}`));
+  }
+
+  lines.push(
+    "",
+    "Option values are taken from, in order: command-line flag, environment variable, config file, default."
+  );
+
+  return lines.join("\n");
+}
+
+/**
+ * Render the top-level help listing all commands
+ * @param {string} programName - CLI program name
+ * @param {Array<object>} commands - Command definitions
+ * @returns {string} Help text
+ */
+export function formatProgramHelp(programName, commands) {
+  const width = Math.max(...commands.map((command) => command.name.length)) + 2;
+  const lines = [
+    `Usage: ${programName} <command> [options]`,
+    "",
+    "Commands:",
+    ...commands.map((command) => `  ${command.name.padEnd(width)} ${command.summary}`),
+    "",
+    "Global options:",
+    ...GLOBAL_OPTIONS.map(formatOptionHelp),
+    "",
+    `Run '${programName} <command> --help' for command-specific options.`,
+  ];
+  return lines.join("\n");
+}
+
+/**
+ * Ask the user to confirm an action on the terminal
+ * @param {string} question - Prompt text
+ * @returns {Promise<boolean>} True if the user typed "yes"
+ */
+export async function confirmAction(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+  try {
+    const answer = await rl.question(question);
+    return answer.trim().toLowerCase() === "yes";
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Require explicit confirmation before a transaction command runs on a network that asks for it
+ * @param {object} command - Command definition
+ * @param {object} network - Network configuration
+ * @param {boolean} assumeYes - True if --yes was given
+ * @returns {Promise<boolean>} True if the command may proceed
+ */
+export async function confirmNetwork(command, network, assumeYes) {
+  if (!command.confirm || !network.requireConfirmation || assumeYes) {
+    return true;
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new UsageError(
+      `'${command.name}' on ${network.chainName} (${network.chainId}) requires confirmation. Pass --yes to proceed`,
+      command
+    );
+  }
+
+  return confirmAction(
+    `About to run '${command.name}' on ${network.chainName} (${network.chainId}). Type "yes" to continue: `
+  );
+}
+
+/**
+ * Find the command matching the leading arguments
+ * @param {Array<object>} commands - Command definitions
+ * @param {Array<string>} argv - Command-line arguments
+ * @returns {{command: object, rest: Array<string>}|null} Matched command and remaining args
+ */
+export function findCommand(commands, argv) {
+  const matches = commands
+    .map((command) => ({ command, words: command.name.split(" ") }))
+    .filter(({ words }) => words.every((word, i) => argv[i] === word))
+    .sort((a, b) => b.words.length - a.words.length);
+
+  if (matches.length === 0) {
+    return null;
+  }
+
+  const { command, words } = matches[0];
+  return { command, rest: argv.slice(words.length) };
+}
+
+/**
+ * Parse argv, resolve options and run the matching command
+ * With --json the result is written to stdout as { ok, command, chainId, result }
+ * @param {string} programName - CLI program name
+ * @param {Array<object>} commands - Command definitions
+ * @param {Array<string>} argv - Command-line arguments (without node and script path)
+ * @returns {Promise<any>} Command result
+ */
+export async function runCli(programName, commands, argv) {
+  if (argv.length === 0 || argv[0] === "--help" || argv[0] === "-h" || argv[0] === "help") {
+    console.log(formatProgramHelp(programName, commands));
+    return null;
+  }
+
+  const match = findCommand(commands, argv);
+  if (!match) {
+    throw new UsageError(`Unknown command: ${argv.filter((arg) => !arg.startsWith("-")).slice(0, 2).join(" ")}`);
+  }
+
+  const { command, rest } = match;
+  const { flags, positionals } = parseCommandArgs(command, rest);
+
+  if (flags.help) {
+    console.log(formatCommandHelp(programName, command));
+    return null;
+  }
+
+  const configPath = flags.config || process.env.XION_NFT_CONFIG;
+  const config = loadConfigFile(configPath);
+  const options = resolveOptions(command, flags, positionals, config);
+  const globals = resolveOptions({ name: command.name, options: GLOBAL_OPTIONS }, flags, [], config);
+  configureOutput({ json: globals.json, quiet: globals.quiet });
+  configureKeystore({ from: globals.from, dir: globals.keystore });
+  try {
+    configureWallet({ accountIndex: globals.accountIndex, hdPath: globals.hdPath });
+  } catch (error) {
+    throw new UsageError(error.message, command);
+  }
+
+  let network;
+  try {
+    network = getNetworkConfig(globals.network, globals.networksFile);
+  } catch (error) {
+    throw new UsageError(error.message, command);
+  }
+  if (globals.retries !== undefined) {
+    const retries = Number(globals.retries);
+    if (!Number.isInteger(retries) || retries < 0) {
+      throw new UsageError(`Invalid --retries: ${globals.retries} (expected a whole number)`, command);
+    }
+    network = { ...network, broadcast: { ...network.broadcast, retries } };
+  }
+
+  if (!(await confirmNetwork(command, network, globals.yes))) {
+    console.error("Aborted.");
+    process.exitCode = 1;
+    printResult(command.name, null, network);
+    return null;
+  }
+
+  let result;
+  try {
+    result = await command.run({ ...options, network });
+  } catch (error) {
+    // Typed errors carry the exit code and hint the entry point reports
+    throw classifyError(error, { network });
+  }
+  printResult(command.name, result, network);
+  return result;
+}
@@ -1,10 +1,15 @@
 /**
  * XION Blockchain Configuration
- * Network: Testnet (xion-testnet-2)
+ * Networks: Testnet (xion-testnet-2, default), Mainnet (xion-mainnet-1), Local
+ * Additional or overridden networks can be defined in a networks file (see networks.example.json)
  */
 
+import fs from "fs";
+import path from "path";
+
 export const XION_CONFIG = {
   // Network identifiers
+  name: "testnet",
   chainId: "xion-testnet-2",
   chainName: "XION Testnet",
 
@@ -25,6 +30,13 @@ export const XION_CONFIG = {
 
   // CW721 NFT Contract Code IDs (pre-deployed)
   cw721MetadataOnchainCodeId: 525, // Testnet code ID for cw721-metadata-onchain
+  cw721BaseCodeId: 522, // Testnet code ID for cw721-base
+
+  // Block explorer (transactions at /tx/<hash>, accounts at /address/<address>)
+  explorerUrl: "https://www.mintscan.io/xion-testnet",
+
+  // Transactions on this network run without an explicit confirmation
+  requireConfirmation: false,
 
   // Faucet info (for testnet)
   faucet: {
@@ -33,8 +45,8 @@ export const XION_CONFIG = {
   }
 };
 
-// Mainnet configuration (for reference, not currently used)
 export const XION_MAINNET_CONFIG = {
+  name: "mainnet",
   chainId: "xion-mainnet-1",
   chainName: "XION Mainnet",
   rpcEndpoint: "https://rpc.xion-mainnet-1.burnt.com:443",
@@ -44,7 +56,111 @@ export const XION_MAINNET_CONFIG = {
   gasAdjustment: 1.3,
   denom: "uxion",
   decimals: 6,
-  cw721MetadataOnchainCodeId: 28 // Mainnet code ID
+  cw721MetadataOnchainCodeId: 28, // Mainnet code ID
+  cw721BaseCodeId: 25,
+  explorerUrl: "https://www.mintscan.io/xion",
+  requireConfirmation: true, // Real funds: transactions must be confirmed
+  faucet: null
+};
+
+// Single-node chain started locally (e.g. xiond with default ports)
+export const XION_LOCAL_CONFIG = {
+  name: "local",
+  chainId: "xion-local",
+  chainName: "XION Local",
+  rpcEndpoint: "http://localhost:26657",
+  restEndpoint: "http://localhost:1317",
+  addressPrefix: "xion",
+  gasPrice: "0.025uxion",
+  gasAdjustment: 1.3,
+  denom: "uxion",
+  decimals: 6,
+  cw721MetadataOnchainCodeId: null, // Store the contract code yourself and set the code ID
+  cw721BaseCodeId: null,
+  explorerUrl: null,
+  requireConfirmation: false,
+  faucet: null
+};
+
+// Built-in network profiles selectable with --network
+export const NETWORKS = {
+  testnet: XION_CONFIG,
+  mainnet: XION_MAINNET_CONFIG,
+  local: XION_LOCAL_CONFIG,
+};
+
+// Default networks file looked up in the working directory
+export const DEFAULT_NETWORKS_FILE = "networks.json";
+
+// Defaults applied to custom networks that don't specify these fields
+const CUSTOM_NETWORK_DEFAULTS = {
+  addressPrefix: "xion",
+  gasPrice: "0.025uxion",
+  gasAdjustment: 1.3,
+  denom: "uxion",
+  decimals: 6,
+  cw721MetadataOnchainCodeId: null,
+  cw721BaseCodeId: null,
+  explorerUrl: null,
+  requireConfirmation: false,
+  faucet: null,
 };
 
+/**
+ * Load user-defined network profiles
+ * A missing default file is ignored; a missing explicit file is an error
+ * @param {string} networksFile - Path to the networks file (optional)
+ * @returns {object} Network profiles keyed by name
+ */
+export function loadNetworksFile(networksFile) {
+  const filePath = path.resolve(networksFile || DEFAULT_NETWORKS_FILE);
+
+  if (!fs.existsSync(filePath)) {
+    if (networksFile) {
+      throw new Error(`Networks file not found: ${filePath}`);
+    }
+    return {};
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  } catch (error) {
+    throw new Error(`Could not parse networks file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Get the configuration for a network
+ * Entries in the networks file override built-in profiles field by field,
+ * or define new networks (chainId and rpcEndpoint required)
+ * @param {string} name - Network name (testnet, mainnet, local or a custom name)
+ * @param {string} networksFile - Path to the networks file (optional)
+ * @returns {object} Network configuration
+ */
+export function getNetworkConfig(name = "testnet", networksFile) {
+  const custom = loadNetworksFile(networksFile);
+  const builtIn = NETWORKS[name];
+  const override = custom[name];
+
+  if (!builtIn && !override) {
+    const available = [...new Set([...Object.keys(NETWORKS), ...Object.keys(custom)])];
+    throw new Error(`Unknown network: ${name} (available: ${available.join(", ")})`);
+  }
+
+  const config = {
+    ...(builtIn || CUSTOM_NETWORK_DEFAULTS),
+    ...(override || {}),
+    name,
+  };
+  config.chainName = config.chainName || name;
+
+  for (const field of ["chainId", "rpcEndpoint"]) {
+    if (!config[field]) {
+      throw new Error(`Network "${name}" is missing required field "${field}"`);
+    }
+  }
+
+  return config;
+}
+
 export default XION_CONFIG;
@@ -0,0 +1,313 @@
+/**
+ * CW721 execute message builders, ownership checks and paginated queries
+ * Shared by the approval, send, burn, gas estimation and collection scripts
+ */
+
+import { toUtf8, toBase64, fromBase64 } from "@cosmjs/encoding";
+import { queryContract } from "./helpers.js";
+import { classifyError, isNotFoundError, TokenNotFoundError } from "./errors.js";
+
+/**
+ * Build a cw-utils Expiration from command-line style options
+ * At most one of the options may be set; with none set the contract default (never) applies
+ * @param {object} options - Expiration options
+ * @param {string|number} options.expiresAtHeight - Block height at which the approval expires
+ * @param {string|number} options.expiresAtTime - ISO 8601 date or unix time in seconds
+ * @param {boolean} options.neverExpires - Explicitly never expire
+ * @returns {object|null} Expiration ({ at_height } | { at_time } | { never }) or null for the default
+ */
+export function parseExpiration({ expiresAtHeight, expiresAtTime, neverExpires } = {}) {
+  const given = [expiresAtHeight, expiresAtTime, neverExpires].filter((value) => value !== undefined && value !== false);
+  if (given.length > 1) {
+    throw new Error("Use only one of --expires-at-height, --expires-at-time and --never-expires");
+  }
+
+  if (expiresAtHeight !== undefined) {
+    const height = Number(expiresAtHeight);
+    if (!Number.isInteger(height) || height <= 0) {
+      throw new Error(`Invalid expiration height: ${expiresAtHeight}`);
+    }
+    return { at_height: height };
+  }
+
+  if (expiresAtTime !== undefined) {
+    const seconds = /^\d+$/.test(String(expiresAtTime))
+      ? Number(expiresAtTime)
+      : Math.floor(Date.parse(expiresAtTime) / 1000);
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw new Error(`Invalid expiration time: ${expiresAtTime} (use an ISO date or unix seconds)`);
+    }
+    // cw-utils Timestamp is a Uint64 of nanoseconds, serialized as a string
+    return { at_time: (BigInt(seconds) * 1000000000n).toString() };
+  }
+
+  if (neverExpires) {
+    return { never: {} };
+  }
+
+  return null;
+}
+
+/**
+ * Describe an Expiration for display
+ * @param {object|null} expires - Expiration object
+ * @returns {string} Human readable expiration
+ */
+export function formatExpiration(expires) {
+  if (!expires || expires.never) {
+    return "never";
+  }
+  if (expires.at_height) {
+    return `at height ${expires.at_height}`;
+  }
+  if (expires.at_time) {
+    const ms = Number(BigInt(expires.at_time) / 1000000n);
+    return `at ${new Date(ms).toISOString()}`;
+  }
+  return JSON.stringify(expires);
+}
+
+/**
+ * Encode the hook message for send_nft as base64 Binary
+ * @param {object} options - Hook message options
+ * @param {string} options.msg - JSON message for the receiving contract (encoded for you)
+ * @param {string} options.msgBase64 - Already base64 encoded message
+ * @returns {string} Base64 encoded message
+ */
+export function encodeHookMsg({ msg, msgBase64 } = {}) {
+  if (msg && msgBase64) {
+    throw new Error("Use either --msg or --msg-base64, not both");
+  }
+  if (msgBase64) {
+    try {
+      fromBase64(msgBase64);
+    } catch (error) {
+      throw new Error(`--msg-base64 is not valid base64: ${error.message}`);
+    }
+    return msgBase64;
+  }
+  if (msg) {
+    try {
+      return toBase64(toUtf8(JSON.stringify(JSON.parse(msg))));
+    } catch (error) {
+      throw new Error(`--msg is not valid JSON: ${error.message}`);
+    }
+  }
+  // Receivers still get a (empty) message; "{}" is the usual no-op payload
+  return toBase64(toUtf8("{}"));
+}
+
+/**
+ * CW721 execute messages, keyed by action
+ */
+export const cw721Messages = {
+  transferNft: (recipient, tokenId) => ({ transfer_nft: { recipient, token_id: tokenId } }),
+  sendNft: (contract, tokenId, msg) => ({ send_nft: { contract, token_id: tokenId, msg } }),
+  approve: (spender, tokenId, expires) => ({
+    approve: { spender, token_id: tokenId, ...(expires && { expires }) },
+  }),
+  revoke: (spender, tokenId) => ({ revoke: { spender, token_id: tokenId } }),
+  approveAll: (operator, expires) => ({ approve_all: { operator, ...(expires && { expires }) } }),
+  revokeAll: (operator) => ({ revoke_all: { operator } }),
+  burn: (tokenId) => ({ burn: { token_id: tokenId } }),
+};
+
+/**
+ * Wrap a CW721 execute message as a MsgExecuteContract EncodeObject
+ * @param {string} sender - Sender address
+ * @param {string} contract - NFT contract address
+ * @param {object} msg - Execute message
+ * @returns {object} EncodeObject
+ */
+export function toExecuteMessage(sender, contract, msg) {
+  return {
+    typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
+    value: {
+      sender,
+      contract,
+      msg: toUtf8(JSON.stringify(msg)),
+      funds: [],
+    },
+  };
+}
+
+/**
+ * Query the owner and approvals of a token
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} contract - NFT contract address
+ * @param {string} tokenId - Token ID
+ * @returns {Promise<object>} owner_of result ({ owner, approvals })
+ */
+export async function getTokenOwner(client, contract, tokenId) {
+  try {
+    return await queryContract(client, contract, { owner_of: { token_id: tokenId } });
+  } catch (error) {
+    const typed = classifyError(error);
+    if (typed instanceof TokenNotFoundError) {
+      throw new TokenNotFoundError(`Token ${tokenId} not found in contract ${contract}`, {
+        cause: error,
+        wasmError: typed.wasmError,
+      });
+    }
+    throw typed;
+  }
+}
+
+/**
+ * Check whether an address is an operator (approve_all) for an owner
+ * Uses the "operator" query where available and falls back to paging "all_operators" on older contracts
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} contract - NFT contract address
+ * @param {string} owner - Token owner
+ * @param {string} operator - Address to check
+ * @returns {Promise<boolean>} True if the operator approval exists and has not expired
+ */
+export async function isOperator(client, contract, owner, operator) {
+  try {
+    const result = await queryContract(client, contract, {
+      operator: { owner, operator, include_expired: false },
+    });
+    return Boolean(result.approval);
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      return false;
+    }
+  }
+
+  // Page with start_after until the operator is found or an empty page is returned
+  let startAfter;
+  for (;;) {
+    const { operators } = await queryContract(client, contract, {
+      all_operators: { owner, include_expired: false, start_after: startAfter, limit: 100 },
+    });
+    if (!operators || operators.length === 0) {
+      return false;
+    }
+    if (operators.some((approval) => approval.spender === operator)) {
+      return true;
+    }
+    startAfter = operators[operators.length - 1].spender;
+  }
+}
+
+/**
+ * Work out how an address may act on a token
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} contract - NFT contract address
+ * @param {string} tokenId - Token ID
+ * @param {string} address - Address that wants to act
+ * @returns {Promise<object>} { owner, approvals, isOwner, isApproved, isOperator }
+ */
+export async function getTokenPermissions(client, contract, tokenId, address) {
+  const { owner, approvals = [] } = await getTokenOwner(client, contract, tokenId);
+  const isOwner = owner === address;
+  const isApproved = approvals.some((approval) => approval.spender === address);
+  const operator = isOwner ? false : await isOperator(client, contract, owner, address);
+  return { owner, approvals, isOwner, isApproved, isOperator: operator };
+}
+
+/**
+ * Create a query function bound to a contract, for the pagination helpers
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} contract - NFT contract address
+ * @returns {Function} async (queryMsg) => result
+ */
+export function contractQuerier(client, contract) {
+  return (queryMsg) => queryContract(client, contract, queryMsg);
+}
+
+/**
+ * Page through a token ID listing with start_after until an empty page is returned
+ * (an empty page rather than a short one ends the loop, since contracts cap "limit" differently)
+ * @param {Function} query - async (queryMsg) => result
+ * @param {Function} buildMsg - (startAfter, limit) => query message returning { tokens }
+ * @param {object} options - Pagination options
+ * @param {number} options.pageSize - Tokens requested per page
+ * @param {Function} options.onPage - Called with each page of token IDs (optional)
+ * @returns {Promise<Array<string>>} All token IDs, in contract order
+ */
+export async function paginateTokenIds(query, buildMsg, { pageSize = 100, onPage } = {}) {
+  const tokenIds = [];
+  let startAfter;
+
+  for (;;) {
+    const { tokens } = await query(buildMsg(startAfter, pageSize));
+    if (!tokens || tokens.length === 0) {
+      break;
+    }
+    tokenIds.push(...tokens);
+    if (onPage) {
+      onPage(tokens);
+    }
+    startAfter = tokens[tokens.length - 1];
+  }
+
+  return tokenIds;
+}
+
+/**
+ * List every token ID in a collection (all_tokens)
+ * @param {Function} query - async (queryMsg) => result
+ * @param {object} options - Pagination options ({ pageSize, onPage })
+ * @returns {Promise<Array<string>>} Token IDs
+ */
+export function getAllTokenIds(query, options) {
+  return paginateTokenIds(
+    query,
+    (startAfter, limit) => ({ all_tokens: { start_after: startAfter, limit } }),
+    options
+  );
+}
+
+/**
+ * List every token ID held by an owner (tokens)
+ * @param {Function} query - async (queryMsg) => result
+ * @param {string} owner - Owner address
+ * @param {object} options - Pagination options ({ pageSize, onPage })
+ * @returns {Promise<Array<string>>} Token IDs
+ */
+export function getOwnerTokenIds(query, owner, options) {
+  return paginateTokenIds(
+    query,
+    (startAfter, limit) => ({ tokens: { owner, start_after: startAfter, limit } }),
+    options
+  );
+}
+
+/**
+ * Run a query that only some CW721 versions support, returning null if it is unknown
+ * @param {Function} query - async (queryMsg) => result
+ * @param {object} queryMsg - Query message
+ * @returns {Promise<object|null>} Result, or null if the contract does not support the query
+ */
+async function optionalQuery(query, queryMsg) {
+  try {
+    return await query(queryMsg);
+  } catch (error) {
+    if (error.message && /unknown variant|Error parsing into type/i.test(error.message)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Read collection-level information: contract_info, num_tokens and minter/ownership
+ * cw721-base up to v0.17 answers "minter"; v0.18+ answers "ownership" (cw-ownable) instead
+ * @param {Function} query - async (queryMsg) => result
+ * @returns {Promise<object>} { name, symbol, numTokens, minter, ownership }
+ */
+export async function getCollectionInfo(query) {
+  const contractInfo = await query({ contract_info: {} });
+  const { count } = await query({ num_tokens: {} });
+  const ownership = await optionalQuery(query, { ownership: {} });
+  const minterResult = await optionalQuery(query, { minter: {} });
+
+  return {
+    name: contractInfo.name,
+    symbol: contractInfo.symbol,
+    numTokens: count,
+    minter: minterResult?.minter ?? ownership?.owner ?? null,
+    ownership,
+  };
+}
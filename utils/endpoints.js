@@ -0,0 +1,195 @@
+/**
+ * RPC endpoint health probing, selection and failover
+ * A network can list several RPC nodes (rpcEndpoint plus rpcEndpoints); connections go to the
+ * healthiest one and move to the next when a node stops answering mid-run
+ */
+
+import { classifyError, NetworkUnavailableError } from "./errors.js";
+
+// Time allowed for one /status probe
+export const PROBE_TIMEOUT_MS = 5000;
+
+// Blocks a node may trail the highest probed node by and still count as healthy
+const MAX_BLOCK_LAG = 5;
+
+/**
+ * List a network's RPC endpoints, primary first, without duplicates
+ * @param {object} network - Network configuration (rpcEndpoint, optional rpcEndpoints array)
+ * @returns {Array<string>} Endpoint URLs
+ */
+export function getRpcEndpoints(network) {
+  const endpoints = [network.rpcEndpoint, ...(network.rpcEndpoints || [])].filter(Boolean);
+  return [...new Set(endpoints)];
+}
+
+/**
+ * Query an endpoint's /status
+ * @param {string} endpoint - RPC endpoint URL
+ * @param {object} options - Probe options
+ * @param {number} options.timeoutMs - Request timeout (defaults to PROBE_TIMEOUT_MS)
+ * @returns {Promise<object>} { endpoint, reachable, chainId, height, blockTime, catchingUp, latencyMs, error }
+ */
+export async function probeEndpoint(endpoint, { timeoutMs = PROBE_TIMEOUT_MS } = {}) {
+  const started = Date.now();
+  try {
+    const response = await fetch(`${endpoint.replace(/\/+$/, "")}/status`, {
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    const body = await response.json();
+    const status = body.result ?? body;
+    return {
+      endpoint,
+      reachable: true,
+      chainId: status.node_info.network,
+      height: Number(status.sync_info.latest_block_height),
+      blockTime: status.sync_info.latest_block_time,
+      catchingUp: Boolean(status.sync_info.catching_up),
+      latencyMs: Date.now() - started,
+      error: null,
+    };
+  } catch (error) {
+    const reason = error.name === "TimeoutError" ? `no answer within ${timeoutMs}ms` : error.cause?.code || error.message;
+    return {
+      endpoint,
+      reachable: false,
+      chainId: null,
+      height: null,
+      blockTime: null,
+      catchingUp: null,
+      latencyMs: null,
+      error: reason,
+    };
+  }
+}
+
+/**
+ * Probe all of a network's endpoints and rank them
+ * A node is healthy when it answers, is on the network's chain, is not catching up and is within
+ * a few blocks of the highest node. Healthy nodes come first, fastest first
+ * @param {object} network - Network configuration
+ * @param {object} options - Probe options ({ timeoutMs })
+ * @returns {Promise<Array<object>>} Probe results with "healthy" and "issue" fields, best first
+ */
+export async function rankEndpoints(network, options) {
+  const probes = await Promise.all(getRpcEndpoints(network).map((endpoint) => probeEndpoint(endpoint, options)));
+  const maxHeight = Math.max(
+    0,
+    ...probes.filter((p) => p.reachable && p.chainId === network.chainId).map((p) => p.height)
+  );
+
+  const ranked = probes.map((probe) => {
+    let issue = null;
+    if (!probe.reachable) {
+      issue = `unreachable (${probe.error})`;
+    } else if (probe.chainId !== network.chainId) {
+      issue = `wrong chain ${probe.chainId}`;
+    } else if (probe.catchingUp) {
+      issue = "catching up";
+    } else if (maxHeight - probe.height > MAX_BLOCK_LAG) {
+      issue = `${maxHeight - probe.height} blocks behind`;
+    }
+    return { ...probe, healthy: issue === null, issue };
+  });
+
+  return ranked.sort((a, b) => {
+    if (a.healthy !== b.healthy) {
+      return a.healthy ? -1 : 1;
+    }
+    return (a.latencyMs ?? Infinity) - (b.latencyMs ?? Infinity);
+  });
+}
+
+/**
+ * Wrap a CosmJS client so calls that fail with a connection error are retried on the next endpoint
+ * Async methods fail over; synchronous ones (disconnect, forceGetQueryClient, ...) go to the current client.
+ * Sub-clients taken with forceGetCometClient() stay bound to the node they came from
+ * @param {object} client - Connected client
+ * @param {Array<string>} endpoints - Endpoints in preference order, the first being the connected one
+ * @param {Function} connect - async (endpoint) => client
+ * @returns {object} Client proxy
+ */
+function withFailover(client, endpoints, connect) {
+  const state = { client, index: 0 };
+
+  const failover = async (error) => {
+    // Try the other endpoints in order, once each, starting after the current one
+    for (let step = 1; step < endpoints.length; step++) {
+      const index = (state.index + step) % endpoints.length;
+      try {
+        const next = await connect(endpoints[index]);
+        state.client.disconnect();
+        state.client = next;
+        state.index = index;
+        console.warn(`RPC endpoint failed (${error.message}); switched to ${endpoints[index]}`);
+        return;
+      } catch (connectError) {
+        // Unreachable as well: try the next one
+      }
+    }
+    throw error;
+  };
+
+  return new Proxy(
+    {},
+    {
+      get(target, prop) {
+        if (prop === "rpcEndpoint") {
+          return endpoints[state.index];
+        }
+        const value = state.client[prop];
+        if (typeof value !== "function") {
+          return value;
+        }
+        return (...args) => {
+          const current = state.client;
+          const result = current[prop](...args);
+          if (!(result instanceof Promise)) {
+            return result;
+          }
+          return result.catch(async (error) => {
+            if (!(classifyError(error) instanceof NetworkUnavailableError)) {
+              throw error;
+            }
+            if (state.client === current) {
+              await failover(error);
+            }
+            return state.client[prop](...args);
+          });
+        };
+      },
+    }
+  );
+}
+
+/**
+ * Connect to the healthiest of a network's RPC endpoints
+ * With a single endpoint this is a plain connect (no probing); with several, the endpoints are
+ * probed, the best one is used and the client fails over to the others on connection errors
+ * @param {object} network - Network configuration
+ * @param {Function} connect - async (endpoint) => client
+ * @returns {Promise<object>} Connected client (a failover proxy when the network has several endpoints)
+ */
+export async function connectWithFailover(network, connect) {
+  const endpoints = getRpcEndpoints(network);
+  if (endpoints.length <= 1) {
+    return connect(endpoints[0]);
+  }
+
+  const ranked = await rankEndpoints(network);
+  const usable = ranked.filter((probe) => probe.healthy).map((probe) => probe.endpoint);
+  if (usable.length === 0) {
+    const report = ranked.map((probe) => `${probe.endpoint}: ${probe.issue}`).join("; ");
+    throw new NetworkUnavailableError(`No healthy RPC endpoint for ${network.chainId} (${report})`, {
+      hint: `Run 'xion-nft network status --network ${network.name}' for details`,
+    });
+  }
+
+  // Nodes that are reachable but lagging are kept as a last resort for failover
+  const lagging = ranked.filter((p) => !p.healthy && p.reachable && p.chainId === network.chainId);
+  const ordered = [...usable, ...lagging.map((p) => p.endpoint)];
+  const client = await connect(ordered[0]);
+  return withFailover(client, ordered, connect);
+}
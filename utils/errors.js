@@ -0,0 +1,330 @@
+/**
+ * Error classes for the CLI and the XionNftClient library
+ * Every error carries a stable "code" string so services can branch on it without parsing messages,
+ * an "exitCode" the CLI ends with, and a "hint" on what to do next. classifyError() turns CosmJS,
+ * RPC and contract errors into these classes from their ABCI code, codespace and raw log
+ */
+
+import { TimeoutError } from "@cosmjs/stargate";
+
+/**
+ * Base class for all library errors
+ * Subclasses set the static code, exitCode and hint; transaction details are set when known
+ */
+export class XionNftError extends Error {
+  static code = "XION_NFT_ERROR";
+  static exitCode = 1;
+  static hint = null;
+
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - Error options
+   * @param {Error} options.cause - Underlying error (optional)
+   * @param {string} options.hint - What to do about it (defaults to the class hint)
+   * @param {string} options.transactionHash - Hash of the failed transaction, if it was broadcast
+   * @param {number} options.txCode - ABCI result code, if the chain returned one
+   * @param {string} options.codespace - ABCI codespace, if the chain returned one
+   * @param {string} options.rawLog - Raw log returned by the chain (optional)
+   */
+  constructor(message, { cause, hint, transactionHash = null, txCode = null, codespace = null, rawLog = null } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.code = new.target.code;
+    this.exitCode = new.target.exitCode;
+    this.hint = hint ?? new.target.hint;
+    this.transactionHash = transactionHash;
+    this.txCode = txCode;
+    this.codespace = codespace;
+    this.rawLog = rawLog;
+  }
+}
+
+/**
+ * Invalid input (missing option, malformed address, unknown choice); nothing was sent to the chain
+ * Shares exit code 2 with command-line usage errors
+ */
+export class ValidationError extends XionNftError {
+  static code = "VALIDATION_ERROR";
+  static exitCode = 2;
+}
+
+/**
+ * A wallet is required but none was configured, or it cannot perform the operation
+ */
+export class WalletError extends XionNftError {
+  static code = "WALLET_ERROR";
+  static exitCode = 3;
+  static hint = "Pass --from <key> to sign with a keystore key ('xion-nft keys list'), or set MNEMONIC in your .env file";
+}
+
+/**
+ * The RPC node could not be reached or answered with a gateway error
+ */
+export class NetworkUnavailableError extends XionNftError {
+  static code = "NETWORK_UNAVAILABLE";
+  static exitCode = 4;
+  static hint = "Check your connection and the RPC endpoint (--network / networks.json); public nodes are sometimes down, so retry or use another endpoint";
+}
+
+/**
+ * A contract or chain query failed
+ */
+export class QueryError extends XionNftError {
+  static code = "QUERY_ERROR";
+  static exitCode = 11;
+}
+
+/**
+ * A transaction could not be simulated, signed or broadcast, or was included with a non-zero code
+ */
+export class TransactionError extends XionNftError {
+  static code = "TRANSACTION_ERROR";
+  static exitCode = 12;
+}
+
+/**
+ * The account cannot pay the fee or the amount sent (sdk code 5)
+ */
+export class InsufficientFundsError extends TransactionError {
+  static code = "INSUFFICIENT_FUNDS";
+  static exitCode = 5;
+  static hint = "Fund the wallet and try again; 'xion-nft gas estimate' shows the expected fee";
+}
+
+/**
+ * The signed sequence does not match the account's (sdk code 32), usually because another
+ * transaction from the same account landed first
+ */
+export class SequenceMismatchError extends TransactionError {
+  static code = "SEQUENCE_MISMATCH";
+  static exitCode = 6;
+  static hint = "Another transaction from this account was sent at the same time. Wait for it to be included and retry; avoid running two jobs with the same wallet";
+
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - XionNftError options, plus:
+   * @param {number} options.expectedSequence - Sequence the chain expected (if reported)
+   * @param {number} options.signedSequence - Sequence the transaction was signed with (if reported)
+   */
+  constructor(message, { expectedSequence = null, signedSequence = null, ...options } = {}) {
+    super(message, options);
+    this.expectedSequence = expectedSequence;
+    this.signedSequence = signedSequence;
+  }
+}
+
+/**
+ * The transaction ran out of gas (sdk code 11)
+ */
+export class OutOfGasError extends TransactionError {
+  static code = "OUT_OF_GAS";
+  static exitCode = 7;
+  static hint = "Raise gasAdjustment for the network (networks.json) and retry";
+
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - XionNftError options, plus:
+   * @param {number} options.gasWanted - Gas limit of the transaction (if reported)
+   * @param {number} options.gasUsed - Gas used when it ran out (if reported)
+   */
+  constructor(message, { gasWanted = null, gasUsed = null, ...options } = {}) {
+    super(message, options);
+    this.gasWanted = gasWanted;
+    this.gasUsed = gasUsed;
+  }
+}
+
+/**
+ * The contract rejected the message; "wasmError" holds the contract's own error text
+ */
+export class ContractError extends XionNftError {
+  static code = "CONTRACT_ERROR";
+  static exitCode = 10;
+  static hint = "The contract rejected the message; check the contract address and message fields";
+
+  /**
+   * @param {string} message - Error message
+   * @param {object} options - XionNftError options, plus:
+   * @param {string} options.wasmError - Error text returned by the contract
+   */
+  constructor(message, { wasmError = null, ...options } = {}) {
+    super(message, options);
+    this.wasmError = wasmError;
+  }
+}
+
+/**
+ * The token does not exist in the contract (never minted, or burned)
+ */
+export class TokenNotFoundError extends ContractError {
+  static code = "TOKEN_NOT_FOUND";
+  static exitCode = 9;
+  static hint = "Check the token ID and contract address; 'xion-nft collection inspect' lists the minted tokens";
+}
+
+/**
+ * The sender may not perform the action: not the minter, owner, approved spender or operator,
+ * or the signature did not verify (sdk code 4)
+ */
+export class UnauthorizedError extends ContractError {
+  static code = "UNAUTHORIZED";
+  static exitCode = 8;
+  static hint = "The wallet is not allowed to do this; check it is the collection minter, the token owner or an approved operator";
+}
+
+// ABCI codes of the "sdk" codespace that map to an error class
+const SDK_CODES = {
+  4: UnauthorizedError,
+  5: InsufficientFundsError,
+  11: OutOfGasError,
+  32: SequenceMismatchError,
+};
+
+// Authz failures: no grant, an expired grant, or a MsgExec outside the grant's contract, messages or limits
+const AUTHZ_PATTERN =
+  /authorization not found|authorization expired|no contract grant|no allowed msg|max calls exhausted|requested amount is more than spend limit/i;
+
+// Connection-level failures (Node socket errors, fetch failures and gateway responses)
+const NETWORK_PATTERN =
+  /ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|ETIMEDOUT|EHOSTUNREACH|socket hang up|fetch failed|network error|Bad status on response: 50[234]|WebSocket connection/i;
+
+/**
+ * Read the chain details out of a CosmJS error or transaction result
+ * Handles BroadcastTxError (code, codespace, log), DeliverTxResponse errors thrown by
+ * execute/instantiate ("Error when broadcasting tx <hash> at height <h>. Code: <c>; Raw log: <log>")
+ * and TimeoutError (txId)
+ * @param {Error|object} error - Error or DeliverTxResponse
+ * @returns {object} { transactionHash, txCode, codespace, rawLog }
+ */
+function readTxDetails(error) {
+  const details = {
+    transactionHash: error.transactionHash || error.txId || null,
+    txCode: typeof error.code === "number" ? error.code : null,
+    codespace: error.codespace || null,
+    rawLog: error.rawLog ?? error.log ?? null,
+  };
+
+  const delivered = /Error when broadcasting tx ([0-9A-F]+) at height \d+\. Code: (\d+); Raw log: ([\s\S]*)$/.exec(
+    error.message || ""
+  );
+  if (delivered) {
+    details.transactionHash = delivered[1];
+    details.txCode = Number(delivered[2]);
+    details.rawLog = delivered[3];
+  }
+  return details;
+}
+
+/**
+ * Extract the contract's own error text from a raw log or query error
+ * e.g. "failed to execute message; message index: 0: Caller is not the contract minter: execute wasm contract failed"
+ * @param {string} text - Raw log or error message
+ * @returns {string|null} Contract error, or null if the text is not a contract error
+ */
+export function parseWasmError(text) {
+  const match = /(?:.*(?:message index: \d+|desc =)\s*:?\s*)?(.*?):\s*(?:execute|instantiate|migrate|query|sudo) wasm contract failed/s.exec(
+    text || ""
+  );
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Wrap an error in the most specific library error class
+ * Uses the ABCI codespace and code when the error carries them, otherwise the raw log or message text.
+ * Library errors are returned unchanged
+ * @param {Error|object} error - Error to classify (or a DeliverTxResponse with a non-zero code)
+ * @param {object} options - Classification options
+ * @param {object} options.network - Network configuration, for the faucet hint (optional)
+ * @param {Function} options.fallback - Class to use when nothing more specific matches (defaults to XionNftError)
+ * @param {string} options.context - Prefix for the message, e.g. "Mint failed" (optional)
+ * @returns {XionNftError} Library error
+ */
+export function classifyError(error, { network, fallback = XionNftError, context } = {}) {
+  if (error instanceof XionNftError) {
+    return error;
+  }
+
+  const details = readTxDetails(error);
+  const text = details.rawLog || error.message || String(error);
+  const message = context ? `${context}: ${error.message || text}` : error.message || text;
+  const options = { cause: error instanceof Error ? error : undefined, ...details };
+
+  // Codes are only unique within a codespace (wasm code 5 is a failed execute, sdk code 5 is
+  // insufficient funds); without a codespace the raw log decides
+  let ErrorClass = null;
+  if (details.txCode && details.codespace === "sdk") {
+    ErrorClass = SDK_CODES[details.txCode] || null;
+  }
+
+  if (!ErrorClass) {
+    if (/incorrect account sequence|account sequence mismatch/i.test(text)) {
+      ErrorClass = SequenceMismatchError;
+    } else if (/out of gas/i.test(text)) {
+      ErrorClass = OutOfGasError;
+    } else if (/insufficient funds/i.test(text)) {
+      ErrorClass = InsufficientFundsError;
+    } else if (/signature verification failed/i.test(text) || AUTHZ_PATTERN.test(text)) {
+      ErrorClass = UnauthorizedError;
+    } else if (NETWORK_PATTERN.test(text) || NETWORK_PATTERN.test(error.cause?.code || "")) {
+      ErrorClass = NetworkUnavailableError;
+    }
+  }
+
+  const wasmError = parseWasmError(text);
+  if (wasmError !== null && (!ErrorClass || ErrorClass === UnauthorizedError)) {
+    options.wasmError = wasmError;
+    if (/TokenInfo\b.*not found|token not found|token_id .*not found/i.test(wasmError)) {
+      ErrorClass = TokenNotFoundError;
+    } else if (/unauthori[sz]ed|caller is not|not the (contract )?(minter|owner)|not approved/i.test(wasmError)) {
+      ErrorClass = UnauthorizedError;
+    } else {
+      ErrorClass = ContractError;
+    }
+  }
+
+  if (ErrorClass === SequenceMismatchError) {
+    const sequences = /expected (\d+), got (\d+)/.exec(text);
+    if (sequences) {
+      options.expectedSequence = Number(sequences[1]);
+      options.signedSequence = Number(sequences[2]);
+    }
+  } else if (ErrorClass === OutOfGasError) {
+    const gas = /gasWanted: (\d+), gasUsed: (\d+)/.exec(text);
+    if (gas) {
+      options.gasWanted = Number(gas[1]);
+      options.gasUsed = Number(gas[2]);
+    }
+  } else if (ErrorClass === UnauthorizedError && AUTHZ_PATTERN.test(text)) {
+    options.hint = "The authz grant is missing, expired or does not cover this; check it with 'xion-nft authz list --grantee <address>'";
+  } else if (ErrorClass === InsufficientFundsError && network?.faucet) {
+    options.hint = `${InsufficientFundsError.hint}. Testnet faucet: ${network.faucet.discord} (${network.faucet.command})`;
+  } else if (!ErrorClass && error instanceof TimeoutError) {
+    ErrorClass = TransactionError;
+    options.hint = `The transaction was sent but not seen in a block yet; check it later with 'xion-nft tx monitor ${details.transactionHash}'`;
+  }
+
+  return new (ErrorClass || fallback)(message, options);
+}
+
+/**
+ * Whether an error means the queried item does not exist (a token, an approval)
+ * For the cases where "not found" is an answer rather than a failure
+ * @param {Error} error - Error from a contract query
+ * @returns {boolean} True for TokenNotFoundError and contract "not found" errors
+ */
+export function isNotFoundError(error) {
+  const typed = classifyError(error);
+  return typed instanceof TokenNotFoundError || (typed instanceof ContractError && /not found/i.test(typed.wasmError));
+}
+
+/**
+ * Wrap an error in a library error class, preferring a more specific class when classifyError finds one
+ * @param {Error} error - Error to wrap
+ * @param {Function} ErrorClass - XionNftError subclass to fall back to
+ * @param {string} context - Prefix for the message, e.g. "Mint failed" (optional)
+ * @param {object} network - Network configuration, for hints (optional)
+ * @returns {XionNftError} Library error
+ */
+export function wrapError(error, ErrorClass, context, network) {
+  return classifyError(error, { network, fallback: ErrorClass, context });
+}
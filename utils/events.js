@@ -0,0 +1,126 @@
+/**
+ * CW721 event decoding and search
+ * Turns the "wasm" events emitted by a CW721 contract into typed mint, transfer,
+ * send and burn events; shared by the contract watcher and the local indexer
+ */
+
+import { fromUtf8 } from "@cosmjs/encoding";
+
+// CW721 "action" attribute values and the event type each one is decoded to
+export const CW721_ACTIONS = {
+  mint: "mint",
+  transfer_nft: "transfer",
+  send_nft: "send",
+  burn: "burn",
+};
+
+/**
+ * Read an event attribute key or value
+ * CometBFT 0.37+ returns strings; Tendermint 0.34 returns raw bytes
+ * @param {string|Uint8Array} value - Attribute key or value
+ * @returns {string} String value
+ */
+function attributeText(value) {
+  return value instanceof Uint8Array ? fromUtf8(value) : String(value);
+}
+
+/**
+ * Collect an event's attributes into an object (later duplicates win)
+ * @param {object} event - ABCI event ({ type, attributes: [{ key, value }] })
+ * @returns {object} Attributes by key
+ */
+export function eventAttributes(event) {
+  const attributes = {};
+  for (const { key, value } of event.attributes || []) {
+    attributes[attributeText(key)] = attributeText(value);
+  }
+  return attributes;
+}
+
+/**
+ * Decode the CW721 events of one transaction
+ * Only "wasm" events emitted by the given contract with a known action are returned,
+ * in the order they were emitted
+ * @param {Array<object>} events - ABCI events of the transaction
+ * @param {string} contract - NFT contract address
+ * @param {object} tx - Transaction details
+ * @param {number} tx.height - Block height
+ * @param {string} tx.txHash - Transaction hash
+ * @returns {Array<object>} Typed events ({ type, action, contract, tokenId, height, txHash, eventIndex, ... })
+ */
+export function decodeCw721Events(events, contract, { height, txHash }) {
+  const decoded = [];
+
+  (events || []).forEach((event, eventIndex) => {
+    if (event.type !== "wasm") {
+      return;
+    }
+    const attributes = eventAttributes(event);
+    const type = CW721_ACTIONS[attributes.action];
+    if (attributes._contract_address !== contract || !type) {
+      return;
+    }
+
+    const base = {
+      type,
+      action: attributes.action,
+      contract,
+      tokenId: attributes.token_id,
+      height,
+      txHash,
+      eventIndex,
+    };
+
+    switch (type) {
+      case "mint":
+        decoded.push({ ...base, minter: attributes.minter || null, owner: attributes.owner });
+        break;
+      case "transfer":
+      case "send":
+        decoded.push({ ...base, sender: attributes.sender, recipient: attributes.recipient });
+        break;
+      case "burn":
+        decoded.push({ ...base, sender: attributes.sender });
+        break;
+    }
+  });
+
+  return decoded;
+}
+
+/**
+ * Describe a typed CW721 event on one line
+ * @param {object} event - Typed event from decodeCw721Events
+ * @returns {string} Human readable description
+ */
+export function formatCw721Event(event) {
+  switch (event.type) {
+    case "mint":
+      return `mint      #${event.tokenId} -> ${event.owner}`;
+    case "transfer":
+      return `transfer  #${event.tokenId} ${event.sender} -> ${event.recipient}`;
+    case "send":
+      return `send      #${event.tokenId} ${event.sender} -> ${event.recipient} (contract)`;
+    case "burn":
+      return `burn      #${event.tokenId} by ${event.sender}`;
+    default:
+      return `${event.action} #${event.tokenId}`;
+  }
+}
+
+/**
+ * Find a contract's successful transactions in a height range with searchTx
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} contract - Contract address
+ * @param {number} fromHeight - First height (inclusive)
+ * @param {number} toHeight - Last height (inclusive)
+ * @returns {Promise<Array<object>>} Indexed transactions, in chain order
+ */
+export async function searchContractTxs(client, contract, fromHeight, toHeight) {
+  const txs = await client.searchTx(
+    `wasm._contract_address='${contract}' AND tx.height>=${fromHeight} AND tx.height<=${toHeight}`
+  );
+  return txs
+    .filter((tx) => tx.code === 0)
+    .sort((a, b) => a.height - b.height || a.txIndex - b.txIndex);
+}
@@ -2,38 +2,167 @@
  * Utility functions for XION blockchain operations
  */
 
-import { SigningStargateClient, StargateClient, GasPrice } from "@cosmjs/stargate";
+import { SigningStargateClient, StargateClient, GasPrice, TimeoutError } from "@cosmjs/stargate";
 import { SigningCosmWasmClient, CosmWasmClient } from "@cosmjs/cosmwasm-stargate";
 import { DirectSecp256k1HdWallet } from "@cosmjs/proto-signing";
-import { toUtf8 } from "@cosmjs/encoding";
+import { Secp256k1HdWallet, makeCosmoshubPath } from "@cosmjs/amino";
+import { sha256, stringToPath, Slip10RawIndex } from "@cosmjs/crypto";
+import { toUtf8, fromUtf8, toHex, fromBech32 } from "@cosmjs/encoding";
+import { TxRaw } from "cosmjs-types/cosmos/tx/v1beta1/tx.js";
+import { MsgSend } from "cosmjs-types/cosmos/bank/v1beta1/tx.js";
+import { MsgExecuteContract, MsgInstantiateContract } from "cosmjs-types/cosmwasm/wasm/v1/tx.js";
+import {
+  QuerySmartContractStateRequest,
+  QuerySmartContractStateResponse,
+} from "cosmjs-types/cosmwasm/wasm/v1/query.js";
 import dotenv from "dotenv";
+import { createRegistry } from "./transactions.js";
+import { classifyError, NetworkUnavailableError, TransactionError, ValidationError } from "./errors.js";
+import { connectWithFailover } from "./endpoints.js";
+import { resolveMnemonic } from "./keystore.js";
 import XION_CONFIG from "./config.js";
 
 // Load environment variables
 dotenv.config();
 
+// Broadcast retry settings; a network can override any of them with a "broadcast" object
+export const DEFAULT_BROADCAST_OPTIONS = {
+  retries: 3, // Extra attempts after a sequence mismatch or an unreachable node
+  backoffMs: 1000, // First retry delay, doubled on every further attempt
+  maxBackoffMs: 16000,
+  timeoutMs: 60000, // How long broadcastTx waits for the transaction to be included
+  pollIntervalMs: 3000,
+  pollAttempts: 20, // getTx polls after a timeout or an "already in mempool" answer
+};
+
+// Account derived by loadWallet; set from --account-index and --hd-path
+const walletSelection = { accountIndex: 0, hdPath: null };
+
+/**
+ * Select the HD account loadWallet and loadAminoWallet derive (set from --account-index and --hd-path)
+ * @param {object} options - Account options
+ * @param {number|string} options.accountIndex - Address index in m/44'/118'/0'/0/<index> (default 0)
+ * @param {string} options.hdPath - Full derivation path, instead of the account index (optional)
+ */
+export function configureWallet({ accountIndex = 0, hdPath = null } = {}) {
+  getHdPaths({ accountIndex, hdPath });
+  walletSelection.accountIndex = Number(accountIndex);
+  walletSelection.hdPath = hdPath || null;
+}
+
+/**
+ * Build the derivation paths of consecutive accounts
+ * With an HD path, its last component is incremented for each further account
+ * (m/44'/118'/0'/0/3, m/44'/118'/0'/0/4, ...); otherwise the Cosmos Hub path with the account index is used
+ * @param {object} options - Path options
+ * @param {number|string} options.accountIndex - First address index (defaults to the selected one)
+ * @param {string} options.hdPath - First account's full path (defaults to the selected one)
+ * @param {number} options.count - Number of accounts (default 1)
+ * @returns {Array<HdPath>} Derivation paths
+ */
+export function getHdPaths({
+  accountIndex = walletSelection.accountIndex,
+  hdPath = walletSelection.hdPath,
+  count = 1,
+} = {}) {
+  if (hdPath) {
+    let base;
+    try {
+      base = stringToPath(hdPath);
+    } catch (error) {
+      throw new ValidationError(`Invalid HD path: ${hdPath} (expected e.g. m/44'/118'/0'/0/0)`, { cause: error });
+    }
+    if (base.length === 0) {
+      throw new ValidationError(`Invalid HD path: ${hdPath} (expected e.g. m/44'/118'/0'/0/0)`);
+    }
+    // Incrementing past the last index of its range would wrap into another branch (normal into hardened)
+    const last = base[base.length - 1];
+    const end = last.isHardened() ? 2 ** 32 : 2 ** 31;
+    if (last.toNumber() + count > end) {
+      throw new ValidationError(
+        `Invalid HD path: ${hdPath} (${count} accounts from its last index would run past the ${
+          last.isHardened() ? "hardened" : "normal"
+        } index range)`
+      );
+    }
+    return Array.from({ length: count }, (_, i) => {
+      const index = last.isHardened()
+        ? Slip10RawIndex.hardened(last.toNumber() - 2 ** 31 + i)
+        : Slip10RawIndex.normal(last.toNumber() + i);
+      return [...base.slice(0, -1), index];
+    });
+  }
+
+  const first = Number(accountIndex);
+  if (!Number.isInteger(first) || first < 0 || first + count > 2 ** 31) {
+    throw new ValidationError(`Invalid account index: ${accountIndex} (expected a whole number from 0)`);
+  }
+  return Array.from({ length: count }, (_, i) => makeCosmoshubPath(first + i));
+}
+
 /**
  * Create a wallet from a mnemonic phrase
  * @param {string} mnemonic - BIP39 mnemonic phrase
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @param {object} options - Wallet options
+ * @param {Array<HdPath>} options.hdPaths - Accounts to derive (defaults to m/44'/118'/0'/0/0)
  * @returns {Promise<DirectSecp256k1HdWallet>} Wallet instance
  */
-export async function createWalletFromMnemonic(mnemonic) {
+export async function createWalletFromMnemonic(
+  mnemonic,
+  network = XION_CONFIG,
+  { hdPaths = [makeCosmoshubPath(0)] } = {}
+) {
   const wallet = await DirectSecp256k1HdWallet.fromMnemonic(mnemonic, {
-    prefix: XION_CONFIG.addressPrefix,
+    prefix: network.addressPrefix,
+    hdPaths,
   });
   return wallet;
 }
 
 /**
- * Load wallet from environment variable
+ * Load the configured wallet
+ * Uses the keystore key selected with --from (or XION_NFT_FROM), else MNEMONIC from the environment,
+ * and derives the account selected with --account-index / --hd-path
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @param {object} options - Wallet options
+ * @param {number} options.count - Number of consecutive accounts to derive, from the selected one
+ *   (default 1); getFirstAccount() is still the selected account
  * @returns {Promise<DirectSecp256k1HdWallet>} Wallet instance
  */
-export async function loadWallet() {
-  const mnemonic = process.env.MNEMONIC;
-  if (!mnemonic) {
-    throw new Error("MNEMONIC not found in environment variables. Please set it in .env file");
-  }
-  return createWalletFromMnemonic(mnemonic);
+export async function loadWallet(network = XION_CONFIG, { count = 1 } = {}) {
+  const mnemonic = await resolveMnemonic();
+  return createWalletFromMnemonic(mnemonic, network, { hdPaths: getHdPaths({ count }) });
+}
+
+/**
+ * Create an amino-capable wallet (supports signAmino) from a mnemonic phrase
+ * @param {string} mnemonic - BIP39 mnemonic phrase
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @param {object} options - Wallet options
+ * @param {Array<HdPath>} options.hdPaths - Accounts to derive (defaults to m/44'/118'/0'/0/0)
+ * @returns {Promise<Secp256k1HdWallet>} Amino wallet instance
+ */
+export async function createAminoWalletFromMnemonic(
+  mnemonic,
+  network = XION_CONFIG,
+  { hdPaths = [makeCosmoshubPath(0)] } = {}
+) {
+  const wallet = await Secp256k1HdWallet.fromMnemonic(mnemonic, {
+    prefix: network.addressPrefix,
+    hdPaths,
+  });
+  return wallet;
+}
+
+/**
+ * Load the configured wallet as an amino-capable wallet (same key and account selection as loadWallet)
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<Secp256k1HdWallet>} Amino wallet instance
+ */
+export async function loadAminoWallet(network = XION_CONFIG) {
+  const mnemonic = await resolveMnemonic();
+  return createAminoWalletFromMnemonic(mnemonic, network, { hdPaths: getHdPaths() });
 }
 
 /**
@@ -48,25 +177,27 @@ export async function getFirstAccount(wallet) {
 
 /**
  * Connect to XION network (read-only client for CosmWasm operations)
+ * Networks with several RPC endpoints connect to the healthiest and fail over (see utils/endpoints.js)
+ * @param {object} network - Network configuration (optional, defaults to testnet)
  * @returns {Promise<CosmWasmClient>} Query client
  */
-export async function connectQueryClient() {
-  const client = await CosmWasmClient.connect(XION_CONFIG.rpcEndpoint);
+export async function connectQueryClient(network = XION_CONFIG) {
+  const client = await connectWithFailover(network, (endpoint) => CosmWasmClient.connect(endpoint));
   return client;
 }
 
 /**
  * Connect to XION network with signing capabilities for CosmWasm operations
+ * Networks with several RPC endpoints connect to the healthiest and fail over (see utils/endpoints.js)
  * @param {DirectSecp256k1HdWallet} wallet - Wallet instance
+ * @param {object} network - Network configuration (optional, defaults to testnet)
  * @returns {Promise<SigningCosmWasmClient>} Signing client
  */
-export async function connectSigningClient(wallet) {
-  const client = await SigningCosmWasmClient.connectWithSigner(
-    XION_CONFIG.rpcEndpoint,
-    wallet,
-    {
-      gasPrice: GasPrice.fromString(XION_CONFIG.gasPrice),
-    }
+export async function connectSigningClient(wallet, network = XION_CONFIG) {
+  const client = await connectWithFailover(network, (endpoint) =>
+    SigningCosmWasmClient.connectWithSigner(endpoint, wallet, {
+      gasPrice: GasPrice.fromString(network.gasPrice),
+    })
   );
   return client;
 }
@@ -84,14 +215,237 @@ export async function queryContract(client, contractAddress, queryMsg) {
 }
 
 /**
- * Execute a smart contract transaction
+ * Query a smart contract as of a past block height
+ * Uses the height parameter of the ABCI query, so the node must still hold state for
+ * that height (pruning nodes keep only recent heights; use an archive node for old ones)
+ * @param {CosmWasmClient} client - Query client
+ * @param {string} contractAddress - Contract address
+ * @param {object} queryMsg - Query message object
+ * @param {number} height - Block height to query at
+ * @returns {Promise<any>} Query result
+ */
+export async function queryContractAtHeight(client, contractAddress, queryMsg, height) {
+  const request = QuerySmartContractStateRequest.encode({
+    address: contractAddress,
+    queryData: toUtf8(JSON.stringify(queryMsg)),
+  }).finish();
+
+  let response;
+  try {
+    response = await client
+      .forceGetQueryClient()
+      .queryAbci("/cosmwasm.wasm.v1.Query/SmartContractState", request, height);
+  } catch (error) {
+    if (error.message && /version does not exist|pruned|not available|lowest height/i.test(error.message)) {
+      throw new Error(
+        `The RPC node has no state for height ${height} (${error.message}). Use an archive node for historical queries.`
+      );
+    }
+    throw error;
+  }
+
+  const { data } = QuerySmartContractStateResponse.decode(response.value);
+  return JSON.parse(fromUtf8(data));
+}
+
+/**
+ * Get the broadcast retry settings for a network
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {object} DEFAULT_BROADCAST_OPTIONS with the network's "broadcast" overrides applied
+ */
+export function getBroadcastOptions(network = XION_CONFIG) {
+  return { ...DEFAULT_BROADCAST_OPTIONS, ...(network.broadcast || {}) };
+}
+
+/**
+ * Turn an indexed transaction (getTx) into the DeliverTxResponse broadcastTx would have returned
+ * @param {object} tx - IndexedTx
+ * @returns {object} DeliverTxResponse
+ */
+function toDeliverTxResponse(tx) {
+  return {
+    code: tx.code,
+    height: tx.height,
+    txIndex: tx.txIndex,
+    events: tx.events,
+    rawLog: tx.rawLog,
+    transactionHash: tx.hash,
+    msgResponses: tx.msgResponses,
+    gasUsed: tx.gasUsed,
+    gasWanted: tx.gasWanted,
+  };
+}
+
+/**
+ * Look up transactions by hash, ignoring lookup failures
+ * @param {CosmWasmClient} client - Query client
+ * @param {Array<string>} hashes - Transaction hashes
+ * @returns {Promise<object|null>} The first one found on chain (IndexedTx), or null
+ */
+async function findIncludedTx(client, hashes) {
+  for (const hash of hashes) {
+    try {
+      const tx = await client.getTx(hash);
+      if (tx) {
+        return tx;
+      }
+    } catch (error) {
+      // Node unreachable or tx not indexed yet: treat as not found
+    }
+  }
+  return null;
+}
+
+/**
+ * Print a retry notice
+ * @param {object} retry - { attempt, retries, delayMs, reason }
+ */
+function logRetry({ attempt, retries, delayMs, reason }) {
+  console.log(`   ${reason}; retrying in ${delayMs / 1000}s (attempt ${attempt}/${retries})`);
+}
+
+/**
+ * Sign and broadcast messages, retrying the failures that are safe to retry
+ * - Account sequence mismatch (code 32): re-signs with the sequence the chain expects, after
+ *   checking that none of the earlier signed versions was included meanwhile
+ * - Unreachable RPC node: re-broadcasts the same signed bytes (same hash, so it cannot be included twice)
+ * - "tx already in mempool" and broadcast timeouts: the transaction may still be included, so its
+ *   hash is polled with waitForTransaction instead of sending it again
+ * Other failures (check failures, contract errors) are thrown at once as typed errors.
+ * A transaction included with a non-zero code is returned, not thrown; check "code"
+ * @param {SigningCosmWasmClient} client - Signing client
+ * @param {string} senderAddress - Sender's address
+ * @param {Array} messages - Messages to include
+ * @param {object|string} fee - Fee object ({ amount, gas }), or "auto" to simulate
+ * @param {string} memo - Transaction memo (optional)
+ * @param {object} options - Broadcast options
+ * @param {object} options.network - Network configuration; its "broadcast" object overrides the retry settings
+ * @param {Function} options.onSigned - Called with each signed transaction hash before it is broadcast (optional)
+ * @param {Function} options.onRetry - Called with { attempt, retries, delayMs, reason } before a retry
+ *   (defaults to printing a notice)
+ * @returns {Promise<object>} DeliverTxResponse
+ */
+export async function broadcastWithRetry(
+  client,
+  senderAddress,
+  messages,
+  fee = "auto",
+  memo = "",
+  { network = XION_CONFIG, onSigned, onRetry = logRetry } = {}
+) {
+  const settings = getBroadcastOptions(network);
+  const txFee =
+    fee === "auto" ? calculateFee(await simulateTransaction(client, senderAddress, messages, network), network) : fee;
+
+  const signedHashes = [];
+  let signerData;
+  let txBytes = null;
+  let txHash = null;
+  let lastError = null;
+
+  // Poll for a transaction that was accepted but not seen in a block yet
+  const pollIncluded = async (reason) => {
+    try {
+      const tx = await waitForTransaction(client, txHash, settings.pollAttempts, settings.pollIntervalMs);
+      return toDeliverTxResponse(tx);
+    } catch (error) {
+      throw new TransactionError(
+        `Transaction ${txHash} ${reason} but was not found in a block after ${settings.pollAttempts} polls`,
+        {
+          transactionHash: txHash,
+          hint: `It may still be included; check with 'xion-nft tx monitor ${txHash}' before sending it again`,
+        }
+      );
+    }
+  };
+
+  for (let attempt = 0; attempt <= settings.retries; attempt++) {
+    if (attempt > 0) {
+      const delayMs = Math.min(settings.backoffMs * 2 ** (attempt - 1), settings.maxBackoffMs);
+      if (onRetry) {
+        onRetry({ attempt, retries: settings.retries, delayMs, reason: lastError.message });
+      }
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+
+    if (!txBytes) {
+      const txRaw = await client.sign(senderAddress, messages, txFee, memo, signerData);
+      txBytes = TxRaw.encode(txRaw).finish();
+      txHash = toHex(sha256(txBytes)).toUpperCase();
+      signedHashes.push(txHash);
+      if (onSigned) {
+        await onSigned(txHash);
+      }
+    }
+
+    try {
+      return await client.broadcastTx(txBytes, settings.timeoutMs, settings.pollIntervalMs);
+    } catch (error) {
+      // CosmJS TimeoutError does not set .name, so check the class
+      if (error instanceof TimeoutError) {
+        return pollIncluded(`was broadcast`);
+      }
+      const message = error.log || error.message || "";
+      if ((error.codespace === "sdk" && error.code === 19) || /already in mempool|already exists in cache/i.test(message)) {
+        return pollIncluded("is already in the mempool");
+      }
+
+      const typed = classifyError(error, { network, fallback: TransactionError });
+      lastError = typed;
+
+      if (typed.code === "SEQUENCE_MISMATCH") {
+        // An earlier attempt may have been included after all
+        const included = await findIncludedTx(client, signedHashes);
+        if (included) {
+          return toDeliverTxResponse(included);
+        }
+        const { accountNumber, sequence } = await client.getSequence(senderAddress);
+        signerData = {
+          accountNumber,
+          sequence: typed.expectedSequence ?? sequence,
+          chainId: await client.getChainId(),
+        };
+        txBytes = null;
+      } else if (typed instanceof NetworkUnavailableError) {
+        const included = await findIncludedTx(client, [txHash]);
+        if (included) {
+          return toDeliverTxResponse(included);
+        }
+      } else {
+        throw typed;
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Throw a typed error if an included transaction failed
+ * @param {object} result - DeliverTxResponse
+ * @param {object} network - Network configuration, for error hints
+ * @returns {object} The same result, when its code is 0
+ */
+export function assertTxSuccess(result, network = XION_CONFIG) {
+  if (result.code !== 0) {
+    throw classifyError(
+      { ...result, message: `Transaction ${result.transactionHash} failed with code ${result.code}: ${result.rawLog}` },
+      { network, fallback: TransactionError }
+    );
+  }
+  return result;
+}
+
+/**
+ * Execute a smart contract transaction (with broadcastWithRetry)
  * @param {SigningCosmWasmClient} client - Signing client
  * @param {string} senderAddress - Sender's address
  * @param {string} contractAddress - Contract address
  * @param {object} executeMsg - Execute message object
  * @param {string} memo - Transaction memo (optional)
  * @param {Array} funds - Funds to send with transaction (optional)
- * @returns {Promise<object>} Transaction result
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result (DeliverTxResponse)
  */
 export async function executeContract(
   client,
@@ -99,28 +453,99 @@ export async function executeContract(
   contractAddress,
   executeMsg,
   memo = "",
-  funds = []
+  funds = [],
+  network = XION_CONFIG
 ) {
-  const result = await client.execute(
-    senderAddress,
-    contractAddress,
-    executeMsg,
-    "auto",
-    memo,
-    funds
-  );
-  return result;
+  const message = {
+    typeUrl: "/cosmwasm.wasm.v1.MsgExecuteContract",
+    value: MsgExecuteContract.fromPartial({
+      sender: senderAddress,
+      contract: contractAddress,
+      msg: toUtf8(JSON.stringify(executeMsg)),
+      funds: [...funds],
+    }),
+  };
+  const result = await broadcastWithRetry(client, senderAddress, [message], "auto", memo, { network });
+  return assertTxSuccess(result, network);
+}
+
+/**
+ * Send native tokens (with broadcastWithRetry)
+ * @param {SigningCosmWasmClient} client - Signing client
+ * @param {string} senderAddress - Sender's address
+ * @param {string} recipientAddress - Recipient's address
+ * @param {Array} amount - Coins to send ([{ denom, amount }])
+ * @param {string} memo - Transaction memo (optional)
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result (DeliverTxResponse)
+ */
+export async function sendTokens(client, senderAddress, recipientAddress, amount, memo = "", network = XION_CONFIG) {
+  const message = {
+    typeUrl: "/cosmos.bank.v1beta1.MsgSend",
+    value: MsgSend.fromPartial({ fromAddress: senderAddress, toAddress: recipientAddress, amount: [...amount] }),
+  };
+  const result = await broadcastWithRetry(client, senderAddress, [message], "auto", memo, { network });
+  return assertTxSuccess(result, network);
+}
+
+/**
+ * Sign and broadcast a transaction, reporting its hash before it is broadcast
+ * Lets batch jobs journal the hash first, so a crash mid-broadcast can be reconciled on resume.
+ * Retries like broadcastWithRetry; onSigned is called again if the transaction is re-signed
+ * @param {SigningCosmWasmClient} client - Signing client
+ * @param {string} senderAddress - Sender's address
+ * @param {Array} messages - Messages to include
+ * @param {object} fee - Fee object ({ amount, gas })
+ * @param {string} memo - Transaction memo (optional)
+ * @param {Function} onSigned - Called with the transaction hash before broadcasting (optional)
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} DeliverTxResponse (check "code" for success)
+ */
+export async function signAndBroadcastWithHash(
+  client,
+  senderAddress,
+  messages,
+  fee,
+  memo = "",
+  onSigned,
+  network = XION_CONFIG
+) {
+  return broadcastWithRetry(client, senderAddress, messages, fee, memo, { network, onSigned });
 }
 
 /**
- * Instantiate a smart contract from existing code
+ * Build a MsgInstantiateContract EncodeObject
+ * @param {string} senderAddress - Sender's address
+ * @param {number} codeId - Code ID of deployed contract
+ * @param {object} instantiateMsg - Instantiation message
+ * @param {string} label - Human-readable label for the contract
+ * @param {string} admin - Admin address (optional, pass empty string for no admin)
+ * @returns {object} EncodeObject
+ */
+export function toInstantiateMessage(senderAddress, codeId, instantiateMsg, label, admin = "") {
+  return {
+    typeUrl: "/cosmwasm.wasm.v1.MsgInstantiateContract",
+    value: MsgInstantiateContract.fromPartial({
+      sender: senderAddress,
+      codeId: BigInt(codeId),
+      label,
+      msg: toUtf8(JSON.stringify(instantiateMsg)),
+      funds: [],
+      admin: admin || "",
+    }),
+  };
+}
+
+/**
+ * Instantiate a smart contract from existing code (with broadcastWithRetry)
  * @param {SigningCosmWasmClient} client - Signing client
  * @param {string} senderAddress - Sender's address
  * @param {number} codeId - Code ID of deployed contract
  * @param {object} instantiateMsg - Instantiation message
  * @param {string} label - Human-readable label for the contract
  * @param {string} admin - Admin address (optional, pass empty string for no admin)
- * @returns {Promise<object>} Instantiation result with contract address
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<object>} Transaction result (DeliverTxResponse) with contractAddress
  */
 export async function instantiateContract(
   client,
@@ -128,19 +553,17 @@ export async function instantiateContract(
   codeId,
   instantiateMsg,
   label,
-  admin = ""
+  admin = "",
+  network = XION_CONFIG
 ) {
-  const result = await client.instantiate(
-    senderAddress,
-    codeId,
-    instantiateMsg,
-    label,
-    "auto",
-    {
-      admin: admin || undefined,
-    }
+  const message = toInstantiateMessage(senderAddress, codeId, instantiateMsg, label, admin);
+  const result = assertTxSuccess(
+    await broadcastWithRetry(client, senderAddress, [message], "auto", "", { network }),
+    network
   );
-  return result;
+  const instantiated = result.events.find((event) => event.type === "instantiate");
+  const contractAddress = instantiated?.attributes.find((attr) => attr.key === "_contract_address")?.value;
+  return { ...result, contractAddress };
 }
 
 /**
@@ -178,34 +601,80 @@ export async function waitForTransaction(
   throw new Error(`Transaction ${txHash} not found after ${maxAttempts} attempts`);
 }
 
+/**
+ * Check that an address is valid bech32 with the network's address prefix
+ * @param {string} address - Address to check
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {string|null} Reason the address is invalid, or null if it is valid
+ */
+export function validateAddress(address, network = XION_CONFIG) {
+  if (!address) {
+    return "address is empty";
+  }
+  let decoded;
+  try {
+    decoded = fromBech32(address);
+  } catch (error) {
+    return `invalid bech32 address (${error.message})`;
+  }
+  if (decoded.prefix !== network.addressPrefix) {
+    return `wrong address prefix "${decoded.prefix}" (expected "${network.addressPrefix}")`;
+  }
+  if (decoded.data.length !== 20 && decoded.data.length !== 32) {
+    return `unexpected address length ${decoded.data.length} bytes`;
+  }
+  return null;
+}
+
 /**
  * Format XION amount from base unit (uxion) to display unit (XION)
  * @param {string|number} amount - Amount in uxion
+ * @param {object} network - Network configuration (optional, defaults to testnet)
  * @returns {string} Amount in XION
  */
-export function formatXionAmount(amount) {
+export function formatXionAmount(amount, network = XION_CONFIG) {
   const numAmount = typeof amount === "string" ? parseInt(amount) : amount;
-  return (numAmount / Math.pow(10, XION_CONFIG.decimals)).toFixed(6);
+  return (numAmount / Math.pow(10, network.decimals)).toFixed(network.decimals);
 }
 
 /**
  * Parse XION amount from display unit (XION) to base unit (uxion)
  * @param {string|number} amount - Amount in XION
+ * @param {object} network - Network configuration (optional, defaults to testnet)
  * @returns {string} Amount in uxion
  */
-export function parseXionAmount(amount) {
+export function parseXionAmount(amount, network = XION_CONFIG) {
   const numAmount = typeof amount === "string" ? parseFloat(amount) : amount;
-  return Math.floor(numAmount * Math.pow(10, XION_CONFIG.decimals)).toString();
+  return Math.floor(numAmount * Math.pow(10, network.decimals)).toString();
+}
+
+/**
+ * Parse an exact XION amount (a decimal string) to base units without floating point
+ * Rejects anything but digits with at most network.decimals fractional digits
+ * @param {string} amount - Amount in XION, e.g. "1.005"
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {string} Amount in uxion
+ */
+export function parseExactXionAmount(amount, network = XION_CONFIG) {
+  const text = String(amount ?? "").trim();
+  const match = new RegExp(`^(\\d+)(?:\\.(\\d{1,${network.decimals}}))?$`).exec(text);
+  if (!match) {
+    throw new ValidationError(
+      `Invalid amount "${amount}" (expected a XION amount with at most ${network.decimals} decimals, e.g. 1.5)`
+    );
+  }
+  return BigInt(match[1] + (match[2] || "").padEnd(network.decimals, "0")).toString();
 }
 
 /**
  * Get account balance
  * @param {CosmWasmClient} client - Query client
  * @param {string} address - Account address
+ * @param {object} network - Network configuration (optional, defaults to testnet)
  * @returns {Promise<object>} Balance information
  */
-export async function getBalance(client, address) {
-  const balance = await client.getBalance(address, XION_CONFIG.denom);
+export async function getBalance(client, address, network = XION_CONFIG) {
+  const balance = await client.getBalance(address, network.denom);
   return balance;
 }
 
@@ -214,64 +683,69 @@ export async function getBalance(client, address) {
  * @param {SigningCosmWasmClient} client - Signing client
  * @param {string} senderAddress - Sender's address
  * @param {Array} messages - Array of messages to simulate
+ * @param {object} network - Network configuration (optional, defaults to testnet)
  * @returns {Promise<number>} Estimated gas needed
  */
-export async function simulateTransaction(client, senderAddress, messages) {
+export async function simulateTransaction(client, senderAddress, messages, network = XION_CONFIG) {
   const gasEstimate = await client.simulate(senderAddress, messages, "");
-  return Math.ceil(gasEstimate * XION_CONFIG.gasAdjustment);
+  return Math.ceil(gasEstimate * network.gasAdjustment);
+}
+
+/**
+ * Simulate a transaction without a wallet, using the signer's public key and sequence
+ * @param {CosmWasmClient} client - Query client
+ * @param {object} pubkey - Signer's amino pubkey ({ type, value })
+ * @param {number} sequence - Signer's account sequence
+ * @param {Array} messages - Array of messages to simulate
+ * @param {string} memo - Transaction memo (optional)
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<number>} Estimated gas (with adjustment)
+ */
+export async function simulateWithPublicKey(client, pubkey, sequence, messages, memo = "", network = XION_CONFIG) {
+  const registry = createRegistry();
+  const anyMsgs = messages.map((msg) => registry.encodeAsAny(msg));
+  const { gasInfo } = await client.forceGetQueryClient().tx.simulate(anyMsgs, memo, pubkey, sequence);
+  return Math.ceil(Number(gasInfo.gasUsed) * network.gasAdjustment);
 }
 
 /**
  * Calculate transaction fee
  * @param {number} gasAmount - Gas amount
+ * @param {object} network - Network configuration (optional, defaults to testnet)
  * @returns {object} Fee object with amount and gas
  */
-export function calculateFee(gasAmount) {
-  const gasPrice = parseFloat(XION_CONFIG.gasPrice);
+export function calculateFee(gasAmount, network = XION_CONFIG) {
+  const gasPrice = parseFloat(network.gasPrice);
   const feeAmount = Math.ceil(gasAmount * gasPrice);
 
   return {
-    amount: [{ denom: XION_CONFIG.denom, amount: feeAmount.toString() }],
+    amount: [{ denom: network.denom, amount: feeAmount.toString() }],
     gas: gasAmount.toString(),
   };
 }
 
 /**
- * Pretty print transaction result
- * @param {object} result - Transaction result
+ * Get the block explorer link for a transaction
+ * @param {string} txHash - Transaction hash
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {string} Explorer URL, or a placeholder if the network has no explorer
  */
-export function printTxResult(result) {
-  console.log("\nTransaction successful!");
-  console.log(`Transaction Hash: ${result.transactionHash}`);
-  console.log(`Gas Used: ${result.gasUsed}`);
-  console.log(`Gas Wanted: ${result.gasWanted}`);
-  console.log(`Height: ${result.height}`);
-
-  if (result.logs && result.logs.length > 0) {
-    console.log("\nEvents:");
-    result.logs.forEach((log, i) => {
-      log.events.forEach((event) => {
-        console.log(`  ${event.type}:`);
-        event.attributes.forEach((attr) => {
-          console.log(`    ${attr.key}: ${attr.value}`);
-        });
-      });
-    });
+export function getExplorerTxUrl(txHash, network = XION_CONFIG) {
+  if (!network.explorerUrl) {
+    return "(no explorer configured for this network)";
   }
+  return `${network.explorerUrl}/tx/${txHash}`;
 }
 
 /**
- * Handle errors gracefully
- * @param {Error} error - Error object
+ * Get the block explorer link for an account or contract address
+ * @param {string} address - Account or contract address
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {string} Explorer URL, or a placeholder if the network has no explorer
  */
-export function handleError(error) {
-  console.error("\nError occurred:");
-  console.error(error.message);
-
-  if (error.stack) {
-    console.error("\nStack trace:");
-    console.error(error.stack);
+export function getExplorerAddressUrl(address, network = XION_CONFIG) {
+  if (!network.explorerUrl) {
+    return "(no explorer configured for this network)";
   }
-
-  process.exit(1);
+  return `${network.explorerUrl}/address/${address}`;
 }
@@ -0,0 +1,260 @@
+/**
+ * Local SQLite index of CW721 collections
+ * Stores the current owner of every token and the mint/transfer/send/burn history of
+ * each indexed contract, with the last indexed height so syncs resume where they stopped
+ */
+
+import path from "path";
+
+// Default index file, in the working directory
+export const DEFAULT_INDEX_FILE = "xion-nft-index.db";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS contracts (
+    address TEXT PRIMARY KEY,
+    chain_id TEXT NOT NULL,
+    start_height INTEGER NOT NULL,
+    indexed_height INTEGER NOT NULL,
+    updated_at TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS tokens (
+    contract TEXT NOT NULL,
+    token_id TEXT NOT NULL,
+    owner TEXT,
+    burned INTEGER NOT NULL DEFAULT 0,
+    minted_height INTEGER,
+    updated_height INTEGER NOT NULL,
+    PRIMARY KEY (contract, token_id)
+  );
+  CREATE INDEX IF NOT EXISTS tokens_by_owner ON tokens (contract, owner);
+
+  CREATE TABLE IF NOT EXISTS events (
+    contract TEXT NOT NULL,
+    height INTEGER NOT NULL,
+    tx_index INTEGER NOT NULL,
+    tx_hash TEXT NOT NULL,
+    event_index INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    token_id TEXT NOT NULL,
+    sender TEXT,
+    recipient TEXT,
+    PRIMARY KEY (contract, tx_hash, event_index)
+  );
+  CREATE INDEX IF NOT EXISTS events_by_token ON events (contract, token_id, height, tx_index);
+`;
+
+/**
+ * Open (and create if needed) an index file
+ * better-sqlite3 is loaded on first use, so commands that do not touch the index
+ * keep working where the native module is not installed
+ * @param {string} file - Index file path (defaults to xion-nft-index.db)
+ * @param {object} options - Open options
+ * @param {boolean} options.mustExist - Fail instead of creating a missing index
+ * @returns {Promise<object>} better-sqlite3 Database
+ */
+export async function openIndex(file = DEFAULT_INDEX_FILE, { mustExist = false } = {}) {
+  let Database;
+  try {
+    ({ default: Database } = await import("better-sqlite3"));
+  } catch (error) {
+    throw new Error(`The local index needs the better-sqlite3 package (${error.message}). Run npm install.`);
+  }
+
+  const filePath = path.resolve(file);
+  let db;
+  try {
+    db = new Database(filePath, { fileMustExist: mustExist });
+  } catch (error) {
+    if (mustExist) {
+      throw new Error(`Index ${filePath} not found. Build it first with: xion-nft index sync --contract <address>`);
+    }
+    throw error;
+  }
+
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return db;
+}
+
+/**
+ * Read the sync state of an indexed contract
+ * @param {object} db - Index database
+ * @param {string} contract - Contract address
+ * @returns {object|null} { address, chainId, startHeight, indexedHeight, updatedAt } or null if not indexed
+ */
+export function getIndexedContract(db, contract) {
+  const row = db.prepare("SELECT * FROM contracts WHERE address = ?").get(contract);
+  if (!row) {
+    return null;
+  }
+  return {
+    address: row.address,
+    chainId: row.chain_id,
+    startHeight: row.start_height,
+    indexedHeight: row.indexed_height,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Start indexing a contract from a height
+ * @param {object} db - Index database
+ * @param {object} contract - Contract details
+ * @param {string} contract.address - Contract address
+ * @param {string} contract.chainId - Chain ID
+ * @param {number} contract.startHeight - First height to index (usually the instantiation height)
+ */
+export function addIndexedContract(db, { address, chainId, startHeight }) {
+  db.prepare(
+    "INSERT INTO contracts (address, chain_id, start_height, indexed_height, updated_at) VALUES (?, ?, ?, ?, ?)"
+  ).run(address, chainId, startHeight, startHeight - 1, new Date().toISOString());
+}
+
+/**
+ * Apply typed CW721 events to the index and advance the indexed height, atomically
+ * Events must be in chain order and carry their transaction's position in the block (txIndex).
+ * Events already stored (same tx and event index) are skipped, so re-applying a range after
+ * an interrupted sync is safe
+ * @param {object} db - Index database
+ * @param {string} contract - Contract address
+ * @param {Array<object>} events - Typed events from decodeCw721Events, with txIndex added
+ * @param {number} indexedHeight - Height the index is complete through after these events
+ * @returns {number} Number of new events stored
+ */
+export function applyIndexEvents(db, contract, events, indexedHeight) {
+  const insertEvent = db.prepare(`
+    INSERT OR IGNORE INTO events (contract, height, tx_index, tx_hash, event_index, type, token_id, sender, recipient)
+    VALUES (@contract, @height, @txIndex, @txHash, @eventIndex, @type, @tokenId, @sender, @recipient)
+  `);
+  const mintToken = db.prepare(`
+    INSERT INTO tokens (contract, token_id, owner, burned, minted_height, updated_height)
+    VALUES (@contract, @tokenId, @owner, 0, @height, @height)
+    ON CONFLICT (contract, token_id) DO UPDATE SET
+      owner = excluded.owner, burned = 0, minted_height = excluded.minted_height, updated_height = excluded.updated_height
+  `);
+  const moveToken = db.prepare(`
+    INSERT INTO tokens (contract, token_id, owner, burned, updated_height)
+    VALUES (@contract, @tokenId, @owner, 0, @height)
+    ON CONFLICT (contract, token_id) DO UPDATE SET owner = excluded.owner, updated_height = excluded.updated_height
+  `);
+  const burnToken = db.prepare(`
+    INSERT INTO tokens (contract, token_id, owner, burned, updated_height)
+    VALUES (@contract, @tokenId, NULL, 1, @height)
+    ON CONFLICT (contract, token_id) DO UPDATE SET owner = NULL, burned = 1, updated_height = excluded.updated_height
+  `);
+  const advance = db.prepare("UPDATE contracts SET indexed_height = ?, updated_at = ? WHERE address = ?");
+
+  const apply = db.transaction(() => {
+    let stored = 0;
+    for (const event of events) {
+      const row = {
+        contract,
+        height: event.height,
+        txIndex: event.txIndex,
+        txHash: event.txHash,
+        eventIndex: event.eventIndex,
+        type: event.type,
+        tokenId: event.tokenId,
+        // Mints record the minter as sender and the new owner as recipient
+        sender: (event.type === "mint" ? event.minter : event.sender) ?? null,
+        recipient: (event.type === "mint" ? event.owner : event.recipient) ?? null,
+      };
+      if (insertEvent.run(row).changes === 0) {
+        continue;
+      }
+      stored++;
+
+      if (event.type === "mint") {
+        mintToken.run({ contract, tokenId: event.tokenId, owner: event.owner, height: event.height });
+      } else if (event.type === "burn") {
+        burnToken.run({ contract, tokenId: event.tokenId, height: event.height });
+      } else {
+        moveToken.run({ contract, tokenId: event.tokenId, owner: event.recipient, height: event.height });
+      }
+    }
+    advance.run(indexedHeight, new Date().toISOString(), contract);
+    return stored;
+  });
+
+  return apply();
+}
+
+/**
+ * Look up a token in the index
+ * @param {object} db - Index database
+ * @param {string} contract - Contract address
+ * @param {string} tokenId - Token ID
+ * @returns {object|null} { tokenId, owner, burned, mintedHeight, updatedHeight } or null if never seen
+ */
+export function getIndexedToken(db, contract, tokenId) {
+  const row = db.prepare("SELECT * FROM tokens WHERE contract = ? AND token_id = ?").get(contract, tokenId);
+  if (!row) {
+    return null;
+  }
+  return {
+    tokenId: row.token_id,
+    owner: row.owner,
+    burned: row.burned === 1,
+    mintedHeight: row.minted_height,
+    updatedHeight: row.updated_height,
+  };
+}
+
+/**
+ * List the tokens an owner holds according to the index
+ * @param {object} db - Index database
+ * @param {string} contract - Contract address
+ * @param {string} owner - Owner address
+ * @returns {Array<string>} Token IDs
+ */
+export function getIndexedOwnerTokens(db, contract, owner) {
+  return db
+    .prepare("SELECT token_id FROM tokens WHERE contract = ? AND owner = ? AND burned = 0 ORDER BY token_id")
+    .all(contract, owner)
+    .map((row) => row.token_id);
+}
+
+/**
+ * List the recorded events of a token, oldest first
+ * @param {object} db - Index database
+ * @param {string} contract - Contract address
+ * @param {string} tokenId - Token ID
+ * @returns {Array<object>} { type, height, txHash, eventIndex, sender, recipient }
+ */
+export function getIndexedTokenHistory(db, contract, tokenId) {
+  return db
+    .prepare(
+      "SELECT * FROM events WHERE contract = ? AND token_id = ? ORDER BY height, tx_index, event_index"
+    )
+    .all(contract, tokenId)
+    .map((row) => ({
+      type: row.type,
+      height: row.height,
+      txHash: row.tx_hash,
+      eventIndex: row.event_index,
+      sender: row.sender,
+      recipient: row.recipient,
+    }));
+}
+
+/**
+ * Count the tokens, holders and events indexed for a contract
+ * @param {object} db - Index database
+ * @param {string} contract - Contract address
+ * @returns {object} { tokens, burned, holders, events }
+ */
+export function getIndexStats(db, contract) {
+  const tokens = db
+    .prepare(
+      "SELECT COUNT(*) AS total, SUM(burned) AS burned, COUNT(DISTINCT owner) AS holders FROM tokens WHERE contract = ?"
+    )
+    .get(contract);
+  const events = db.prepare("SELECT COUNT(*) AS total FROM events WHERE contract = ?").get(contract);
+  return {
+    tokens: tokens.total - (tokens.burned || 0),
+    burned: tokens.burned || 0,
+    holders: tokens.holders,
+    events: events.total,
+  };
+}
@@ -0,0 +1,295 @@
+/**
+ * Encrypted local keystore
+ * Each named key is a JSON file holding the address in plain text and the mnemonic encrypted with
+ * a passphrase (DirectSecp256k1HdWallet.serialize: argon2id key derivation, XChaCha20-Poly1305).
+ * Commands pick a key with --from <name>; the passphrase comes from XION_NFT_PASSPHRASE or a prompt
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { DirectSecp256k1HdWallet } from "@cosmjs/proto-signing";
+import { toHex } from "@cosmjs/encoding";
+import { WalletError, ValidationError } from "./errors.js";
+import XION_CONFIG from "./config.js";
+
+// Keystore directory when neither --keystore nor XION_NFT_KEYSTORE is set
+export const DEFAULT_KEYSTORE_DIR = path.join(os.homedir(), ".xion-nft", "keys");
+
+// Environment variable read for the passphrase before prompting (for CI)
+export const PASSPHRASE_ENV = "XION_NFT_PASSPHRASE";
+
+const KEYSTORE_VERSION = 1;
+const MIN_PASSPHRASE_LENGTH = 8;
+const KEY_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+
+// Key and directory chosen on the command line (--from, --keystore)
+const selection = { from: null, dir: null };
+
+// Mnemonics already decrypted in this process, so one run asks for a passphrase once per key
+const unlocked = new Map();
+
+/**
+ * Select the key and keystore directory used when no key is passed explicitly
+ * @param {object} options - Keystore options
+ * @param {string} options.from - Key name (optional)
+ * @param {string} options.dir - Keystore directory (optional)
+ */
+export function configureKeystore({ from = null, dir = null } = {}) {
+  selection.from = from || null;
+  selection.dir = dir || null;
+}
+
+/**
+ * Name of the key selected with --from (or XION_NFT_FROM), if any
+ * @returns {string|null} Key name
+ */
+export function getSelectedKey() {
+  return selection.from || process.env.XION_NFT_FROM || null;
+}
+
+/**
+ * Resolve the keystore directory
+ * @param {string} dir - Explicit directory (optional)
+ * @returns {string} Absolute directory path
+ */
+export function getKeystoreDir(dir) {
+  return path.resolve(dir || selection.dir || process.env.XION_NFT_KEYSTORE || DEFAULT_KEYSTORE_DIR);
+}
+
+/**
+ * Path of a key's file, after checking the name
+ * @param {string} name - Key name
+ * @param {string} dir - Keystore directory (optional)
+ * @returns {string} File path
+ */
+function keyFile(name, dir) {
+  if (!name || !KEY_NAME_PATTERN.test(name)) {
+    throw new ValidationError(
+      `Invalid key name: ${name ?? ""} (letters, digits, ".", "_" and "-", up to 64 characters)`
+    );
+  }
+  return path.join(getKeystoreDir(dir), `${name}.json`);
+}
+
+/**
+ * Read a terminal line without echoing it
+ * @param {string} question - Prompt text (written to stderr)
+ * @returns {Promise<string>} Entered text
+ */
+export function promptSecret(question) {
+  const stdin = process.stdin;
+  if (!stdin.isTTY) {
+    return Promise.reject(new WalletError("Cannot prompt for a secret without a terminal"));
+  }
+
+  return new Promise((resolve, reject) => {
+    let input = "";
+    const finish = (error) => {
+      stdin.removeListener("data", onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stderr.write("\n");
+      if (error) {
+        reject(error);
+      } else {
+        resolve(input);
+      }
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === "\r" || char === "\n" || char === "\u0004") {
+          finish();
+          return;
+        }
+        if (char === "\u0003") {
+          finish(new WalletError("Cancelled"));
+          return;
+        }
+        if (char === "\u007f" || char === "\b") {
+          input = input.slice(0, -1);
+        } else {
+          input += char;
+        }
+      }
+    };
+
+    process.stderr.write(question);
+    stdin.setEncoding("utf8");
+    stdin.setRawMode(true);
+    stdin.resume();
+    stdin.on("data", onData);
+  });
+}
+
+/**
+ * Get the passphrase for a key: explicit value, then XION_NFT_PASSPHRASE, then a terminal prompt
+ * @param {string} name - Key name (for the prompt)
+ * @param {object} options - Passphrase options
+ * @param {string} options.passphrase - Passphrase given by the caller (optional)
+ * @param {boolean} options.confirm - Ask twice and enforce the minimum length (for new keys)
+ * @returns {Promise<string>} Passphrase
+ */
+export async function readPassphrase(name, { passphrase, confirm = false } = {}) {
+  let value = passphrase ?? process.env[PASSPHRASE_ENV] ?? null;
+
+  if (value === null) {
+    if (!process.stdin.isTTY) {
+      throw new WalletError(`No passphrase for key "${name}"`, {
+        hint: `Set ${PASSPHRASE_ENV} when running without a terminal`,
+      });
+    }
+    value = await promptSecret(confirm ? `New passphrase for "${name}": ` : `Passphrase for "${name}": `);
+    if (confirm && (await promptSecret("Repeat passphrase: ")) !== value) {
+      throw new ValidationError("Passphrases do not match");
+    }
+  }
+
+  if (confirm && value.length < MIN_PASSPHRASE_LENGTH) {
+    throw new ValidationError(`Passphrase too short (at least ${MIN_PASSPHRASE_LENGTH} characters)`);
+  }
+  return value;
+}
+
+/**
+ * Encrypt a mnemonic and store it as a new named key
+ * The directory is created with mode 700 and the file with mode 600; an existing key is never overwritten
+ * @param {string} name - Key name
+ * @param {string} mnemonic - BIP39 mnemonic
+ * @param {string} passphrase - Encryption passphrase
+ * @param {object} options - Keystore options
+ * @param {string} options.dir - Keystore directory (optional)
+ * @param {object} options.network - Network configuration, for the address prefix (optional)
+ * @returns {Promise<object>} { name, address, pubkey, createdAt, file }
+ */
+export async function saveKey(name, mnemonic, passphrase, { dir, network = XION_CONFIG } = {}) {
+  const file = keyFile(name, dir);
+  if (fs.existsSync(file)) {
+    throw new ValidationError(`Key "${name}" already exists (${file})`, {
+      hint: `Choose another name or remove it with 'xion-nft keys delete ${name}'`,
+    });
+  }
+
+  let wallet;
+  try {
+    wallet = await DirectSecp256k1HdWallet.fromMnemonic(mnemonic.trim(), { prefix: network.addressPrefix });
+  } catch (error) {
+    throw new ValidationError(`Invalid mnemonic: ${error.message}`, { cause: error });
+  }
+  const [account] = await wallet.getAccounts();
+
+  const entry = {
+    version: KEYSTORE_VERSION,
+    name,
+    address: account.address,
+    pubkey: toHex(account.pubkey),
+    createdAt: new Date().toISOString(),
+    wallet: await wallet.serialize(passphrase),
+  };
+
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(file, JSON.stringify(entry, null, 2) + "\n", { mode: 0o600, flag: "wx" });
+
+  return { name, address: entry.address, pubkey: entry.pubkey, createdAt: entry.createdAt, file };
+}
+
+/**
+ * Read a key's file without decrypting it
+ * @param {string} name - Key name
+ * @param {string} dir - Keystore directory (optional)
+ * @returns {object} Keystore entry ({ version, name, address, pubkey, createdAt, wallet }) plus its file
+ */
+export function readKey(name, dir) {
+  const file = keyFile(name, dir);
+  if (!fs.existsSync(file)) {
+    throw new WalletError(`Key "${name}" not found in ${getKeystoreDir(dir)}`, {
+      hint: "List keys with 'xion-nft keys list', or create one with 'xion-nft keys add <name>'",
+    });
+  }
+  const entry = JSON.parse(fs.readFileSync(file, "utf-8"));
+  if (entry.version !== KEYSTORE_VERSION || !entry.wallet) {
+    throw new WalletError(`Unsupported keystore file ${file}`);
+  }
+  return { ...entry, file };
+}
+
+/**
+ * List the keys in the keystore
+ * @param {string} dir - Keystore directory (optional)
+ * @returns {Array<object>} { name, address, pubkey, createdAt, file } per key, by name
+ */
+export function listKeys(dir) {
+  const keystoreDir = getKeystoreDir(dir);
+  if (!fs.existsSync(keystoreDir)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(keystoreDir)
+    .filter((file) => file.endsWith(".json") && KEY_NAME_PATTERN.test(file.slice(0, -5)))
+    .sort()
+    .map((file) => {
+      const { name, address, pubkey, createdAt } = readKey(file.slice(0, -5), keystoreDir);
+      return { name, address, pubkey, createdAt, file: path.join(keystoreDir, file) };
+    });
+}
+
+/**
+ * Decrypt a key's mnemonic
+ * @param {string} name - Key name
+ * @param {object} options - Unlock options
+ * @param {string} options.passphrase - Passphrase (optional; defaults to XION_NFT_PASSPHRASE or a prompt)
+ * @param {string} options.dir - Keystore directory (optional)
+ * @returns {Promise<string>} Mnemonic
+ */
+export async function unlockKey(name, { passphrase, dir } = {}) {
+  const entry = readKey(name, dir);
+  if (unlocked.has(entry.file)) {
+    return unlocked.get(entry.file);
+  }
+
+  const secret = await readPassphrase(name, { passphrase });
+  let wallet;
+  try {
+    wallet = await DirectSecp256k1HdWallet.deserialize(entry.wallet, secret);
+  } catch (error) {
+    throw new WalletError(`Could not unlock key "${name}": wrong passphrase or damaged file`, {
+      cause: error,
+      hint: `Check ${PASSPHRASE_ENV} or the passphrase you typed`,
+    });
+  }
+
+  unlocked.set(entry.file, wallet.mnemonic);
+  return wallet.mnemonic;
+}
+
+/**
+ * Remove a key's file
+ * @param {string} name - Key name
+ * @param {string} dir - Keystore directory (optional)
+ * @returns {string} Removed file path
+ */
+export function removeKey(name, dir) {
+  const { file } = readKey(name, dir);
+  fs.unlinkSync(file);
+  unlocked.delete(file);
+  return file;
+}
+
+/**
+ * Find the mnemonic to sign with
+ * A key selected with --from (or XION_NFT_FROM) is decrypted from the keystore; otherwise
+ * MNEMONIC from the environment is used
+ * @param {object} options - Options
+ * @param {string} options.from - Key name (optional, defaults to the selected key)
+ * @returns {Promise<string>} Mnemonic
+ */
+export async function resolveMnemonic({ from = getSelectedKey() } = {}) {
+  if (from) {
+    return unlockKey(from);
+  }
+  if (process.env.MNEMONIC) {
+    return process.env.MNEMONIC;
+  }
+  throw new WalletError("No wallet configured: pass --from <key> or set MNEMONIC");
+}
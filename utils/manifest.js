@@ -0,0 +1,241 @@
+/**
+ * Manifest and progress journal helpers for batch operations
+ * Manifests are CSV (with a header row) or JSON files of rows; journals record
+ * completed work so an interrupted batch can resume where it stopped
+ */
+
+import fs from "fs";
+import path from "path";
+import { sha256 } from "@cosmjs/crypto";
+import { toHex } from "@cosmjs/encoding";
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180: quoted fields, escaped quotes, CRLF)
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} Rows of fields
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted field in CSV");
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.some((value) => value.trim() !== ""));
+}
+
+/**
+ * Format rows as CSV, quoting fields that contain commas, quotes or newlines
+ * @param {Array<object>} rows - Rows to write
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} CSV content with a header row
+ */
+export function toCsv(rows, columns) {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => escape(row[column])).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+/**
+ * Write a per-row report as JSON (for .json paths) or CSV
+ * @param {string} file - Report file path
+ * @param {Array<object>} rows - Report rows
+ * @param {Array<string>} columns - CSV column names, in order
+ * @returns {string} Resolved report path
+ */
+export function writeReport(file, rows, columns) {
+  const filePath = path.resolve(file);
+  const content =
+    path.extname(filePath).toLowerCase() === ".json" ? JSON.stringify(rows, null, 2) : toCsv(rows, columns);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+/**
+ * Normalize a column name: "Token ID", "token-id" and "tokenId" all become "token_id"
+ * @param {string} name - Column name
+ * @returns {string} snake_case column name
+ */
+function normalizeColumn(name) {
+  return name
+    .trim()
+    .replace(/([a-z0-9])([A-Z])/g, "$1_$2")
+    .replace(/[\s-]+/g, "_")
+    .toLowerCase();
+}
+
+/**
+ * Load a CSV or JSON manifest
+ * JSON manifests are an array of objects, or an object with a "rows" (or "tokens") array
+ * @param {string} file - Manifest file path (.csv or .json)
+ * @param {object} options - Load options
+ * @param {Array<string>} options.required - Columns that must be present and non-empty in every row
+ * @returns {Array<object>} Rows keyed by snake_case column name, with a 1-based "row" number
+ */
+export function loadManifest(file, { required = [] } = {}) {
+  const filePath = path.resolve(file);
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Manifest file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, "utf-8");
+  let records;
+
+  if (path.extname(filePath).toLowerCase() === ".json") {
+    const data = JSON.parse(content);
+    const list = Array.isArray(data) ? data : data.rows || data.tokens;
+    if (!Array.isArray(list)) {
+      throw new Error(`${filePath} must contain an array of rows`);
+    }
+    records = list.map((item) =>
+      Object.fromEntries(
+        Object.entries(item).map(([key, value]) => [
+          normalizeColumn(key),
+          value === null || value === undefined ? "" : String(value).trim(),
+        ])
+      )
+    );
+  } else {
+    const [header, ...lines] = parseCsv(content);
+    if (!header) {
+      throw new Error(`${filePath} is empty`);
+    }
+    const columns = header.map(normalizeColumn);
+    records = lines.map((fields) =>
+      Object.fromEntries(columns.map((column, i) => [column, (fields[i] || "").trim()]))
+    );
+  }
+
+  return records.map((record, i) => {
+    const row = { ...record, row: i + 1 };
+    for (const column of required) {
+      if (!row[column]) {
+        throw new Error(`Manifest row ${row.row} is missing "${column}"`);
+      }
+    }
+    return row;
+  });
+}
+
+/**
+ * Hash a file's contents so a journal can detect that its manifest changed
+ * @param {string} file - File path
+ * @returns {string} Hex SHA-256 digest
+ */
+export function hashFile(file) {
+  return toHex(sha256(fs.readFileSync(path.resolve(file))));
+}
+
+/**
+ * Default journal path for a manifest ("tokens.csv" -> "tokens.csv.progress.json")
+ * @param {string} manifest - Manifest file path
+ * @returns {string} Journal file path
+ */
+export function defaultJournalPath(manifest) {
+  return `${path.resolve(manifest)}.progress.json`;
+}
+
+/**
+ * Load a progress journal, or create an empty one
+ * Refuses to resume a journal that was written for a different operation, contract or chain
+ * @param {string} file - Journal file path
+ * @param {object} identity - Fields that must match an existing journal (e.g. operation, contract, chainId)
+ * @returns {object} Journal ({ ...identity, completed, pending, createdAt, updatedAt })
+ */
+export function loadJournal(file, identity) {
+  const filePath = path.resolve(file);
+
+  if (!fs.existsSync(filePath)) {
+    return {
+      ...identity,
+      completed: {},
+      pending: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+    };
+  }
+
+  const journal = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  for (const [key, value] of Object.entries(identity)) {
+    if (journal[key] !== value) {
+      throw new Error(
+        `Journal ${filePath} was written for ${key} "${journal[key]}", not "${value}". ` +
+          "Use a different --journal file or delete it to start over."
+      );
+    }
+  }
+
+  return { completed: {}, pending: null, ...journal };
+}
+
+/**
+ * Write a progress journal atomically (write to a temp file, then rename)
+ * @param {string} file - Journal file path
+ * @param {object} journal - Journal contents
+ */
+export function saveJournal(file, journal) {
+  const filePath = path.resolve(file);
+  const tmpPath = `${filePath}.tmp`;
+  journal.updatedAt = new Date().toISOString();
+  fs.writeFileSync(tmpPath, JSON.stringify(journal, null, 2));
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Split an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Maximum chunk size
+ * @returns {Array<Array>} Chunks
+ */
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
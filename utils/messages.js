@@ -0,0 +1,469 @@
+/**
+ * Transaction decoding for display
+ * A registry of message decoders keyed by type URL: each entry describes a decoded message
+ * as a one-line summary plus labelled fields. Transactions are decoded from their raw TxRaw
+ * bytes with the cosmjs registry, extended with the XION types cosmjs does not ship.
+ * Used by tx monitor and account history; other types can be added with registerMessageDecoder()
+ */
+
+import { decodeTxRaw } from "@cosmjs/proto-signing";
+import { BinaryReader, BinaryWriter } from "cosmjs-types/binary.js";
+import { Coin } from "cosmjs-types/cosmos/base/v1beta1/coin.js";
+import { MsgSend, MsgMultiSend } from "cosmjs-types/cosmos/bank/v1beta1/tx.js";
+import { SendAuthorization } from "cosmjs-types/cosmos/bank/v1beta1/authz.js";
+import { GenericAuthorization } from "cosmjs-types/cosmos/authz/v1beta1/authz.js";
+import { BasicAllowance, PeriodicAllowance, AllowedMsgAllowance } from "cosmjs-types/cosmos/feegrant/v1beta1/feegrant.js";
+import {
+  ContractExecutionAuthorization,
+  ContractMigrationAuthorization,
+  MaxCallsLimit,
+  MaxFundsLimit,
+  CombinedLimit,
+  AllowAllMessagesFilter,
+  AcceptedMessageKeysFilter,
+  AcceptedMessagesFilter,
+} from "cosmjs-types/cosmwasm/wasm/v1/authz.js";
+import { fromUtf8, toBase64 } from "@cosmjs/encoding";
+import { createRegistry } from "./transactions.js";
+import { formatXionAmount } from "./helpers.js";
+import XION_CONFIG from "./config.js";
+
+/**
+ * abstractaccount.v1.MsgRegisterAccount (XION abstract accounts), which cosmjs-types does not include
+ * Fields: sender = 1, code_id = 2, msg = 3, funds = 4, salt = 5
+ */
+const MsgRegisterAccount = {
+  typeUrl: "/abstractaccount.v1.MsgRegisterAccount",
+  encode(message, writer = BinaryWriter.create()) {
+    if (message.sender) {
+      writer.uint32(10).string(message.sender);
+    }
+    if (message.codeId) {
+      writer.uint32(16).uint64(message.codeId);
+    }
+    if (message.msg?.length) {
+      writer.uint32(26).bytes(message.msg);
+    }
+    for (const coin of message.funds || []) {
+      Coin.encode(coin, writer.uint32(34).fork()).ldelim();
+    }
+    if (message.salt?.length) {
+      writer.uint32(42).bytes(message.salt);
+    }
+    return writer;
+  },
+  decode(input, length) {
+    const reader = input instanceof BinaryReader ? input : new BinaryReader(input);
+    const end = length === undefined ? reader.len : reader.pos + length;
+    const message = MsgRegisterAccount.fromPartial({});
+    while (reader.pos < end) {
+      const tag = reader.uint32();
+      switch (tag >>> 3) {
+        case 1:
+          message.sender = reader.string();
+          break;
+        case 2:
+          message.codeId = reader.uint64();
+          break;
+        case 3:
+          message.msg = reader.bytes();
+          break;
+        case 4:
+          message.funds.push(Coin.decode(reader, reader.uint32()));
+          break;
+        case 5:
+          message.salt = reader.bytes();
+          break;
+        default:
+          reader.skipType(tag & 7);
+          break;
+      }
+    }
+    return message;
+  },
+  fromPartial(object) {
+    return {
+      sender: object.sender ?? "",
+      codeId: object.codeId !== undefined ? BigInt(object.codeId) : BigInt(0),
+      msg: object.msg ?? new Uint8Array(),
+      funds: (object.funds || []).map((coin) => Coin.fromPartial(coin)),
+      salt: object.salt ?? new Uint8Array(),
+    };
+  },
+};
+
+// Protobuf types decoded here on top of createRegistry(): XION messages, and the
+// authorizations, allowances and limits carried inside authz and feegrant messages
+const EXTRA_TYPES = [
+  ["/xion.v1.MsgSend", MsgSend],
+  ["/xion.v1.MsgMultiSend", MsgMultiSend],
+  ["/abstractaccount.v1.MsgRegisterAccount", MsgRegisterAccount],
+  ["/cosmos.authz.v1beta1.GenericAuthorization", GenericAuthorization],
+  ["/cosmos.bank.v1beta1.SendAuthorization", SendAuthorization],
+  ["/cosmos.feegrant.v1beta1.BasicAllowance", BasicAllowance],
+  ["/cosmos.feegrant.v1beta1.PeriodicAllowance", PeriodicAllowance],
+  ["/cosmos.feegrant.v1beta1.AllowedMsgAllowance", AllowedMsgAllowance],
+  ["/cosmwasm.wasm.v1.ContractExecutionAuthorization", ContractExecutionAuthorization],
+  ["/cosmwasm.wasm.v1.ContractMigrationAuthorization", ContractMigrationAuthorization],
+  ["/cosmwasm.wasm.v1.MaxCallsLimit", MaxCallsLimit],
+  ["/cosmwasm.wasm.v1.MaxFundsLimit", MaxFundsLimit],
+  ["/cosmwasm.wasm.v1.CombinedLimit", CombinedLimit],
+  ["/cosmwasm.wasm.v1.AllowAllMessagesFilter", AllowAllMessagesFilter],
+  ["/cosmwasm.wasm.v1.AcceptedMessageKeysFilter", AcceptedMessageKeysFilter],
+  ["/cosmwasm.wasm.v1.AcceptedMessagesFilter", AcceptedMessagesFilter],
+];
+
+// Message decoders by type URL: { type (protobuf type, when the registry lacks it), describe }
+const MESSAGE_DECODERS = new Map();
+
+/**
+ * Format a coin, adding the XION amount for the network's base denom
+ * @param {object} coin - Coin ({ denom, amount })
+ * @param {object} network - Network configuration
+ * @returns {string} e.g. "1500000 uxion (1.500000 XION)"
+ */
+export function formatCoin(coin, network = XION_CONFIG) {
+  if (coin.denom === network.denom) {
+    return `${coin.amount} ${coin.denom} (${formatXionAmount(coin.amount, network)} XION)`;
+  }
+  return `${coin.amount} ${coin.denom}`;
+}
+
+/**
+ * Format a list of coins compactly ("5000uxion,10ibc/...")
+ * @param {Array<object>} coins - Coins ({ denom, amount })
+ * @returns {string} Coins joined by commas, or "" for none
+ */
+export function formatCoins(coins = []) {
+  return coins.map((coin) => `${coin.amount}${coin.denom}`).join(",");
+}
+
+/**
+ * Format a protobuf Timestamp as ISO 8601
+ * @param {object} timestamp - Timestamp ({ seconds, nanos })
+ * @returns {string|null} ISO date, or null when unset
+ */
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(Number(timestamp.seconds) * 1000).toISOString() : null;
+}
+
+/**
+ * Register a decoder for a message type, replacing any existing one
+ * @param {string} typeUrl - Message type URL
+ * @param {object} decoder - Decoder
+ * @param {object} decoder.type - Protobuf type (encode/decode/fromPartial), needed when createRegistry() lacks it
+ * @param {Function} decoder.describe - (value, context) => { summary, fields: [[label, value]] };
+ *   context is { network, registry, describeAny(any) } for messages that nest other messages
+ */
+export function registerMessageDecoder(typeUrl, { type, describe }) {
+  MESSAGE_DECODERS.set(typeUrl, { type, describe });
+}
+
+/**
+ * Create a registry that decodes every type known to the message decoders
+ * @returns {Registry} Registry instance
+ */
+export function createDecoderRegistry() {
+  const registry = createRegistry();
+  for (const [typeUrl, type] of EXTRA_TYPES) {
+    registry.register(typeUrl, type);
+  }
+  for (const [typeUrl, { type }] of MESSAGE_DECODERS) {
+    if (type) {
+      registry.register(typeUrl, type);
+    }
+  }
+  return registry;
+}
+
+/**
+ * Convert a decoded protobuf value into plain JSON: nested Any values are decoded when the
+ * registry knows them, contract messages are parsed, other bytes base64 encoded
+ * @param {*} value - Decoded value
+ * @param {Registry} registry - Registry to decode nested Any values with
+ * @returns {*} Readable value
+ */
+export function toReadableValue(value, registry) {
+  if (value instanceof Uint8Array) {
+    try {
+      return JSON.parse(fromUtf8(value));
+    } catch (error) {
+      return toBase64(value);
+    }
+  }
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (Array.isArray(value)) {
+    return value.map((v) => toReadableValue(v, registry));
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value);
+    if (keys.length === 2 && typeof value.typeUrl === "string" && value.value instanceof Uint8Array) {
+      return registry.lookupType(value.typeUrl)
+        ? { "@type": value.typeUrl, ...toReadableValue(registry.decode(value), registry) }
+        : { "@type": value.typeUrl, value: toBase64(value.value) };
+    }
+    return Object.fromEntries(keys.map((key) => [key, toReadableValue(value[key], registry)]));
+  }
+  return value;
+}
+
+/**
+ * Describe an Any-wrapped authorization, allowance or limit on one line
+ * @param {object} any - Protobuf Any ({ typeUrl, value })
+ * @param {Registry} registry - Registry to decode it with
+ * @returns {string} e.g. 'GenericAuthorization {"msg":"/cosmos.bank.v1beta1.MsgSend"}'
+ */
+function describePayload(any, registry) {
+  if (!any) {
+    return "none";
+  }
+  const readable = toReadableValue(any, registry);
+  delete readable["@type"];
+  return `${any.typeUrl.split(".").pop()} ${JSON.stringify(readable)}`;
+}
+
+/**
+ * Fields of a contract message (bytes holding JSON)
+ * @param {Uint8Array} msg - Contract message
+ * @returns {object} { action (first key), text (pretty JSON) }
+ */
+function contractMessage(msg) {
+  const parsed = toReadableValue(msg);
+  return {
+    action: parsed && typeof parsed === "object" ? Object.keys(parsed)[0] : "execute",
+    text: JSON.stringify(parsed, null, 2),
+  };
+}
+
+// Bank
+const describeSend = (value, { network }) => ({
+  summary: `send ${formatCoins(value.amount)} to ${value.toAddress}`,
+  fields: [
+    ["From", value.fromAddress],
+    ["To", value.toAddress],
+    ...value.amount.map((coin) => ["Amount", formatCoin(coin, network)]),
+  ],
+});
+const describeMultiSend = (value) => ({
+  summary: `multi-send to ${value.outputs.length} address(es)`,
+  fields: [
+    ...value.inputs.map((input) => ["Input", `${input.address} ${formatCoins(input.coins)}`]),
+    ...value.outputs.map((output) => ["Output", `${output.address} ${formatCoins(output.coins)}`]),
+  ],
+});
+registerMessageDecoder("/cosmos.bank.v1beta1.MsgSend", { describe: describeSend });
+registerMessageDecoder("/cosmos.bank.v1beta1.MsgMultiSend", { describe: describeMultiSend });
+
+// XION module (same wire format as bank, charging the platform fee)
+registerMessageDecoder("/xion.v1.MsgSend", { describe: describeSend });
+registerMessageDecoder("/xion.v1.MsgMultiSend", { describe: describeMultiSend });
+
+// XION abstract accounts
+registerMessageDecoder("/abstractaccount.v1.MsgRegisterAccount", {
+  describe: (value) => ({
+    summary: `register abstract account (code ${value.codeId})`,
+    fields: [
+      ["Sender", value.sender],
+      ["Code ID", value.codeId.toString()],
+      ["Message", contractMessage(value.msg).text],
+      ...(value.funds.length > 0 ? [["Funds", formatCoins(value.funds)]] : []),
+      ["Salt", toBase64(value.salt)],
+    ],
+  }),
+});
+
+// CosmWasm
+registerMessageDecoder("/cosmwasm.wasm.v1.MsgExecuteContract", {
+  describe: (value) => {
+    const { action, text } = contractMessage(value.msg);
+    return {
+      summary: `${action} on ${value.contract}`,
+      fields: [
+        ["Sender", value.sender],
+        ["Contract", value.contract],
+        ["Message", text],
+        ...(value.funds.length > 0 ? [["Funds", formatCoins(value.funds)]] : []),
+      ],
+    };
+  },
+});
+const describeInstantiate = (value) => ({
+  summary: `instantiate code ${value.codeId} "${value.label}"`,
+  fields: [
+    ["Sender", value.sender],
+    ["Code ID", value.codeId.toString()],
+    ["Label", value.label],
+    ...(value.admin ? [["Admin", value.admin]] : []),
+    ["Message", contractMessage(value.msg).text],
+    ...(value.funds.length > 0 ? [["Funds", formatCoins(value.funds)]] : []),
+  ],
+});
+registerMessageDecoder("/cosmwasm.wasm.v1.MsgInstantiateContract", { describe: describeInstantiate });
+registerMessageDecoder("/cosmwasm.wasm.v1.MsgInstantiateContract2", { describe: describeInstantiate });
+registerMessageDecoder("/cosmwasm.wasm.v1.MsgMigrateContract", {
+  describe: (value) => ({
+    summary: `migrate ${value.contract} to code ${value.codeId}`,
+    fields: [
+      ["Sender", value.sender],
+      ["Contract", value.contract],
+      ["New Code ID", value.codeId.toString()],
+      ["Message", contractMessage(value.msg).text],
+    ],
+  }),
+});
+registerMessageDecoder("/cosmwasm.wasm.v1.MsgUpdateAdmin", {
+  describe: (value) => ({
+    summary: `set admin of ${value.contract} to ${value.newAdmin}`,
+    fields: [
+      ["Sender", value.sender],
+      ["Contract", value.contract],
+      ["New Admin", value.newAdmin],
+    ],
+  }),
+});
+registerMessageDecoder("/cosmwasm.wasm.v1.MsgClearAdmin", {
+  describe: (value) => ({
+    summary: `clear admin of ${value.contract}`,
+    fields: [
+      ["Sender", value.sender],
+      ["Contract", value.contract],
+    ],
+  }),
+});
+registerMessageDecoder("/cosmwasm.wasm.v1.MsgStoreCode", {
+  describe: (value) => ({
+    summary: `store code (${value.wasmByteCode.length} bytes)`,
+    fields: [
+      ["Sender", value.sender],
+      ["Code Size", `${value.wasmByteCode.length} bytes`],
+    ],
+  }),
+});
+
+// Authz
+registerMessageDecoder("/cosmos.authz.v1beta1.MsgExec", {
+  describe: (value, { describeAny }) => {
+    const inner = value.msgs.map(describeAny);
+    return {
+      summary: `exec as ${value.grantee}: ${inner.map((d) => d.summary).join("; ")}`,
+      fields: [
+        ["Grantee", value.grantee],
+        ...inner.flatMap((d, i) => [
+          [`Message ${i + 1}`, d.typeUrl],
+          ...d.fields.map(([label, text]) => [`  ${label}`, text]),
+        ]),
+      ],
+    };
+  },
+});
+registerMessageDecoder("/cosmos.authz.v1beta1.MsgGrant", {
+  describe: (value, { registry }) => ({
+    summary: `grant ${value.grant.authorization?.typeUrl.split(".").pop()} to ${value.grantee}`,
+    fields: [
+      ["Granter", value.granter],
+      ["Grantee", value.grantee],
+      ["Authorization", describePayload(value.grant.authorization, registry)],
+      ["Expiration", formatTimestamp(value.grant.expiration) || "none"],
+    ],
+  }),
+});
+registerMessageDecoder("/cosmos.authz.v1beta1.MsgRevoke", {
+  describe: (value) => ({
+    summary: `revoke ${value.msgTypeUrl} grant from ${value.grantee}`,
+    fields: [
+      ["Granter", value.granter],
+      ["Grantee", value.grantee],
+      ["Message Type", value.msgTypeUrl],
+    ],
+  }),
+});
+
+// Fee grants
+registerMessageDecoder("/cosmos.feegrant.v1beta1.MsgGrantAllowance", {
+  describe: (value, { registry }) => ({
+    summary: `grant fee allowance to ${value.grantee}`,
+    fields: [
+      ["Granter", value.granter],
+      ["Grantee", value.grantee],
+      ["Allowance", describePayload(value.allowance, registry)],
+    ],
+  }),
+});
+registerMessageDecoder("/cosmos.feegrant.v1beta1.MsgRevokeAllowance", {
+  describe: (value) => ({
+    summary: `revoke fee allowance of ${value.grantee}`,
+    fields: [
+      ["Granter", value.granter],
+      ["Grantee", value.grantee],
+    ],
+  }),
+});
+
+/**
+ * Decode the raw bytes of an indexed transaction
+ * Messages with a type the registry does not know are kept undecoded (value is null, raw holds the bytes)
+ * @param {Uint8Array} bytes - TxRaw bytes (IndexedTx.tx)
+ * @param {Registry} registry - Registry to decode messages with (optional)
+ * @returns {object} { messages: [{ typeUrl, value, raw }], memo, fee: { amount, gasLimit, payer, granter }, signers }
+ */
+export function decodeTxBytes(bytes, registry = createDecoderRegistry()) {
+  const { body, authInfo } = decodeTxRaw(bytes);
+  const messages = body.messages.map((any) => ({
+    typeUrl: any.typeUrl,
+    value: registry.lookupType(any.typeUrl) ? registry.decode(any) : null,
+    raw: any.value,
+  }));
+  return {
+    messages,
+    memo: body.memo,
+    fee: {
+      amount: authInfo.fee?.amount || [],
+      gasLimit: authInfo.fee ? authInfo.fee.gasLimit.toString() : null,
+      payer: authInfo.fee?.payer || null,
+      granter: authInfo.fee?.granter || null,
+    },
+    signers: authInfo.signerInfos.length,
+  };
+}
+
+/**
+ * Describe a decoded message
+ * Types without a decoder are shown as their decoded fields, or their size when the registry
+ * cannot decode them
+ * @param {object} msg - Decoded message ({ typeUrl, value, raw })
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @param {Registry} registry - Registry for nested messages (optional)
+ * @returns {object} { typeUrl, type (last type URL segment), summary, fields: [[label, value]] }
+ */
+export function describeMessage(msg, network = XION_CONFIG, registry = createDecoderRegistry()) {
+  const type = msg.typeUrl.split(".").pop();
+
+  if (!msg.value) {
+    const size = msg.raw ? `${msg.raw.length} bytes` : "unknown size";
+    return { typeUrl: msg.typeUrl, type, summary: type, fields: [["Value", `(not decoded, ${size})`]] };
+  }
+
+  const decoder = MESSAGE_DECODERS.get(msg.typeUrl);
+  if (!decoder) {
+    const readable = toReadableValue(msg.value, registry);
+    return {
+      typeUrl: msg.typeUrl,
+      type,
+      summary: type,
+      fields: Object.entries(readable).map(([key, value]) => [
+        key,
+        typeof value === "object" ? JSON.stringify(value) : String(value),
+      ]),
+    };
+  }
+
+  const describeAny = (any) =>
+    describeMessage(
+      { typeUrl: any.typeUrl, value: registry.lookupType(any.typeUrl) ? registry.decode(any) : null, raw: any.value },
+      network,
+      registry
+    );
+  return { typeUrl: msg.typeUrl, type, ...decoder.describe(msg.value, { network, registry, describeAny }) };
+}
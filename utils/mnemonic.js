@@ -0,0 +1,220 @@
+/**
+ * BIP39 mnemonic checks and storage
+ * Validates words against the English wordlist and the checksum, suggests corrections for
+ * likely typos, reads a mnemonic without echoing it and writes one into a .env file
+ */
+
+import fs from "fs";
+import path from "path";
+import { EnglishMnemonic } from "@cosmjs/crypto";
+import { ValidationError, WalletError } from "./errors.js";
+import { promptSecret } from "./keystore.js";
+
+// Word counts BIP39 allows
+export const MNEMONIC_WORD_COUNTS = [12, 15, 18, 21, 24];
+
+const WORDLIST = EnglishMnemonic.wordlist;
+
+/**
+ * Lower-case a mnemonic and collapse its whitespace
+ * @param {string} text - Mnemonic as typed
+ * @returns {string} Normalized mnemonic
+ */
+export function normalizeMnemonic(text) {
+  return String(text ?? "")
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Edit distance counting a swap of two adjacent letters as one edit (optimal string alignment)
+ * @param {string} a - First word
+ * @param {string} b - Second word
+ * @returns {number} Distance
+ */
+function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) {
+    d[0][j] = j;
+  }
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Suggest wordlist words for a word that is not in it
+ * BIP39 words are unique in their first four letters, so a matching prefix wins; otherwise the
+ * closest words within two edits are returned
+ * @param {string} word - Unknown word
+ * @param {number} limit - Maximum number of suggestions (default 3)
+ * @returns {Array<string>} Suggestions, best first
+ */
+export function suggestWords(word, limit = 3) {
+  if (word.length >= 4) {
+    const byPrefix = WORDLIST.find((candidate) => candidate.startsWith(word.slice(0, 4)));
+    if (byPrefix && editDistance(word, byPrefix) <= 2) {
+      return [byPrefix];
+    }
+  }
+
+  return WORDLIST.map((candidate) => ({ candidate, distance: editDistance(word, candidate) }))
+    .filter(({ distance }) => distance <= 2)
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
+
+/**
+ * Whether a mnemonic of wordlist words has a valid checksum
+ * @param {string} mnemonic - Normalized mnemonic
+ * @returns {boolean} True if valid
+ */
+function hasValidChecksum(mnemonic) {
+  try {
+    new EnglishMnemonic(mnemonic);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check a mnemonic's word count, words and checksum
+ * When a single word is unknown, suggestions that also make the checksum valid are listed first
+ * @param {string} text - Mnemonic
+ * @returns {object} { valid, wordCount, problems: [{ position, word, suggestions }], error }
+ */
+export function checkMnemonic(text) {
+  const mnemonic = normalizeMnemonic(text);
+  const words = mnemonic ? mnemonic.split(" ") : [];
+
+  const problems = words
+    .map((word, i) => ({ position: i + 1, word }))
+    .filter(({ word }) => !WORDLIST.includes(word))
+    .map((problem) => ({ ...problem, suggestions: suggestWords(problem.word) }));
+
+  if (problems.length === 1 && MNEMONIC_WORD_COUNTS.includes(words.length)) {
+    const [problem] = problems;
+    const fits = (candidate) => {
+      const fixed = [...words];
+      fixed[problem.position - 1] = candidate;
+      return hasValidChecksum(fixed.join(" "));
+    };
+    problem.suggestions = [...problem.suggestions.filter(fits), ...problem.suggestions.filter((c) => !fits(c))];
+  }
+
+  let error = null;
+  if (!MNEMONIC_WORD_COUNTS.includes(words.length)) {
+    error = `Mnemonic has ${words.length} word(s); expected ${MNEMONIC_WORD_COUNTS.join(", ")}`;
+  } else if (problems.length > 0) {
+    error = `Mnemonic has ${problems.length} word(s) that are not in the BIP39 English wordlist`;
+  } else if (!hasValidChecksum(mnemonic)) {
+    error = "Mnemonic checksum does not match: a word is wrong or two words are swapped";
+  }
+
+  return { valid: error === null, wordCount: words.length, problems, error };
+}
+
+/**
+ * Describe a mnemonic's unknown words, for messages (the other words are not repeated)
+ * @param {Array<object>} problems - Problems from checkMnemonic
+ * @returns {string} One line per unknown word
+ */
+export function formatMnemonicProblems(problems) {
+  return problems
+    .map(({ position, word, suggestions }) => {
+      const hint = suggestions.length > 0 ? `did you mean ${suggestions.join(", ")}?` : "no close match";
+      return `word ${position} "${word}": ${hint}`;
+    })
+    .join("\n   ");
+}
+
+/**
+ * Normalize a mnemonic and throw ValidationError unless it is valid
+ * @param {string} text - Mnemonic
+ * @returns {string} Normalized mnemonic
+ */
+export function assertValidMnemonic(text) {
+  const check = checkMnemonic(text);
+  if (!check.valid) {
+    const details = check.problems.length > 0 ? `:\n   ${formatMnemonicProblems(check.problems)}` : "";
+    throw new ValidationError(`${check.error}${details}`, {
+      hint: "Compare each word with your backup; 'xion-nft wallet validate' checks a mnemonic without using it",
+    });
+  }
+  return normalizeMnemonic(text);
+}
+
+/**
+ * Read a mnemonic from MNEMONIC, or prompt for it without echo
+ * @returns {Promise<object>} { mnemonic (normalized), source ("MNEMONIC" or "prompt") }
+ */
+export async function readMnemonic() {
+  if (process.env.MNEMONIC) {
+    return { mnemonic: normalizeMnemonic(process.env.MNEMONIC), source: "MNEMONIC" };
+  }
+  if (!process.stdin.isTTY) {
+    throw new WalletError("No mnemonic to read", {
+      hint: "Set MNEMONIC, or run in a terminal to type the mnemonic without echo",
+    });
+  }
+  const typed = await promptSecret("Mnemonic: ");
+  return { mnemonic: normalizeMnemonic(typed), source: "prompt" };
+}
+
+/**
+ * Check that MNEMONIC can be written to a .env file: the file does not set MNEMONIC yet and
+ * it (or, for a new file, its directory) is writable
+ * @param {string} file - .env file path
+ * @returns {object} { filePath (absolute), existing (current contents, "" for a new file) }
+ */
+export function checkEnvFile(file) {
+  const filePath = path.resolve(file);
+  const exists = fs.existsSync(filePath);
+  const existing = exists ? fs.readFileSync(filePath, "utf-8") : "";
+
+  if (/^\s*(export\s+)?MNEMONIC\s*=/m.test(existing)) {
+    throw new ValidationError(`${filePath} already sets MNEMONIC`, {
+      hint: "Move that wallet into the keystore ('xion-nft keys import <name>') and remove the line, or use another file",
+    });
+  }
+  try {
+    fs.accessSync(exists ? filePath : path.dirname(filePath), fs.constants.W_OK);
+  } catch (error) {
+    throw new ValidationError(`Cannot write ${filePath}: ${error.code || error.message}`, { cause: error });
+  }
+  return { filePath, existing };
+}
+
+/**
+ * Write MNEMONIC into a .env file readable only by its owner (mode 600)
+ * The file is created if needed; a file that already sets MNEMONIC is left alone.
+ * An existing file is restricted to mode 600 before the mnemonic is written to it
+ * @param {string} file - .env file path
+ * @param {string} mnemonic - Mnemonic to store
+ * @returns {string} Absolute file path
+ */
+export function saveMnemonicToEnv(file, mnemonic) {
+  const { filePath, existing } = checkEnvFile(file);
+
+  const separator = existing === "" || existing.endsWith("\n") ? "" : "\n";
+  const fd = fs.openSync(filePath, "w", 0o600);
+  try {
+    fs.fchmodSync(fd, 0o600);
+    fs.writeSync(fd, `${existing}${separator}MNEMONIC="${mnemonic}"\n`);
+  } finally {
+    fs.closeSync(fd);
+  }
+  return filePath;
+}
@@ -0,0 +1,214 @@
+/**
+ * Legacy amino multisig accounts
+ * Builds threshold multisig public keys and addresses from member keys, reads and writes the
+ * multisig and partial-signature files, simulates gas for a multisig signer and checks member
+ * signatures (SIGN_MODE_LEGACY_AMINO_JSON, the only mode legacy multisig members can sign with)
+ */
+
+import fs from "fs";
+import path from "path";
+import {
+  createMultisigThresholdPubkey,
+  isMultisigThresholdPubkey,
+  pubkeyToAddress,
+  makeSignDoc,
+  serializeSignDoc,
+} from "@cosmjs/amino";
+import { sha256, Secp256k1, Secp256k1Signature } from "@cosmjs/crypto";
+import { fromBase64 } from "@cosmjs/encoding";
+import { AminoTypes, createDefaultAminoConverters, createProtobufRpcClient, makeMultisignedTx } from "@cosmjs/stargate";
+import { createWasmAminoConverters } from "@cosmjs/cosmwasm-stargate";
+import { TxBody, TxRaw } from "cosmjs-types/cosmos/tx/v1beta1/tx.js";
+import { ServiceClientImpl, SimulateRequest } from "cosmjs-types/cosmos/tx/v1beta1/service.js";
+import { createRegistry } from "./transactions.js";
+import { ValidationError } from "./errors.js";
+import XION_CONFIG from "./config.js";
+
+// Format markers for files written by multisig create and multisig sign
+export const MULTISIG_FORMAT = "xion-nft/multisig";
+export const MULTISIG_SIGNATURE_FORMAT = "xion-nft/multisig-signature";
+
+// Legacy multisig keys are limited by the chain's auth params (tx_sig_limit, 7 by default)
+const MAX_MULTISIG_MEMBERS = 7;
+
+/**
+ * Build a threshold multisig from member public keys
+ * Members are sorted by address, as 'xiond keys add --multisig' does, so the same members
+ * always give the same multisig address
+ * @param {Array<object>} pubkeys - Member amino secp256k1 pubkeys ({ type, value })
+ * @param {number|string} threshold - Signatures required
+ * @param {object} network - Network configuration, for the address prefix (optional, defaults to testnet)
+ * @returns {object} { address, threshold, pubkey (amino multisig pubkey), members: [{ address, pubkey }] }
+ */
+export function buildMultisig(pubkeys, threshold, network = XION_CONFIG) {
+  const THRESHOLD = Number(threshold);
+  if (pubkeys.length < 2 || pubkeys.length > MAX_MULTISIG_MEMBERS) {
+    throw new ValidationError(`A multisig needs 2-${MAX_MULTISIG_MEMBERS} members, got ${pubkeys.length}`);
+  }
+  if (!Number.isInteger(THRESHOLD) || THRESHOLD < 1 || THRESHOLD > pubkeys.length) {
+    throw new ValidationError(`Invalid threshold: ${threshold} (1-${pubkeys.length})`);
+  }
+  const distinct = new Set(pubkeys.map((pubkey) => pubkey.value));
+  if (distinct.size !== pubkeys.length) {
+    throw new ValidationError("The same public key is listed twice");
+  }
+
+  const pubkey = createMultisigThresholdPubkey(pubkeys, THRESHOLD);
+  return {
+    address: pubkeyToAddress(pubkey, network.addressPrefix),
+    threshold: THRESHOLD,
+    pubkey,
+    members: pubkey.value.pubkeys.map((member) => ({
+      address: pubkeyToAddress(member, network.addressPrefix),
+      pubkey: member.value,
+    })),
+  };
+}
+
+/**
+ * Describe a multisig pubkey (as stored in a multisig or unsigned transaction file)
+ * @param {object} pubkey - Amino multisig pubkey
+ * @param {object} network - Network configuration, for the address prefix (optional, defaults to testnet)
+ * @returns {object} { address, threshold, pubkey, members: [{ address, pubkey }] }
+ */
+export function describeMultisig(pubkey, network = XION_CONFIG) {
+  if (!isMultisigThresholdPubkey(pubkey)) {
+    throw new ValidationError("Not a multisig threshold public key");
+  }
+  return {
+    address: pubkeyToAddress(pubkey, network.addressPrefix),
+    threshold: Number(pubkey.value.threshold),
+    pubkey,
+    members: pubkey.value.pubkeys.map((member) => ({
+      address: pubkeyToAddress(member, network.addressPrefix),
+      pubkey: member.value,
+    })),
+  };
+}
+
+/**
+ * Read a file written by multisig create
+ * @param {string} file - Multisig file
+ * @param {object} network - Network configuration, for the address prefix (optional, defaults to testnet)
+ * @returns {object} { address, threshold, pubkey, members, file }
+ */
+export function readMultisigFile(file, network = XION_CONFIG) {
+  const filePath = path.resolve(file);
+  if (!fs.existsSync(filePath)) {
+    throw new ValidationError(`Multisig file not found: ${filePath}`, {
+      hint: "Create one with 'xion-nft multisig create --pubkeys <k1,k2,k3> --threshold 2'",
+    });
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  if (data.format !== MULTISIG_FORMAT) {
+    throw new ValidationError(`${filePath} is not a multisig file. Create one with 'xion-nft multisig create'.`);
+  }
+
+  const multisig = describeMultisig(data.pubkey, network);
+  if (data.address && data.address !== multisig.address) {
+    throw new ValidationError(`${filePath} records address ${data.address}, but its public key gives ${multisig.address}`);
+  }
+  return { ...multisig, file: filePath };
+}
+
+/**
+ * Read a partial signature file written by multisig sign
+ * @param {string} file - Signature file
+ * @returns {object} Signature file contents plus its file path
+ */
+export function readSignatureFile(file) {
+  const filePath = path.resolve(file);
+  if (!fs.existsSync(filePath)) {
+    throw new ValidationError(`Signature file not found: ${filePath}`);
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, "utf-8"));
+  if (data.format !== MULTISIG_SIGNATURE_FORMAT) {
+    throw new ValidationError(`${filePath} is not a multisig signature file. Create one with 'xion-nft multisig sign'.`);
+  }
+  return { ...data, file: filePath };
+}
+
+/**
+ * Create amino types for the bank, staking, authz and wasm messages
+ * @returns {AminoTypes} Amino converters
+ */
+export function createAminoTypes() {
+  return new AminoTypes({ ...createDefaultAminoConverters(), ...createWasmAminoConverters() });
+}
+
+/**
+ * Bytes a member signs in SIGN_MODE_LEGACY_AMINO_JSON
+ * @param {Array} messages - EncodeObjects ({ typeUrl, value })
+ * @param {object} fee - Fee ({ amount, gas })
+ * @param {object} signerData - { chainId, accountNumber, sequence } of the multisig account
+ * @param {string} memo - Transaction memo
+ * @returns {Uint8Array} Serialized amino sign document
+ */
+export function makeAminoSignBytes(messages, fee, { chainId, accountNumber, sequence }, memo = "") {
+  const aminoTypes = createAminoTypes();
+  const signDoc = makeSignDoc(
+    messages.map((msg) => aminoTypes.toAmino(msg)),
+    { amount: fee.amount, gas: String(fee.gas) },
+    chainId,
+    memo,
+    accountNumber,
+    sequence
+  );
+  return serializeSignDoc(signDoc);
+}
+
+/**
+ * Check a member's amino JSON signature
+ * @param {Uint8Array} signBytes - Result of makeAminoSignBytes()
+ * @param {Uint8Array} signature - 64-byte signature
+ * @param {string} pubkey - Member secp256k1 public key (base64)
+ * @returns {Promise<boolean>} Whether the signature verifies
+ */
+export async function verifyAminoSignature(signBytes, signature, pubkey) {
+  try {
+    return await Secp256k1.verifySignature(
+      Secp256k1Signature.fromFixedLength(signature),
+      sha256(signBytes),
+      fromBase64(pubkey)
+    );
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Encode the transaction body of a multisig transaction
+ * @param {Array} messages - EncodeObjects ({ typeUrl, value })
+ * @param {string} memo - Transaction memo (optional)
+ * @returns {Uint8Array} Encoded TxBody
+ */
+export function makeMultisigBodyBytes(messages, memo = "") {
+  const registry = createRegistry();
+  return TxBody.encode(
+    TxBody.fromPartial({ messages: messages.map((msg) => registry.encodeAsAny(msg)), memo })
+  ).finish();
+}
+
+/**
+ * Simulate a transaction signed by a multisig account and return the gas limit to use
+ * The simulated transaction carries threshold placeholder signatures, so the chain charges the same
+ * signature verification gas and transaction size as the combined one
+ * @param {StargateClient} client - Query client
+ * @param {object} pubkey - Amino multisig pubkey
+ * @param {number} sequence - Multisig account sequence
+ * @param {Array} messages - EncodeObjects ({ typeUrl, value })
+ * @param {string} memo - Transaction memo (optional)
+ * @param {object} network - Network configuration (optional, defaults to testnet)
+ * @returns {Promise<number>} Gas limit with the gas adjustment applied
+ */
+export async function simulateMultisig(client, pubkey, sequence, messages, memo = "", network = XION_CONFIG) {
+  const bodyBytes = makeMultisigBodyBytes(messages, memo);
+  const { members, threshold } = describeMultisig(pubkey, network);
+  const placeholders = new Map(members.slice(0, threshold).map((member) => [member.address, new Uint8Array(64)]));
+  const txRaw = makeMultisignedTx(pubkey, sequence, { amount: [], gas: "0" }, bodyBytes, placeholders);
+
+  // TxRaw and Tx share their wire format, so the raw bytes can be simulated directly
+  const service = new ServiceClientImpl(createProtobufRpcClient(client.forceGetQueryClient()));
+  const { gasInfo } = await service.Simulate(SimulateRequest.fromPartial({ txBytes: TxRaw.encode(txRaw).finish() }));
+  return Math.ceil(Number(gasInfo.gasUsed) * network.gasAdjustment);
+}
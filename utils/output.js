@@ -0,0 +1,186 @@
+/**
+ * Output layer for the xion-nft CLI
+ * Human-readable progress goes through console.log; with --json it is moved to stderr and the
+ * command's result (or error) is written to stdout as a single JSON object, and with --quiet
+ * it is dropped. Transaction results are printed with printTxResult in every mode
+ */
+
+import { toBase64 } from "@cosmjs/encoding";
+
+// Console functions as they were before configureOutput replaced them
+const original = {
+  log: console.log,
+  info: console.info,
+  warn: console.warn,
+  error: console.error,
+};
+
+const mode = { json: false, quiet: false };
+
+/**
+ * Switch the output mode
+ * Safe to call more than once; each call starts from the original console functions
+ * @param {object} options - Output options
+ * @param {boolean} options.json - Write one JSON result object to stdout and move human logs to stderr
+ * @param {boolean} options.quiet - Drop human logs (errors are still reported)
+ */
+export function configureOutput({ json = false, quiet = false } = {}) {
+  mode.json = json;
+  mode.quiet = quiet;
+
+  Object.assign(console, original);
+  if (quiet) {
+    const silent = () => {};
+    Object.assign(console, { log: silent, info: silent, warn: silent, error: silent });
+  } else if (json) {
+    Object.assign(console, { log: original.error, info: original.error });
+  }
+}
+
+/**
+ * Whether results are written as JSON
+ * @returns {boolean} True with --json
+ */
+export function isJsonOutput() {
+  return mode.json;
+}
+
+/**
+ * Write data a command streams to stdout (NDJSON events, CSV)
+ * With --json stdout is reserved for the result object, so the data goes to stderr (or nowhere with --quiet)
+ * @param {string} text - Text to write
+ */
+export function writeData(text) {
+  if (!mode.json) {
+    process.stdout.write(text);
+  } else if (!mode.quiet) {
+    process.stderr.write(text);
+  }
+}
+
+/**
+ * Print text that must not be lost, such as a mnemonic shown only once
+ * Goes through console.log normally (stderr with --json); with --quiet it is written straight to stderr
+ * @param {Array<string>} lines - Lines to print
+ */
+export function printAlways(lines) {
+  for (const line of lines) {
+    if (mode.quiet) {
+      process.stderr.write(`${line}\n`);
+    } else {
+      console.log(line);
+    }
+  }
+}
+
+/**
+ * Convert a value into plain JSON: bigints become strings, bytes become base64
+ * @param {*} value - Any value
+ * @returns {*} JSON-safe value
+ */
+export function toJsonValue(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  if (value instanceof Uint8Array) {
+    return toBase64(value);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJsonValue);
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([, v]) => v !== undefined && typeof v !== "function")
+        .map(([key, v]) => [key, toJsonValue(v)])
+    );
+  }
+  return value;
+}
+
+/**
+ * Write a command's result as JSON on stdout (only with --json)
+ * "ok" is false when the command reported a failure through process.exitCode
+ * @param {string} command - Command name
+ * @param {*} result - Value returned by the command
+ * @param {object} network - Network configuration the command ran on
+ */
+export function printResult(command, result, network) {
+  if (!mode.json) {
+    return;
+  }
+  const output = {
+    ok: !process.exitCode,
+    command,
+    chainId: network ? network.chainId : null,
+    result: toJsonValue(result ?? null),
+  };
+  process.stdout.write(JSON.stringify(output) + "\n");
+}
+
+/**
+ * Report an error: a JSON error object on stdout with --json, otherwise the message, the
+ * error's hint (see utils/errors.js) and the stack trace (unless --quiet) on stderr
+ * @param {Error} error - Error to report
+ * @param {object} options - Report options
+ * @param {string} options.command - Command name (optional)
+ * @param {number} options.exitCode - Exit code the process will end with
+ */
+export function printError(error, { command = null, exitCode = 1 } = {}) {
+  if (mode.json) {
+    const output = {
+      ok: false,
+      command,
+      error: {
+        name: error.name,
+        message: error.message,
+        ...(error.code !== undefined && { code: error.code }),
+        ...(error.hint && { hint: error.hint }),
+        ...(error.transactionHash && { transactionHash: error.transactionHash }),
+        ...(error.txCode !== null && error.txCode !== undefined && { txCode: error.txCode }),
+        ...(error.wasmError && { wasmError: error.wasmError }),
+        exitCode,
+      },
+    };
+    process.stdout.write(JSON.stringify(toJsonValue(output)) + "\n");
+    return;
+  }
+
+  original.error("\nError occurred:");
+  original.error(error.message);
+  if (error.hint) {
+    original.error(`Hint: ${error.hint}`);
+  }
+
+  if (error.stack && !mode.quiet) {
+    original.error("\nStack trace:");
+    original.error(error.stack);
+  }
+}
+
+/**
+ * Print a broadcast transaction's hash, height, gas and events
+ * @param {object} result - DeliverTxResponse (or InstantiateResult / ExecuteResult)
+ */
+export function printTxResult(result) {
+  console.log("\nTransaction successful!");
+  console.log(`Transaction Hash: ${result.transactionHash}`);
+  console.log(`Gas Used: ${result.gasUsed}`);
+  console.log(`Gas Wanted: ${result.gasWanted}`);
+  console.log(`Height: ${result.height}`);
+
+  // Ante handler events (fee, sequence, signature) are left out
+  const events = (result.events || []).filter((event) => event.type !== "tx");
+  if (events.length > 0) {
+    console.log("\nEvents:");
+    events.forEach((event) => {
+      console.log(`  ${event.type}:`);
+      event.attributes.forEach((attr) => {
+        console.log(`    ${attr.key}: ${attr.value}`);
+      });
+    });
+  }
+}
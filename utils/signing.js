@@ -0,0 +1,119 @@
+/**
+ * ADR-036 off-chain message signing and verification
+ * Arbitrary messages are wrapped in a "sign/MsgSignData" amino sign doc with empty
+ * chain ID, zero account number/sequence and an empty fee, so they can never be
+ * broadcast as a transaction
+ */
+
+import { sha256, Secp256k1, Secp256k1Signature } from "@cosmjs/crypto";
+import { toUtf8, toBase64, fromBase64 } from "@cosmjs/encoding";
+import { makeSignDoc, serializeSignDoc, pubkeyToAddress, pubkeyType } from "@cosmjs/amino";
+import XION_CONFIG from "./config.js";
+
+/**
+ * Build the ADR-036 sign doc for an arbitrary message
+ * @param {string} signer - Signer address
+ * @param {string|Uint8Array} data - Message to sign (UTF-8 string or raw bytes)
+ * @returns {object} Amino StdSignDoc
+ */
+export function makeAdr036SignDoc(signer, data) {
+  const dataBytes = typeof data === "string" ? toUtf8(data) : data;
+  const msg = {
+    type: "sign/MsgSignData",
+    value: {
+      signer,
+      data: toBase64(dataBytes),
+    },
+  };
+  return makeSignDoc([msg], { gas: "0", amount: [] }, "", "", 0, 0);
+}
+
+/**
+ * Sign an arbitrary message following ADR-036
+ * @param {OfflineAminoSigner} wallet - Amino-capable wallet (e.g. Secp256k1HdWallet)
+ * @param {string} signer - Signer address (must belong to the wallet)
+ * @param {string|Uint8Array} data - Message to sign
+ * @returns {Promise<object>} Amino sign response with signed doc and StdSignature
+ */
+export async function signArbitrary(wallet, signer, data) {
+  const signDoc = makeAdr036SignDoc(signer, data);
+  return wallet.signAmino(signer, signDoc);
+}
+
+/**
+ * Read the base64 public key out of the supported export formats
+ * @param {string|object} publicKey - Base64 key or amino pubkey object ({ type, value })
+ * @returns {string} Base64 encoded secp256k1 public key
+ */
+function normalizePublicKey(publicKey) {
+  if (publicKey && typeof publicKey === "object") {
+    if (publicKey.type && publicKey.type !== pubkeyType.secp256k1) {
+      throw new Error(`Unsupported public key type: ${publicKey.type}`);
+    }
+    return publicKey.value;
+  }
+  return publicKey;
+}
+
+/**
+ * Verify an ADR-036 signature produced by sign-message
+ * Checks both the secp256k1 signature and that the public key derives to the signer address
+ * @param {object} data - Exported signature data
+ * @param {string} data.message - Original message
+ * @param {string} data.signer - Signer address
+ * @param {string|object} data.publicKey - Base64 public key (or amino pubkey object; "pubkey" is also accepted)
+ * @param {string|object} data.signature - Base64 signature (or amino StdSignature object)
+ * @param {object} network - Network configuration for the address prefix (optional, defaults to testnet)
+ * @returns {Promise<object>} Verification result ({ valid, signatureValid, addressMatches, derivedAddress, reason })
+ */
+export async function verifySignature(data, network = XION_CONFIG) {
+  const { message, signer } = data;
+  let signature = data.signature;
+  let publicKey = data.publicKey || data.pubkey;
+
+  // Accept the StdSignature object as returned by signAmino
+  if (signature && typeof signature === "object") {
+    publicKey = publicKey || signature.pub_key;
+    signature = signature.signature;
+  }
+
+  for (const [field, value] of Object.entries({ message, signer, publicKey, signature })) {
+    if (value === undefined || value === null || value === "") {
+      throw new Error(`Signature data is missing "${field}"`);
+    }
+  }
+
+  const pubkeyBase64 = normalizePublicKey(publicKey);
+  const pubkeyBytes = fromBase64(pubkeyBase64);
+  const derivedAddress = pubkeyToAddress(
+    { type: pubkeyType.secp256k1, value: pubkeyBase64 },
+    network.addressPrefix
+  );
+  const addressMatches = derivedAddress === signer;
+
+  const signDoc = makeAdr036SignDoc(signer, message);
+  const messageHash = sha256(serializeSignDoc(signDoc));
+
+  let signatureValid = false;
+  try {
+    const parsedSignature = Secp256k1Signature.fromFixedLength(fromBase64(signature));
+    signatureValid = await Secp256k1.verifySignature(parsedSignature, messageHash, pubkeyBytes);
+  } catch (error) {
+    signatureValid = false;
+  }
+
+  let reason = null;
+  if (!signatureValid) {
+    reason = "Signature does not match the message and public key";
+  } else if (!addressMatches) {
+    reason = `Public key belongs to ${derivedAddress}, not to the claimed signer ${signer}`;
+  }
+
+  return {
+    valid: signatureValid && addressMatches,
+    signatureValid,
+    addressMatches,
+    derivedAddress,
+    reason,
+  };
+}
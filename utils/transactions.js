@@ -0,0 +1,89 @@
+/**
+ * Transaction file helpers for the prepare / offline sign / broadcast workflow
+ * Messages are stored as protobuf Any values (base64) so they survive the JSON
+ * round trip exactly, alongside a readable copy for review on the signing machine
+ */
+
+import { Registry } from "@cosmjs/proto-signing";
+import { defaultRegistryTypes } from "@cosmjs/stargate";
+import { wasmTypes } from "@cosmjs/cosmwasm-stargate";
+import { toBase64, fromBase64, fromHex, fromUtf8 } from "@cosmjs/encoding";
+import { encodeSecp256k1Pubkey } from "@cosmjs/amino";
+
+// Format marker for files written by prepareTransaction()
+export const UNSIGNED_TX_FORMAT = "xion-nft/unsigned-tx";
+
+/**
+ * Create a protobuf registry with the bank, staking, authz and wasm message types
+ * @returns {Registry} Registry instance
+ */
+export function createRegistry() {
+  return new Registry([...defaultRegistryTypes, ...wasmTypes]);
+}
+
+/**
+ * Encode messages into JSON-safe protobuf Any values
+ * @param {Array} messages - EncodeObjects ({ typeUrl, value })
+ * @param {Registry} registry - Registry to encode with (optional)
+ * @returns {Array} Messages as { typeUrl, value } with base64 protobuf values
+ */
+export function encodeTxMessages(messages, registry = createRegistry()) {
+  return messages.map((msg) => {
+    const any = registry.encodeAsAny(msg);
+    return { typeUrl: any.typeUrl, value: toBase64(any.value) };
+  });
+}
+
+/**
+ * Decode messages written by encodeTxMessages() back into EncodeObjects
+ * @param {Array} encoded - Messages as { typeUrl, value } with base64 protobuf values
+ * @param {Registry} registry - Registry to decode with (optional)
+ * @returns {Array} EncodeObjects ready for signing
+ */
+export function decodeTxMessages(encoded, registry = createRegistry()) {
+  return encoded.map((msg) => ({
+    typeUrl: msg.typeUrl,
+    value: registry.decode({ typeUrl: msg.typeUrl, value: fromBase64(msg.value) }),
+  }));
+}
+
+/**
+ * Convert a message into plain JSON for display (contract messages are parsed, other bytes base64 encoded)
+ * @param {object} msg - EncodeObject ({ typeUrl, value })
+ * @returns {object} Readable message
+ */
+export function toReadableMessage(msg) {
+  const convert = (value) => {
+    if (value instanceof Uint8Array) {
+      try {
+        return JSON.parse(fromUtf8(value));
+      } catch (error) {
+        return toBase64(value);
+      }
+    }
+    if (typeof value === "bigint") {
+      return value.toString();
+    }
+    if (Array.isArray(value)) {
+      return value.map(convert);
+    }
+    if (value && typeof value === "object") {
+      return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, convert(v)]));
+    }
+    return value;
+  };
+  return { typeUrl: msg.typeUrl, value: convert(msg.value) };
+}
+
+/**
+ * Parse a secp256k1 public key given as base64 or hex (as printed by create-wallet)
+ * @param {string} publicKey - Compressed public key (33 bytes) in base64 or hex
+ * @returns {object} Amino pubkey ({ type, value })
+ */
+export function parsePublicKey(publicKey) {
+  const bytes = /^[0-9a-fA-F]{66}$/.test(publicKey) ? fromHex(publicKey) : fromBase64(publicKey);
+  if (bytes.length !== 33) {
+    throw new Error(`Public key must be a 33-byte compressed secp256k1 key, got ${bytes.length} bytes`);
+  }
+  return encodeSecp256k1Pubkey(bytes);
+}